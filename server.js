@@ -6,11 +6,17 @@ const PORT = process.env.PORT || 3000
 
 /**
  * Start server
- * 1. Connect to database
- * 2. Start Express server
+ * 1. Check required configuration
+ * 2. Connect to database
+ * 3. Start Express server
  */
 const startServer = async () => {
   try {
+    // Tokens cannot be signed or verified without a secret
+    if (!process.env.JWT_SECRET) {
+      throw new Error('JWT_SECRET is not set')
+    }
+
     // Connect to database
     await connectDB()
 
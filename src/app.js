@@ -1,16 +1,31 @@
 const express = require('express')
 const cors = require('cors')
+const { formatMongooseErrors } = require('./utils/helpers')
+const { UPLOADS_PATH, getStorage } = require('./utils/storage')
 
 // Import routes
+const authRoutes = require('./routes/authRoutes')
 const categoryRoutes = require('./routes/categoryRoutes')
 const subCategoryRoutes = require('./routes/subCategoryRoutes')
 const itemRoutes = require('./routes/itemRoutes')
+const menuRoutes = require('./routes/menuRoutes')
+const modifierGroupRoutes = require('./routes/modifierGroupRoutes')
+const outletRoutes = require('./routes/outletRoutes')
+const promotionRoutes = require('./routes/promotionRoutes')
+const quoteRoutes = require('./routes/quoteRoutes')
+const searchRoutes = require('./routes/searchRoutes')
+const { tenantContext } = require('./middleware/tenant')
+const { menuSettingsContext } = require('./middleware/menuSettings')
+const { outletContext } = require('./middleware/outlet')
+const { languageContext } = require('./middleware/language')
 
 const app = express()
 
 // Middleware
 app.use(cors())
-app.use(express.json())
+// Menu imports send whole menus, so bodies may be larger than the 100kb default
+app.use(express.json({ limit: '5mb' }))
+app.use(express.text({ type: 'text/csv', limit: '5mb' }))
 app.use(express.urlencoded({ extended: true }))
 
 // Root route
@@ -21,9 +36,16 @@ app.get('/', (req, res) => {
     version: '1.0.0',
     endpoints: {
       health: '/health',
+      auth: '/api/auth',
       categories: '/api/categories',
       subcategories: '/api/subcategories',
-      items: '/api/items'
+      items: '/api/items',
+      menu: '/api/menu',
+      modifierGroups: '/api/modifier-groups',
+      outlets: '/api/outlets',
+      promotions: '/api/promotions',
+      quote: '/api/quote',
+      search: '/api/search'
     }
   })
 })
@@ -37,10 +59,41 @@ app.get('/health', (req, res) => {
   })
 })
 
+// Images uploaded to local disk are served as static files
+const storage = getStorage()
+if (storage.serve) app.use(UPLOADS_PATH, storage.serve)
+
+// Every API request runs as the tenant of its token or X-Tenant-Id header
+app.use('/api', tenantContext)
+
+// Menu reads return the values of the outlet named by ?outlet= or X-Outlet-Id
+// in the language named by ?lang= or Accept-Language, and amounts in the
+// currency of the tenant's menu
+app.use(
+  [
+    '/api/categories',
+    '/api/subcategories',
+    '/api/items',
+    '/api/menu',
+    '/api/quote',
+    '/api/search'
+  ],
+  menuSettingsContext,
+  outletContext,
+  languageContext
+)
+
 // API Routes
+app.use('/api/auth', authRoutes)
 app.use('/api/categories', categoryRoutes)
 app.use('/api/subcategories', subCategoryRoutes)
 app.use('/api/items', itemRoutes)
+app.use('/api/menu', menuRoutes)
+app.use('/api/modifier-groups', modifierGroupRoutes)
+app.use('/api/outlets', outletRoutes)
+app.use('/api/promotions', promotionRoutes)
+app.use('/api/quote', quoteRoutes)
+app.use('/api/search', searchRoutes)
 
 // 404 handler
 app.use((req, res) => {
@@ -56,8 +109,13 @@ app.use((error, req, res, next) => {
   let message = error.message || 'Internal Server Error'
 
   if (error.name === 'ValidationError') {
-    statusCode = 400
-    message = 'Validation Error'
+    const errors = formatMongooseErrors(error)
+
+    return res.status(400).json({
+      success: false,
+      message: errors.length ? 'Validation failed' : message,
+      errors
+    })
   }
 
   if (error.name === 'CastError') {
@@ -0,0 +1,230 @@
+const jwt = require('jsonwebtoken')
+const User = require('../models/User')
+
+/**
+ * Sign a token for a user
+ * @param {object} user - The user document
+ * @returns {string} Signed JWT
+ */
+const signToken = (user) =>
+  jwt.sign(
+    { id: user._id, role: user.role, tenant: user.tenant },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.JWT_EXPIRES_IN || '1d' }
+  )
+
+const sendRegistrationClosed = (res) =>
+  res.status(403).json({
+    success: false,
+    message: 'Registration is closed. Ask an admin to create your account'
+  })
+
+/**
+ * Register the first admin account of a tenant
+ * Only available while the tenant has no users, and only once per tenant;
+ * further accounts are created by admins
+ * POST /api/auth/register (X-Setup-Token header)
+ */
+const register = async (req, res) => {
+  try {
+    const { name, email, password } = req.body
+
+    if (await User.exists({})) {
+      return sendRegistrationClosed(res)
+    }
+
+    const user = new User({
+      name,
+      email,
+      password,
+      role: 'admin',
+      firstAdmin: true
+    })
+    await user.save()
+
+    res.status(201).json({
+      success: true,
+      message: 'Admin account created successfully',
+      token: signToken(user),
+      data: user
+    })
+  } catch (error) {
+    if (
+      error.code === 11000 &&
+      error.keyPattern &&
+      error.keyPattern.firstAdmin
+    ) {
+      return sendRegistrationClosed(res)
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'User with this email already exists'
+      })
+    }
+
+    res.status(400).json({
+      success: false,
+      message: error.message
+    })
+  }
+}
+
+/**
+ * Log in with email and password
+ * POST /api/auth/login
+ */
+const login = async (req, res) => {
+  try {
+    const { email, password } = req.body
+
+    const user = await User.findOne({
+      email: String(email).toLowerCase()
+    }).select('+password')
+
+    if (!user || !user.active || !(await user.comparePassword(password))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid email or password'
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged in successfully',
+      token: signToken(user),
+      data: user
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    })
+  }
+}
+
+/**
+ * Get the signed-in user
+ * GET /api/auth/me
+ */
+const getMe = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: req.user
+  })
+}
+
+/**
+ * Create a user account
+ * POST /api/auth/users
+ */
+const createUser = async (req, res) => {
+  try {
+    const { name, email, password, role } = req.body
+
+    const user = new User({ name, email, password, role })
+    await user.save()
+
+    res.status(201).json({
+      success: true,
+      message: 'User created successfully',
+      data: user
+    })
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'User with this email already exists'
+      })
+    }
+
+    res.status(400).json({
+      success: false,
+      message: error.message
+    })
+  }
+}
+
+/**
+ * Get all users
+ * GET /api/auth/users
+ */
+const getAllUsers = async (req, res) => {
+  try {
+    const users = await User.find().sort({ createdAt: -1 })
+
+    res.status(200).json({
+      success: true,
+      count: users.length,
+      data: users
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    })
+  }
+}
+
+/**
+ * Update a user's name, role, password or active flag
+ * PUT /api/auth/users/:id
+ */
+const updateUser = async (req, res) => {
+  try {
+    const { name, password, role, active } = req.body
+
+    const user = await User.findById(req.params.id)
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      })
+    }
+
+    // Admins cannot lock themselves out
+    if (
+      user._id.equals(req.user._id) &&
+      ((role !== undefined && role !== 'admin') || active === false)
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot demote or deactivate your own account'
+      })
+    }
+
+    if (name !== undefined) user.name = name
+    if (password !== undefined) user.password = password
+    if (role !== undefined) user.role = role
+    if (active !== undefined) user.active = active
+
+    await user.save()
+
+    res.status(200).json({
+      success: true,
+      message: 'User updated successfully',
+      data: user
+    })
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      })
+    }
+
+    res.status(400).json({
+      success: false,
+      message: error.message
+    })
+  }
+}
+
+module.exports = {
+  register,
+  login,
+  getMe,
+  createUser,
+  getAllUsers,
+  updateUser
+}
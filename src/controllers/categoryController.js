@@ -1,5 +1,40 @@
 const Category = require('../models/Category')
-const { createError } = require('../utils/helpers')
+const SubCategory = require('../models/SubCategory')
+const Item = require('../models/Item')
+const {
+  createError,
+  formatMongooseErrors,
+  containsText,
+  getDeletePolicy
+} = require('../utils/helpers')
+const { COMMON_FILTERS, SORT_FIELDS, paginate } = require('../utils/pagination')
+const {
+  pickTax,
+  planTaxPropagation,
+  propagateTax
+} = require('../utils/taxInheritance')
+const { findMissingModifierGroups } = require('../utils/modifiers')
+const { buildAvailabilityFilter } = require('../utils/availability')
+const { buildSoldOutUpdate } = require('../utils/inventory')
+const { removeOutletOverrides } = require('../utils/outlets')
+const { removePromotionTargets } = require('../utils/promotions')
+const { replaceImage } = require('../utils/images')
+const {
+  POSITION_SORT,
+  reorderSiblings,
+  moveToParent
+} = require('../utils/positions')
+const {
+  getMenuModels,
+  syncPublishedInventory
+} = require('../utils/menuVersions')
+const {
+  getDefaultLanguage,
+  localize,
+  buildNameFilter,
+  checkTranslationLanguage,
+  listTranslations
+} = require('../utils/translations')
 
 /**
  * Create a new category
@@ -7,22 +42,25 @@ const { createError } = require('../utils/helpers')
  */
 const createCategory = async (req, res) => {
   try {
-    const { name, image, description, taxApplicability, tax, taxType } =
-      req.body
-
-    // Validate required fields
-    if (!name || !image || !description || taxApplicability === undefined) {
-      return res.status(400).json({
-        success: false,
-        message: 'Name, image, description, and tax applicability are required'
-      })
-    }
+    const {
+      name,
+      image,
+      description,
+      taxApplicability,
+      tax,
+      taxType,
+      modifierGroups,
+      availability,
+      dietaryTags,
+      allergens
+    } = req.body
 
-    // Validate tax fields if tax is applicable
-    if (taxApplicability && ((!tax && tax !== 0) || !taxType)) {
-      return res.status(400).json({
+    const missingGroups = await findMissingModifierGroups(modifierGroups)
+    if (missingGroups.length) {
+      return res.status(404).json({
         success: false,
-        message: 'Tax amount and tax type are required when tax is applicable'
+        message: 'Modifier group not found',
+        missing: missingGroups
       })
     }
 
@@ -30,7 +68,11 @@ const createCategory = async (req, res) => {
       name,
       image,
       description,
-      taxApplicability
+      taxApplicability,
+      modifierGroups,
+      availability: availability || undefined,
+      dietaryTags: dietaryTags || undefined,
+      allergens: allergens || undefined
     }
 
     // Add tax fields only if applicable
@@ -55,6 +97,14 @@ const createCategory = async (req, res) => {
       })
     }
 
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: formatMongooseErrors(error)
+      })
+    }
+
     res.status(400).json({
       success: false,
       message: error.message
@@ -64,19 +114,31 @@ const createCategory = async (req, res) => {
 
 /**
  * Get all categories
- * GET /api/categories
+ * GET /api/categories?page=1&limit=20&sort=-createdAt&availableAt=now
  */
 const getAllCategories = async (req, res) => {
   try {
-    const categories = await Category.find().sort({ createdAt: -1 })
+    const { Category } = getMenuModels()
+    const { data, total, pagination } = await paginate(
+      Category,
+      await buildAvailabilityFilter('category', req.query.availableAt),
+      req,
+      {
+        sortFields: SORT_FIELDS.category,
+        defaultSort: 'position',
+        filters: COMMON_FILTERS
+      }
+    )
 
     res.status(200).json({
       success: true,
-      count: categories.length,
-      data: categories
+      count: data.length,
+      total,
+      data: data.map((category) => localize(category, req.language)),
+      pagination
     })
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: error.message
     })
@@ -89,6 +151,7 @@ const getAllCategories = async (req, res) => {
  */
 const getCategoryById = async (req, res) => {
   try {
+    const { Category } = getMenuModels()
     const category = await Category.findById(req.params.id)
 
     if (!category) {
@@ -100,7 +163,7 @@ const getCategoryById = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      data: category
+      data: localize(category, req.language)
     })
   } catch (error) {
     if (error.name === 'CastError') {
@@ -123,6 +186,7 @@ const getCategoryById = async (req, res) => {
  */
 const getCategoryByName = async (req, res) => {
   try {
+    const { Category } = getMenuModels()
     const { name } = req.query
 
     if (!name) {
@@ -132,9 +196,9 @@ const getCategoryByName = async (req, res) => {
       })
     }
 
-    const category = await Category.findOne({
-      name: { $regex: name, $options: 'i' }
-    })
+    const category = await Category.findOne(
+      buildNameFilter(containsText(name), req.language)
+    )
 
     if (!category) {
       return res.status(404).json({
@@ -145,7 +209,7 @@ const getCategoryByName = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      data: category
+      data: localize(category, req.language)
     })
   } catch (error) {
     res.status(500).json({
@@ -157,30 +221,44 @@ const getCategoryByName = async (req, res) => {
 
 /**
  * Update category
- * PUT /api/categories/:id
+ * Tax changes cascade to subcategories and items that inherit them
+ * PUT /api/categories/:id?dryRun=true
  */
 const updateCategory = async (req, res) => {
   try {
-    const { name, image, description, taxApplicability, tax, taxType } =
-      req.body
+    const {
+      name,
+      image,
+      description,
+      taxApplicability,
+      tax,
+      taxType,
+      modifierGroups,
+      availability,
+      dietaryTags,
+      allergens
+    } = req.body
+
+    const missingGroups = await findMissingModifierGroups(modifierGroups)
+    if (missingGroups.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'Modifier group not found',
+        missing: missingGroups
+      })
+    }
 
     // Build update object
     const updateData = {}
     if (name !== undefined) updateData.name = name
     if (image !== undefined) updateData.image = image
     if (description !== undefined) updateData.description = description
+    if (modifierGroups !== undefined) updateData.modifierGroups = modifierGroups
     if (taxApplicability !== undefined) {
       updateData.taxApplicability = taxApplicability
 
-      // If tax is now applicable, require tax fields
+      // Tax fields are required by validation when tax becomes applicable
       if (taxApplicability) {
-        if ((!tax && tax !== 0) || !taxType) {
-          return res.status(400).json({
-            success: false,
-            message:
-              'Tax amount and tax type are required when tax is applicable'
-          })
-        }
         updateData.tax = tax
         updateData.taxType = taxType
       } else {
@@ -193,6 +271,62 @@ const updateCategory = async (req, res) => {
       if (taxType !== undefined) updateData.taxType = taxType
     }
 
+    // An empty schedule makes the category available at all times again
+    if (availability !== undefined) {
+      if (availability && availability.length) {
+        updateData.availability = availability
+      } else {
+        updateData.$unset = { ...updateData.$unset, availability: '' }
+      }
+    }
+
+    // A cleared list follows the parent's again; an empty list declares none
+    Object.entries({ dietaryTags, allergens }).forEach(([field, values]) => {
+      if (values === null) {
+        updateData.$unset = { ...updateData.$unset, [field]: '' }
+      } else if (values !== undefined) {
+        updateData[field] = values
+      }
+    })
+
+    const taxChanged =
+      taxApplicability !== undefined ||
+      tax !== undefined ||
+      taxType !== undefined
+
+    // Dry run: apply the changes in memory and report what would be propagated
+    if (req.query.dryRun === 'true') {
+      const category = await Category.findById(req.params.id)
+      if (!category) {
+        return res.status(404).json({
+          success: false,
+          message: 'Category not found'
+        })
+      }
+
+      const { $unset, ...fields } = updateData
+      category.set(fields)
+      Object.keys($unset || {}).forEach((field) =>
+        category.set(field, undefined)
+      )
+      await category.validate()
+
+      const changes = taxChanged
+        ? await planTaxPropagation(
+            { categoryId: category._id },
+            pickTax(category)
+          )
+        : { subCategories: [], items: [] }
+
+      return res.status(200).json({
+        success: true,
+        message: 'Dry run: no changes were saved',
+        dryRun: true,
+        data: category,
+        changes
+      })
+    }
+
     const category = await Category.findByIdAndUpdate(
       req.params.id,
       updateData,
@@ -206,10 +340,16 @@ const updateCategory = async (req, res) => {
       })
     }
 
+    // Subcategories and items inheriting from this category pick up the new tax settings
+    const propagated = taxChanged
+      ? await propagateTax({ categoryId: category._id }, pickTax(category))
+      : undefined
+
     res.status(200).json({
       success: true,
       message: 'Category updated successfully',
-      data: category
+      data: category,
+      propagated
     })
   } catch (error) {
     if (error.code === 11000) {
@@ -226,6 +366,14 @@ const updateCategory = async (req, res) => {
       })
     }
 
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: formatMongooseErrors(error)
+      })
+    }
+
     res.status(400).json({
       success: false,
       message: error.message
@@ -233,10 +381,567 @@ const updateCategory = async (req, res) => {
   }
 }
 
+/**
+ * Mark every item under a category sold out or available again
+ * PATCH /api/categories/:id/sold-out
+ */
+const setCategorySoldOut = async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.id)
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      })
+    }
+
+    // Items directly under the category and under its subcategories
+    const subCategoryIds = await SubCategory.find({
+      categoryId: category._id
+    }).distinct('_id')
+    const itemFilter = {
+      $or: [
+        { categoryId: category._id },
+        { subCategoryId: { $in: subCategoryIds } }
+      ]
+    }
+
+    const update = buildSoldOutUpdate(req.body)
+    const result = await Item.updateMany(itemFilter, update)
+    await syncPublishedInventory(itemFilter)
+
+    res.status(200).json({
+      success: true,
+      message: req.body.soldOut
+        ? 'Items marked sold out'
+        : 'Items marked available',
+      data: {
+        soldOutUntil: update.soldOutUntil,
+        updated: result.modifiedCount
+      }
+    })
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: error.message
+    })
+  }
+}
+
+/**
+ * Delete category (soft delete)
+ * DELETE /api/categories/:id?policy=block|cascade|reassign&reassignTo=categoryId
+ */
+const deleteCategory = async (req, res) => {
+  try {
+    const { policy, reassignTo } = getDeletePolicy(req.query)
+
+    const category = await Category.findById(req.params.id)
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      })
+    }
+
+    const subCategories = await SubCategory.find({
+      categoryId: category._id
+    }).select('name')
+    const items = await Item.find({ categoryId: category._id }).select('name')
+
+    if (policy === 'block' && (subCategories.length || items.length)) {
+      return res.status(409).json({
+        success: false,
+        message:
+          'Category has subcategories or items. Use the cascade or reassign policy to delete it',
+        children: {
+          subCategories: subCategories.length,
+          items: items.length
+        }
+      })
+    }
+
+    if (policy === 'reassign') {
+      const target = await Category.findById(reassignTo)
+      if (!target) {
+        return res.status(404).json({
+          success: false,
+          message: 'Target category not found'
+        })
+      }
+
+      if (target._id.equals(category._id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot reassign children to the category being deleted'
+        })
+      }
+
+      // Names are unique per parent, so check for clashes before moving anything
+      const [clashingSubCategories, clashingItems] = await Promise.all([
+        SubCategory.find({
+          categoryId: target._id,
+          name: { $in: subCategories.map((subCategory) => subCategory.name) }
+        }),
+        Item.find({
+          categoryId: target._id,
+          name: { $in: items.map((item) => item.name) }
+        })
+      ])
+
+      if (clashingSubCategories.length || clashingItems.length) {
+        return res.status(409).json({
+          success: false,
+          message: 'Target category already has children with the same names',
+          conflicts: {
+            subCategories: clashingSubCategories.map((doc) => doc.name),
+            items: clashingItems.map((doc) => doc.name)
+          }
+        })
+      }
+
+      // Moved children keep their order and go after the target's own
+      await moveToParent(
+        SubCategory,
+        { categoryId: category._id },
+        { categoryId: target._id }
+      )
+      await moveToParent(
+        Item,
+        { categoryId: category._id },
+        { categoryId: target._id }
+      )
+      // Moved children that inherit tax now follow the new category
+      await propagateTax({ categoryId: target._id }, pickTax(target))
+    }
+
+    const deletedAt = new Date()
+
+    if (policy === 'cascade') {
+      // Children share the parent's timestamp so a restore can bring them back together
+      await Item.updateMany(
+        {
+          $or: [
+            { categoryId: category._id },
+            {
+              subCategoryId: {
+                $in: subCategories.map((subCategory) => subCategory._id)
+              }
+            }
+          ]
+        },
+        { deletedAt }
+      )
+      await SubCategory.updateMany({ categoryId: category._id }, { deletedAt })
+    }
+
+    category.deletedAt = deletedAt
+    await category.save()
+
+    res.status(200).json({
+      success: true,
+      message: 'Category deleted successfully',
+      policy,
+      data: category
+    })
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      })
+    }
+
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    })
+  }
+}
+
+/**
+ * Restore a soft deleted category along with children deleted in the same cascade
+ * POST /api/categories/:id/restore
+ */
+const restoreCategory = async (req, res) => {
+  try {
+    const category = await Category.findOne({
+      _id: req.params.id,
+      deletedAt: { $ne: null }
+    })
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Deleted category not found'
+      })
+    }
+
+    const conflict = await category.findNameConflict()
+    if (conflict) {
+      return res.status(409).json({ success: false, message: conflict })
+    }
+
+    const { deletedAt } = category
+    const subCategories = await SubCategory.find({
+      categoryId: category._id,
+      deletedAt
+    }).select('_id')
+
+    await SubCategory.updateMany(
+      { categoryId: category._id, deletedAt },
+      { deletedAt: null }
+    )
+    await Item.updateMany(
+      {
+        $or: [
+          { categoryId: category._id },
+          {
+            subCategoryId: {
+              $in: subCategories.map((subCategory) => subCategory._id)
+            }
+          }
+        ],
+        deletedAt
+      },
+      { deletedAt: null }
+    )
+
+    category.deletedAt = null
+    await category.save()
+
+    res.status(200).json({
+      success: true,
+      message: 'Category restored successfully',
+      data: category
+    })
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Deleted category not found'
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: error.message
+    })
+  }
+}
+
+/**
+ * Permanently remove a soft deleted category and everything under it
+ * DELETE /api/categories/:id/purge
+ */
+const purgeCategory = async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.id).setOptions({
+      withDeleted: true
+    })
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      })
+    }
+
+    if (!category.deletedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Category must be deleted before it can be purged'
+      })
+    }
+
+    const subCategories = await SubCategory.find({
+      categoryId: category._id
+    })
+      .setOptions({ withDeleted: true })
+      .select('_id')
+
+    const itemFilter = {
+      $or: [
+        { categoryId: category._id },
+        {
+          subCategoryId: {
+            $in: subCategories.map((subCategory) => subCategory._id)
+          }
+        }
+      ]
+    }
+    await removeOutletOverrides(itemFilter)
+    await removePromotionTargets(itemFilter, {
+      subCategories: subCategories.map((subCategory) => subCategory._id),
+      categories: [category._id]
+    })
+    const { deletedCount: itemCount } = await Item.deleteMany(itemFilter)
+    const { deletedCount: subCategoryCount } = await SubCategory.deleteMany({
+      categoryId: category._id
+    })
+    await Category.deleteOne({ _id: category._id })
+
+    res.status(200).json({
+      success: true,
+      message: 'Category purged successfully',
+      purged: {
+        categories: 1,
+        subCategories: subCategoryCount,
+        items: itemCount
+      }
+    })
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: error.message
+    })
+  }
+}
+
+/**
+ * Get the translations of a category
+ * GET /api/categories/:id/translations
+ */
+const getCategoryTranslations = async (req, res) => {
+  try {
+    const { Category } = getMenuModels()
+    const category = await Category.findById(req.params.id)
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      defaultLanguage: getDefaultLanguage(),
+      data: listTranslations(category)
+    })
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: error.message
+    })
+  }
+}
+
+/**
+ * Add or replace the translation of a category in one language
+ * Fields left out fall back to the untranslated ones.
+ * PUT /api/categories/:id/translations/:lang
+ */
+const setCategoryTranslation = async (req, res) => {
+  try {
+    const language = checkTranslationLanguage(req.params.lang)
+    const category = await Category.findById(req.params.id)
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      })
+    }
+
+    if (!category.translations) category.translations = {}
+    category.translations.set(language, req.body)
+    await category.save()
+
+    res.status(200).json({
+      success: true,
+      message: 'Category translation saved successfully',
+      data: listTranslations(category)
+    })
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      })
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: formatMongooseErrors(error)
+      })
+    }
+
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    })
+  }
+}
+
+/**
+ * Remove the translation of a category in one language
+ * DELETE /api/categories/:id/translations/:lang
+ */
+const deleteCategoryTranslation = async (req, res) => {
+  try {
+    const language = checkTranslationLanguage(req.params.lang)
+    const category = await Category.findById(req.params.id)
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      })
+    }
+
+    if (!category.translations || !category.translations.has(language)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Translation not found'
+      })
+    }
+
+    category.translations.delete(language)
+    await category.save()
+
+    res.status(200).json({
+      success: true,
+      message: 'Category translation deleted successfully',
+      data: listTranslations(category)
+    })
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      })
+    }
+
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    })
+  }
+}
+
+/**
+ * Upload the image of a category
+ * The upload replaces the image URL; its size and resized variants are
+ * recorded in imageMetadata.
+ * PUT /api/categories/:id/image (multipart/form-data, field "image")
+ */
+const uploadCategoryImage = async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.id)
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      })
+    }
+
+    await replaceImage(category, 'categories', req.file)
+
+    res.status(200).json({
+      success: true,
+      message: 'Category image uploaded successfully',
+      data: category
+    })
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      })
+    }
+
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    })
+  }
+}
+
+/**
+ * Put the categories in a new display order
+ * The body lists every id once, the first shown first.
+ * PUT /api/categories/reorder
+ */
+const reorderCategories = async (req, res) => {
+  try {
+    const { unknown, omitted } = await reorderSiblings(
+      Category,
+      {},
+      req.body.ids
+    )
+
+    if (unknown.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found',
+        missing: unknown
+      })
+    }
+
+    if (omitted.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'ids must list every category in the new order',
+        omitted
+      })
+    }
+
+    const categories = await Category.find()
+      .sort(POSITION_SORT)
+      .select('name translations position')
+
+    res.status(200).json({
+      success: true,
+      message: 'Categories reordered successfully',
+      data: categories.map((doc) => localize(doc, req.language))
+    })
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    })
+  }
+}
+
 module.exports = {
   createCategory,
   getAllCategories,
   getCategoryById,
   getCategoryByName,
-  updateCategory
+  updateCategory,
+  setCategorySoldOut,
+  deleteCategory,
+  restoreCategory,
+  purgeCategory,
+  getCategoryTranslations,
+  setCategoryTranslation,
+  deleteCategoryTranslation,
+  uploadCategoryImage,
+  reorderCategories
 }
@@ -1,7 +1,159 @@
 const Item = require('../models/Item')
+const AuditLog = require('../models/AuditLog')
 const Category = require('../models/Category')
 const SubCategory = require('../models/SubCategory')
-const { calculateTotal, createError } = require('../utils/helpers')
+const {
+  calculateTotal,
+  createError,
+  formatMongooseErrors,
+  containsText
+} = require('../utils/helpers')
+const {
+  TAX_CHAIN_POPULATE,
+  getTaxChain,
+  calculatePriceBreakdown,
+  priceVariants
+} = require('../utils/pricing')
+const { applyVariants, findVariant } = require('../utils/variants')
+const { ITEM_FILTERS, SORT_FIELDS, paginate } = require('../utils/pagination')
+const { pickTax, buildInheritedTaxUpdate } = require('../utils/taxInheritance')
+const {
+  resolveModifierGroups,
+  findMissingModifierGroups,
+  selectModifiers
+} = require('../utils/modifiers')
+const {
+  parseAvailableAt,
+  buildAvailabilityFilter,
+  resolveAvailability
+} = require('../utils/availability')
+const { buildSoldOutUpdate } = require('../utils/inventory')
+const {
+  resolveOutletItem,
+  resolveOutletItems,
+  buildOutletFilter,
+  resolveOutletCurrency,
+  resolveOutletPromotions,
+  removeOutletOverrides
+} = require('../utils/outlets')
+const { buildPriceTimeline } = require('../utils/audit')
+const { resolveDietary, buildDietaryFilter } = require('../utils/dietary')
+const { replaceImage } = require('../utils/images')
+const { POSITION_SORT, reorderSiblings } = require('../utils/positions')
+const {
+  getMenuModels,
+  syncPublishedInventory
+} = require('../utils/menuVersions')
+const {
+  getDefaultLanguage,
+  localize,
+  buildNameFilter,
+  checkTranslationLanguage,
+  listTranslations
+} = require('../utils/translations')
+const {
+  loadActivePromotions,
+  findItemPromotions,
+  summarizePromotion,
+  withPromotions,
+  removePromotionTargets
+} = require('../utils/promotions')
+
+// Parents shown on list entries; the subcategory's category is needed for
+// promotions and inherited dietary tags and allergens
+const LIST_POPULATE = {
+  category: {
+    path: 'categoryId',
+    select: 'name description translations dietaryTags allergens'
+  },
+  subCategory: {
+    path: 'subCategoryId',
+    select: 'name description translations categoryId dietaryTags allergens',
+    populate: {
+      path: 'categoryId',
+      select: 'name translations dietaryTags allergens'
+    }
+  }
+}
+
+/**
+ * Shape a page of items for a list response: the outlet's values, the
+ * promotions running now (or at availableAt), the dietary tags and allergens
+ * that apply and the request's language
+ */
+const shapeItemList = async (req, items) => {
+  const { availableAt } = req.query
+  const promotions = resolveOutletPromotions(
+    req.outlet,
+    await loadActivePromotions(
+      availableAt === undefined ? new Date() : parseAvailableAt(availableAt)
+    )
+  )
+
+  return resolveOutletItems(req.outlet, items).map((item) => {
+    const subCategory = item.subCategoryId
+    const category = item.categoryId || (subCategory && subCategory.categoryId)
+    return localize(
+      {
+        ...withPromotions(item, promotions, subCategory, category),
+        effectiveDietary: resolveDietary(item, subCategory, category)
+      },
+      req.language
+    )
+  })
+}
+
+/**
+ * Build the price breakdown of an item populated with TAX_CHAIN_POPULATE
+ * @param {object} item - The item
+ * @param {object} [variant] - Variant to price instead of the default one
+ * @param {object[]} [modifiers] - Priced modifiers from selectModifiers
+ * @param {object} [options] - Promotions, quantity and currency, as for calculatePriceBreakdown
+ */
+const getItemPricing = (item, variant, modifiers, options) => {
+  const { subCategory, category } = getTaxChain(item)
+  return calculatePriceBreakdown(
+    item,
+    subCategory,
+    category,
+    variant,
+    modifiers,
+    options
+  )
+}
+
+/**
+ * Get the promotions running now at the request's outlet that apply to an
+ * item populated with TAX_CHAIN_POPULATE
+ */
+const getItemPromotions = async (req, item) => {
+  const { subCategory, category } = getTaxChain(item)
+  return findItemPromotions(
+    resolveOutletPromotions(req.outlet, await loadActivePromotions()),
+    item,
+    subCategory,
+    category
+  )
+}
+
+/**
+ * Get the modifier groups offered on an item populated with TAX_CHAIN_POPULATE
+ */
+const getItemModifierGroups = (item) => {
+  const { subCategory, category } = getTaxChain(item)
+  return resolveModifierGroups(item, subCategory, category)
+}
+
+/**
+ * Load an item populated with TAX_CHAIN_POPULATE as a plain object with the
+ * request's outlet values and language; items hidden at the outlet are not found
+ */
+const findItemForRequest = async (req) => {
+  const { Item } = getMenuModels()
+  const item = await Item.findById(req.params.id).populate(TAX_CHAIN_POPULATE)
+  const data = item && resolveOutletItem(req.outlet, item.toObject())
+  return data && localize(data, req.language)
+}
 
 /**
  * Create a new item
@@ -18,53 +170,21 @@ const createItem = async (req, res) => {
       taxType,
       baseAmount,
       discount = 0,
+      variants,
+      modifierGroups,
+      availability,
+      dietaryTags,
+      allergens,
+      stock,
       categoryId,
       subCategoryId
     } = req.body
 
-    // Validate required fields
-    if (
-      !name ||
-      !image ||
-      !description ||
-      taxApplicability === undefined ||
-      baseAmount === undefined
-    ) {
-      return res.status(400).json({
-        success: false,
-        message:
-          'Name, image, description, tax applicability, and base amount are required'
-      })
-    }
-
-    // Validate that either categoryId or subCategoryId is provided (but not both)
-    if (!categoryId && !subCategoryId) {
-      return res.status(400).json({
-        success: false,
-        message: 'Either category ID or subcategory ID must be provided'
-      })
-    }
-
-    if (categoryId && subCategoryId) {
-      return res.status(400).json({
-        success: false,
-        message:
-          'Item cannot belong to both category and subcategory simultaneously'
-      })
-    }
-
-    // Validate tax fields if tax is applicable
-    if (taxApplicability && ((!tax && tax !== 0) || !taxType)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Tax amount and tax type are required when tax is applicable'
-      })
-    }
-
     // Verify that the parent category or subcategory exists
+    let parent
     if (categoryId) {
-      const category = await Category.findById(categoryId)
-      if (!category) {
+      parent = await Category.findById(categoryId)
+      if (!parent) {
         return res.status(404).json({
           success: false,
           message: 'Category not found'
@@ -73,8 +193,8 @@ const createItem = async (req, res) => {
     }
 
     if (subCategoryId) {
-      const subCategory = await SubCategory.findById(subCategoryId)
-      if (!subCategory) {
+      parent = await SubCategory.findById(subCategoryId)
+      if (!parent) {
         return res.status(404).json({
           success: false,
           message: 'Subcategory not found'
@@ -82,17 +202,42 @@ const createItem = async (req, res) => {
       }
     }
 
-    // Calculate total amount
-    const totalAmount = calculateTotal(baseAmount, discount)
+    const missingGroups = await findMissingModifierGroups(modifierGroups)
+    if (missingGroups.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'Modifier group not found',
+        missing: missingGroups
+      })
+    }
+
+    // Calculate total amount; items with variants take the amounts of their default variant
+    const amounts =
+      variants && variants.length
+        ? applyVariants(variants)
+        : {
+            baseAmount,
+            discount,
+            totalAmount: calculateTotal(baseAmount, discount)
+          }
 
     const itemData = {
       name,
       image,
       description,
-      taxApplicability,
-      baseAmount,
-      discount,
-      totalAmount
+      ...amounts,
+      modifierGroups,
+      availability: availability || undefined,
+      dietaryTags: dietaryTags || undefined,
+      allergens: allergens || undefined,
+      stock
+    }
+
+    // Without tax applicability the item inherits tax from its parent
+    if (taxApplicability === undefined || taxApplicability === null) {
+      Object.assign(itemData, pickTax(parent), { taxInherited: true })
+    } else {
+      itemData.taxApplicability = taxApplicability
     }
 
     // Add tax fields only if applicable
@@ -131,6 +276,14 @@ const createItem = async (req, res) => {
       })
     }
 
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: formatMongooseErrors(error)
+      })
+    }
+
     res.status(400).json({
       success: false,
       message: error.message
@@ -140,22 +293,37 @@ const createItem = async (req, res) => {
 
 /**
  * Get all items
- * GET /api/items
+ * GET /api/items?page=1&limit=20&sort=-createdAt&minPrice=5&maxPrice=20&availableAt=now
  */
 const getAllItems = async (req, res) => {
   try {
-    const items = await Item.find()
-      .populate('categoryId', 'name description')
-      .populate('subCategoryId', 'name description')
-      .sort({ createdAt: -1 })
+    const { Item } = getMenuModels()
+    const { data, total, pagination } = await paginate(
+      Item,
+      {
+        ...(await buildAvailabilityFilter('item', req.query.availableAt)),
+        ...(await buildDietaryFilter(req.query)),
+        ...buildOutletFilter(req.outlet)
+      },
+      req,
+      {
+        sortFields: SORT_FIELDS.item,
+        defaultSort: 'position',
+        filters: ITEM_FILTERS,
+        populate: [LIST_POPULATE.category, LIST_POPULATE.subCategory]
+      }
+    )
 
     res.status(200).json({
       success: true,
-      count: items.length,
-      data: items
+      count: data.length,
+      total,
+      currency: resolveOutletCurrency(req.outlet),
+      data: await shapeItemList(req, data),
+      pagination
     })
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: error.message
     })
@@ -168,6 +336,7 @@ const getAllItems = async (req, res) => {
  */
 const getItemsByCategory = async (req, res) => {
   try {
+    const { Category, Item } = getMenuModels()
     const { categoryId } = req.params
 
     // Check if category exists
@@ -179,15 +348,31 @@ const getItemsByCategory = async (req, res) => {
       })
     }
 
-    const items = await Item.find({ categoryId })
-      .populate('categoryId', 'name description')
-      .sort({ createdAt: -1 })
+    const { data, total, pagination } = await paginate(
+      Item,
+      {
+        categoryId,
+        ...(await buildAvailabilityFilter('item', req.query.availableAt)),
+        ...(await buildDietaryFilter(req.query)),
+        ...buildOutletFilter(req.outlet)
+      },
+      req,
+      {
+        sortFields: SORT_FIELDS.item,
+        defaultSort: 'position',
+        filters: ITEM_FILTERS,
+        populate: [LIST_POPULATE.category]
+      }
+    )
 
     res.status(200).json({
       success: true,
-      count: items.length,
-      data: items,
-      category: category.name
+      count: data.length,
+      total,
+      currency: resolveOutletCurrency(req.outlet),
+      data: await shapeItemList(req, data),
+      pagination,
+      category: localize(category, req.language).name
     })
   } catch (error) {
     if (error.name === 'CastError') {
@@ -197,7 +382,7 @@ const getItemsByCategory = async (req, res) => {
       })
     }
 
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: error.message
     })
@@ -210,6 +395,7 @@ const getItemsByCategory = async (req, res) => {
  */
 const getItemsBySubCategory = async (req, res) => {
   try {
+    const { SubCategory, Item } = getMenuModels()
     const { subCategoryId } = req.params
 
     // Check if subcategory exists
@@ -221,15 +407,31 @@ const getItemsBySubCategory = async (req, res) => {
       })
     }
 
-    const items = await Item.find({ subCategoryId })
-      .populate('subCategoryId', 'name description')
-      .sort({ createdAt: -1 })
+    const { data, total, pagination } = await paginate(
+      Item,
+      {
+        subCategoryId,
+        ...(await buildAvailabilityFilter('item', req.query.availableAt)),
+        ...(await buildDietaryFilter(req.query)),
+        ...buildOutletFilter(req.outlet)
+      },
+      req,
+      {
+        sortFields: SORT_FIELDS.item,
+        defaultSort: 'position',
+        filters: ITEM_FILTERS,
+        populate: [LIST_POPULATE.subCategory]
+      }
+    )
 
     res.status(200).json({
       success: true,
-      count: items.length,
-      data: items,
-      subcategory: subCategory.name
+      count: data.length,
+      total,
+      currency: resolveOutletCurrency(req.outlet),
+      data: await shapeItemList(req, data),
+      pagination,
+      subcategory: localize(subCategory, req.language).name
     })
   } catch (error) {
     if (error.name === 'CastError') {
@@ -239,7 +441,7 @@ const getItemsBySubCategory = async (req, res) => {
       })
     }
 
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: error.message
     })
@@ -252,12 +454,55 @@ const getItemsBySubCategory = async (req, res) => {
  */
 const getItemById = async (req, res) => {
   try {
-    const item = await Item.findById(req.params.id)
-      .populate('categoryId', 'name description taxApplicability tax taxType')
-      .populate(
-        'subCategoryId',
-        'name description taxApplicability tax taxType'
-      )
+    const data = await findItemForRequest(req)
+
+    if (!data) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found'
+      })
+    }
+
+    const { subCategory, category } = getTaxChain(data)
+    const options = {
+      promotions: await getItemPromotions(req, data),
+      currency: resolveOutletCurrency(req.outlet)
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...data,
+        promotions: options.promotions.map(summarizePromotion),
+        pricing: getItemPricing(data, undefined, undefined, options),
+        variants: priceVariants(data, subCategory, category, options),
+        effectiveModifierGroups: getItemModifierGroups(data),
+        effectiveAvailability: resolveAvailability(data, subCategory, category),
+        effectiveDietary: resolveDietary(data, subCategory, category)
+      }
+    })
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found'
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: error.message
+    })
+  }
+}
+
+/**
+ * Get the price breakdown of an item or one of its variants
+ * GET /api/items/:id/price?variant=Large&quantity=3
+ */
+const getItemPrice = async (req, res) => {
+  try {
+    const item = await findItemForRequest(req)
 
     if (!item) {
       return res.status(404).json({
@@ -266,9 +511,142 @@ const getItemById = async (req, res) => {
       })
     }
 
+    let variant
+    if (req.query.variant) {
+      variant = findVariant(item, req.query.variant)
+      if (!variant) {
+        return res.status(404).json({
+          success: false,
+          message: 'Variant not found'
+        })
+      }
+    }
+
     res.status(200).json({
       success: true,
-      data: item
+      data: {
+        itemId: item._id,
+        name: item.name,
+        ...getItemPricing(item, variant, undefined, {
+          promotions: await getItemPromotions(req, item),
+          // Query values are strings; validation has checked it is a whole number
+          quantity: Number(req.query.quantity || 1),
+          currency: resolveOutletCurrency(req.outlet)
+        })
+      }
+    })
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found'
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: error.message
+    })
+  }
+}
+
+/**
+ * Price an item with a chosen variant and modifiers
+ * Selections that break the rules of the item's modifier groups are rejected.
+ * POST /api/items/:id/price
+ */
+const priceItemSelection = async (req, res) => {
+  try {
+    const { variant: variantKey, modifiers: selections, quantity } = req.body
+    const item = await findItemForRequest(req)
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found'
+      })
+    }
+
+    let variant
+    if (variantKey) {
+      variant = findVariant(item, variantKey)
+      if (!variant) {
+        return res.status(404).json({
+          success: false,
+          message: 'Variant not found'
+        })
+      }
+    }
+
+    const { modifiers, errors } = selectModifiers(
+      getItemModifierGroups(item),
+      selections
+    )
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid modifier selection',
+        errors
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        itemId: item._id,
+        name: item.name,
+        ...getItemPricing(item, variant, modifiers, {
+          promotions: await getItemPromotions(req, item),
+          quantity,
+          currency: resolveOutletCurrency(req.outlet)
+        })
+      }
+    })
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found'
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: error.message
+    })
+  }
+}
+
+/**
+ * Get the price timeline of an item from its audit log
+ * Deleted items keep their history
+ * GET /api/items/:id/history
+ */
+const getItemHistory = async (req, res) => {
+  try {
+    const item = await Item.findById(req.params.id).setOptions({
+      withDeleted: true
+    })
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found'
+      })
+    }
+
+    const entries = await AuditLog.find({
+      entity: 'Item',
+      entityId: item._id
+    })
+      .sort({ createdAt: 1, _id: 1 })
+      .lean()
+    const timeline = buildPriceTimeline(item, entries)
+
+    res.status(200).json({
+      success: true,
+      count: timeline.length,
+      data: timeline
     })
   } catch (error) {
     if (error.name === 'CastError') {
@@ -291,6 +669,7 @@ const getItemById = async (req, res) => {
  */
 const searchItemsByName = async (req, res) => {
   try {
+    const { Item } = getMenuModels()
     const { name } = req.query
 
     if (!name) {
@@ -300,21 +679,36 @@ const searchItemsByName = async (req, res) => {
       })
     }
 
-    const items = await Item.find({
-      name: { $regex: name, $options: 'i' }
-    })
-      .populate('categoryId', 'name description')
-      .populate('subCategoryId', 'name description')
-      .sort({ createdAt: -1 })
+    const { data, total, pagination } = await paginate(
+      Item,
+      {
+        $and: [
+          buildNameFilter(containsText(name), req.language),
+          await buildDietaryFilter(req.query)
+        ],
+        ...(await buildAvailabilityFilter('item', req.query.availableAt)),
+        ...buildOutletFilter(req.outlet)
+      },
+      req,
+      {
+        sortFields: SORT_FIELDS.item,
+        defaultSort: 'position',
+        filters: ITEM_FILTERS,
+        populate: [LIST_POPULATE.category, LIST_POPULATE.subCategory]
+      }
+    )
 
     res.status(200).json({
       success: true,
-      count: items.length,
-      data: items,
+      count: data.length,
+      total,
+      currency: resolveOutletCurrency(req.outlet),
+      data: await shapeItemList(req, data),
+      pagination,
       searchTerm: name
     })
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: error.message
     })
@@ -336,10 +730,25 @@ const updateItem = async (req, res) => {
       taxType,
       baseAmount,
       discount,
+      variants,
+      modifierGroups,
+      availability,
+      dietaryTags,
+      allergens,
+      stock,
       categoryId,
       subCategoryId
     } = req.body
 
+    const missingGroups = await findMissingModifierGroups(modifierGroups)
+    if (missingGroups.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'Modifier group not found',
+        missing: missingGroups
+      })
+    }
+
     // Build update object
     const updateData = {}
     if (name !== undefined) updateData.name = name
@@ -347,20 +756,15 @@ const updateItem = async (req, res) => {
     if (description !== undefined) updateData.description = description
     if (baseAmount !== undefined) updateData.baseAmount = baseAmount
     if (discount !== undefined) updateData.discount = discount
+    if (modifierGroups !== undefined) updateData.modifierGroups = modifierGroups
+    if (stock !== undefined) updateData.stock = stock
 
     // Handle category/subcategory updates
-    if (categoryId !== undefined && subCategoryId !== undefined) {
-      return res.status(400).json({
-        success: false,
-        message:
-          'Item cannot belong to both category and subcategory simultaneously'
-      })
-    }
-
+    let parent
     if (categoryId !== undefined) {
       if (categoryId) {
-        const category = await Category.findById(categoryId)
-        if (!category) {
+        parent = await Category.findById(categoryId)
+        if (!parent) {
           return res.status(404).json({
             success: false,
             message: 'Category not found'
@@ -373,8 +777,8 @@ const updateItem = async (req, res) => {
 
     if (subCategoryId !== undefined) {
       if (subCategoryId) {
-        const subCategory = await SubCategory.findById(subCategoryId)
-        if (!subCategory) {
+        parent = await SubCategory.findById(subCategoryId)
+        if (!parent) {
           return res.status(404).json({
             success: false,
             message: 'Subcategory not found'
@@ -385,28 +789,91 @@ const updateItem = async (req, res) => {
       updateData.$unset = { categoryId: '' }
     }
 
+    // An item moved to another parent goes after its new siblings
+    if (parent) {
+      const parentField = categoryId ? 'categoryId' : 'subCategoryId'
+      const current = await Item.findById(req.params.id).select(parentField)
+      if (current && !parent._id.equals(current[parentField])) {
+        updateData.position = await Item.nextPosition({
+          [parentField]: parent._id
+        })
+      }
+    }
+
     // Handle tax settings
-    if (taxApplicability !== undefined) {
+    const taxChanged =
+      taxApplicability !== undefined ||
+      tax !== undefined ||
+      taxType !== undefined
+
+    if (taxApplicability === null || (parent && !taxChanged)) {
+      const currentItem = await Item.findById(req.params.id)
+      if (!currentItem) {
+        return res.status(404).json({
+          success: false,
+          message: 'Item not found'
+        })
+      }
+
+      // Clearing tax applicability makes the item inherit tax again, and an
+      // inheriting item that moves takes the tax of its new parent
+      if (taxApplicability === null || currentItem.taxInherited) {
+        const taxParent =
+          parent ||
+          (currentItem.subCategoryId
+            ? await SubCategory.findById(currentItem.subCategoryId)
+            : await Category.findById(currentItem.categoryId))
+        const { $unset, ...inheritedTax } = buildInheritedTaxUpdate(taxParent)
+
+        Object.assign(updateData, inheritedTax)
+        if ($unset) {
+          updateData.$unset = { ...updateData.$unset, ...$unset }
+        }
+      }
+    } else if (taxApplicability !== undefined) {
       updateData.taxApplicability = taxApplicability
+      updateData.taxInherited = false
 
+      // Tax fields are required by validation when tax becomes applicable
       if (taxApplicability) {
-        if ((!tax && tax !== 0) || !taxType) {
-          return res.status(400).json({
-            success: false,
-            message:
-              'Tax amount and tax type are required when tax is applicable'
-          })
-        }
         updateData.tax = tax
         updateData.taxType = taxType
       } else {
         updateData.$unset = { ...updateData.$unset, tax: '', taxType: '' }
       }
-    } else {
+    } else if (taxChanged) {
       if (tax !== undefined) updateData.tax = tax
       if (taxType !== undefined) updateData.taxType = taxType
+      updateData.taxInherited = false
     }
 
+    // Variants replace the item amounts; an empty list removes them
+    if (variants !== undefined) {
+      if (variants.length) {
+        Object.assign(updateData, applyVariants(variants))
+      } else {
+        updateData.$unset = { ...updateData.$unset, variants: '' }
+      }
+    }
+
+    // An empty schedule makes the item follow its parent's schedule again
+    if (availability !== undefined) {
+      if (availability && availability.length) {
+        updateData.availability = availability
+      } else {
+        updateData.$unset = { ...updateData.$unset, availability: '' }
+      }
+    }
+
+    // A cleared list follows the parent's again; an empty list declares none
+    Object.entries({ dietaryTags, allergens }).forEach(([field, values]) => {
+      if (values === null) {
+        updateData.$unset = { ...updateData.$unset, [field]: '' }
+      } else if (values !== undefined) {
+        updateData[field] = values
+      }
+    })
+
     // Calculate new total if baseAmount or discount changed
     if (baseAmount !== undefined || discount !== undefined) {
       const currentItem = await Item.findById(req.params.id)
@@ -417,6 +884,13 @@ const updateItem = async (req, res) => {
         })
       }
 
+      if (currentItem.variants && currentItem.variants.length && !variants) {
+        return res.status(400).json({
+          success: false,
+          message: 'Item has variants. Update the variant prices instead'
+        })
+      }
+
       const newBaseAmount =
         baseAmount !== undefined ? baseAmount : currentItem.baseAmount
       const newDiscount =
@@ -438,6 +912,9 @@ const updateItem = async (req, res) => {
       })
     }
 
+    // Stock is not versioned, so the published menu shows it right away
+    if (stock !== undefined) await syncPublishedInventory({ _id: item._id })
+
     res.status(200).json({
       success: true,
       message: 'Item updated successfully',
@@ -459,6 +936,14 @@ const updateItem = async (req, res) => {
       })
     }
 
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: formatMongooseErrors(error)
+      })
+    }
+
     res.status(400).json({
       success: false,
       message: error.message
@@ -466,12 +951,567 @@ const updateItem = async (req, res) => {
   }
 }
 
+/**
+ * Mark an item sold out or available again
+ * Sold out items come back at the start of the next day unless `until` is given.
+ * PATCH /api/items/:id/sold-out
+ */
+const setItemSoldOut = async (req, res) => {
+  try {
+    const item = await Item.findByIdAndUpdate(
+      req.params.id,
+      buildSoldOutUpdate(req.body),
+      { new: true }
+    )
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found'
+      })
+    }
+
+    await syncPublishedInventory({ _id: item._id })
+
+    res.status(200).json({
+      success: true,
+      message: req.body.soldOut
+        ? 'Item marked sold out'
+        : 'Item marked available',
+      data: item
+    })
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found'
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: error.message
+    })
+  }
+}
+
+/**
+ * Record the sale of an item
+ * Tracked stock is decremented atomically and never drops below zero.
+ * POST /api/items/:id/sales
+ */
+const recordItemSale = async (req, res) => {
+  try {
+    const { quantity } = req.body
+    const onSale = {
+      _id: req.params.id,
+      soldOutUntil: { $not: { $gt: new Date() } }
+    }
+
+    // The stock condition and the decrement are one write, so concurrent
+    // sales cannot sell the same units twice
+    const item =
+      (await Item.findOneAndUpdate(
+        { ...onSale, stock: { $gte: quantity } },
+        { $inc: { stock: -quantity, soldCount: quantity } },
+        { new: true }
+      )) ||
+      (await Item.findOneAndUpdate(
+        { ...onSale, stock: null },
+        { $inc: { soldCount: quantity } },
+        { new: true }
+      ))
+
+    if (!item) {
+      const current = await Item.findById(req.params.id)
+      if (!current) {
+        return res.status(404).json({
+          success: false,
+          message: 'Item not found'
+        })
+      }
+
+      return res.status(409).json({
+        success: false,
+        message: current.soldOut ? 'Item is sold out' : 'Not enough stock',
+        stock: current.stock
+      })
+    }
+
+    await syncPublishedInventory({ _id: item._id })
+
+    res.status(200).json({
+      success: true,
+      message: 'Sale recorded successfully',
+      data: item
+    })
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found'
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: error.message
+    })
+  }
+}
+
+/**
+ * Delete item (soft delete)
+ * DELETE /api/items/:id
+ */
+const deleteItem = async (req, res) => {
+  try {
+    const item = await Item.findById(req.params.id)
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found'
+      })
+    }
+
+    item.deletedAt = new Date()
+    await item.save()
+
+    res.status(200).json({
+      success: true,
+      message: 'Item deleted successfully',
+      data: item
+    })
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found'
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: error.message
+    })
+  }
+}
+
+/**
+ * Restore a soft deleted item
+ * POST /api/items/:id/restore
+ */
+const restoreItem = async (req, res) => {
+  try {
+    const item = await Item.findOne({
+      _id: req.params.id,
+      deletedAt: { $ne: null }
+    })
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Deleted item not found'
+      })
+    }
+
+    // The parent must be live, otherwise the item would be unreachable
+    const parent = item.subCategoryId
+      ? await SubCategory.findById(item.subCategoryId)
+      : await Category.findById(item.categoryId)
+
+    if (!parent) {
+      return res.status(409).json({
+        success: false,
+        message: `Parent ${
+          item.subCategoryId ? 'subcategory' : 'category'
+        } is deleted. Restore it first`
+      })
+    }
+
+    const conflict = await item.findNameConflict()
+    if (conflict) {
+      return res.status(409).json({ success: false, message: conflict })
+    }
+
+    item.deletedAt = null
+    await item.save()
+
+    res.status(200).json({
+      success: true,
+      message: 'Item restored successfully',
+      data: item
+    })
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Deleted item not found'
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: error.message
+    })
+  }
+}
+
+/**
+ * Permanently remove a soft deleted item
+ * DELETE /api/items/:id/purge
+ */
+const purgeItem = async (req, res) => {
+  try {
+    const item = await Item.findById(req.params.id).setOptions({
+      withDeleted: true
+    })
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found'
+      })
+    }
+
+    if (!item.deletedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Item must be deleted before it can be purged'
+      })
+    }
+
+    await removeOutletOverrides({ _id: item._id })
+    await removePromotionTargets({ _id: item._id })
+    await Item.deleteOne({ _id: item._id })
+
+    res.status(200).json({
+      success: true,
+      message: 'Item purged successfully',
+      purged: {
+        items: 1
+      }
+    })
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found'
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: error.message
+    })
+  }
+}
+
+/**
+ * Get the translations of an item
+ * GET /api/items/:id/translations
+ */
+const getItemTranslations = async (req, res) => {
+  try {
+    const { Item } = getMenuModels()
+    const item = await Item.findById(req.params.id)
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found'
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      defaultLanguage: getDefaultLanguage(),
+      data: listTranslations(item)
+    })
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found'
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: error.message
+    })
+  }
+}
+
+/**
+ * Add or replace the translation of an item in one language
+ * Fields left out fall back to the untranslated ones.
+ * PUT /api/items/:id/translations/:lang
+ */
+const setItemTranslation = async (req, res) => {
+  try {
+    const language = checkTranslationLanguage(req.params.lang)
+    const item = await Item.findById(req.params.id)
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found'
+      })
+    }
+
+    if (!item.translations) item.translations = {}
+    item.translations.set(language, req.body)
+    await item.save()
+
+    res.status(200).json({
+      success: true,
+      message: 'Item translation saved successfully',
+      data: listTranslations(item)
+    })
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found'
+      })
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: formatMongooseErrors(error)
+      })
+    }
+
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    })
+  }
+}
+
+/**
+ * Remove the translation of an item in one language
+ * DELETE /api/items/:id/translations/:lang
+ */
+const deleteItemTranslation = async (req, res) => {
+  try {
+    const language = checkTranslationLanguage(req.params.lang)
+    const item = await Item.findById(req.params.id)
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found'
+      })
+    }
+
+    if (!item.translations || !item.translations.has(language)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Translation not found'
+      })
+    }
+
+    item.translations.delete(language)
+    await item.save()
+
+    res.status(200).json({
+      success: true,
+      message: 'Item translation deleted successfully',
+      data: listTranslations(item)
+    })
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found'
+      })
+    }
+
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    })
+  }
+}
+
+/**
+ * Upload the image of an item
+ * The upload replaces the image URL; its size and resized variants are
+ * recorded in imageMetadata.
+ * PUT /api/items/:id/image (multipart/form-data, field "image")
+ */
+const uploadItemImage = async (req, res) => {
+  try {
+    const item = await Item.findById(req.params.id)
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found'
+      })
+    }
+
+    await replaceImage(item, 'items', req.file)
+
+    res.status(200).json({
+      success: true,
+      message: 'Item image uploaded successfully',
+      data: item
+    })
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found'
+      })
+    }
+
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    })
+  }
+}
+
+/**
+ * Put the items directly under a category in a new display order
+ * The body lists every id once, the first shown first.
+ * PUT /api/items/category/:categoryId/reorder
+ */
+const reorderItemsByCategory = async (req, res) => {
+  try {
+    const { categoryId } = req.params
+
+    const category = await Category.findById(categoryId)
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      })
+    }
+
+    const siblings = Item.siblingFilter({ categoryId })
+    const { unknown, omitted } = await reorderSiblings(
+      Item,
+      siblings,
+      req.body.ids
+    )
+
+    if (unknown.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found',
+        missing: unknown
+      })
+    }
+
+    if (omitted.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'ids must list every item of the category in the new order',
+        omitted
+      })
+    }
+
+    const items = await Item.find(siblings)
+      .sort(POSITION_SORT)
+      .select('name translations position')
+
+    res.status(200).json({
+      success: true,
+      message: 'Items reordered successfully',
+      data: items.map((doc) => localize(doc, req.language))
+    })
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    })
+  }
+}
+
+/**
+ * Put the items of a subcategory in a new display order
+ * The body lists every id once, the first shown first.
+ * PUT /api/items/subcategory/:subCategoryId/reorder
+ */
+const reorderItemsBySubCategory = async (req, res) => {
+  try {
+    const { subCategoryId } = req.params
+
+    const subCategory = await SubCategory.findById(subCategoryId)
+    if (!subCategory) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subcategory not found'
+      })
+    }
+
+    const siblings = Item.siblingFilter({ subCategoryId })
+    const { unknown, omitted } = await reorderSiblings(
+      Item,
+      siblings,
+      req.body.ids
+    )
+
+    if (unknown.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found',
+        missing: unknown
+      })
+    }
+
+    if (omitted.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'ids must list every item of the subcategory in the new order',
+        omitted
+      })
+    }
+
+    const items = await Item.find(siblings)
+      .sort(POSITION_SORT)
+      .select('name translations position')
+
+    res.status(200).json({
+      success: true,
+      message: 'Items reordered successfully',
+      data: items.map((doc) => localize(doc, req.language))
+    })
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    })
+  }
+}
+
 module.exports = {
   createItem,
   getAllItems,
   getItemsByCategory,
   getItemsBySubCategory,
   getItemById,
+  getItemPrice,
+  priceItemSelection,
+  getItemHistory,
   searchItemsByName,
-  updateItem
+  updateItem,
+  setItemSoldOut,
+  recordItemSale,
+  deleteItem,
+  restoreItem,
+  purgeItem,
+  getItemTranslations,
+  setItemTranslation,
+  deleteItemTranslation,
+  uploadItemImage,
+  reorderItemsByCategory,
+  reorderItemsBySubCategory
 }
@@ -0,0 +1,452 @@
+const mongoose = require('mongoose')
+const ModifierGroup = require('../models/ModifierGroup')
+const MenuSettings = require('../models/MenuSettings')
+const { calculatePriceBreakdown, priceVariants } = require('../utils/pricing')
+const { resolveModifierGroups } = require('../utils/modifiers')
+const { parseAvailableAt, isAvailableAt } = require('../utils/availability')
+const { isSoldOut } = require('../utils/inventory')
+const {
+  resolveDietary,
+  parseDietaryQuery,
+  matchesDietary
+} = require('../utils/dietary')
+const {
+  resolveOutletItem,
+  resolveOutletCurrency,
+  resolveOutletPromotions
+} = require('../utils/outlets')
+const {
+  loadActivePromotions,
+  findItemPromotions,
+  summarizePromotion
+} = require('../utils/promotions')
+const {
+  parseMenuJson,
+  parseMenuCsv,
+  planImport,
+  applyImport
+} = require('../utils/menuImport')
+const { serializeMenu, menuToCsv } = require('../utils/menuExport')
+const { localize } = require('../utils/translations')
+const { POSITION_SORT } = require('../utils/positions')
+const { getMenuModels } = require('../utils/menuVersions')
+const { getCurrency, getDefaultCurrency } = require('../utils/money')
+
+/**
+ * Lookup stage that replaces modifier group IDs with the live groups
+ */
+const modifierGroupsLookup = {
+  $lookup: {
+    from: ModifierGroup.collection.name,
+    localField: 'modifierGroups',
+    foreignField: '_id',
+    pipeline: [
+      { $match: { deletedAt: null } },
+      {
+        $project: {
+          name: 1,
+          description: 1,
+          options: 1,
+          minSelections: 1,
+          maxSelections: 1
+        }
+      }
+    ],
+    as: 'modifierGroups'
+  }
+}
+
+/**
+ * Build the lookup stage that loads the live items of a parent
+ * @param {Model} Item - Item model of the menu being read
+ * @param {string} parentField - categoryId or subCategoryId
+ */
+const itemsLookup = (Item, parentField) => ({
+  $lookup: {
+    from: Item.collection.name,
+    let: { parentId: '$_id' },
+    pipeline: [
+      {
+        $match: {
+          $expr: { $eq: [`$${parentField}`, '$$parentId'] },
+          deletedAt: null
+        }
+      },
+      { $sort: POSITION_SORT },
+      modifierGroupsLookup
+    ],
+    as: 'items'
+  }
+})
+
+/**
+ * Build the aggregation that nests subcategories and items under categories
+ * @param {object} models - SubCategory and Item models of the menu being read
+ * @param {object} match - Filter for the categories
+ */
+const buildMenuPipeline = ({ SubCategory, Item }, match) => [
+  { $match: match },
+  { $sort: POSITION_SORT },
+  {
+    $lookup: {
+      from: SubCategory.collection.name,
+      let: { categoryId: '$_id' },
+      pipeline: [
+        {
+          $match: {
+            $expr: { $eq: ['$categoryId', '$$categoryId'] },
+            deletedAt: null
+          }
+        },
+        { $sort: POSITION_SORT },
+        modifierGroupsLookup,
+        itemsLookup(Item, 'subCategoryId')
+      ],
+      as: 'subCategories'
+    }
+  },
+  modifierGroupsLookup,
+  itemsLookup(Item, 'categoryId')
+]
+
+/**
+ * Read the menu options from the query, outlet and language context, with the
+ * promotions running at availableAt (or now) and the currency prices are in
+ */
+const getMenuOptions = async ({ query, outlet, language }) => {
+  const availableAt =
+    query.availableAt === undefined
+      ? undefined
+      : parseAvailableAt(query.availableAt)
+
+  return {
+    outlet,
+    excludeEmpty: query.excludeEmpty === 'true',
+    hideSoldOut: query.hideSoldOut === 'true',
+    dietary: parseDietaryQuery(query),
+    availableAt,
+    promotions: resolveOutletPromotions(
+      outlet,
+      await loadActivePromotions(availableAt)
+    ),
+    currency: resolveOutletCurrency(outlet),
+    language
+  }
+}
+
+/**
+ * Check a document and its parents (nearest first) against availableAt
+ */
+const isShown = (levels, availableAt) =>
+  !availableAt || isAvailableAt(levels, availableAt)
+
+/**
+ * Attach effective prices, promotions, modifier groups, dietary tags,
+ * allergens and sold out flags to every item and variant in a category branch,
+ * apply the outlet's overrides, drop what is not available at availableAt or
+ * fails the dietary filters, optionally drop sold out items and subcategories
+ * and categories without items, and translate the branch
+ */
+const shapeCategory = (
+  category,
+  {
+    outlet,
+    excludeEmpty,
+    hideSoldOut,
+    dietary,
+    availableAt,
+    promotions,
+    currency,
+    language
+  }
+) => {
+  const withPricing = (items, subCategory) =>
+    items
+      .map((item) => resolveOutletItem(outlet, item))
+      .filter(Boolean)
+      .filter((item) => isShown([item, subCategory, category], availableAt))
+      .filter((item) => !hideSoldOut || !isSoldOut(item))
+      .map((item) => ({
+        ...item,
+        effectiveDietary: resolveDietary(item, subCategory, category)
+      }))
+      .filter((item) => matchesDietary(item.effectiveDietary, dietary))
+      .map((item) => {
+        const itemPromotions = findItemPromotions(
+          promotions,
+          item,
+          subCategory,
+          category
+        )
+
+        return {
+          ...item,
+          soldOut: isSoldOut(item),
+          promotions: itemPromotions.map(summarizePromotion),
+          pricing: calculatePriceBreakdown(
+            item,
+            subCategory,
+            category,
+            undefined,
+            [],
+            { promotions: itemPromotions, currency }
+          ),
+          variants: priceVariants(item, subCategory, category, {
+            promotions: itemPromotions,
+            currency
+          }),
+          effectiveModifierGroups: resolveModifierGroups(
+            item,
+            subCategory,
+            category
+          )
+        }
+      })
+
+  // A closed subcategory stays listed while its items have their own open schedule
+  let subCategories = category.subCategories
+    .map((subCategory) => ({
+      ...subCategory,
+      items: withPricing(subCategory.items, subCategory)
+    }))
+    .filter(
+      (subCategory) =>
+        subCategory.items.length ||
+        isShown([subCategory, category], availableAt)
+    )
+
+  if (excludeEmpty) {
+    subCategories = subCategories.filter(
+      (subCategory) => subCategory.items.length
+    )
+  }
+
+  return localize(
+    {
+      ...category,
+      subCategories,
+      items: withPricing(category.items)
+    },
+    language
+  )
+}
+
+const isEmptyCategory = (category) =>
+  !category.items.length && !category.subCategories.length
+
+/**
+ * Get the full menu tree
+ * GET /api/menu?excludeEmpty=true&hideSoldOut=true&availableAt=now
+ */
+const getMenu = async (req, res) => {
+  try {
+    const options = await getMenuOptions(req)
+    const models = getMenuModels()
+    const categories = await models.Category.aggregate(
+      buildMenuPipeline(models, {})
+    )
+
+    let menu = categories
+      .map((category) => shapeCategory(category, options))
+      .filter(
+        (category) =>
+          !isEmptyCategory(category) ||
+          (!options.excludeEmpty && isShown([category], options.availableAt))
+      )
+
+    res.status(200).json({
+      success: true,
+      count: menu.length,
+      currency: options.currency,
+      data: menu
+    })
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    })
+  }
+}
+
+/**
+ * Get the menu tree of a single category
+ * GET /api/menu/:categoryId?excludeEmpty=true&availableAt=now
+ */
+const getCategoryMenu = async (req, res) => {
+  try {
+    const { categoryId } = req.params
+    const options = await getMenuOptions(req)
+    const models = getMenuModels()
+
+    const [category] = await models.Category.aggregate(
+      buildMenuPipeline(models, {
+        _id: new mongoose.Types.ObjectId(categoryId)
+      })
+    )
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      currency: options.currency,
+      data: shapeCategory(category, options)
+    })
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    })
+  }
+}
+
+/**
+ * Import a whole menu as nested JSON or flat CSV (Content-Type: text/csv)
+ * Every row is validated before anything is written.
+ * - atomic: any error rejects the import; the writes run in one transaction
+ * - best-effort: valid rows are imported and failing rows are reported
+ * POST /api/menu/import?mode=atomic|best-effort
+ */
+const importMenu = async (req, res) => {
+  try {
+    const mode = req.query.mode || 'atomic'
+    const rows = req.is('text/csv')
+      ? parseMenuCsv(req.body)
+      : parseMenuJson(req.body)
+
+    const { plan, errors } = await planImport(rows)
+
+    if (mode === 'atomic') {
+      if (errors.length) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          mode,
+          errors
+        })
+      }
+
+      const created = await mongoose.connection.transaction((session) =>
+        applyImport(plan, { session })
+      )
+
+      return res.status(201).json({
+        success: true,
+        message: 'Menu imported successfully',
+        mode,
+        created,
+        errors
+      })
+    }
+
+    const created = await applyImport(plan, {
+      onError: (row, error) =>
+        errors.push({
+          row,
+          field: null,
+          code: error.code === 11000 ? 'duplicate' : 'write.failed',
+          message: error.message
+        })
+    })
+
+    res.status(200).json({
+      success: true,
+      message: errors.length
+        ? `Menu imported with ${errors.length} error(s)`
+        : 'Menu imported successfully',
+      mode,
+      created,
+      errors
+    })
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    })
+  }
+}
+
+/**
+ * Export the whole menu in the import format
+ * GET /api/menu/export?format=json|csv
+ */
+const exportMenu = async (req, res) => {
+  try {
+    const models = getMenuModels()
+    const categories = await models.Category.aggregate(
+      buildMenuPipeline(models, {})
+    )
+
+    if (req.query.format === 'csv') {
+      return res
+        .status(200)
+        .attachment('menu.csv')
+        .type('text/csv')
+        .send(menuToCsv(categories))
+    }
+
+    res.status(200).json(serializeMenu(categories))
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    })
+  }
+}
+
+/**
+ * Get the settings of the tenant's menu
+ * Unset settings report the deployment defaults.
+ * GET /api/menu/settings
+ */
+const getMenuSettings = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: {
+      currency: getCurrency()
+    }
+  })
+}
+
+/**
+ * Update the settings of the tenant's menu
+ * Amounts are not converted when the currency changes. A null currency goes
+ * back to the CURRENCY setting.
+ * PUT /api/menu/settings
+ */
+const updateMenuSettings = async (req, res) => {
+  try {
+    const settings = await MenuSettings.findOneAndUpdate({}, req.body, {
+      new: true,
+      upsert: true,
+      runValidators: true
+    })
+
+    res.status(200).json({
+      success: true,
+      message: 'Menu settings updated successfully',
+      data: {
+        // The request context still holds the currency from before the update
+        currency: settings.currency || getDefaultCurrency()
+      }
+    })
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    })
+  }
+}
+
+module.exports = {
+  getMenu,
+  getCategoryMenu,
+  importMenu,
+  exportMenu,
+  getMenuSettings,
+  updateMenuSettings
+}
@@ -0,0 +1,220 @@
+const mongoose = require('mongoose')
+const MenuVersion = require('../models/MenuVersion')
+const { MENU_PARTS } = require('../models/MenuVersion')
+const {
+  takeSnapshot,
+  publishSnapshot,
+  diffSnapshots
+} = require('../utils/menuVersions')
+const { ILLEGAL_OPERATION } = require('../utils/positions')
+
+// Versions are listed without their snapshots
+const SUMMARY_PROJECTION = Object.fromEntries(
+  Object.values(MENU_PARTS).map((part) => [part, 0])
+)
+
+const toSummary = (version) => {
+  const summary = version.toObject()
+  Object.values(MENU_PARTS).forEach((part) => delete summary[part])
+  return summary
+}
+
+const pickSnapshot = (version) =>
+  Object.fromEntries(
+    Object.values(MENU_PARTS).map((part) => [part, version[part]])
+  )
+
+/**
+ * Publish a snapshot in one transaction
+ * Two publishes racing for the same number leave one of them failing with a
+ * duplicate key error. There is no fallback without transactions: readers
+ * would see the published copy half replaced.
+ */
+const publish = (getSnapshot, options) =>
+  mongoose.connection.transaction(async (session) =>
+    publishSnapshot(await getSnapshot(session), options, session)
+  )
+
+const sendPublishError = (res, error) => {
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: 'The menu was published at the same time, please try again'
+    })
+  }
+
+  if (error.code === ILLEGAL_OPERATION) {
+    return res.status(503).json({
+      success: false,
+      message: 'Publishing needs MongoDB to run as a replica set'
+    })
+  }
+
+  res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.message
+  })
+}
+
+/**
+ * Publish the working draft as the next menu version
+ * POST /api/menu/versions
+ */
+const publishMenu = async (req, res) => {
+  try {
+    const version = await publish(takeSnapshot, { note: req.body.note })
+
+    res.status(201).json({
+      success: true,
+      message: `Menu version ${version.number} published`,
+      data: toSummary(version)
+    })
+  } catch (error) {
+    sendPublishError(res, error)
+  }
+}
+
+/**
+ * Get the published menu versions, newest first
+ * GET /api/menu/versions
+ */
+const getMenuVersions = async (req, res) => {
+  try {
+    const versions = await MenuVersion.find()
+      .select(SUMMARY_PROJECTION)
+      .sort({ number: -1 })
+
+    res.status(200).json({
+      success: true,
+      count: versions.length,
+      current: versions.length ? versions[0].number : null,
+      data: versions
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    })
+  }
+}
+
+/**
+ * Get a menu version with its snapshot
+ * GET /api/menu/versions/:number
+ */
+const getMenuVersion = async (req, res) => {
+  try {
+    const version = await MenuVersion.findOne({
+      number: Number(req.params.number)
+    })
+
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        message: 'Menu version not found'
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      data: version
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    })
+  }
+}
+
+/**
+ * Compare two menu versions; `draft` compares with the working draft
+ * GET /api/menu/versions/diff?from=3&to=draft
+ */
+const diffMenuVersions = async (req, res) => {
+  try {
+    const refs = [req.query.from, req.query.to]
+    const numbers = refs.filter((ref) => ref !== 'draft').map(Number)
+    const versions = new Map(
+      (await MenuVersion.find({ number: { $in: numbers } }).lean()).map(
+        (version) => [version.number, version]
+      )
+    )
+
+    const missing = numbers.filter((number) => !versions.has(number))
+    if (missing.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'Menu version not found',
+        missing
+      })
+    }
+
+    const [from, to] = await Promise.all(
+      refs.map((ref) =>
+        ref === 'draft' ? takeSnapshot() : versions.get(Number(ref))
+      )
+    )
+
+    res.status(200).json({
+      success: true,
+      from: req.query.from,
+      to: req.query.to,
+      data: diffSnapshots(from, to)
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    })
+  }
+}
+
+/**
+ * Roll the published menu back to an earlier version
+ * The version's snapshot is published again as the next version, so the
+ * history only grows. The working draft is left as it is.
+ * POST /api/menu/versions/:number/rollback
+ */
+const rollbackMenuVersion = async (req, res) => {
+  try {
+    const number = Number(req.params.number)
+    const version = await MenuVersion.findOne({ number }).lean()
+
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        message: 'Menu version not found'
+      })
+    }
+
+    const latest = await MenuVersion.findOne().sort({ number: -1 })
+    if (latest.number === number || latest.rolledBackFrom === number) {
+      return res.status(400).json({
+        success: false,
+        message: `Menu version ${number} is already published`
+      })
+    }
+
+    const published = await publish(() => pickSnapshot(version), {
+      note: req.body.note || `Rollback to version ${number}`,
+      rolledBackFrom: number
+    })
+
+    res.status(201).json({
+      success: true,
+      message: `Menu rolled back to version ${number} as version ${published.number}`,
+      data: toSummary(published)
+    })
+  } catch (error) {
+    sendPublishError(res, error)
+  }
+}
+
+module.exports = {
+  publishMenu,
+  getMenuVersions,
+  getMenuVersion,
+  diffMenuVersions,
+  rollbackMenuVersion
+}
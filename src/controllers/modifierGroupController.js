@@ -0,0 +1,363 @@
+const ModifierGroup = require('../models/ModifierGroup')
+const Category = require('../models/Category')
+const SubCategory = require('../models/SubCategory')
+const Item = require('../models/Item')
+const { formatMongooseErrors, containsText } = require('../utils/helpers')
+const {
+  MODIFIER_GROUP_FILTERS,
+  SORT_FIELDS,
+  paginate
+} = require('../utils/pagination')
+
+/**
+ * Create a new modifier group
+ * POST /api/modifier-groups
+ */
+const createModifierGroup = async (req, res) => {
+  try {
+    const { name, description, options, minSelections, maxSelections } =
+      req.body
+
+    const modifierGroup = new ModifierGroup({
+      name,
+      description,
+      options,
+      minSelections,
+      maxSelections
+    })
+    await modifierGroup.save()
+
+    res.status(201).json({
+      success: true,
+      message: 'Modifier group created successfully',
+      data: modifierGroup
+    })
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Modifier group with this name already exists'
+      })
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: formatMongooseErrors(error)
+      })
+    }
+
+    res.status(400).json({
+      success: false,
+      message: error.message
+    })
+  }
+}
+
+/**
+ * Get all modifier groups
+ * GET /api/modifier-groups?page=1&limit=20&sort=name
+ */
+const getAllModifierGroups = async (req, res) => {
+  try {
+    const { data, total, pagination } = await paginate(ModifierGroup, {}, req, {
+      sortFields: SORT_FIELDS.modifierGroup,
+      filters: MODIFIER_GROUP_FILTERS
+    })
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      total,
+      data,
+      pagination
+    })
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    })
+  }
+}
+
+/**
+ * Get modifier group by ID
+ * GET /api/modifier-groups/:id
+ */
+const getModifierGroupById = async (req, res) => {
+  try {
+    const modifierGroup = await ModifierGroup.findById(req.params.id)
+
+    if (!modifierGroup) {
+      return res.status(404).json({
+        success: false,
+        message: 'Modifier group not found'
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      data: modifierGroup
+    })
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Modifier group not found'
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: error.message
+    })
+  }
+}
+
+/**
+ * Get modifier group by name
+ * GET /api/modifier-groups/search?name=groupName
+ */
+const getModifierGroupByName = async (req, res) => {
+  try {
+    const { name } = req.query
+
+    const modifierGroup = await ModifierGroup.findOne({
+      name: containsText(name)
+    })
+
+    if (!modifierGroup) {
+      return res.status(404).json({
+        success: false,
+        message: 'Modifier group not found'
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      data: modifierGroup
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    })
+  }
+}
+
+/**
+ * Update modifier group
+ * Options sent without an _id are new; options left out are removed.
+ * PUT /api/modifier-groups/:id
+ */
+const updateModifierGroup = async (req, res) => {
+  try {
+    const modifierGroup = await ModifierGroup.findById(req.params.id)
+
+    if (!modifierGroup) {
+      return res.status(404).json({
+        success: false,
+        message: 'Modifier group not found'
+      })
+    }
+
+    // Saving the document checks the selection rules against the stored fields
+    modifierGroup.set(req.body)
+    await modifierGroup.save()
+
+    res.status(200).json({
+      success: true,
+      message: 'Modifier group updated successfully',
+      data: modifierGroup
+    })
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Modifier group with this name already exists'
+      })
+    }
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Modifier group not found'
+      })
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: formatMongooseErrors(error)
+      })
+    }
+
+    res.status(400).json({
+      success: false,
+      message: error.message
+    })
+  }
+}
+
+/**
+ * Delete modifier group (soft delete)
+ * Attached categories, subcategories and items stop offering the group until
+ * it is restored.
+ * DELETE /api/modifier-groups/:id
+ */
+const deleteModifierGroup = async (req, res) => {
+  try {
+    const modifierGroup = await ModifierGroup.findById(req.params.id)
+
+    if (!modifierGroup) {
+      return res.status(404).json({
+        success: false,
+        message: 'Modifier group not found'
+      })
+    }
+
+    modifierGroup.deletedAt = new Date()
+    await modifierGroup.save()
+
+    res.status(200).json({
+      success: true,
+      message: 'Modifier group deleted successfully',
+      data: modifierGroup
+    })
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Modifier group not found'
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: error.message
+    })
+  }
+}
+
+/**
+ * Restore a soft deleted modifier group
+ * POST /api/modifier-groups/:id/restore
+ */
+const restoreModifierGroup = async (req, res) => {
+  try {
+    const modifierGroup = await ModifierGroup.findOne({
+      _id: req.params.id,
+      deletedAt: { $ne: null }
+    })
+
+    if (!modifierGroup) {
+      return res.status(404).json({
+        success: false,
+        message: 'Deleted modifier group not found'
+      })
+    }
+
+    const conflict = await modifierGroup.findNameConflict()
+    if (conflict) {
+      return res.status(409).json({ success: false, message: conflict })
+    }
+
+    modifierGroup.deletedAt = null
+    await modifierGroup.save()
+
+    res.status(200).json({
+      success: true,
+      message: 'Modifier group restored successfully',
+      data: modifierGroup
+    })
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Deleted modifier group not found'
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: error.message
+    })
+  }
+}
+
+/**
+ * Permanently remove a soft deleted modifier group and detach it everywhere
+ * DELETE /api/modifier-groups/:id/purge
+ */
+const purgeModifierGroup = async (req, res) => {
+  try {
+    const modifierGroup = await ModifierGroup.findById(
+      req.params.id
+    ).setOptions({ withDeleted: true })
+
+    if (!modifierGroup) {
+      return res.status(404).json({
+        success: false,
+        message: 'Modifier group not found'
+      })
+    }
+
+    if (!modifierGroup.deletedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Modifier group must be deleted before it can be purged'
+      })
+    }
+
+    const detach = (Model) =>
+      Model.updateMany(
+        { modifierGroups: modifierGroup._id },
+        { $pull: { modifierGroups: modifierGroup._id } }
+      ).setOptions({ withDeleted: true })
+
+    const [categories, subCategories, items] = await Promise.all([
+      detach(Category),
+      detach(SubCategory),
+      detach(Item)
+    ])
+    await ModifierGroup.deleteOne({ _id: modifierGroup._id })
+
+    res.status(200).json({
+      success: true,
+      message: 'Modifier group purged successfully',
+      purged: {
+        modifierGroups: 1
+      },
+      detached: {
+        categories: categories.modifiedCount,
+        subCategories: subCategories.modifiedCount,
+        items: items.modifiedCount
+      }
+    })
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Modifier group not found'
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: error.message
+    })
+  }
+}
+
+module.exports = {
+  createModifierGroup,
+  getAllModifierGroups,
+  getModifierGroupById,
+  getModifierGroupByName,
+  updateModifierGroup,
+  deleteModifierGroup,
+  restoreModifierGroup,
+  purgeModifierGroup
+}
@@ -0,0 +1,509 @@
+const Outlet = require('../models/Outlet')
+const OutletOverride = require('../models/OutletOverride')
+const Item = require('../models/Item')
+const { formatMongooseErrors, containsText } = require('../utils/helpers')
+const { OUTLET_FILTERS, SORT_FIELDS, paginate } = require('../utils/pagination')
+const { findVariant } = require('../utils/variants')
+const { applyOutletOverride } = require('../utils/outlets')
+
+/**
+ * Create a new outlet
+ * POST /api/outlets
+ */
+const createOutlet = async (req, res) => {
+  try {
+    const { name, address, currency } = req.body
+
+    const outlet = new Outlet({ name, address, currency })
+    await outlet.save()
+
+    res.status(201).json({
+      success: true,
+      message: 'Outlet created successfully',
+      data: outlet
+    })
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Outlet with this name already exists'
+      })
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: formatMongooseErrors(error)
+      })
+    }
+
+    res.status(400).json({
+      success: false,
+      message: error.message
+    })
+  }
+}
+
+/**
+ * Get all outlets
+ * GET /api/outlets?page=1&limit=20&sort=name
+ */
+const getAllOutlets = async (req, res) => {
+  try {
+    const { data, total, pagination } = await paginate(Outlet, {}, req, {
+      sortFields: SORT_FIELDS.outlet,
+      filters: OUTLET_FILTERS
+    })
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      total,
+      data,
+      pagination
+    })
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    })
+  }
+}
+
+/**
+ * Get outlet by ID
+ * GET /api/outlets/:id
+ */
+const getOutletById = async (req, res) => {
+  try {
+    const outlet = await Outlet.findById(req.params.id)
+
+    if (!outlet) {
+      return res.status(404).json({
+        success: false,
+        message: 'Outlet not found'
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      data: outlet
+    })
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Outlet not found'
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: error.message
+    })
+  }
+}
+
+/**
+ * Get outlet by name
+ * GET /api/outlets/search?name=outletName
+ */
+const getOutletByName = async (req, res) => {
+  try {
+    const { name } = req.query
+
+    const outlet = await Outlet.findOne({
+      name: containsText(name)
+    })
+
+    if (!outlet) {
+      return res.status(404).json({
+        success: false,
+        message: 'Outlet not found'
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      data: outlet
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    })
+  }
+}
+
+/**
+ * Update outlet
+ * PUT /api/outlets/:id
+ */
+const updateOutlet = async (req, res) => {
+  try {
+    const outlet = await Outlet.findById(req.params.id)
+
+    if (!outlet) {
+      return res.status(404).json({
+        success: false,
+        message: 'Outlet not found'
+      })
+    }
+
+    outlet.set(req.body)
+    await outlet.save()
+
+    res.status(200).json({
+      success: true,
+      message: 'Outlet updated successfully',
+      data: outlet
+    })
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Outlet with this name already exists'
+      })
+    }
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Outlet not found'
+      })
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: formatMongooseErrors(error)
+      })
+    }
+
+    res.status(400).json({
+      success: false,
+      message: error.message
+    })
+  }
+}
+
+/**
+ * Delete outlet (soft delete)
+ * Reads for the outlet are refused until it is restored.
+ * DELETE /api/outlets/:id
+ */
+const deleteOutlet = async (req, res) => {
+  try {
+    const outlet = await Outlet.findById(req.params.id)
+
+    if (!outlet) {
+      return res.status(404).json({
+        success: false,
+        message: 'Outlet not found'
+      })
+    }
+
+    outlet.deletedAt = new Date()
+    await outlet.save()
+
+    res.status(200).json({
+      success: true,
+      message: 'Outlet deleted successfully',
+      data: outlet
+    })
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Outlet not found'
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: error.message
+    })
+  }
+}
+
+/**
+ * Restore a soft deleted outlet
+ * POST /api/outlets/:id/restore
+ */
+const restoreOutlet = async (req, res) => {
+  try {
+    const outlet = await Outlet.findOne({
+      _id: req.params.id,
+      deletedAt: { $ne: null }
+    })
+
+    if (!outlet) {
+      return res.status(404).json({
+        success: false,
+        message: 'Deleted outlet not found'
+      })
+    }
+
+    const conflict = await outlet.findNameConflict()
+    if (conflict) {
+      return res.status(409).json({ success: false, message: conflict })
+    }
+
+    outlet.deletedAt = null
+    await outlet.save()
+
+    res.status(200).json({
+      success: true,
+      message: 'Outlet restored successfully',
+      data: outlet
+    })
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Deleted outlet not found'
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: error.message
+    })
+  }
+}
+
+/**
+ * Permanently remove a soft deleted outlet and its overrides
+ * DELETE /api/outlets/:id/purge
+ */
+const purgeOutlet = async (req, res) => {
+  try {
+    const outlet = await Outlet.findById(req.params.id).setOptions({
+      withDeleted: true
+    })
+
+    if (!outlet) {
+      return res.status(404).json({
+        success: false,
+        message: 'Outlet not found'
+      })
+    }
+
+    if (!outlet.deletedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Outlet must be deleted before it can be purged'
+      })
+    }
+
+    const { deletedCount: overrideCount } = await OutletOverride.deleteMany({
+      outlet: outlet._id
+    })
+    await Outlet.deleteOne({ _id: outlet._id })
+
+    res.status(200).json({
+      success: true,
+      message: 'Outlet purged successfully',
+      purged: {
+        outlets: 1,
+        overrides: overrideCount
+      }
+    })
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Outlet not found'
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: error.message
+    })
+  }
+}
+
+/**
+ * Get the item overrides of an outlet
+ * GET /api/outlets/:id/items?page=1&limit=20&sort=-updatedAt
+ */
+const getOutletOverrides = async (req, res) => {
+  try {
+    const outlet = await Outlet.findById(req.params.id)
+
+    if (!outlet) {
+      return res.status(404).json({
+        success: false,
+        message: 'Outlet not found'
+      })
+    }
+
+    const { data, total, pagination } = await paginate(
+      OutletOverride,
+      { outlet: outlet._id },
+      req,
+      {
+        sortFields: SORT_FIELDS.outletOverride,
+        filters: OUTLET_FILTERS,
+        populate: [
+          { path: 'item', select: 'name baseAmount discount totalAmount' }
+        ]
+      }
+    )
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      total,
+      data,
+      pagination,
+      outlet: outlet.name
+    })
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Outlet not found'
+      })
+    }
+
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    })
+  }
+}
+
+/**
+ * Set the override of an item at an outlet
+ * The body replaces any previous override of the item at the outlet.
+ * PUT /api/outlets/:id/items/:itemId
+ */
+const setOutletOverride = async (req, res) => {
+  try {
+    const [outlet, item] = await Promise.all([
+      Outlet.findById(req.params.id),
+      Item.findById(req.params.itemId)
+    ])
+
+    if (!outlet) {
+      return res.status(404).json({
+        success: false,
+        message: 'Outlet not found'
+      })
+    }
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found'
+      })
+    }
+
+    const { baseAmount, discount, variants } = req.body
+    const hasVariants = Boolean(item.variants && item.variants.length)
+
+    if (hasVariants && (baseAmount !== undefined || discount !== undefined)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Item has variants. Override the variant prices instead'
+      })
+    }
+
+    if (variants) {
+      if (!hasVariants) {
+        return res.status(400).json({
+          success: false,
+          message: 'Item has no variants'
+        })
+      }
+
+      const missing = variants
+        .map((variant) => variant.name)
+        .filter((name) => !findVariant(item, name))
+      if (missing.length) {
+        return res.status(404).json({
+          success: false,
+          message: 'Variant not found',
+          missing
+        })
+      }
+    }
+
+    // Outlet prices are combined with the catalog ones, so check the result
+    applyOutletOverride(item.toObject(), req.body)
+
+    const override =
+      (await OutletOverride.findOne({ outlet: outlet._id, item: item._id })) ||
+      new OutletOverride()
+    override.overwrite({ ...req.body, outlet: outlet._id, item: item._id })
+    await override.save()
+
+    res.status(200).json({
+      success: true,
+      message: 'Outlet override saved successfully',
+      data: override
+    })
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: formatMongooseErrors(error)
+      })
+    }
+
+    res.status(400).json({
+      success: false,
+      message: error.message
+    })
+  }
+}
+
+/**
+ * Remove the override of an item at an outlet so it uses the catalog values again
+ * DELETE /api/outlets/:id/items/:itemId
+ */
+const removeOutletOverride = async (req, res) => {
+  try {
+    const override = await OutletOverride.findOneAndDelete({
+      outlet: req.params.id,
+      item: req.params.itemId
+    })
+
+    if (!override) {
+      return res.status(404).json({
+        success: false,
+        message: 'Outlet override not found'
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Outlet override removed successfully',
+      data: override
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    })
+  }
+}
+
+module.exports = {
+  createOutlet,
+  getAllOutlets,
+  getOutletById,
+  getOutletByName,
+  updateOutlet,
+  deleteOutlet,
+  restoreOutlet,
+  purgeOutlet,
+  getOutletOverrides,
+  setOutletOverride,
+  removeOutletOverride
+}
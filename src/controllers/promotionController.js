@@ -0,0 +1,353 @@
+const Promotion = require('../models/Promotion')
+const { formatMongooseErrors, containsText } = require('../utils/helpers')
+const {
+  PROMOTION_FILTERS,
+  SORT_FIELDS,
+  paginate
+} = require('../utils/pagination')
+const { findMissingTargets } = require('../utils/promotions')
+
+/**
+ * Create a new promotion
+ * POST /api/promotions
+ */
+const createPromotion = async (req, res) => {
+  try {
+    const missing = await findMissingTargets(req.body.targets)
+    if (missing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion target not found',
+        missing
+      })
+    }
+
+    const promotion = new Promotion(req.body)
+    await promotion.save()
+
+    res.status(201).json({
+      success: true,
+      message: 'Promotion created successfully',
+      data: promotion
+    })
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Promotion with this name already exists'
+      })
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: formatMongooseErrors(error)
+      })
+    }
+
+    res.status(400).json({
+      success: false,
+      message: error.message
+    })
+  }
+}
+
+/**
+ * Get all promotions
+ * GET /api/promotions?page=1&limit=20&sort=-priority&type=percentage&active=true
+ */
+const getAllPromotions = async (req, res) => {
+  try {
+    const { data, total, pagination } = await paginate(Promotion, {}, req, {
+      sortFields: SORT_FIELDS.promotion,
+      filters: PROMOTION_FILTERS
+    })
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      total,
+      data,
+      pagination
+    })
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    })
+  }
+}
+
+/**
+ * Get promotion by ID
+ * GET /api/promotions/:id
+ */
+const getPromotionById = async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id)
+
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      data: promotion
+    })
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: error.message
+    })
+  }
+}
+
+/**
+ * Get promotion by name
+ * GET /api/promotions/search?name=promotionName
+ */
+const getPromotionByName = async (req, res) => {
+  try {
+    const { name } = req.query
+
+    const promotion = await Promotion.findOne({
+      name: containsText(name)
+    })
+
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      data: promotion
+    })
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    })
+  }
+}
+
+/**
+ * Update promotion
+ * Targets sent replace the stored ones.
+ * PUT /api/promotions/:id
+ */
+const updatePromotion = async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id)
+
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      })
+    }
+
+    const missing = await findMissingTargets(req.body.targets)
+    if (missing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion target not found',
+        missing
+      })
+    }
+
+    // Saving the document checks the type's fields against the stored ones
+    promotion.set(req.body)
+    await promotion.save()
+
+    res.status(200).json({
+      success: true,
+      message: 'Promotion updated successfully',
+      data: promotion
+    })
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Promotion with this name already exists'
+      })
+    }
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      })
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: formatMongooseErrors(error)
+      })
+    }
+
+    res.status(400).json({
+      success: false,
+      message: error.message
+    })
+  }
+}
+
+/**
+ * Delete promotion (soft delete)
+ * The promotion stops applying until it is restored.
+ * DELETE /api/promotions/:id
+ */
+const deletePromotion = async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id)
+
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      })
+    }
+
+    promotion.deletedAt = new Date()
+    await promotion.save()
+
+    res.status(200).json({
+      success: true,
+      message: 'Promotion deleted successfully',
+      data: promotion
+    })
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: error.message
+    })
+  }
+}
+
+/**
+ * Restore a soft deleted promotion
+ * POST /api/promotions/:id/restore
+ */
+const restorePromotion = async (req, res) => {
+  try {
+    const promotion = await Promotion.findOne({
+      _id: req.params.id,
+      deletedAt: { $ne: null }
+    })
+
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Deleted promotion not found'
+      })
+    }
+
+    const conflict = await promotion.findNameConflict()
+    if (conflict) {
+      return res.status(409).json({ success: false, message: conflict })
+    }
+
+    promotion.deletedAt = null
+    await promotion.save()
+
+    res.status(200).json({
+      success: true,
+      message: 'Promotion restored successfully',
+      data: promotion
+    })
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Deleted promotion not found'
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: error.message
+    })
+  }
+}
+
+/**
+ * Permanently remove a soft deleted promotion
+ * DELETE /api/promotions/:id/purge
+ */
+const purgePromotion = async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id).setOptions({
+      withDeleted: true
+    })
+
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      })
+    }
+
+    if (!promotion.deletedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Promotion must be deleted before it can be purged'
+      })
+    }
+
+    await Promotion.deleteOne({ _id: promotion._id })
+
+    res.status(200).json({
+      success: true,
+      message: 'Promotion purged successfully',
+      purged: {
+        promotions: 1
+      }
+    })
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: error.message
+    })
+  }
+}
+
+module.exports = {
+  createPromotion,
+  getAllPromotions,
+  getPromotionById,
+  getPromotionByName,
+  updatePromotion,
+  deletePromotion,
+  restorePromotion,
+  purgePromotion
+}
@@ -0,0 +1,196 @@
+const { findVariant } = require('../utils/variants')
+const { resolveModifierGroups, selectModifiers } = require('../utils/modifiers')
+const { isAvailableAt } = require('../utils/availability')
+const { isSoldOut } = require('../utils/inventory')
+const {
+  resolveOutletItem,
+  resolveOutletCurrency,
+  resolveOutletPromotions
+} = require('../utils/outlets')
+const { localize } = require('../utils/translations')
+const { getMenuModels } = require('../utils/menuVersions')
+const {
+  loadActivePromotions,
+  findItemPromotions
+} = require('../utils/promotions')
+const {
+  TAX_CHAIN_POPULATE,
+  getTaxChain,
+  calculatePriceBreakdown,
+  calculateBill
+} = require('../utils/pricing')
+
+/**
+ * Load the requested items populated with TAX_CHAIN_POPULATE as plain objects
+ * with the request's outlet values and language, keyed by ID; items hidden at
+ * the outlet are left out
+ */
+const loadQuoteItems = async (req, lines) => {
+  const { Item } = getMenuModels()
+  const items = await Item.find({
+    _id: { $in: lines.map((line) => line.item) }
+  }).populate(TAX_CHAIN_POPULATE)
+
+  return new Map(
+    items
+      .map((item) => resolveOutletItem(req.outlet, item.toObject()))
+      .filter(Boolean)
+      .map((item) => [String(item._id), localize(item, req.language)])
+  )
+}
+
+/**
+ * Work out why an item cannot be sold now, if it cannot
+ * @param {object} item - Item populated with TAX_CHAIN_POPULATE
+ * @param {number} quantity - Units of the item on the whole basket
+ * @param {Date} date - The moment of the quote
+ * @returns {object|null} The code and message, or null when it can be sold
+ */
+const findUnavailability = (item, quantity, date) => {
+  const { subCategory, category } = getTaxChain(item)
+
+  if (isSoldOut(item, date)) {
+    return { code: 'item.soldOut', message: 'Item is sold out' }
+  }
+  if (typeof item.stock === 'number' && item.stock < quantity) {
+    return {
+      code: 'item.stock',
+      message: 'Not enough stock',
+      stock: item.stock
+    }
+  }
+  if (!isAvailableAt([item, subCategory, category], date)) {
+    return {
+      code: 'item.schedule',
+      message: 'Item is not served at this time'
+    }
+  }
+  return null
+}
+
+/**
+ * Price a basket of items as one bill
+ * Every line is priced like POST /api/items/:id/price and the bill adds up
+ * the lines, with taxes rounded by the TAX_ROUNDING setting. Unknown and
+ * unavailable items are reported and left off the bill.
+ * POST /api/quote
+ */
+const createQuote = async (req, res) => {
+  try {
+    const { items: requested } = req.body
+    const now = new Date()
+    const currency = resolveOutletCurrency(req.outlet)
+    const [items, activePromotions] = await Promise.all([
+      loadQuoteItems(req, requested),
+      loadActivePromotions(now)
+    ])
+    const promotions = resolveOutletPromotions(req.outlet, activePromotions)
+
+    // Stock is checked against every unit of an item on the basket
+    const basketQuantities = new Map()
+    requested.forEach(({ item, quantity }) => {
+      basketQuantities.set(item, (basketQuantities.get(item) || 0) + quantity)
+    })
+
+    const unknown = []
+    const unavailable = []
+    const errors = []
+    const lines = []
+
+    requested.forEach((line, index) => {
+      const item = items.get(line.item)
+      if (!item) {
+        unknown.push({ index, item: line.item })
+        return
+      }
+
+      const reason = findUnavailability(
+        item,
+        basketQuantities.get(line.item),
+        now
+      )
+      if (reason) {
+        unavailable.push({ index, item: item._id, name: item.name, ...reason })
+        return
+      }
+
+      const field = `items.${index}`
+      const report = (error) =>
+        errors.push({ ...error, field: `${field}.${error.field}` })
+      const { subCategory, category } = getTaxChain(item)
+
+      let variant
+      if (line.variant) {
+        variant = findVariant(item, line.variant)
+        if (!variant) {
+          report({
+            location: 'body',
+            field: 'variant',
+            code: 'item.variant',
+            message: `Variant "${line.variant}" does not exist on "${item.name}"`
+          })
+          return
+        }
+      }
+
+      const { modifiers, errors: modifierErrors } = selectModifiers(
+        resolveModifierGroups(item, subCategory, category),
+        line.modifiers
+      )
+      if (modifierErrors.length) {
+        modifierErrors.forEach(report)
+        return
+      }
+
+      lines.push({
+        index,
+        itemId: item._id,
+        name: item.name,
+        quantity: line.quantity,
+        ...calculatePriceBreakdown(
+          item,
+          subCategory,
+          category,
+          variant,
+          modifiers,
+          {
+            promotions: findItemPromotions(
+              promotions,
+              item,
+              subCategory,
+              category
+            ),
+            quantity: line.quantity,
+            currency
+          }
+        )
+      })
+    })
+
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid item selection',
+        errors
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...calculateBill(lines, { currency }),
+        unknown,
+        unavailable
+      }
+    })
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    })
+  }
+}
+
+module.exports = {
+  createQuote
+}
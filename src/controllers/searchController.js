@@ -0,0 +1,158 @@
+const { DEFAULT_LIMIT } = require('../utils/pagination')
+const { parseList } = require('../utils/helpers')
+const { resolveOutletItems, buildOutletFilter } = require('../utils/outlets')
+const { localize } = require('../utils/translations')
+const { buildAvailabilityFilter } = require('../utils/availability')
+const { buildDietaryFilter } = require('../utils/dietary')
+const { buildInStockFilter } = require('../utils/inventory')
+const {
+  SEARCH_TYPES,
+  MAX_SEARCH_CANDIDATES,
+  CANDIDATE_SORT,
+  parseQuery,
+  buildSearchFilter,
+  scoreDocument
+} = require('../utils/search')
+const { getMenuModels } = require('../utils/menuVersions')
+
+// Availability level of every search type
+const TYPE_LEVELS = {
+  categories: 'category',
+  subcategories: 'subCategory',
+  items: 'item'
+}
+
+/**
+ * Find up to MAX_SEARCH_CANDIDATES documents matching the filters and terms
+ * Documents holding every term whole come first, so those that could only
+ * match with typos cannot crowd them out.
+ *
+ * @returns {Promise<object>} docs, and truncated when more documents matched
+ */
+const findCandidates = async (Model, filters, terms, language) => {
+  const whole = buildSearchFilter(terms, language, { whole: true })
+  const find = (filter, limit) =>
+    Model.find({ $and: [...filters, filter] })
+      .sort(CANDIDATE_SORT)
+      .limit(limit)
+
+  const docs = await find(whole, MAX_SEARCH_CANDIDATES + 1)
+  if (docs.length <= MAX_SEARCH_CANDIDATES) {
+    const partial = {
+      $and: [buildSearchFilter(terms, language), { $nor: [whole] }]
+    }
+    docs.push(...(await find(partial, MAX_SEARCH_CANDIDATES + 1 - docs.length)))
+  }
+
+  return {
+    docs: docs.slice(0, MAX_SEARCH_CANDIDATES),
+    truncated: docs.length > MAX_SEARCH_CANDIDATES
+  }
+}
+
+/**
+ * Load the candidates of a search type as plain objects in the request's
+ * outlet values and language
+ * The database narrows the documents to those containing the terms, or
+ * pieces of them, so only up to MAX_SEARCH_CANDIDATES are ranked in memory
+ * where typos can match. Items also follow the dietary and hideSoldOut
+ * filters, and every type follows availableAt.
+ *
+ * @returns {Promise<object>} docs, and truncated when candidates were left out
+ */
+const loadSearchDocuments = async (
+  type,
+  terms,
+  { query, outlet, language }
+) => {
+  const { Category, SubCategory, Item } = getMenuModels()
+  const filters = [
+    await buildAvailabilityFilter(TYPE_LEVELS[type], query.availableAt)
+  ]
+
+  if (type === 'items') {
+    filters.push(await buildDietaryFilter(query), buildOutletFilter(outlet))
+    if (query.hideSoldOut === 'true') filters.push(buildInStockFilter())
+
+    const { docs, truncated } = await findCandidates(
+      Item,
+      filters,
+      terms,
+      language
+    )
+    return {
+      docs: resolveOutletItems(outlet, docs).map((item) =>
+        localize(item, language)
+      ),
+      truncated
+    }
+  }
+
+  const Model = type === 'categories' ? Category : SubCategory
+  const { docs, truncated } = await findCandidates(
+    Model,
+    filters,
+    terms,
+    language
+  )
+  return { docs: docs.map((doc) => localize(doc, language)), truncated }
+}
+
+/**
+ * Search the names and descriptions of categories, subcategories and items
+ * Results are ranked by relevance, best first, with the matched words
+ * highlighted. Items report whether they are sold out.
+ * GET /api/search?q=ceasar salad&types=items,categories&limit=20&tags=vegan&hideSoldOut=true
+ */
+const searchMenu = async (req, res) => {
+  try {
+    const { q, types, limit = DEFAULT_LIMIT } = req.query
+    const terms = parseQuery(q)
+
+    if (!terms.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Search text must contain letters or digits'
+      })
+    }
+
+    const searched = types ? parseList(types) : SEARCH_TYPES
+    const loaded = await Promise.all(
+      searched.map(async (type) => ({
+        type,
+        ...(await loadSearchDocuments(type, terms, req))
+      }))
+    )
+    const results = loaded
+      .flatMap(({ type, docs }) =>
+        docs.map((doc) => {
+          const match = scoreDocument(doc, terms)
+          return match && { type, ...match, data: doc }
+        })
+      )
+      .filter(Boolean)
+      .sort(
+        (a, b) => b.score - a.score || a.data.name.localeCompare(b.data.name)
+      )
+
+    const data = results.slice(0, Number(limit))
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      total: results.length,
+      truncated: loaded.some(({ truncated }) => truncated),
+      searchTerm: q,
+      data
+    })
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    })
+  }
+}
+
+module.exports = {
+  searchMenu
+}
@@ -1,6 +1,40 @@
 const SubCategory = require('../models/SubCategory')
 const Category = require('../models/Category')
-const { createError } = require('../utils/helpers')
+const Item = require('../models/Item')
+const {
+  createError,
+  formatMongooseErrors,
+  containsText,
+  getDeletePolicy
+} = require('../utils/helpers')
+const { COMMON_FILTERS, SORT_FIELDS, paginate } = require('../utils/pagination')
+const {
+  pickTax,
+  buildInheritedTaxUpdate,
+  propagateTax
+} = require('../utils/taxInheritance')
+const { findMissingModifierGroups } = require('../utils/modifiers')
+const { buildAvailabilityFilter } = require('../utils/availability')
+const { buildSoldOutUpdate } = require('../utils/inventory')
+const { removeOutletOverrides } = require('../utils/outlets')
+const { removePromotionTargets } = require('../utils/promotions')
+const { replaceImage } = require('../utils/images')
+const {
+  POSITION_SORT,
+  reorderSiblings,
+  moveToParent
+} = require('../utils/positions')
+const {
+  getMenuModels,
+  syncPublishedInventory
+} = require('../utils/menuVersions')
+const {
+  getDefaultLanguage,
+  localize,
+  buildNameFilter,
+  checkTranslationLanguage,
+  listTranslations
+} = require('../utils/translations')
 
 /**
  * Create a new subcategory under a category
@@ -9,16 +43,18 @@ const { createError } = require('../utils/helpers')
 const createSubCategory = async (req, res) => {
   try {
     const { categoryId } = req.params
-    const { name, image, description, taxApplicability, tax, taxType } =
-      req.body
-
-    // Validate required fields
-    if (!name || !image || !description) {
-      return res.status(400).json({
-        success: false,
-        message: 'Name, image, and description are required'
-      })
-    }
+    const {
+      name,
+      image,
+      description,
+      taxApplicability,
+      tax,
+      taxType,
+      modifierGroups,
+      availability,
+      dietaryTags,
+      allergens
+    } = req.body
 
     // Check if parent category exists
     const parentCategory = await Category.findById(categoryId)
@@ -29,31 +65,37 @@ const createSubCategory = async (req, res) => {
       })
     }
 
+    const missingGroups = await findMissingModifierGroups(modifierGroups)
+    if (missingGroups.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'Modifier group not found',
+        missing: missingGroups
+      })
+    }
+
     // Prepare subcategory data with inheritance from parent
     const subCategoryData = {
       name,
       image,
       description,
       categoryId,
+      modifierGroups,
+      availability: availability || undefined,
+      dietaryTags: dietaryTags || undefined,
+      allergens: allergens || undefined,
       // Inherit tax settings from parent category if not explicitly provided
       taxApplicability:
         taxApplicability !== undefined
           ? taxApplicability
           : parentCategory.taxApplicability,
       tax: tax !== undefined ? tax : parentCategory.tax,
-      taxType: taxType !== undefined ? taxType : parentCategory.taxType
-    }
-
-    // Validate tax fields if tax is applicable
-    if (
-      subCategoryData.taxApplicability &&
-      ((!subCategoryData.tax && subCategoryData.tax !== 0) ||
-        !subCategoryData.taxType)
-    ) {
-      return res.status(400).json({
-        success: false,
-        message: 'Tax amount and tax type are required when tax is applicable'
-      })
+      taxType: taxType !== undefined ? taxType : parentCategory.taxType,
+      // Inherited settings keep following the category until overridden
+      taxInherited:
+        taxApplicability === undefined &&
+        tax === undefined &&
+        taxType === undefined
     }
 
     const subCategory = new SubCategory(subCategoryData)
@@ -75,6 +117,14 @@ const createSubCategory = async (req, res) => {
       })
     }
 
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: formatMongooseErrors(error)
+      })
+    }
+
     res.status(400).json({
       success: false,
       message: error.message
@@ -84,21 +134,34 @@ const createSubCategory = async (req, res) => {
 
 /**
  * Get all subcategories
- * GET /api/subcategories
+ * GET /api/subcategories?page=1&limit=20&sort=-createdAt&availableAt=now
  */
 const getAllSubCategories = async (req, res) => {
   try {
-    const subCategories = await SubCategory.find()
-      .populate('categoryId', 'name description')
-      .sort({ createdAt: -1 })
+    const { SubCategory } = getMenuModels()
+    const { data, total, pagination } = await paginate(
+      SubCategory,
+      await buildAvailabilityFilter('subCategory', req.query.availableAt),
+      req,
+      {
+        sortFields: SORT_FIELDS.subCategory,
+        defaultSort: 'position',
+        filters: COMMON_FILTERS,
+        populate: [
+          { path: 'categoryId', select: 'name description translations' }
+        ]
+      }
+    )
 
     res.status(200).json({
       success: true,
-      count: subCategories.length,
-      data: subCategories
+      count: data.length,
+      total,
+      data: data.map((subCategory) => localize(subCategory, req.language)),
+      pagination
     })
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: error.message
     })
@@ -111,6 +174,7 @@ const getAllSubCategories = async (req, res) => {
  */
 const getSubCategoriesByCategory = async (req, res) => {
   try {
+    const { Category, SubCategory } = getMenuModels()
     const { categoryId } = req.params
 
     // Check if category exists
@@ -122,15 +186,30 @@ const getSubCategoriesByCategory = async (req, res) => {
       })
     }
 
-    const subCategories = await SubCategory.find({ categoryId })
-      .populate('categoryId', 'name description')
-      .sort({ createdAt: -1 })
+    const { data, total, pagination } = await paginate(
+      SubCategory,
+      {
+        categoryId,
+        ...(await buildAvailabilityFilter('subCategory', req.query.availableAt))
+      },
+      req,
+      {
+        sortFields: SORT_FIELDS.subCategory,
+        defaultSort: 'position',
+        filters: COMMON_FILTERS,
+        populate: [
+          { path: 'categoryId', select: 'name description translations' }
+        ]
+      }
+    )
 
     res.status(200).json({
       success: true,
-      count: subCategories.length,
-      data: subCategories,
-      category: category.name
+      count: data.length,
+      total,
+      data: data.map((subCategory) => localize(subCategory, req.language)),
+      pagination,
+      category: localize(category, req.language).name
     })
   } catch (error) {
     if (error.name === 'CastError') {
@@ -140,7 +219,7 @@ const getSubCategoriesByCategory = async (req, res) => {
       })
     }
 
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: error.message
     })
@@ -153,9 +232,10 @@ const getSubCategoriesByCategory = async (req, res) => {
  */
 const getSubCategoryById = async (req, res) => {
   try {
+    const { SubCategory } = getMenuModels()
     const subCategory = await SubCategory.findById(req.params.id).populate(
       'categoryId',
-      'name description taxApplicability tax taxType'
+      'name description translations taxApplicability tax taxType'
     )
 
     if (!subCategory) {
@@ -167,7 +247,7 @@ const getSubCategoryById = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      data: subCategory
+      data: localize(subCategory, req.language)
     })
   } catch (error) {
     if (error.name === 'CastError') {
@@ -190,6 +270,7 @@ const getSubCategoryById = async (req, res) => {
  */
 const getSubCategoryByName = async (req, res) => {
   try {
+    const { SubCategory } = getMenuModels()
     const { name } = req.query
 
     if (!name) {
@@ -199,9 +280,9 @@ const getSubCategoryByName = async (req, res) => {
       })
     }
 
-    const subCategory = await SubCategory.findOne({
-      name: { $regex: name, $options: 'i' }
-    }).populate('categoryId', 'name description')
+    const subCategory = await SubCategory.findOne(
+      buildNameFilter(containsText(name), req.language)
+    ).populate('categoryId', 'name description translations')
 
     if (!subCategory) {
       return res.status(404).json({
@@ -212,7 +293,7 @@ const getSubCategoryByName = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      data: subCategory
+      data: localize(subCategory, req.language)
     })
   } catch (error) {
     res.status(500).json({
@@ -228,39 +309,94 @@ const getSubCategoryByName = async (req, res) => {
  */
 const updateSubCategory = async (req, res) => {
   try {
-    const { name, image, description, taxApplicability, tax, taxType } =
-      req.body
+    const {
+      name,
+      image,
+      description,
+      taxApplicability,
+      tax,
+      taxType,
+      modifierGroups,
+      availability,
+      dietaryTags,
+      allergens
+    } = req.body
+
+    const missingGroups = await findMissingModifierGroups(modifierGroups)
+    if (missingGroups.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'Modifier group not found',
+        missing: missingGroups
+      })
+    }
 
     // Build update object
-    const updateData = {}
+    let updateData = {}
     if (name !== undefined) updateData.name = name
     if (image !== undefined) updateData.image = image
     if (description !== undefined) updateData.description = description
+    if (modifierGroups !== undefined) updateData.modifierGroups = modifierGroups
+
+    const taxChanged =
+      taxApplicability !== undefined ||
+      tax !== undefined ||
+      taxType !== undefined
+
+    if (taxApplicability === null) {
+      // Clearing tax applicability makes the subcategory inherit from its category again
+      const current = await SubCategory.findById(req.params.id).populate(
+        'categoryId',
+        'taxApplicability tax taxType'
+      )
+      if (!current) {
+        return res.status(404).json({
+          success: false,
+          message: 'Subcategory not found'
+        })
+      }
 
-    if (taxApplicability !== undefined) {
+      updateData = {
+        ...updateData,
+        ...buildInheritedTaxUpdate(current.categoryId)
+      }
+    } else if (taxApplicability !== undefined) {
       updateData.taxApplicability = taxApplicability
+      updateData.taxInherited = false
 
-      // If tax is now applicable, require tax fields
+      // Tax fields are required by validation when tax becomes applicable
       if (taxApplicability) {
-        if ((!tax && tax !== 0) || !taxType) {
-          return res.status(400).json({
-            success: false,
-            message:
-              'Tax amount and tax type are required when tax is applicable'
-          })
-        }
         updateData.tax = tax
         updateData.taxType = taxType
       } else {
         // Remove tax fields if not applicable
         updateData.$unset = { tax: '', taxType: '' }
       }
-    } else {
+    } else if (taxChanged) {
       // If taxApplicability is not being changed, still allow tax updates
       if (tax !== undefined) updateData.tax = tax
       if (taxType !== undefined) updateData.taxType = taxType
+      updateData.taxInherited = false
     }
 
+    // An empty schedule makes the subcategory follow its parent's schedule again
+    if (availability !== undefined) {
+      if (availability && availability.length) {
+        updateData.availability = availability
+      } else {
+        updateData.$unset = { ...updateData.$unset, availability: '' }
+      }
+    }
+
+    // A cleared list follows the parent's again; an empty list declares none
+    Object.entries({ dietaryTags, allergens }).forEach(([field, values]) => {
+      if (values === null) {
+        updateData.$unset = { ...updateData.$unset, [field]: '' }
+      } else if (values !== undefined) {
+        updateData[field] = values
+      }
+    })
+
     const subCategory = await SubCategory.findByIdAndUpdate(
       req.params.id,
       updateData,
@@ -274,10 +410,19 @@ const updateSubCategory = async (req, res) => {
       })
     }
 
+    // Items inheriting from this subcategory pick up the new tax settings
+    const propagated = taxChanged
+      ? await propagateTax(
+          { subCategoryId: subCategory._id },
+          pickTax(subCategory)
+        )
+      : undefined
+
     res.status(200).json({
       success: true,
       message: 'Subcategory updated successfully',
-      data: subCategory
+      data: subCategory,
+      propagated
     })
   } catch (error) {
     if (error.code === 11000) {
@@ -294,6 +439,14 @@ const updateSubCategory = async (req, res) => {
       })
     }
 
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: formatMongooseErrors(error)
+      })
+    }
+
     res.status(400).json({
       success: false,
       message: error.message
@@ -301,11 +454,514 @@ const updateSubCategory = async (req, res) => {
   }
 }
 
+/**
+ * Mark every item under a subcategory sold out or available again
+ * PATCH /api/subcategories/:id/sold-out
+ */
+const setSubCategorySoldOut = async (req, res) => {
+  try {
+    const subCategory = await SubCategory.findById(req.params.id)
+
+    if (!subCategory) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subcategory not found'
+      })
+    }
+
+    const itemFilter = { subCategoryId: subCategory._id }
+
+    const update = buildSoldOutUpdate(req.body)
+    const result = await Item.updateMany(itemFilter, update)
+    await syncPublishedInventory(itemFilter)
+
+    res.status(200).json({
+      success: true,
+      message: req.body.soldOut
+        ? 'Items marked sold out'
+        : 'Items marked available',
+      data: {
+        soldOutUntil: update.soldOutUntil,
+        updated: result.modifiedCount
+      }
+    })
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Subcategory not found'
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: error.message
+    })
+  }
+}
+
+/**
+ * Delete subcategory (soft delete)
+ * DELETE /api/subcategories/:id?policy=block|cascade|reassign&reassignTo=subCategoryId
+ */
+const deleteSubCategory = async (req, res) => {
+  try {
+    const { policy, reassignTo } = getDeletePolicy(req.query)
+
+    const subCategory = await SubCategory.findById(req.params.id)
+    if (!subCategory) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subcategory not found'
+      })
+    }
+
+    const items = await Item.find({ subCategoryId: subCategory._id }).select(
+      'name'
+    )
+
+    if (policy === 'block' && items.length) {
+      return res.status(409).json({
+        success: false,
+        message:
+          'Subcategory has items. Use the cascade or reassign policy to delete it',
+        children: {
+          items: items.length
+        }
+      })
+    }
+
+    if (policy === 'reassign') {
+      const target = await SubCategory.findById(reassignTo)
+      if (!target) {
+        return res.status(404).json({
+          success: false,
+          message: 'Target subcategory not found'
+        })
+      }
+
+      if (target._id.equals(subCategory._id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot reassign items to the subcategory being deleted'
+        })
+      }
+
+      // Item names are unique per subcategory, so check for clashes before moving anything
+      const clashingItems = await Item.find({
+        subCategoryId: target._id,
+        name: { $in: items.map((item) => item.name) }
+      })
+
+      if (clashingItems.length) {
+        return res.status(409).json({
+          success: false,
+          message: 'Target subcategory already has items with the same names',
+          conflicts: {
+            items: clashingItems.map((item) => item.name)
+          }
+        })
+      }
+
+      // Moved items keep their order and go after the target's own
+      await moveToParent(
+        Item,
+        { subCategoryId: subCategory._id },
+        { subCategoryId: target._id }
+      )
+      // Moved items that inherit tax now follow the new subcategory
+      await propagateTax({ subCategoryId: target._id }, pickTax(target))
+    }
+
+    const deletedAt = new Date()
+
+    if (policy === 'cascade') {
+      // Items share the parent's timestamp so a restore can bring them back together
+      await Item.updateMany({ subCategoryId: subCategory._id }, { deletedAt })
+    }
+
+    subCategory.deletedAt = deletedAt
+    await subCategory.save()
+
+    res.status(200).json({
+      success: true,
+      message: 'Subcategory deleted successfully',
+      policy,
+      data: subCategory
+    })
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Subcategory not found'
+      })
+    }
+
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    })
+  }
+}
+
+/**
+ * Restore a soft deleted subcategory along with items deleted in the same cascade
+ * POST /api/subcategories/:id/restore
+ */
+const restoreSubCategory = async (req, res) => {
+  try {
+    const subCategory = await SubCategory.findOne({
+      _id: req.params.id,
+      deletedAt: { $ne: null }
+    })
+
+    if (!subCategory) {
+      return res.status(404).json({
+        success: false,
+        message: 'Deleted subcategory not found'
+      })
+    }
+
+    const parentCategory = await Category.findById(subCategory.categoryId)
+    if (!parentCategory) {
+      return res.status(409).json({
+        success: false,
+        message: 'Parent category is deleted. Restore the category first'
+      })
+    }
+
+    const conflict = await subCategory.findNameConflict()
+    if (conflict) {
+      return res.status(409).json({ success: false, message: conflict })
+    }
+
+    await Item.updateMany(
+      { subCategoryId: subCategory._id, deletedAt: subCategory.deletedAt },
+      { deletedAt: null }
+    )
+
+    subCategory.deletedAt = null
+    await subCategory.save()
+
+    res.status(200).json({
+      success: true,
+      message: 'Subcategory restored successfully',
+      data: subCategory
+    })
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Deleted subcategory not found'
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: error.message
+    })
+  }
+}
+
+/**
+ * Permanently remove a soft deleted subcategory and its items
+ * DELETE /api/subcategories/:id/purge
+ */
+const purgeSubCategory = async (req, res) => {
+  try {
+    const subCategory = await SubCategory.findById(req.params.id).setOptions({
+      withDeleted: true
+    })
+
+    if (!subCategory) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subcategory not found'
+      })
+    }
+
+    if (!subCategory.deletedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Subcategory must be deleted before it can be purged'
+      })
+    }
+
+    await removeOutletOverrides({ subCategoryId: subCategory._id })
+    await removePromotionTargets(
+      { subCategoryId: subCategory._id },
+      { subCategories: [subCategory._id] }
+    )
+    const { deletedCount: itemCount } = await Item.deleteMany({
+      subCategoryId: subCategory._id
+    })
+    await SubCategory.deleteOne({ _id: subCategory._id })
+
+    res.status(200).json({
+      success: true,
+      message: 'Subcategory purged successfully',
+      purged: {
+        subCategories: 1,
+        items: itemCount
+      }
+    })
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Subcategory not found'
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: error.message
+    })
+  }
+}
+
+/**
+ * Get the translations of a subcategory
+ * GET /api/subcategories/:id/translations
+ */
+const getSubCategoryTranslations = async (req, res) => {
+  try {
+    const { SubCategory } = getMenuModels()
+    const subCategory = await SubCategory.findById(req.params.id)
+
+    if (!subCategory) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subcategory not found'
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      defaultLanguage: getDefaultLanguage(),
+      data: listTranslations(subCategory)
+    })
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Subcategory not found'
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: error.message
+    })
+  }
+}
+
+/**
+ * Add or replace the translation of a subcategory in one language
+ * Fields left out fall back to the untranslated ones.
+ * PUT /api/subcategories/:id/translations/:lang
+ */
+const setSubCategoryTranslation = async (req, res) => {
+  try {
+    const language = checkTranslationLanguage(req.params.lang)
+    const subCategory = await SubCategory.findById(req.params.id)
+
+    if (!subCategory) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subcategory not found'
+      })
+    }
+
+    if (!subCategory.translations) subCategory.translations = {}
+    subCategory.translations.set(language, req.body)
+    await subCategory.save()
+
+    res.status(200).json({
+      success: true,
+      message: 'Subcategory translation saved successfully',
+      data: listTranslations(subCategory)
+    })
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Subcategory not found'
+      })
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: formatMongooseErrors(error)
+      })
+    }
+
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    })
+  }
+}
+
+/**
+ * Remove the translation of a subcategory in one language
+ * DELETE /api/subcategories/:id/translations/:lang
+ */
+const deleteSubCategoryTranslation = async (req, res) => {
+  try {
+    const language = checkTranslationLanguage(req.params.lang)
+    const subCategory = await SubCategory.findById(req.params.id)
+
+    if (!subCategory) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subcategory not found'
+      })
+    }
+
+    if (!subCategory.translations || !subCategory.translations.has(language)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Translation not found'
+      })
+    }
+
+    subCategory.translations.delete(language)
+    await subCategory.save()
+
+    res.status(200).json({
+      success: true,
+      message: 'Subcategory translation deleted successfully',
+      data: listTranslations(subCategory)
+    })
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Subcategory not found'
+      })
+    }
+
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    })
+  }
+}
+
+/**
+ * Upload the image of a subcategory
+ * The upload replaces the image URL; its size and resized variants are
+ * recorded in imageMetadata.
+ * PUT /api/subcategories/:id/image (multipart/form-data, field "image")
+ */
+const uploadSubCategoryImage = async (req, res) => {
+  try {
+    const subCategory = await SubCategory.findById(req.params.id)
+
+    if (!subCategory) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subcategory not found'
+      })
+    }
+
+    await replaceImage(subCategory, 'subcategories', req.file)
+
+    res.status(200).json({
+      success: true,
+      message: 'Subcategory image uploaded successfully',
+      data: subCategory
+    })
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Subcategory not found'
+      })
+    }
+
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    })
+  }
+}
+
+/**
+ * Put the subcategories of a category in a new display order
+ * The body lists every id once, the first shown first.
+ * PUT /api/subcategories/category/:categoryId/reorder
+ */
+const reorderSubCategories = async (req, res) => {
+  try {
+    const { categoryId } = req.params
+
+    const category = await Category.findById(categoryId)
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      })
+    }
+
+    const siblings = SubCategory.siblingFilter({ categoryId })
+    const { unknown, omitted } = await reorderSiblings(
+      SubCategory,
+      siblings,
+      req.body.ids
+    )
+
+    if (unknown.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subcategory not found',
+        missing: unknown
+      })
+    }
+
+    if (omitted.length) {
+      return res.status(400).json({
+        success: false,
+        message:
+          'ids must list every subcategory of the category in the new order',
+        omitted
+      })
+    }
+
+    const subCategories = await SubCategory.find(siblings)
+      .sort(POSITION_SORT)
+      .select('name translations position')
+
+    res.status(200).json({
+      success: true,
+      message: 'Subcategories reordered successfully',
+      data: subCategories.map((doc) => localize(doc, req.language))
+    })
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    })
+  }
+}
+
 module.exports = {
   createSubCategory,
   getAllSubCategories,
   getSubCategoriesByCategory,
   getSubCategoryById,
   getSubCategoryByName,
-  updateSubCategory
+  updateSubCategory,
+  setSubCategorySoldOut,
+  deleteSubCategory,
+  restoreSubCategory,
+  purgeSubCategory,
+  getSubCategoryTranslations,
+  setSubCategoryTranslation,
+  deleteSubCategoryTranslation,
+  uploadSubCategoryImage,
+  reorderSubCategories
 }
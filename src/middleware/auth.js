@@ -0,0 +1,102 @@
+const crypto = require('crypto')
+const jwt = require('jsonwebtoken')
+const User = require('../models/User')
+const { getContext } = require('../utils/requestContext')
+
+/**
+ * Authentication middleware
+ * Expects `Authorization: Bearer <token>` and attaches the signed-in user to req.user
+ */
+const protect = async (req, res, next) => {
+  try {
+    const [scheme, token] = (req.headers.authorization || '').split(' ')
+
+    if (scheme !== 'Bearer' || !token) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication token is required'
+      })
+    }
+
+    const payload = jwt.verify(token, process.env.JWT_SECRET)
+
+    // Load the user so role changes and deactivation apply immediately
+    const user = await User.findById(payload.id)
+    if (!user || !user.active) {
+      return res.status(401).json({
+        success: false,
+        message: 'User no longer has access'
+      })
+    }
+
+    req.user = user
+    // Audited changes record the signed-in user as their actor
+    getContext().user = user
+    next()
+  } catch (error) {
+    if (
+      error.name === 'JsonWebTokenError' ||
+      error.name === 'TokenExpiredError'
+    ) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired token'
+      })
+    }
+
+    next(error)
+  }
+}
+
+/**
+ * Authorization middleware
+ * Must run after protect; only lets the listed roles through
+ *
+ * @param {...string} roles - Roles allowed to access the route
+ */
+const authorize =
+  (...roles) =>
+  (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to perform this action'
+      })
+    }
+
+    next()
+  }
+
+/**
+ * Request header carrying the deployment's SETUP_TOKEN
+ */
+const SETUP_TOKEN_HEADER = 'X-Setup-Token'
+
+// Compared as digests so the time taken tells nothing about the token
+const digest = (text) => crypto.createHash('sha256').update(text).digest()
+
+/**
+ * Setup middleware
+ * Only lets requests through that send the SETUP_TOKEN setting in the
+ * X-Setup-Token header; without the setting nothing gets through
+ */
+const requireSetupToken = (req, res, next) => {
+  const expected = process.env.SETUP_TOKEN
+  const sent = req.get(SETUP_TOKEN_HEADER) || ''
+
+  if (!expected || !crypto.timingSafeEqual(digest(sent), digest(expected))) {
+    return res.status(403).json({
+      success: false,
+      message: 'A valid setup token is required'
+    })
+  }
+
+  next()
+}
+
+module.exports = {
+  SETUP_TOKEN_HEADER,
+  protect,
+  authorize,
+  requireSetupToken
+}
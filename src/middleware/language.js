@@ -0,0 +1,30 @@
+const { LANGUAGE_PARAM, resolveLanguage } = require('../utils/translations')
+
+/**
+ * Language middleware
+ * Picks the language of names and descriptions from `?lang=` or the
+ * Accept-Language header and attaches it to req.language. Unsupported
+ * Accept-Language tags fall back to the default language; an unsupported
+ * `?lang=` is rejected.
+ */
+const languageContext = (req, res, next) => {
+  try {
+    req.language = resolveLanguage({
+      lang: req.query[LANGUAGE_PARAM],
+      acceptLanguage: req.get('Accept-Language')
+    })
+  } catch (error) {
+    return res.status(error.statusCode || 400).json({
+      success: false,
+      message: error.message
+    })
+  }
+
+  res.set('Content-Language', req.language)
+  res.vary('Accept-Language')
+  next()
+}
+
+module.exports = {
+  languageContext
+}
@@ -0,0 +1,22 @@
+const MenuSettings = require('../models/MenuSettings')
+const { getContext } = require('../utils/requestContext')
+
+/**
+ * Menu settings middleware
+ * Loads the settings of the tenant's menu into the request context, so
+ * getCurrency returns the tenant's currency. Runs before the outlet context,
+ * which compares the outlet's currency with it.
+ */
+const menuSettingsContext = async (req, res, next) => {
+  try {
+    const settings = await MenuSettings.findOne().lean()
+    if (settings && settings.currency) getContext().currency = settings.currency
+    next()
+  } catch (error) {
+    next(error)
+  }
+}
+
+module.exports = {
+  menuSettingsContext
+}
@@ -0,0 +1,34 @@
+const MenuVersion = require('../models/MenuVersion')
+const { protect, authorize } = require('./auth')
+const { readPublishedMenu } = require('../utils/menuVersions')
+
+/**
+ * Roles that may read the working draft with `?draft=true`
+ */
+const DRAFT_READERS = ['admin', 'manager']
+
+/**
+ * Menu version middleware
+ * Menu reads return the latest published version. Admins and managers read
+ * the working draft instead with `?draft=true`. Until the menu is published
+ * for the first time, everyone reads the draft.
+ */
+const menuVersionContext = async (req, res, next) => {
+  if (req.query.draft === 'true') {
+    return protect(req, res, (error) =>
+      error ? next(error) : authorize(...DRAFT_READERS)(req, res, next)
+    )
+  }
+
+  try {
+    if (await MenuVersion.exists({})) readPublishedMenu()
+    next()
+  } catch (error) {
+    next(error)
+  }
+}
+
+module.exports = {
+  DRAFT_READERS,
+  menuVersionContext
+}
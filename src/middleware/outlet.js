@@ -0,0 +1,31 @@
+const { OUTLET_HEADER, loadOutletContext } = require('../utils/outlets')
+
+/**
+ * Outlet context middleware
+ * Reads the outlet from `?outlet=` or the X-Outlet-Id header and attaches it,
+ * with its item overrides, to req.outlet. Requests without an outlet read the
+ * shared catalog.
+ */
+const outletContext = async (req, res, next) => {
+  try {
+    const outletId = req.query.outlet || req.get(OUTLET_HEADER)
+    if (!outletId) return next()
+
+    const outlet = await loadOutletContext(String(outletId))
+    if (!outlet) {
+      return res.status(404).json({
+        success: false,
+        message: 'Outlet not found'
+      })
+    }
+
+    req.outlet = outlet
+    next()
+  } catch (error) {
+    next(error)
+  }
+}
+
+module.exports = {
+  outletContext
+}
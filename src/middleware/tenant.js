@@ -0,0 +1,61 @@
+const jwt = require('jsonwebtoken')
+const {
+  TENANT_HEADER,
+  getDefaultTenant,
+  resolveTenant,
+  runWithTenant
+} = require('../utils/tenants')
+
+/**
+ * Read the tenant from a valid bearer token
+ * Invalid tokens are left for protect to reject.
+ *
+ * @returns {string|undefined} The token's tenant, if there is a valid token
+ */
+const readTokenTenant = (req) => {
+  const [scheme, token] = (req.headers.authorization || '').split(' ')
+  if (scheme !== 'Bearer' || !token) return undefined
+
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET)
+    // Tokens issued before tenants existed belong to the default tenant
+    return payload.tenant || getDefaultTenant()
+  } catch (error) {
+    return undefined
+  }
+}
+
+/**
+ * Tenant context middleware
+ * Resolves the tenant from the signed-in user's token, or else from the
+ * X-Tenant-Id header, and runs the rest of the request as that tenant.
+ * Every tenant scoped model reads the tenant from this context.
+ */
+const tenantContext = (req, res, next) => {
+  const headerTenant = req.get(TENANT_HEADER)
+  const tokenTenant = readTokenTenant(req)
+
+  if (tokenTenant && headerTenant && tokenTenant !== headerTenant) {
+    return res.status(403).json({
+      success: false,
+      message: 'Token does not belong to this tenant'
+    })
+  }
+
+  let tenant
+  try {
+    tenant = resolveTenant(tokenTenant || headerTenant)
+  } catch (error) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    })
+  }
+
+  req.tenant = tenant
+  runWithTenant(tenant, next)
+}
+
+module.exports = {
+  tenantContext
+}
@@ -0,0 +1,60 @@
+const multer = require('multer')
+const { createError } = require('../utils/helpers')
+const { IMAGE_TYPES, getMaxImageSize } = require('../utils/images')
+
+/**
+ * Form field uploads are read from
+ */
+const IMAGE_FIELD = 'image'
+
+const fail = (res, status, message) =>
+  res.status(status).json({
+    success: false,
+    message
+  })
+
+/**
+ * Image upload middleware
+ * Reads one image from the `image` field of a multipart/form-data request
+ * into memory and attaches it to req.file. Files over MAX_IMAGE_SIZE get 413
+ * and types other than JPEG, PNG and WebP get 415; the content itself is
+ * checked when the image is processed.
+ */
+const uploadImage = (req, res, next) => {
+  const maxSize = getMaxImageSize()
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxSize, files: 1 },
+    fileFilter: (req, file, accept) =>
+      IMAGE_TYPES[file.mimetype]
+        ? accept(null, true)
+        : accept(
+            createError(
+              `Images must be one of: ${Object.keys(IMAGE_TYPES).join(', ')}`,
+              415
+            )
+          )
+  }).single(IMAGE_FIELD)
+
+  upload(req, res, (error) => {
+    if (error && error.code === 'LIMIT_FILE_SIZE') {
+      return fail(res, 413, `Images can be at most ${maxSize} bytes`)
+    }
+    if (error) return fail(res, error.statusCode || 400, error.message)
+
+    if (!req.file) {
+      return fail(
+        res,
+        400,
+        `Send the image as the "${IMAGE_FIELD}" field of a multipart form`
+      )
+    }
+
+    next()
+  })
+}
+
+module.exports = {
+  IMAGE_FIELD,
+  uploadImage
+}
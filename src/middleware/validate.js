@@ -0,0 +1,63 @@
+const Joi = require('joi')
+const { VALIDATION_OPTIONS } = require('../validators/common')
+
+// Routes that do not declare a query schema accept no query parameters
+const EMPTY_QUERY = Joi.object({})
+
+/**
+ * Utility function to turn Joi error details into field-level errors
+ * @param {string} location - params, query or body
+ * @param {object[]} details - Joi error details
+ * @returns {object[]} Errors with location, field, code and message
+ */
+const formatJoiErrors = (location, details) =>
+  details.map((detail) => ({
+    location,
+    field: detail.path.join('.') || location,
+    code: detail.type,
+    message: detail.message
+  }))
+
+/**
+ * Request validation middleware
+ * Validates params, query and body against Joi schemas and reports every
+ * failing field at once. Unknown fields are rejected.
+ *
+ * @param {object} schemas - Joi schemas keyed by params, query and body
+ */
+const validate =
+  ({ params, query = EMPTY_QUERY, body }) =>
+  (req, res, next) => {
+    const errors = []
+
+    const check = (location, schema) => {
+      if (!schema) return undefined
+
+      const { error, value } = schema.validate(
+        req[location] || {},
+        VALIDATION_OPTIONS
+      )
+      if (error) errors.push(...formatJoiErrors(location, error.details))
+      return value
+    }
+
+    check('params', params)
+    check('query', query)
+    const validatedBody = check('body', body)
+
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      })
+    }
+
+    // Only the body is replaced so defaults and trimming reach the controller
+    if (body) req.body = validatedBody
+    next()
+  }
+
+module.exports = {
+  validate
+}
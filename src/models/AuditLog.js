@@ -0,0 +1,114 @@
+const mongoose = require('mongoose')
+const tenant = require('./plugins/tenant')
+
+/**
+ * Models whose changes are audited
+ */
+const AUDITED_MODELS = ['Category', 'SubCategory', 'Item']
+
+/**
+ * What happened to the document
+ */
+const AUDIT_ACTIONS = ['create', 'update', 'delete', 'restore', 'purge']
+
+/**
+ * Actor Schema
+ * The signed-in user who made a change, copied so the entry still reads
+ * correctly after the user is renamed or removed
+ */
+const actorSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    name: String,
+    email: String,
+    role: String
+  },
+  { _id: false }
+)
+
+/**
+ * Change Schema
+ * One changed field with its value before and after the change. `from` is
+ * missing for fields that were just set and `to` for fields that were removed.
+ */
+const changeSchema = new mongoose.Schema(
+  {
+    field: {
+      type: String,
+      required: true
+    },
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  },
+  { _id: false }
+)
+
+/**
+ * AuditLog Schema
+ * Append-only record of every create, update and delete of a category,
+ * subcategory or item. Entries are written by the audit plugin.
+ */
+const auditLogSchema = new mongoose.Schema(
+  {
+    entity: {
+      type: String,
+      required: true,
+      enum: AUDITED_MODELS
+    },
+    entityId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    action: {
+      type: String,
+      required: true,
+      enum: AUDIT_ACTIONS
+    },
+    // Null for changes made outside a signed-in request
+    actor: {
+      type: actorSchema,
+      default: null
+    },
+    changes: [changeSchema]
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false }
+  }
+)
+
+auditLogSchema.index({ tenant: 1, entity: 1, entityId: 1, createdAt: 1 })
+
+// Entries are never changed or removed once written
+auditLogSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return next(new Error('Audit log entries cannot be changed'))
+  }
+  next()
+})
+
+auditLogSchema.pre(
+  [
+    'deleteMany',
+    'deleteOne',
+    'findOneAndDelete',
+    'findOneAndReplace',
+    'findOneAndUpdate',
+    'replaceOne',
+    'updateMany',
+    'updateOne'
+  ],
+  { document: false, query: true },
+  function () {
+    throw new Error('Audit log entries cannot be changed')
+  }
+)
+
+auditLogSchema.plugin(tenant)
+
+module.exports = mongoose.model('AuditLog', auditLogSchema)
+module.exports.AUDITED_MODELS = AUDITED_MODELS
+module.exports.AUDIT_ACTIONS = AUDIT_ACTIONS
+module.exports.actorSchema = actorSchema
@@ -1,4 +1,13 @@
 const mongoose = require('mongoose')
+const softDelete = require('./plugins/softDelete')
+const availability = require('./plugins/availability')
+const translations = require('./plugins/translations')
+const dietary = require('./plugins/dietary')
+const image = require('./plugins/image')
+const position = require('./plugins/position')
+const tenant = require('./plugins/tenant')
+const audit = require('./plugins/audit')
+const { TAX_VALIDATORS } = require('../utils/helpers')
 
 /**
  * Category Schema
@@ -9,8 +18,7 @@ const categorySchema = new mongoose.Schema(
     name: {
       type: String,
       required: [true, 'Category name is required'],
-      trim: true,
-      unique: true
+      trim: true
     },
     image: {
       type: String,
@@ -33,7 +41,7 @@ const categorySchema = new mongoose.Schema(
         return this.taxApplicability
       },
       min: [0, 'Tax cannot be negative'],
-      max: [100, 'Tax cannot exceed 100%']
+      validate: TAX_VALIDATORS
     },
     taxType: {
       type: String,
@@ -42,11 +50,34 @@ const categorySchema = new mongoose.Schema(
       },
       enum: ['percentage', 'fixed'],
       default: 'percentage'
-    }
+    },
+    // Offered on every item in the category
+    modifierGroups: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ModifierGroup'
+      }
+    ]
   },
   {
     timestamps: true
   }
 )
 
+// Category names are unique among the live categories of a tenant, so a
+// deleted category's name can be reused
+categorySchema.index(
+  { tenant: 1, name: 1 },
+  { unique: true, partialFilterExpression: { deletedAt: null } }
+)
+
+categorySchema.plugin(tenant)
+categorySchema.plugin(softDelete, { uniqueName: { label: 'category' } })
+categorySchema.plugin(availability)
+categorySchema.plugin(translations)
+categorySchema.plugin(dietary)
+categorySchema.plugin(image)
+categorySchema.plugin(position)
+categorySchema.plugin(audit)
+
 module.exports = mongoose.model('Category', categorySchema)
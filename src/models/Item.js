@@ -1,4 +1,58 @@
 const mongoose = require('mongoose')
+const softDelete = require('./plugins/softDelete')
+const availability = require('./plugins/availability')
+const translations = require('./plugins/translations')
+const dietary = require('./plugins/dietary')
+const image = require('./plugins/image')
+const position = require('./plugins/position')
+const tenant = require('./plugins/tenant')
+const audit = require('./plugins/audit')
+const { applyVariants } = require('../utils/variants')
+const { isSoldOut } = require('../utils/inventory')
+const { calculateTotal, TAX_VALIDATORS } = require('../utils/helpers')
+const { minorUnits } = require('../utils/money')
+
+/**
+ * Variant Schema
+ * A named size or portion of an item with its own price
+ */
+const variantSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Variant name is required'],
+    trim: true
+  },
+  baseAmount: {
+    type: Number,
+    required: [true, 'Variant base amount is required'],
+    min: [0, 'Base amount cannot be negative'],
+    validate: minorUnits
+  },
+  discount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Discount cannot be negative'],
+    validate: [
+      minorUnits,
+      {
+        validator: function (discount) {
+          // Update validators run without the variant document
+          if (typeof this.baseAmount !== 'number') return true
+          return discount <= this.baseAmount
+        },
+        message: 'Discount cannot be greater than base amount'
+      }
+    ]
+  },
+  totalAmount: {
+    type: Number,
+    min: [0, 'Total amount cannot be negative']
+  },
+  isDefault: {
+    type: Boolean,
+    default: false
+  }
+})
 
 /**
  * Item Schema
@@ -22,9 +76,7 @@ const itemSchema = new mongoose.Schema(
       trim: true
     },
     taxApplicability: {
-      type: Boolean,
-      required: [true, 'Tax applicability is required'],
-      default: false
+      type: Boolean
     },
     tax: {
       type: Number,
@@ -32,7 +84,7 @@ const itemSchema = new mongoose.Schema(
         return this.taxApplicability
       },
       min: [0, 'Tax cannot be negative'],
-      max: [100, 'Tax cannot exceed 100%']
+      validate: TAX_VALIDATORS
     },
     taxType: {
       type: String,
@@ -42,31 +94,64 @@ const itemSchema = new mongoose.Schema(
       enum: ['percentage', 'fixed'],
       default: 'percentage'
     },
+    // True while the tax fields are copied from the parent subcategory/category
+    taxInherited: {
+      type: Boolean,
+      default: false
+    },
     baseAmount: {
       type: Number,
       required: [true, 'Base amount is required'],
-      min: [0, 'Base amount cannot be negative']
+      min: [0, 'Base amount cannot be negative'],
+      validate: minorUnits
     },
     discount: {
       type: Number,
       default: 0,
       min: [0, 'Discount cannot be negative'],
-      validate: {
-        validator: function (discount) {
-          // Only validate if both discount and baseAmount are available
-          if (this.baseAmount !== undefined && discount !== undefined) {
-            return discount <= this.baseAmount
-          }
-          return true // Skip validation if baseAmount is not available
-        },
-        message: 'Discount cannot be greater than base amount'
-      }
+      validate: [
+        minorUnits,
+        {
+          validator: function (discount) {
+            // Only validate if both discount and baseAmount are available
+            if (this.baseAmount !== undefined && discount !== undefined) {
+              return discount <= this.baseAmount
+            }
+            return true // Skip validation if baseAmount is not available
+          },
+          message: 'Discount cannot be greater than base amount'
+        }
+      ]
     },
     totalAmount: {
       type: Number,
       required: true,
       min: [0, 'Total amount cannot be negative']
     },
+    // With variants, the item amounts mirror the default variant
+    variants: {
+      type: [variantSchema],
+      default: undefined,
+      validate: {
+        validator: function (variants) {
+          const names = variants.map((variant) =>
+            String(variant.name).toLowerCase()
+          )
+          return (
+            new Set(names).size === names.length &&
+            variants.filter((variant) => variant.isDefault).length <= 1
+          )
+        },
+        message: 'Variant names must be unique and only one can be the default'
+      }
+    },
+    // Offered on top of the groups inherited from the subcategory/category
+    modifierGroups: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ModifierGroup'
+      }
+    ],
     // Item can belong to either a category directly or a subcategory
     categoryId: {
       type: mongoose.Schema.Types.ObjectId,
@@ -81,16 +166,58 @@ const itemSchema = new mongoose.Schema(
       required: function () {
         return !this.categoryId
       }
+    },
+    // Set while the item is marked sold out ("86'd"); it is back on sale after this time
+    soldOutUntil: {
+      type: Date,
+      default: null
+    },
+    // Units left to sell; null means stock is not tracked
+    stock: {
+      type: Number,
+      default: null,
+      min: [0, 'Stock cannot be negative'],
+      validate: {
+        validator: (stock) => stock === null || Number.isInteger(stock),
+        message: 'Stock must be a whole number'
+      }
+    },
+    soldCount: {
+      type: Number,
+      default: 0
     }
   },
   {
-    timestamps: true
+    timestamps: true,
+    toJSON: { virtuals: ['soldOut'] },
+    toObject: { virtuals: ['soldOut'] }
   }
 )
 
+// Sold out while marked sold out or out of tracked stock
+itemSchema.virtual('soldOut').get(function () {
+  return isSoldOut(this)
+})
+
+// Keep variant totals and the mirrored item amounts in sync
+itemSchema.pre('validate', function (next) {
+  if (this.variants && this.variants.length) {
+    try {
+      const { variants, ...amounts } = applyVariants(
+        this.variants.map((variant) => variant.toObject())
+      )
+      this.variants = variants
+      this.set(amounts)
+    } catch (error) {
+      return next(error)
+    }
+  }
+  next()
+})
+
 // Pre-save middleware to calculate total amount
 itemSchema.pre('save', function (next) {
-  this.totalAmount = this.baseAmount - this.discount
+  this.totalAmount = calculateTotal(this.baseAmount, this.discount)
   next()
 })
 
@@ -115,27 +242,45 @@ itemSchema.pre('findOneAndUpdate', async function (next) {
         return next(error)
       }
 
-      update.totalAmount = baseAmount - discount
+      update.totalAmount = calculateTotal(baseAmount, discount)
     }
   }
   next()
 })
 
-// Compound index for uniqueness within category/subcategory
+// Item names are unique among the live items of a category/subcategory
 itemSchema.index(
-  { name: 1, categoryId: 1 },
+  { tenant: 1, name: 1, categoryId: 1 },
   {
     unique: true,
-    partialFilterExpression: { categoryId: { $exists: true } }
+    partialFilterExpression: { categoryId: { $exists: true }, deletedAt: null }
   }
 )
 
 itemSchema.index(
-  { name: 1, subCategoryId: 1 },
+  { tenant: 1, name: 1, subCategoryId: 1 },
   {
     unique: true,
-    partialFilterExpression: { subCategoryId: { $exists: true } }
+    partialFilterExpression: {
+      subCategoryId: { $exists: true },
+      deletedAt: null
+    }
   }
 )
 
+itemSchema.plugin(tenant)
+itemSchema.plugin(softDelete, {
+  uniqueName: {
+    label: 'item',
+    scope: ['categoryId', 'subCategoryId'],
+    within: 'this category/subcategory'
+  }
+})
+itemSchema.plugin(availability)
+itemSchema.plugin(translations)
+itemSchema.plugin(dietary)
+itemSchema.plugin(image)
+itemSchema.plugin(position, { scope: ['categoryId', 'subCategoryId'] })
+itemSchema.plugin(audit)
+
 module.exports = mongoose.model('Item', itemSchema)
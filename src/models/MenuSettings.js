@@ -0,0 +1,34 @@
+const mongoose = require('mongoose')
+const tenant = require('./plugins/tenant')
+const { isCurrency } = require('../utils/money')
+
+/**
+ * MenuSettings Schema
+ * Settings of the menu of one tenant. A tenant without settings uses the
+ * deployment defaults.
+ */
+const menuSettingsSchema = new mongoose.Schema(
+  {
+    // ISO 4217 code the menu's amounts are in; null uses CURRENCY
+    currency: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      default: null,
+      validate: {
+        validator: (currency) => currency === null || isCurrency(currency),
+        message: '{VALUE} is not a known currency code'
+      }
+    }
+  },
+  {
+    timestamps: true
+  }
+)
+
+// One settings document per tenant
+menuSettingsSchema.index({ tenant: 1 }, { unique: true })
+
+menuSettingsSchema.plugin(tenant)
+
+module.exports = mongoose.model('MenuSettings', menuSettingsSchema)
@@ -0,0 +1,114 @@
+const mongoose = require('mongoose')
+const tenant = require('./plugins/tenant')
+const { actorSchema } = require('./AuditLog')
+
+/**
+ * Parts of the menu a version holds, by model
+ */
+const MENU_PARTS = {
+  Category: 'categories',
+  SubCategory: 'subCategories',
+  Item: 'items'
+}
+
+const countSchema = new mongoose.Schema(
+  Object.fromEntries(
+    Object.values(MENU_PARTS).map((part) => [
+      part,
+      { type: Number, default: 0 }
+    ])
+  ),
+  { _id: false }
+)
+
+/**
+ * MenuVersion Schema
+ * Immutable snapshot of every live category, subcategory and item, taken
+ * when the working draft is published. Versions are numbered from 1 within
+ * a tenant and the highest number is the menu customers read.
+ */
+const menuVersionSchema = new mongoose.Schema(
+  {
+    number: {
+      type: Number,
+      required: true,
+      min: [1, 'Version number must be at least 1'],
+      validate: {
+        validator: Number.isInteger,
+        message: 'Version number must be a whole number'
+      }
+    },
+    note: {
+      type: String,
+      trim: true
+    },
+    // Version whose snapshot was published again by a rollback
+    rolledBackFrom: {
+      type: Number,
+      default: null
+    },
+    // Null for versions published outside a signed-in request
+    publishedBy: {
+      type: actorSchema,
+      default: null
+    },
+    counts: {
+      type: countSchema,
+      default: () => ({})
+    },
+    // Documents as stored, without tenant and stock bookkeeping
+    ...Object.fromEntries(
+      Object.values(MENU_PARTS).map((part) => [
+        part,
+        [mongoose.Schema.Types.Mixed]
+      ])
+    )
+  },
+  {
+    timestamps: { createdAt: 'publishedAt', updatedAt: false }
+  }
+)
+
+// Version numbers are unique within a tenant
+menuVersionSchema.index({ tenant: 1, number: 1 }, { unique: true })
+
+// Versions are never changed or removed once published
+menuVersionSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return next(new Error('Published menu versions cannot be changed'))
+  }
+  next()
+})
+
+menuVersionSchema.pre(
+  [
+    'deleteMany',
+    'deleteOne',
+    'findOneAndDelete',
+    'findOneAndReplace',
+    'findOneAndUpdate',
+    'replaceOne',
+    'updateMany',
+    'updateOne'
+  ],
+  { document: false, query: true },
+  function () {
+    throw new Error('Published menu versions cannot be changed')
+  }
+)
+
+/**
+ * Whether any version shows an uploaded image, so its files must be kept
+ */
+menuVersionSchema.statics.referencesImage = function (key) {
+  return this.exists({
+    $or: Object.values(MENU_PARTS).map((part) => ({
+      [`${part}.imageMetadata.key`]: key
+    }))
+  })
+}
+
+menuVersionSchema.plugin(tenant)
+
+module.exports = mongoose.model('MenuVersion', menuVersionSchema)
+module.exports.MENU_PARTS = MENU_PARTS
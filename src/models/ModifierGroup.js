@@ -0,0 +1,110 @@
+const mongoose = require('mongoose')
+const softDelete = require('./plugins/softDelete')
+const tenant = require('./plugins/tenant')
+const { minorUnits } = require('../utils/money')
+
+/**
+ * Modifier Option Schema
+ * A single choice within a modifier group (e.g., Extra cheese +30)
+ */
+const modifierOptionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Option name is required'],
+    trim: true
+  },
+  price: {
+    type: Number,
+    default: 0,
+    min: [0, 'Option price cannot be negative'],
+    validate: minorUnits
+  }
+})
+
+/**
+ * ModifierGroup Schema
+ * A reusable set of add-ons or choices (e.g., Choose 1 sauce, Up to 3 toppings)
+ * that can be attached to categories, subcategories and items
+ */
+const modifierGroupSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Modifier group name is required'],
+      trim: true
+    },
+    description: {
+      type: String,
+      trim: true
+    },
+    options: {
+      type: [modifierOptionSchema],
+      validate: [
+        {
+          validator: (options) => options.length > 0,
+          message: 'A modifier group needs at least one option'
+        },
+        {
+          validator: (options) => {
+            const names = options.map((option) =>
+              String(option.name).toLowerCase()
+            )
+            return new Set(names).size === names.length
+          },
+          message: 'Option names must be unique'
+        }
+      ]
+    },
+    // Number of options a customer must choose; 0 makes the group optional
+    minSelections: {
+      type: Number,
+      default: 0,
+      min: [0, 'Minimum selections cannot be negative']
+    },
+    // Number of options a customer may choose; null means no limit
+    maxSelections: {
+      type: Number,
+      default: null,
+      min: [1, 'Maximum selections must be at least 1']
+    }
+  },
+  {
+    timestamps: true
+  }
+)
+
+// The selection rules depend on each other, so they are checked together
+// whichever of them changed
+modifierGroupSchema.pre('validate', function (next) {
+  if (this.minSelections > this.options.length) {
+    this.invalidate(
+      'minSelections',
+      'Minimum selections cannot exceed the number of options'
+    )
+  }
+
+  if (
+    this.maxSelections !== null &&
+    this.maxSelections !== undefined &&
+    this.maxSelections < this.minSelections
+  ) {
+    this.invalidate(
+      'maxSelections',
+      'Maximum selections cannot be less than minimum selections'
+    )
+  }
+  next()
+})
+
+// Group names are unique among the live ones of a tenant
+modifierGroupSchema.index(
+  { tenant: 1, name: 1 },
+  { unique: true, partialFilterExpression: { deletedAt: null } }
+)
+
+modifierGroupSchema.plugin(tenant)
+modifierGroupSchema.plugin(softDelete, {
+  uniqueName: { label: 'modifier group' }
+})
+
+module.exports = mongoose.model('ModifierGroup', modifierGroupSchema)
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose')
+const softDelete = require('./plugins/softDelete')
+const tenant = require('./plugins/tenant')
+const { isCurrency } = require('../utils/money')
+
+/**
+ * Outlet Schema
+ * A branch of the restaurant that sells from the shared menu. Item prices,
+ * tax and visibility can be overridden per outlet with OutletOverride.
+ */
+const outletSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Outlet name is required'],
+      trim: true
+    },
+    address: {
+      type: String,
+      trim: true
+    },
+    // ISO 4217 code the outlet sells in; null sells in the menu currency
+    currency: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      default: null,
+      validate: {
+        validator: (currency) => currency === null || isCurrency(currency),
+        message: '{VALUE} is not a known currency code'
+      }
+    }
+  },
+  {
+    timestamps: true
+  }
+)
+
+// Outlet names are unique among the live ones of a tenant
+outletSchema.index(
+  { tenant: 1, name: 1 },
+  { unique: true, partialFilterExpression: { deletedAt: null } }
+)
+
+outletSchema.plugin(tenant)
+outletSchema.plugin(softDelete, { uniqueName: { label: 'outlet' } })
+
+module.exports = mongoose.model('Outlet', outletSchema)
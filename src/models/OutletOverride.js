@@ -0,0 +1,96 @@
+const mongoose = require('mongoose')
+const tenant = require('./plugins/tenant')
+const { TAX_VALIDATORS } = require('../utils/helpers')
+const { minorUnits } = require('../utils/money')
+
+/**
+ * Variant Price Schema
+ * Outlet price of one of the item's variants, matched by name
+ */
+const variantPriceSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Variant name is required'],
+      trim: true
+    },
+    baseAmount: {
+      type: Number,
+      min: [0, 'Base amount cannot be negative'],
+      validate: minorUnits
+    },
+    discount: {
+      type: Number,
+      min: [0, 'Discount cannot be negative'],
+      validate: minorUnits
+    }
+  },
+  { _id: false }
+)
+
+/**
+ * OutletOverride Schema
+ * Replaces an item's catalog price, discount, tax or visibility at one
+ * outlet. Fields left unset keep the catalog value.
+ */
+const outletOverrideSchema = new mongoose.Schema(
+  {
+    outlet: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Outlet',
+      required: [true, 'Outlet is required']
+    },
+    item: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Item',
+      required: [true, 'Item is required']
+    },
+    // Hidden items are left out of every read at the outlet
+    hidden: {
+      type: Boolean,
+      default: false
+    },
+    baseAmount: {
+      type: Number,
+      min: [0, 'Base amount cannot be negative'],
+      validate: minorUnits
+    },
+    discount: {
+      type: Number,
+      min: [0, 'Discount cannot be negative'],
+      validate: minorUnits
+    },
+    variants: {
+      type: [variantPriceSchema],
+      default: undefined
+    },
+    taxApplicability: {
+      type: Boolean
+    },
+    tax: {
+      type: Number,
+      required: function () {
+        return this.taxApplicability
+      },
+      min: [0, 'Tax cannot be negative'],
+      validate: TAX_VALIDATORS
+    },
+    taxType: {
+      type: String,
+      required: function () {
+        return this.taxApplicability
+      },
+      enum: ['percentage', 'fixed']
+    }
+  },
+  {
+    timestamps: true
+  }
+)
+
+// One override per item and outlet
+outletOverrideSchema.index({ tenant: 1, outlet: 1, item: 1 }, { unique: true })
+
+outletOverrideSchema.plugin(tenant)
+
+module.exports = mongoose.model('OutletOverride', outletOverrideSchema)
@@ -0,0 +1,148 @@
+const mongoose = require('mongoose')
+const softDelete = require('./plugins/softDelete')
+const tenant = require('./plugins/tenant')
+const availability = require('./plugins/availability')
+
+/**
+ * Kinds of promotion
+ * - percentage: `value` percent off the item price
+ * - fixed: `value` off the item price
+ * - buyXgetY: for every `buyQuantity` units bought, `getQuantity` more units
+ *   get `getDiscount` percent off (free by default)
+ */
+const PROMOTION_TYPES = ['percentage', 'fixed', 'buyXgetY']
+
+const refs = (ref) => [
+  {
+    type: mongoose.Schema.Types.ObjectId,
+    ref
+  }
+]
+
+/**
+ * Promotion Schema
+ * A time-limited price reduction on items, subcategories or categories that
+ * is applied when prices are calculated, so item amounts stay untouched
+ */
+const promotionSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Promotion name is required'],
+      trim: true
+    },
+    description: {
+      type: String,
+      trim: true
+    },
+    type: {
+      type: String,
+      required: [true, 'Promotion type is required'],
+      enum: PROMOTION_TYPES
+    },
+    // Percent off for percentage promotions, minor units off for fixed ones
+    value: {
+      type: Number,
+      min: [0, 'Value cannot be negative']
+    },
+    buyQuantity: {
+      type: Number,
+      min: [1, 'Buy quantity must be at least 1']
+    },
+    getQuantity: {
+      type: Number,
+      min: [1, 'Get quantity must be at least 1']
+    },
+    getDiscount: {
+      type: Number,
+      default: 100,
+      min: [0, 'Get discount cannot be negative'],
+      max: [100, 'Get discount cannot exceed 100%']
+    },
+    // Items of a targeted subcategory or category are included
+    targets: {
+      items: refs('Item'),
+      subCategories: refs('SubCategory'),
+      categories: refs('Category')
+    },
+    // Runs from startsAt (null: already started) until endsAt (null: no end)
+    startsAt: {
+      type: Date,
+      default: null
+    },
+    endsAt: {
+      type: Date,
+      default: null
+    },
+    // Higher priorities are applied first
+    priority: {
+      type: Number,
+      default: 0
+    },
+    // Stackable promotions combine with each other; others apply alone
+    stackable: {
+      type: Boolean,
+      default: false
+    },
+    active: {
+      type: Boolean,
+      default: true
+    }
+  },
+  {
+    timestamps: true
+  }
+)
+
+// The type decides which fields are needed, so they are checked together
+promotionSchema.pre('validate', function (next) {
+  if (this.type === 'percentage' && !(this.value > 0 && this.value <= 100)) {
+    this.invalidate('value', 'Percentage must be more than 0 and at most 100')
+  }
+
+  if (
+    this.type === 'fixed' &&
+    !(Number.isSafeInteger(this.value) && this.value > 0)
+  ) {
+    this.invalidate(
+      'value',
+      'Amount off must be a whole number of minor units more than 0'
+    )
+  }
+
+  if (this.type === 'buyXgetY') {
+    if (!Number.isInteger(this.buyQuantity)) {
+      this.invalidate('buyQuantity', 'Buy quantity must be a whole number')
+    }
+    if (!Number.isInteger(this.getQuantity)) {
+      this.invalidate('getQuantity', 'Get quantity must be a whole number')
+    }
+  }
+
+  const { items, subCategories, categories } = this.targets
+  if (!items.length && !subCategories.length && !categories.length) {
+    this.invalidate(
+      'targets',
+      'A promotion needs at least one item, subcategory or category'
+    )
+  }
+
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate('endsAt', 'End must be after the start')
+  }
+
+  next()
+})
+
+// Promotion names are unique among the live ones of a tenant
+promotionSchema.index(
+  { tenant: 1, name: 1 },
+  { unique: true, partialFilterExpression: { deletedAt: null } }
+)
+
+promotionSchema.plugin(tenant)
+promotionSchema.plugin(softDelete, { uniqueName: { label: 'promotion' } })
+promotionSchema.plugin(availability)
+
+module.exports = mongoose.model('Promotion', promotionSchema)
+module.exports.PROMOTION_TYPES = PROMOTION_TYPES
@@ -1,4 +1,13 @@
 const mongoose = require('mongoose')
+const softDelete = require('./plugins/softDelete')
+const availability = require('./plugins/availability')
+const translations = require('./plugins/translations')
+const dietary = require('./plugins/dietary')
+const image = require('./plugins/image')
+const position = require('./plugins/position')
+const tenant = require('./plugins/tenant')
+const audit = require('./plugins/audit')
+const { TAX_VALIDATORS } = require('../utils/helpers')
 
 /**
  * SubCategory Schema
@@ -35,7 +44,7 @@ const subCategorySchema = new mongoose.Schema(
         return this.taxApplicability
       },
       min: [0, 'Tax cannot be negative'],
-      max: [100, 'Tax cannot exceed 100%']
+      validate: TAX_VALIDATORS
     },
     taxType: {
       type: String,
@@ -45,18 +54,48 @@ const subCategorySchema = new mongoose.Schema(
       enum: ['percentage', 'fixed'],
       default: 'percentage'
     },
+    // True while the tax fields are copied from the parent category
+    taxInherited: {
+      type: Boolean,
+      default: false
+    },
     categoryId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Category',
       required: [true, 'Category ID is required']
-    }
+    },
+    // Offered on every item in the subcategory, after the category's groups
+    modifierGroups: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ModifierGroup'
+      }
+    ]
   },
   {
     timestamps: true
   }
 )
 
-// Compound index to ensure unique subcategory names within a category
-subCategorySchema.index({ name: 1, categoryId: 1 }, { unique: true })
+// Subcategory names are unique among the live subcategories of a category
+subCategorySchema.index(
+  { tenant: 1, name: 1, categoryId: 1 },
+  { unique: true, partialFilterExpression: { deletedAt: null } }
+)
+
+subCategorySchema.plugin(tenant)
+subCategorySchema.plugin(softDelete, {
+  uniqueName: {
+    label: 'subcategory',
+    scope: ['categoryId'],
+    within: 'this category'
+  }
+})
+subCategorySchema.plugin(availability)
+subCategorySchema.plugin(translations)
+subCategorySchema.plugin(dietary)
+subCategorySchema.plugin(image)
+subCategorySchema.plugin(position, { scope: ['categoryId'] })
+subCategorySchema.plugin(audit)
 
 module.exports = mongoose.model('SubCategory', subCategorySchema)
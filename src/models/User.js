@@ -0,0 +1,92 @@
+const mongoose = require('mongoose')
+const bcrypt = require('bcryptjs')
+const tenant = require('./plugins/tenant')
+
+/**
+ * Roles a user can hold, from most to least privileged
+ */
+const ROLES = ['admin', 'manager', 'staff', 'read-only']
+
+/**
+ * User Schema
+ * Represents a staff account that can sign in to manage the menu
+ */
+const userSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'User name is required'],
+      trim: true
+    },
+    email: {
+      type: String,
+      required: [true, 'Email is required'],
+      trim: true,
+      lowercase: true,
+      match: [/^\S+@\S+\.\S+$/, 'Email is invalid']
+    },
+    password: {
+      type: String,
+      required: [true, 'Password is required'],
+      minlength: [8, 'Password must be at least 8 characters'],
+      select: false
+    },
+    role: {
+      type: String,
+      enum: ROLES,
+      default: 'read-only'
+    },
+    active: {
+      type: Boolean,
+      default: true
+    },
+    // Set on the admin created by registration, which a tenant has one of
+    firstAdmin: {
+      type: Boolean,
+      default: undefined
+    }
+  },
+  {
+    timestamps: true
+  }
+)
+
+// Pre-save middleware to hash the password whenever it changes
+userSchema.pre('save', async function (next) {
+  if (!this.isModified('password')) return next()
+
+  this.password = await bcrypt.hash(this.password, 10)
+  next()
+})
+
+/**
+ * Compare a plain text password with the stored hash
+ * @param {string} candidate - Password supplied at login
+ * @returns {Promise<boolean>} Whether the password matches
+ */
+userSchema.methods.comparePassword = function (candidate) {
+  return bcrypt.compare(candidate, this.password)
+}
+
+// Never send the password hash to clients
+userSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.password
+    return ret
+  }
+})
+
+// Accounts belong to one tenant; an email can sign in to several tenants
+userSchema.index({ tenant: 1, email: 1 }, { unique: true })
+
+// Registrations racing for an empty tenant leave one of them failing with a
+// duplicate key error
+userSchema.index(
+  { tenant: 1, firstAdmin: 1 },
+  { unique: true, partialFilterExpression: { firstAdmin: true } }
+)
+
+userSchema.plugin(tenant)
+
+module.exports = mongoose.model('User', userSchema)
+module.exports.ROLES = ROLES
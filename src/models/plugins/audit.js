@@ -0,0 +1,94 @@
+const { recordChanges } = require('../../utils/audit')
+
+/**
+ * Audit plugin
+ * Writes an AuditLog entry with a field-level diff for every create, update,
+ * soft delete, restore and purge of a document, whether it is saved or changed
+ * with an update/delete query. The versions before and after the change are
+ * read back from the database so both sides of the diff look the same.
+ *
+ * Apply after the tenant and softDelete plugins so queries are already scoped.
+ */
+const UPDATE_HOOKS = ['findOneAndUpdate', 'updateMany', 'updateOne']
+const DELETE_HOOKS = ['deleteMany', 'deleteOne', 'findOneAndDelete']
+
+const loadVersions = (Model, filter, session) =>
+  Model.find(filter)
+    .setOptions({ withDeleted: true })
+    .session(session || null)
+    .lean()
+
+const audit = (schema) => {
+  schema.pre('save', async function () {
+    this.$locals.auditBefore = null
+    if (this.isNew) return
+
+    const [before] = await loadVersions(
+      this.constructor,
+      { _id: this._id },
+      this.$session()
+    )
+    this.$locals.auditBefore = before
+  })
+
+  schema.post('save', async function () {
+    const [after] = await loadVersions(
+      this.constructor,
+      { _id: this._id },
+      this.$session()
+    )
+
+    await recordChanges(
+      this.constructor.modelName,
+      [[this.$locals.auditBefore, after]],
+      this.$session()
+    )
+  })
+
+  schema.pre(
+    [...UPDATE_HOOKS, ...DELETE_HOOKS],
+    { document: false, query: true },
+    async function () {
+      this._auditBefore = await loadVersions(
+        this.model,
+        this.getFilter(),
+        this.getOptions().session
+      )
+    }
+  )
+
+  schema.post(
+    [...UPDATE_HOOKS, ...DELETE_HOOKS],
+    { document: false, query: true },
+    async function (result) {
+      // Nothing matched or changed, e.g. a lost race on a guarded update
+      if (!result || result.modifiedCount === 0 || result.deletedCount === 0) {
+        return
+      }
+
+      // findOneAnd* change only the document they return
+      const before = result._id
+        ? this._auditBefore.filter(
+            (doc) => String(doc._id) === String(result._id)
+          )
+        : this._auditBefore
+      if (!before.length) return
+
+      const session = this.getOptions().session
+      const after = await loadVersions(
+        this.model,
+        { _id: { $in: before.map((doc) => doc._id) } },
+        session
+      )
+      const afterById = new Map(after.map((doc) => [String(doc._id), doc]))
+
+      await recordChanges(
+        this.model.modelName,
+        before.map((doc) => [doc, afterById.get(String(doc._id))]),
+        session
+      )
+    }
+  )
+}
+
+module.exports = audit
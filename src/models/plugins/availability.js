@@ -0,0 +1,68 @@
+const mongoose = require('mongoose')
+
+/**
+ * Weekdays in the order returned by Date#getDay
+ */
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat']
+
+/**
+ * HH:mm on a 24 hour clock; a window may end at 24:00
+ */
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/
+const END_OF_DAY = '24:00'
+
+/**
+ * Availability Window Schema
+ * Days plus a time range in the restaurant timezone. A window that ends
+ * before it starts runs past midnight into the next day.
+ */
+const windowSchema = new mongoose.Schema(
+  {
+    days: {
+      type: [{ type: String, enum: DAYS }],
+      validate: {
+        validator: (days) =>
+          days.length > 0 && new Set(days).size === days.length,
+        message: 'Days must list at least one day and no day twice'
+      }
+    },
+    start: {
+      type: String,
+      required: [true, 'Start time is required'],
+      match: [TIME_PATTERN, 'Start time must be in HH:mm format']
+    },
+    end: {
+      type: String,
+      required: [true, 'End time is required'],
+      validate: {
+        validator: function (end) {
+          return (
+            (TIME_PATTERN.test(end) || end === END_OF_DAY) && end !== this.start
+          )
+        },
+        message:
+          'End time must be in HH:mm format and differ from the start time'
+      }
+    }
+  },
+  { _id: false }
+)
+
+/**
+ * Availability plugin
+ * Adds an `availability` schedule to a schema. Without a schedule a document
+ * follows its parent's schedule, and a top-level document is always available.
+ */
+const availability = (schema) => {
+  schema.add({
+    availability: {
+      type: [windowSchema],
+      default: undefined
+    }
+  })
+}
+
+module.exports = availability
+module.exports.DAYS = DAYS
+module.exports.TIME_PATTERN = TIME_PATTERN
+module.exports.END_OF_DAY = END_OF_DAY
@@ -0,0 +1,58 @@
+/**
+ * Dietary tags an item can carry
+ */
+const DIETARY_TAGS = [
+  'vegan',
+  'vegetarian',
+  'pescatarian',
+  'gluten-free',
+  'dairy-free',
+  'nut-free',
+  'halal',
+  'kosher'
+]
+
+/**
+ * Allergens that must be declared, after the 14 major allergens of EU food law
+ */
+const ALLERGENS = [
+  'celery',
+  'crustaceans',
+  'dairy',
+  'eggs',
+  'fish',
+  'gluten',
+  'lupin',
+  'molluscs',
+  'mustard',
+  'peanut',
+  'sesame',
+  'soy',
+  'sulphites',
+  'tree-nuts'
+]
+
+const vocabularyList = (vocabulary, label) => ({
+  type: [{ type: String, enum: vocabulary }],
+  default: undefined,
+  validate: {
+    validator: (values) => new Set(values).size === values.length,
+    message: `${label} must not repeat a value`
+  }
+})
+
+/**
+ * Dietary plugin
+ * Adds `dietaryTags` and `allergens` to a schema. Unset lists follow the
+ * parent's; an empty list declares that there are none.
+ */
+const dietary = (schema) => {
+  schema.add({
+    dietaryTags: vocabularyList(DIETARY_TAGS, 'Dietary tags'),
+    allergens: vocabularyList(ALLERGENS, 'Allergens')
+  })
+}
+
+module.exports = dietary
+module.exports.DIETARY_TAGS = DIETARY_TAGS
+module.exports.ALLERGENS = ALLERGENS
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose')
+const { releaseImage } = require('../../utils/images')
+
+const variantSchema = new mongoose.Schema(
+  {
+    name: String,
+    key: String,
+    url: String,
+    width: Number,
+    height: Number,
+    size: Number
+  },
+  { _id: false }
+)
+
+/**
+ * Image Metadata Schema
+ * Where an uploaded image is stored, what it is and its resized variants.
+ * Documents whose image is only a URL have none.
+ */
+const imageMetadataSchema = new mongoose.Schema(
+  {
+    storage: String,
+    key: String,
+    contentType: String,
+    size: Number,
+    width: Number,
+    height: Number,
+    variants: [variantSchema],
+    uploadedAt: Date
+  },
+  { _id: false }
+)
+
+const DELETE_HOOKS = ['deleteOne', 'deleteMany']
+
+const loadUploads = (Model, filter) =>
+  Model.find({ ...filter, 'imageMetadata.key': { $exists: true } })
+    .setOptions({ withDeleted: true })
+    .select('image imageMetadata')
+    .lean()
+
+/**
+ * Image plugin
+ * Adds `imageMetadata` for uploaded images to a schema with an `image` URL.
+ * Setting another URL with an update query drops the metadata, and the files
+ * of an upload are removed once nothing points at them: when the image is
+ * replaced or the document is purged, and no published menu version shows it.
+ *
+ * Apply after the tenant plugin so the lookups are scoped.
+ */
+const image = (schema) => {
+  schema.add({
+    imageMetadata: {
+      type: imageMetadataSchema,
+      default: undefined
+    }
+  })
+
+  schema.pre('findOneAndUpdate', async function () {
+    const update = this.getUpdate()
+    const url = (update.$set && update.$set.image) ?? update.image
+    if (url === undefined) return
+
+    this._replacedUploads = (await loadUploads(this.model, this.getFilter()))
+      .filter((doc) => doc.image !== url)
+      .map((doc) => doc.imageMetadata)
+    if (this._replacedUploads.length) {
+      this.setUpdate({
+        ...update,
+        $unset: { ...update.$unset, imageMetadata: '' }
+      })
+    }
+  })
+
+  schema.post('findOneAndUpdate', async function (doc) {
+    if (!doc || !this._replacedUploads) return
+    await Promise.all(this._replacedUploads.map(releaseImage))
+  })
+
+  schema.pre(DELETE_HOOKS, { document: false, query: true }, async function () {
+    this._purgedUploads = (await loadUploads(this.model, this.getFilter())).map(
+      (doc) => doc.imageMetadata
+    )
+  })
+
+  schema.post(
+    DELETE_HOOKS,
+    { document: false, query: true },
+    async function (result) {
+      if (!result || !result.deletedCount || !this._purgedUploads) return
+      await Promise.all(this._purgedUploads.map(releaseImage))
+    }
+  )
+}
+
+module.exports = image
@@ -0,0 +1,63 @@
+/**
+ * Position plugin
+ * Adds `position`, the display order of a document among its siblings: the
+ * documents with the same values in the `scope` fields, e.g. the items of one
+ * subcategory. Categories have no scope and are ordered within their tenant.
+ * New documents go after their siblings, deleted ones included, so a restored
+ * document keeps its place.
+ *
+ * Apply after the tenant and softDelete plugins so sibling lookups are scoped.
+ *
+ * @param {object} options
+ * @param {string[]} [options.scope] - Parent fields shared by siblings
+ */
+const position = (schema, { scope = [] } = {}) => {
+  schema.add({
+    position: {
+      type: Number,
+      min: [0, 'Position cannot be negative'],
+      validate: {
+        validator: Number.isInteger,
+        message: 'Position must be a whole number'
+      }
+    }
+  })
+
+  schema.index({
+    tenant: 1,
+    ...Object.fromEntries(scope.map((field) => [field, 1])),
+    position: 1
+  })
+
+  /**
+   * Filter that selects the siblings of a document, or of a parent given as
+   * e.g. { subCategoryId }
+   */
+  schema.statics.siblingFilter = function (doc) {
+    return Object.fromEntries(scope.map((field) => [field, doc[field] ?? null]))
+  }
+
+  /**
+   * Position after the last sibling of a document or parent
+   */
+  schema.statics.nextPosition = async function (doc, session) {
+    const [last] = await this.find({
+      ...this.siblingFilter(doc),
+      position: { $ne: null }
+    })
+      .setOptions({ withDeleted: true })
+      .sort({ position: -1 })
+      .limit(1)
+      .select('position')
+      .session(session || null)
+
+    return last ? last.position + 1 : 0
+  }
+
+  schema.pre('save', async function () {
+    if (!this.isNew || this.position !== undefined) return
+    this.position = await this.constructor.nextPosition(this, this.$session())
+  })
+}
+
+module.exports = position
@@ -0,0 +1,71 @@
+/**
+ * Soft delete plugin
+ * Adds a `deletedAt` marker to a schema and hides marked documents from
+ * every find/count/update query unless the query explicitly asks for them.
+ *
+ * Opt out per query with `.setOptions({ withDeleted: true })` or by
+ * filtering on `deletedAt` directly (e.g. `{ deletedAt: { $ne: null } }`).
+ *
+ * Names are unique among live documents only. Schemas with unique names pass
+ * `uniqueName` so restores can check whether the name was taken meanwhile.
+ *
+ * @param {object} [options]
+ * @param {object} [options.uniqueName] - How names are unique
+ * @param {string} options.uniqueName.label - Document type in messages, e.g. 'subcategory'
+ * @param {string[]} [options.uniqueName.scope] - Parent fields the name is unique within
+ * @param {string} [options.uniqueName.within] - The scope in messages, e.g. 'this category'
+ */
+const QUERY_HOOKS = [
+  'countDocuments',
+  'find',
+  'findOne',
+  'findOneAndUpdate',
+  'updateMany',
+  'updateOne'
+]
+
+const softDelete = (schema, { uniqueName } = {}) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null,
+      index: true
+    }
+  })
+
+  schema.pre(QUERY_HOOKS, function () {
+    if (this.getOptions().withDeleted) return
+    if (this.getFilter().deletedAt !== undefined) return
+
+    this.where({ deletedAt: null })
+  })
+
+  schema.pre('aggregate', function () {
+    if (this.options.withDeleted) return
+
+    this.pipeline().unshift({ $match: { deletedAt: null } })
+  })
+
+  if (!uniqueName) return
+
+  const { label, scope = [], within } = uniqueName
+
+  /**
+   * Explain why a soft deleted document cannot be restored under its name
+   * @returns {Promise<string|null>} The conflict message, or null when the name is free
+   */
+  schema.methods.findNameConflict = async function () {
+    const taken = await this.constructor.exists({
+      name: this.name,
+      ...Object.fromEntries(scope.map((field) => [field, this[field] ?? null]))
+    })
+    if (!taken) return null
+
+    const article = /^[aeiou]/i.test(label) ? 'An' : 'A'
+    return `${article} ${label} named "${this.name}" already exists${
+      within ? ` in ${within}` : ''
+    }. Rename or delete the existing one first`
+  }
+}
+
+module.exports = softDelete
@@ -0,0 +1,47 @@
+const { getCurrentTenant } = require('../../utils/tenants')
+
+/**
+ * Tenant plugin
+ * Adds a `tenant` field to a schema and scopes every query and aggregation
+ * to the tenant of the running request, so documents of other tenants can
+ * neither be read nor changed. New documents are stamped with the current
+ * tenant, which cannot be changed afterwards.
+ *
+ * Unique indexes must lead with `tenant` so names are unique per tenant.
+ */
+const QUERY_HOOKS = [
+  'countDocuments',
+  'deleteMany',
+  'deleteOne',
+  'distinct',
+  'find',
+  'findOne',
+  'findOneAndDelete',
+  'findOneAndReplace',
+  'findOneAndUpdate',
+  'replaceOne',
+  'updateMany',
+  'updateOne'
+]
+
+const tenant = (schema) => {
+  schema.add({
+    tenant: {
+      type: String,
+      required: true,
+      immutable: true,
+      default: () => getCurrentTenant()
+    }
+  })
+
+  // A tenant in the filter is replaced, never trusted
+  schema.pre(QUERY_HOOKS, { document: false, query: true }, function () {
+    this.where({ tenant: getCurrentTenant() })
+  })
+
+  schema.pre('aggregate', function () {
+    this.pipeline().unshift({ $match: { tenant: getCurrentTenant() } })
+  })
+}
+
+module.exports = tenant
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose')
+
+/**
+ * Language tags such as en, fr or pt-br; Mongo map keys cannot hold dots
+ */
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/
+
+/**
+ * Translation Schema
+ * The name and description of a document in one language. Fields left out
+ * fall back to the untranslated ones.
+ */
+const translationSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      trim: true
+    },
+    description: {
+      type: String,
+      trim: true
+    }
+  },
+  { _id: false }
+)
+
+/**
+ * Translations plugin
+ * Adds `translations`, keyed by language, to a schema whose `name` and
+ * `description` are written in the default language.
+ */
+const translations = (schema) => {
+  schema.add({
+    translations: {
+      type: Map,
+      of: translationSchema,
+      default: undefined,
+      validate: {
+        validator: (map) =>
+          [...map.keys()].every((language) => LANGUAGE_PATTERN.test(language)),
+        message: 'Translations must be keyed by lower case language tags'
+      }
+    }
+  })
+}
+
+module.exports = translations
+module.exports.LANGUAGE_PATTERN = LANGUAGE_PATTERN
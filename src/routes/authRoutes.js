@@ -0,0 +1,73 @@
+const express = require('express')
+const router = express.Router()
+const {
+  register,
+  login,
+  getMe,
+  createUser,
+  getAllUsers,
+  updateUser
+} = require('../controllers/authController')
+const { protect, authorize, requireSetupToken } = require('../middleware/auth')
+const { validate } = require('../middleware/validate')
+const schemas = require('../validators/authValidator')
+
+/**
+ * Auth Routes
+ * Base path: /api/auth
+ */
+
+// @route   POST /api/auth/register
+// @desc    Create the first admin account of a tenant (only while it has no users)
+// @access  Public (setup token)
+router.post(
+  '/register',
+  requireSetupToken,
+  validate(schemas.register),
+  register
+)
+
+// @route   POST /api/auth/login
+// @desc    Log in and receive a token
+// @access  Public
+router.post('/login', validate(schemas.login), login)
+
+// @route   GET /api/auth/me
+// @desc    Get the signed-in user
+// @access  Private
+router.get('/me', protect, validate(schemas.getMe), getMe)
+
+// @route   POST /api/auth/users
+// @desc    Create a user with a role
+// @access  Private (admin)
+router.post(
+  '/users',
+  protect,
+  authorize('admin'),
+  validate(schemas.createUser),
+  createUser
+)
+
+// @route   GET /api/auth/users
+// @desc    Get all users
+// @access  Private (admin)
+router.get(
+  '/users',
+  protect,
+  authorize('admin'),
+  validate(schemas.getAllUsers),
+  getAllUsers
+)
+
+// @route   PUT /api/auth/users/:id
+// @desc    Update a user's role, password or active flag
+// @access  Private (admin)
+router.put(
+  '/users/:id',
+  protect,
+  authorize('admin'),
+  validate(schemas.updateUser),
+  updateUser
+)
+
+module.exports = router
@@ -5,8 +5,22 @@ const {
   getAllCategories,
   getCategoryById,
   getCategoryByName,
-  updateCategory
+  updateCategory,
+  setCategorySoldOut,
+  deleteCategory,
+  restoreCategory,
+  purgeCategory,
+  getCategoryTranslations,
+  setCategoryTranslation,
+  deleteCategoryTranslation,
+  uploadCategoryImage,
+  reorderCategories
 } = require('../controllers/categoryController')
+const { protect, authorize } = require('../middleware/auth')
+const { validate } = require('../middleware/validate')
+const { menuVersionContext } = require('../middleware/menuVersion')
+const { uploadImage } = require('../middleware/upload')
+const schemas = require('../validators/categoryValidator')
 
 /**
  * Category Routes
@@ -15,27 +29,153 @@ const {
 
 // @route   POST /api/categories
 // @desc    Create a new category
-// @access  Public
-router.post('/', createCategory)
+// @access  Private (admin, manager)
+router.post(
+  '/',
+  protect,
+  authorize('admin', 'manager'),
+  validate(schemas.createCategory),
+  createCategory
+)
 
 // @route   GET /api/categories
 // @desc    Get all categories
 // @access  Public
-router.get('/', getAllCategories)
+router.get(
+  '/',
+  validate(schemas.getAllCategories),
+  menuVersionContext,
+  getAllCategories
+)
 
 // @route   GET /api/categories/search?name=categoryName
 // @desc    Get category by name
 // @access  Public
-router.get('/search', getCategoryByName)
+router.get(
+  '/search',
+  validate(schemas.getCategoryByName),
+  menuVersionContext,
+  getCategoryByName
+)
+
+// @route   PUT /api/categories/reorder
+// @desc    Put the categories in a new display order
+// @access  Private (admin, manager)
+router.put(
+  '/reorder',
+  protect,
+  authorize('admin', 'manager'),
+  validate(schemas.reorderCategories),
+  reorderCategories
+)
 
 // @route   GET /api/categories/:id
 // @desc    Get category by ID
 // @access  Public
-router.get('/:id', getCategoryById)
+router.get(
+  '/:id',
+  validate(schemas.getCategoryById),
+  menuVersionContext,
+  getCategoryById
+)
 
 // @route   PUT /api/categories/:id
 // @desc    Update category by ID
+// @access  Private (admin, manager)
+router.put(
+  '/:id',
+  protect,
+  authorize('admin', 'manager'),
+  validate(schemas.updateCategory),
+  updateCategory
+)
+
+// @route   GET /api/categories/:id/translations
+// @desc    Get the translations of a category
 // @access  Public
-router.put('/:id', updateCategory)
+router.get(
+  '/:id/translations',
+  validate(schemas.getCategoryTranslations),
+  menuVersionContext,
+  getCategoryTranslations
+)
+
+// @route   PUT /api/categories/:id/translations/:lang
+// @desc    Add or replace the translation of a category in one language
+// @access  Private (admin, manager)
+router.put(
+  '/:id/translations/:lang',
+  protect,
+  authorize('admin', 'manager'),
+  validate(schemas.setCategoryTranslation),
+  setCategoryTranslation
+)
+
+// @route   DELETE /api/categories/:id/translations/:lang
+// @desc    Remove the translation of a category in one language
+// @access  Private (admin, manager)
+router.delete(
+  '/:id/translations/:lang',
+  protect,
+  authorize('admin', 'manager'),
+  validate(schemas.deleteCategoryTranslation),
+  deleteCategoryTranslation
+)
+
+// @route   PUT /api/categories/:id/image
+// @desc    Upload the image of a category (multipart/form-data, field "image")
+// @access  Private (admin, manager)
+router.put(
+  '/:id/image',
+  protect,
+  authorize('admin', 'manager'),
+  validate(schemas.uploadCategoryImage),
+  uploadImage,
+  uploadCategoryImage
+)
+
+// @route   PATCH /api/categories/:id/sold-out
+// @desc    Mark every item under a category sold out or available again
+// @access  Private (admin, manager, staff)
+router.patch(
+  '/:id/sold-out',
+  protect,
+  authorize('admin', 'manager', 'staff'),
+  validate(schemas.setCategorySoldOut),
+  setCategorySoldOut
+)
+
+// @route   DELETE /api/categories/:id
+// @desc    Soft delete category by ID (policy: block | cascade | reassign)
+// @access  Private (admin, manager)
+router.delete(
+  '/:id',
+  protect,
+  authorize('admin', 'manager'),
+  validate(schemas.deleteCategory),
+  deleteCategory
+)
+
+// @route   POST /api/categories/:id/restore
+// @desc    Restore a soft deleted category
+// @access  Private (admin, manager)
+router.post(
+  '/:id/restore',
+  protect,
+  authorize('admin', 'manager'),
+  validate(schemas.restoreCategory),
+  restoreCategory
+)
+
+// @route   DELETE /api/categories/:id/purge
+// @desc    Permanently remove a soft deleted category
+// @access  Private (admin)
+router.delete(
+  '/:id/purge',
+  protect,
+  authorize('admin'),
+  validate(schemas.purgeCategory),
+  purgeCategory
+)
 
 module.exports = router
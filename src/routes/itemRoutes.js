@@ -6,9 +6,28 @@ const {
   getItemsByCategory,
   getItemsBySubCategory,
   getItemById,
+  getItemPrice,
+  priceItemSelection,
+  getItemHistory,
   searchItemsByName,
-  updateItem
+  updateItem,
+  setItemSoldOut,
+  recordItemSale,
+  deleteItem,
+  restoreItem,
+  purgeItem,
+  getItemTranslations,
+  setItemTranslation,
+  deleteItemTranslation,
+  uploadItemImage,
+  reorderItemsByCategory,
+  reorderItemsBySubCategory
 } = require('../controllers/itemController')
+const { protect, authorize } = require('../middleware/auth')
+const { validate } = require('../middleware/validate')
+const { menuVersionContext } = require('../middleware/menuVersion')
+const { uploadImage } = require('../middleware/upload')
+const schemas = require('../validators/itemValidator')
 
 /**
  * Item Routes
@@ -17,37 +36,220 @@ const {
 
 // @route   POST /api/items
 // @desc    Create a new item
-// @access  Public
-router.post('/', createItem)
+// @access  Private (admin, manager)
+router.post(
+  '/',
+  protect,
+  authorize('admin', 'manager'),
+  validate(schemas.createItem),
+  createItem
+)
 
 // @route   GET /api/items
 // @desc    Get all items
 // @access  Public
-router.get('/', getAllItems)
+router.get('/', validate(schemas.getAllItems), menuVersionContext, getAllItems)
 
 // @route   GET /api/items/search?name=itemName
 // @desc    Search items by name
 // @access  Public
-router.get('/search', searchItemsByName)
+router.get(
+  '/search',
+  validate(schemas.searchItemsByName),
+  menuVersionContext,
+  searchItemsByName
+)
 
 // @route   GET /api/items/category/:categoryId
 // @desc    Get all items under a category
 // @access  Public
-router.get('/category/:categoryId', getItemsByCategory)
+router.get(
+  '/category/:categoryId',
+  validate(schemas.getItemsByCategory),
+  menuVersionContext,
+  getItemsByCategory
+)
 
 // @route   GET /api/items/subcategory/:subCategoryId
 // @desc    Get all items under a subcategory
 // @access  Public
-router.get('/subcategory/:subCategoryId', getItemsBySubCategory)
+router.get(
+  '/subcategory/:subCategoryId',
+  validate(schemas.getItemsBySubCategory),
+  menuVersionContext,
+  getItemsBySubCategory
+)
+
+// @route   PUT /api/items/category/:categoryId/reorder
+// @desc    Put the items directly under a category in a new display order
+// @access  Private (admin, manager)
+router.put(
+  '/category/:categoryId/reorder',
+  protect,
+  authorize('admin', 'manager'),
+  validate(schemas.reorderItemsByCategory),
+  reorderItemsByCategory
+)
+
+// @route   PUT /api/items/subcategory/:subCategoryId/reorder
+// @desc    Put the items of a subcategory in a new display order
+// @access  Private (admin, manager)
+router.put(
+  '/subcategory/:subCategoryId/reorder',
+  protect,
+  authorize('admin', 'manager'),
+  validate(schemas.reorderItemsBySubCategory),
+  reorderItemsBySubCategory
+)
 
 // @route   GET /api/items/:id
 // @desc    Get item by ID
 // @access  Public
-router.get('/:id', getItemById)
+router.get(
+  '/:id',
+  validate(schemas.getItemById),
+  menuVersionContext,
+  getItemById
+)
+
+// @route   GET /api/items/:id/price
+// @desc    Get the price breakdown of an item including effective tax
+// @access  Public
+router.get(
+  '/:id/price',
+  validate(schemas.getItemPrice),
+  menuVersionContext,
+  getItemPrice
+)
+
+// @route   GET /api/items/:id/history
+// @desc    Get the price history of an item
+// @access  Private
+router.get(
+  '/:id/history',
+  protect,
+  validate(schemas.getItemHistory),
+  getItemHistory
+)
+
+// @route   POST /api/items/:id/price
+// @desc    Price an item with a chosen variant and modifiers
+// @access  Public
+router.post(
+  '/:id/price',
+  validate(schemas.priceItemSelection),
+  menuVersionContext,
+  priceItemSelection
+)
 
 // @route   PUT /api/items/:id
 // @desc    Update item by ID
+// @access  Private (admin, manager)
+router.put(
+  '/:id',
+  protect,
+  authorize('admin', 'manager'),
+  validate(schemas.updateItem),
+  updateItem
+)
+
+// @route   GET /api/items/:id/translations
+// @desc    Get the translations of an item
 // @access  Public
-router.put('/:id', updateItem)
+router.get(
+  '/:id/translations',
+  validate(schemas.getItemTranslations),
+  menuVersionContext,
+  getItemTranslations
+)
+
+// @route   PUT /api/items/:id/translations/:lang
+// @desc    Add or replace the translation of an item in one language
+// @access  Private (admin, manager)
+router.put(
+  '/:id/translations/:lang',
+  protect,
+  authorize('admin', 'manager'),
+  validate(schemas.setItemTranslation),
+  setItemTranslation
+)
+
+// @route   DELETE /api/items/:id/translations/:lang
+// @desc    Remove the translation of an item in one language
+// @access  Private (admin, manager)
+router.delete(
+  '/:id/translations/:lang',
+  protect,
+  authorize('admin', 'manager'),
+  validate(schemas.deleteItemTranslation),
+  deleteItemTranslation
+)
+
+// @route   PUT /api/items/:id/image
+// @desc    Upload the image of an item (multipart/form-data, field "image")
+// @access  Private (admin, manager)
+router.put(
+  '/:id/image',
+  protect,
+  authorize('admin', 'manager'),
+  validate(schemas.uploadItemImage),
+  uploadImage,
+  uploadItemImage
+)
+
+// @route   PATCH /api/items/:id/sold-out
+// @desc    Mark an item sold out or available again
+// @access  Private (admin, manager, staff)
+router.patch(
+  '/:id/sold-out',
+  protect,
+  authorize('admin', 'manager', 'staff'),
+  validate(schemas.setItemSoldOut),
+  setItemSoldOut
+)
+
+// @route   POST /api/items/:id/sales
+// @desc    Record a sale and decrement tracked stock
+// @access  Private (admin, manager, staff)
+router.post(
+  '/:id/sales',
+  protect,
+  authorize('admin', 'manager', 'staff'),
+  validate(schemas.recordItemSale),
+  recordItemSale
+)
+
+// @route   DELETE /api/items/:id
+// @desc    Soft delete item by ID
+// @access  Private (admin, manager)
+router.delete(
+  '/:id',
+  protect,
+  authorize('admin', 'manager'),
+  validate(schemas.deleteItem),
+  deleteItem
+)
+
+// @route   POST /api/items/:id/restore
+// @desc    Restore a soft deleted item
+// @access  Private (admin, manager)
+router.post(
+  '/:id/restore',
+  protect,
+  authorize('admin', 'manager'),
+  validate(schemas.restoreItem),
+  restoreItem
+)
+
+// @route   DELETE /api/items/:id/purge
+// @desc    Permanently remove a soft deleted item
+// @access  Private (admin)
+router.delete(
+  '/:id/purge',
+  protect,
+  authorize('admin'),
+  validate(schemas.purgeItem),
+  purgeItem
+)
 
 module.exports = router
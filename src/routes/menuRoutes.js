@@ -0,0 +1,135 @@
+const express = require('express')
+const router = express.Router()
+const {
+  getMenu,
+  getCategoryMenu,
+  importMenu,
+  exportMenu,
+  getMenuSettings,
+  updateMenuSettings
+} = require('../controllers/menuController')
+const {
+  publishMenu,
+  getMenuVersions,
+  getMenuVersion,
+  diffMenuVersions,
+  rollbackMenuVersion
+} = require('../controllers/menuVersionController')
+const { protect, authorize } = require('../middleware/auth')
+const { validate } = require('../middleware/validate')
+const { menuVersionContext } = require('../middleware/menuVersion')
+const schemas = require('../validators/menuValidator')
+
+/**
+ * Menu Routes
+ * Base path: /api/menu
+ */
+
+// @route   GET /api/menu?excludeEmpty=true
+// @desc    Get the full Category → SubCategory → Item tree with effective prices
+// @access  Public
+router.get('/', validate(schemas.getMenu), menuVersionContext, getMenu)
+
+// @route   GET /api/menu/export?format=json|csv
+// @desc    Export the whole menu in the import format
+// @access  Public
+router.get(
+  '/export',
+  validate(schemas.exportMenu),
+  menuVersionContext,
+  exportMenu
+)
+
+// @route   POST /api/menu/import?mode=atomic|best-effort
+// @desc    Import a whole menu as nested JSON or flat CSV (text/csv)
+// @access  Private (admin, manager)
+router.post(
+  '/import',
+  protect,
+  authorize('admin', 'manager'),
+  validate(schemas.importMenu),
+  importMenu
+)
+
+// @route   GET /api/menu/settings
+// @desc    Get the settings of the tenant's menu, such as its currency
+// @access  Public
+router.get('/settings', validate(schemas.getMenuSettings), getMenuSettings)
+
+// @route   PUT /api/menu/settings
+// @desc    Update the settings of the tenant's menu
+// @access  Private (admin)
+router.put(
+  '/settings',
+  protect,
+  authorize('admin'),
+  validate(schemas.updateMenuSettings),
+  updateMenuSettings
+)
+
+// @route   POST /api/menu/versions
+// @desc    Publish the working draft as the next menu version
+// @access  Private (admin, manager)
+router.post(
+  '/versions',
+  protect,
+  authorize('admin', 'manager'),
+  validate(schemas.publishMenu),
+  publishMenu
+)
+
+// @route   GET /api/menu/versions
+// @desc    Get the published menu versions, newest first
+// @access  Private (admin, manager)
+router.get(
+  '/versions',
+  protect,
+  authorize('admin', 'manager'),
+  validate(schemas.getMenuVersions),
+  getMenuVersions
+)
+
+// @route   GET /api/menu/versions/diff?from=3&to=draft
+// @desc    Compare two menu versions or a version and the working draft
+// @access  Private (admin, manager)
+router.get(
+  '/versions/diff',
+  protect,
+  authorize('admin', 'manager'),
+  validate(schemas.diffMenuVersions),
+  diffMenuVersions
+)
+
+// @route   GET /api/menu/versions/:number
+// @desc    Get a menu version with its snapshot
+// @access  Private (admin, manager)
+router.get(
+  '/versions/:number',
+  protect,
+  authorize('admin', 'manager'),
+  validate(schemas.getMenuVersion),
+  getMenuVersion
+)
+
+// @route   POST /api/menu/versions/:number/rollback
+// @desc    Publish an earlier version again as the next version
+// @access  Private (admin, manager)
+router.post(
+  '/versions/:number/rollback',
+  protect,
+  authorize('admin', 'manager'),
+  validate(schemas.rollbackMenuVersion),
+  rollbackMenuVersion
+)
+
+// @route   GET /api/menu/:categoryId?excludeEmpty=true
+// @desc    Get the menu tree of a single category
+// @access  Public
+router.get(
+  '/:categoryId',
+  validate(schemas.getCategoryMenu),
+  menuVersionContext,
+  getCategoryMenu
+)
+
+module.exports = router
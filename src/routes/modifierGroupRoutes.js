@@ -0,0 +1,96 @@
+const express = require('express')
+const router = express.Router()
+const {
+  createModifierGroup,
+  getAllModifierGroups,
+  getModifierGroupById,
+  getModifierGroupByName,
+  updateModifierGroup,
+  deleteModifierGroup,
+  restoreModifierGroup,
+  purgeModifierGroup
+} = require('../controllers/modifierGroupController')
+const { protect, authorize } = require('../middleware/auth')
+const { validate } = require('../middleware/validate')
+const schemas = require('../validators/modifierGroupValidator')
+
+/**
+ * ModifierGroup Routes
+ * Base path: /api/modifier-groups
+ */
+
+// @route   POST /api/modifier-groups
+// @desc    Create a new modifier group
+// @access  Private (admin, manager)
+router.post(
+  '/',
+  protect,
+  authorize('admin', 'manager'),
+  validate(schemas.createModifierGroup),
+  createModifierGroup
+)
+
+// @route   GET /api/modifier-groups
+// @desc    Get all modifier groups
+// @access  Public
+router.get('/', validate(schemas.getAllModifierGroups), getAllModifierGroups)
+
+// @route   GET /api/modifier-groups/search?name=groupName
+// @desc    Get modifier group by name
+// @access  Public
+router.get(
+  '/search',
+  validate(schemas.getModifierGroupByName),
+  getModifierGroupByName
+)
+
+// @route   GET /api/modifier-groups/:id
+// @desc    Get modifier group by ID
+// @access  Public
+router.get('/:id', validate(schemas.getModifierGroupById), getModifierGroupById)
+
+// @route   PUT /api/modifier-groups/:id
+// @desc    Update modifier group by ID
+// @access  Private (admin, manager)
+router.put(
+  '/:id',
+  protect,
+  authorize('admin', 'manager'),
+  validate(schemas.updateModifierGroup),
+  updateModifierGroup
+)
+
+// @route   DELETE /api/modifier-groups/:id
+// @desc    Soft delete modifier group by ID
+// @access  Private (admin, manager)
+router.delete(
+  '/:id',
+  protect,
+  authorize('admin', 'manager'),
+  validate(schemas.deleteModifierGroup),
+  deleteModifierGroup
+)
+
+// @route   POST /api/modifier-groups/:id/restore
+// @desc    Restore a soft deleted modifier group
+// @access  Private (admin, manager)
+router.post(
+  '/:id/restore',
+  protect,
+  authorize('admin', 'manager'),
+  validate(schemas.restoreModifierGroup),
+  restoreModifierGroup
+)
+
+// @route   DELETE /api/modifier-groups/:id/purge
+// @desc    Permanently remove a soft deleted modifier group
+// @access  Private (admin)
+router.delete(
+  '/:id/purge',
+  protect,
+  authorize('admin'),
+  validate(schemas.purgeModifierGroup),
+  purgeModifierGroup
+)
+
+module.exports = router
@@ -0,0 +1,126 @@
+const express = require('express')
+const router = express.Router()
+const {
+  createOutlet,
+  getAllOutlets,
+  getOutletById,
+  getOutletByName,
+  updateOutlet,
+  deleteOutlet,
+  restoreOutlet,
+  purgeOutlet,
+  getOutletOverrides,
+  setOutletOverride,
+  removeOutletOverride
+} = require('../controllers/outletController')
+const { protect, authorize } = require('../middleware/auth')
+const { validate } = require('../middleware/validate')
+const schemas = require('../validators/outletValidator')
+
+/**
+ * Outlet Routes
+ * Base path: /api/outlets
+ */
+
+// @route   POST /api/outlets
+// @desc    Create a new outlet
+// @access  Private (admin, manager)
+router.post(
+  '/',
+  protect,
+  authorize('admin', 'manager'),
+  validate(schemas.createOutlet),
+  createOutlet
+)
+
+// @route   GET /api/outlets
+// @desc    Get all outlets
+// @access  Public
+router.get('/', validate(schemas.getAllOutlets), getAllOutlets)
+
+// @route   GET /api/outlets/search?name=outletName
+// @desc    Get outlet by name
+// @access  Public
+router.get('/search', validate(schemas.getOutletByName), getOutletByName)
+
+// @route   GET /api/outlets/:id
+// @desc    Get outlet by ID
+// @access  Public
+router.get('/:id', validate(schemas.getOutletById), getOutletById)
+
+// @route   PUT /api/outlets/:id
+// @desc    Update outlet by ID
+// @access  Private (admin, manager)
+router.put(
+  '/:id',
+  protect,
+  authorize('admin', 'manager'),
+  validate(schemas.updateOutlet),
+  updateOutlet
+)
+
+// @route   DELETE /api/outlets/:id
+// @desc    Soft delete outlet by ID
+// @access  Private (admin, manager)
+router.delete(
+  '/:id',
+  protect,
+  authorize('admin', 'manager'),
+  validate(schemas.deleteOutlet),
+  deleteOutlet
+)
+
+// @route   POST /api/outlets/:id/restore
+// @desc    Restore a soft deleted outlet
+// @access  Private (admin, manager)
+router.post(
+  '/:id/restore',
+  protect,
+  authorize('admin', 'manager'),
+  validate(schemas.restoreOutlet),
+  restoreOutlet
+)
+
+// @route   DELETE /api/outlets/:id/purge
+// @desc    Permanently remove a soft deleted outlet
+// @access  Private (admin)
+router.delete(
+  '/:id/purge',
+  protect,
+  authorize('admin'),
+  validate(schemas.purgeOutlet),
+  purgeOutlet
+)
+
+// @route   GET /api/outlets/:id/items
+// @desc    Get the item overrides of an outlet
+// @access  Public
+router.get(
+  '/:id/items',
+  validate(schemas.getOutletOverrides),
+  getOutletOverrides
+)
+
+// @route   PUT /api/outlets/:id/items/:itemId
+// @desc    Set the price, tax and visibility of an item at an outlet
+// @access  Private (admin, manager)
+router.put(
+  '/:id/items/:itemId',
+  protect,
+  authorize('admin', 'manager'),
+  validate(schemas.setOutletOverride),
+  setOutletOverride
+)
+
+// @route   DELETE /api/outlets/:id/items/:itemId
+// @desc    Remove the override of an item at an outlet
+// @access  Private (admin, manager)
+router.delete(
+  '/:id/items/:itemId',
+  protect,
+  authorize('admin', 'manager'),
+  validate(schemas.removeOutletOverride),
+  removeOutletOverride
+)
+
+module.exports = router
@@ -0,0 +1,92 @@
+const express = require('express')
+const router = express.Router()
+const {
+  createPromotion,
+  getAllPromotions,
+  getPromotionById,
+  getPromotionByName,
+  updatePromotion,
+  deletePromotion,
+  restorePromotion,
+  purgePromotion
+} = require('../controllers/promotionController')
+const { protect, authorize } = require('../middleware/auth')
+const { validate } = require('../middleware/validate')
+const schemas = require('../validators/promotionValidator')
+
+/**
+ * Promotion Routes
+ * Base path: /api/promotions
+ */
+
+// @route   POST /api/promotions
+// @desc    Create a new promotion
+// @access  Private (admin, manager)
+router.post(
+  '/',
+  protect,
+  authorize('admin', 'manager'),
+  validate(schemas.createPromotion),
+  createPromotion
+)
+
+// @route   GET /api/promotions
+// @desc    Get all promotions
+// @access  Public
+router.get('/', validate(schemas.getAllPromotions), getAllPromotions)
+
+// @route   GET /api/promotions/search?name=promotionName
+// @desc    Get promotion by name
+// @access  Public
+router.get('/search', validate(schemas.getPromotionByName), getPromotionByName)
+
+// @route   GET /api/promotions/:id
+// @desc    Get promotion by ID
+// @access  Public
+router.get('/:id', validate(schemas.getPromotionById), getPromotionById)
+
+// @route   PUT /api/promotions/:id
+// @desc    Update promotion by ID
+// @access  Private (admin, manager)
+router.put(
+  '/:id',
+  protect,
+  authorize('admin', 'manager'),
+  validate(schemas.updatePromotion),
+  updatePromotion
+)
+
+// @route   DELETE /api/promotions/:id
+// @desc    Soft delete promotion by ID
+// @access  Private (admin, manager)
+router.delete(
+  '/:id',
+  protect,
+  authorize('admin', 'manager'),
+  validate(schemas.deletePromotion),
+  deletePromotion
+)
+
+// @route   POST /api/promotions/:id/restore
+// @desc    Restore a soft deleted promotion
+// @access  Private (admin, manager)
+router.post(
+  '/:id/restore',
+  protect,
+  authorize('admin', 'manager'),
+  validate(schemas.restorePromotion),
+  restorePromotion
+)
+
+// @route   DELETE /api/promotions/:id/purge
+// @desc    Permanently remove a soft deleted promotion
+// @access  Private (admin)
+router.delete(
+  '/:id/purge',
+  protect,
+  authorize('admin'),
+  validate(schemas.purgePromotion),
+  purgePromotion
+)
+
+module.exports = router
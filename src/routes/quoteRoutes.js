@@ -0,0 +1,18 @@
+const express = require('express')
+const router = express.Router()
+const { createQuote } = require('../controllers/quoteController')
+const { validate } = require('../middleware/validate')
+const { menuVersionContext } = require('../middleware/menuVersion')
+const schemas = require('../validators/quoteValidator')
+
+/**
+ * Quote Routes
+ * Base path: /api/quote
+ */
+
+// @route   POST /api/quote
+// @desc    Price a basket of items as one bill with taxes grouped by rate
+// @access  Public
+router.post('/', validate(schemas.createQuote), menuVersionContext, createQuote)
+
+module.exports = router
@@ -0,0 +1,18 @@
+const express = require('express')
+const router = express.Router()
+const { searchMenu } = require('../controllers/searchController')
+const { validate } = require('../middleware/validate')
+const { menuVersionContext } = require('../middleware/menuVersion')
+const schemas = require('../validators/searchValidator')
+
+/**
+ * Search Routes
+ * Base path: /api/search
+ */
+
+// @route   GET /api/search?q=caesar&types=items,categories
+// @desc    Ranked, typo tolerant search over category, subcategory and item names and descriptions
+// @access  Public
+router.get('/', validate(schemas.searchMenu), menuVersionContext, searchMenu)
+
+module.exports = router
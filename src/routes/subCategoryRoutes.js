@@ -6,8 +6,22 @@ const {
   getSubCategoriesByCategory,
   getSubCategoryById,
   getSubCategoryByName,
-  updateSubCategory
+  updateSubCategory,
+  setSubCategorySoldOut,
+  deleteSubCategory,
+  restoreSubCategory,
+  purgeSubCategory,
+  getSubCategoryTranslations,
+  setSubCategoryTranslation,
+  deleteSubCategoryTranslation,
+  uploadSubCategoryImage,
+  reorderSubCategories
 } = require('../controllers/subCategoryController')
+const { protect, authorize } = require('../middleware/auth')
+const { validate } = require('../middleware/validate')
+const { menuVersionContext } = require('../middleware/menuVersion')
+const { uploadImage } = require('../middleware/upload')
+const schemas = require('../validators/subCategoryValidator')
 
 /**
  * SubCategory Routes
@@ -16,32 +30,163 @@ const {
 
 // @route   POST /api/subcategories/:categoryId
 // @desc    Create a new subcategory under a category
-// @access  Public
-router.post('/:categoryId', createSubCategory)
+// @access  Private (admin, manager)
+router.post(
+  '/:categoryId',
+  protect,
+  authorize('admin', 'manager'),
+  validate(schemas.createSubCategory),
+  createSubCategory
+)
 
 // @route   GET /api/subcategories
 // @desc    Get all subcategories
 // @access  Public
-router.get('/', getAllSubCategories)
+router.get(
+  '/',
+  validate(schemas.getAllSubCategories),
+  menuVersionContext,
+  getAllSubCategories
+)
 
 // @route   GET /api/subcategories/search?name=subcategoryName
 // @desc    Get subcategory by name
 // @access  Public
-router.get('/search', getSubCategoryByName)
+router.get(
+  '/search',
+  validate(schemas.getSubCategoryByName),
+  menuVersionContext,
+  getSubCategoryByName
+)
 
 // @route   GET /api/subcategories/category/:categoryId
 // @desc    Get all subcategories under a category
 // @access  Public
-router.get('/category/:categoryId', getSubCategoriesByCategory)
+router.get(
+  '/category/:categoryId',
+  validate(schemas.getSubCategoriesByCategory),
+  menuVersionContext,
+  getSubCategoriesByCategory
+)
+
+// @route   PUT /api/subcategories/category/:categoryId/reorder
+// @desc    Put the subcategories of a category in a new display order
+// @access  Private (admin, manager)
+router.put(
+  '/category/:categoryId/reorder',
+  protect,
+  authorize('admin', 'manager'),
+  validate(schemas.reorderSubCategories),
+  reorderSubCategories
+)
 
 // @route   GET /api/subcategories/:id
 // @desc    Get subcategory by ID
 // @access  Public
-router.get('/:id', getSubCategoryById)
+router.get(
+  '/:id',
+  validate(schemas.getSubCategoryById),
+  menuVersionContext,
+  getSubCategoryById
+)
 
 // @route   PUT /api/subcategories/:id
 // @desc    Update subcategory by ID
+// @access  Private (admin, manager)
+router.put(
+  '/:id',
+  protect,
+  authorize('admin', 'manager'),
+  validate(schemas.updateSubCategory),
+  updateSubCategory
+)
+
+// @route   GET /api/subcategories/:id/translations
+// @desc    Get the translations of a subcategory
 // @access  Public
-router.put('/:id', updateSubCategory)
+router.get(
+  '/:id/translations',
+  validate(schemas.getSubCategoryTranslations),
+  menuVersionContext,
+  getSubCategoryTranslations
+)
+
+// @route   PUT /api/subcategories/:id/translations/:lang
+// @desc    Add or replace the translation of a subcategory in one language
+// @access  Private (admin, manager)
+router.put(
+  '/:id/translations/:lang',
+  protect,
+  authorize('admin', 'manager'),
+  validate(schemas.setSubCategoryTranslation),
+  setSubCategoryTranslation
+)
+
+// @route   DELETE /api/subcategories/:id/translations/:lang
+// @desc    Remove the translation of a subcategory in one language
+// @access  Private (admin, manager)
+router.delete(
+  '/:id/translations/:lang',
+  protect,
+  authorize('admin', 'manager'),
+  validate(schemas.deleteSubCategoryTranslation),
+  deleteSubCategoryTranslation
+)
+
+// @route   PUT /api/subcategories/:id/image
+// @desc    Upload the image of a subcategory (multipart/form-data, field "image")
+// @access  Private (admin, manager)
+router.put(
+  '/:id/image',
+  protect,
+  authorize('admin', 'manager'),
+  validate(schemas.uploadSubCategoryImage),
+  uploadImage,
+  uploadSubCategoryImage
+)
+
+// @route   PATCH /api/subcategories/:id/sold-out
+// @desc    Mark every item under a subcategory sold out or available again
+// @access  Private (admin, manager, staff)
+router.patch(
+  '/:id/sold-out',
+  protect,
+  authorize('admin', 'manager', 'staff'),
+  validate(schemas.setSubCategorySoldOut),
+  setSubCategorySoldOut
+)
+
+// @route   DELETE /api/subcategories/:id
+// @desc    Soft delete subcategory by ID (policy: block | cascade | reassign)
+// @access  Private (admin, manager)
+router.delete(
+  '/:id',
+  protect,
+  authorize('admin', 'manager'),
+  validate(schemas.deleteSubCategory),
+  deleteSubCategory
+)
+
+// @route   POST /api/subcategories/:id/restore
+// @desc    Restore a soft deleted subcategory
+// @access  Private (admin, manager)
+router.post(
+  '/:id/restore',
+  protect,
+  authorize('admin', 'manager'),
+  validate(schemas.restoreSubCategory),
+  restoreSubCategory
+)
+
+// @route   DELETE /api/subcategories/:id/purge
+// @desc    Permanently remove a soft deleted subcategory
+// @access  Private (admin)
+router.delete(
+  '/:id/purge',
+  protect,
+  authorize('admin'),
+  validate(schemas.purgeSubCategory),
+  purgeSubCategory
+)
 
 module.exports = router
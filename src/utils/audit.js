@@ -0,0 +1,145 @@
+const AuditLog = require('../models/AuditLog')
+const { getContext } = require('./requestContext')
+
+/**
+ * Bookkeeping fields that are not part of a document's audited content
+ */
+const IGNORED_FIELDS = ['_id', '__v', 'tenant', 'createdAt', 'updatedAt']
+
+/**
+ * Item fields that make up its price, in timeline order
+ */
+const PRICE_FIELDS = [
+  'baseAmount',
+  'discount',
+  'totalAmount',
+  'taxApplicability',
+  'tax',
+  'taxType'
+]
+
+// Values are compared as stored, so ObjectIds and Dates compare by value
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b)
+
+/**
+ * Utility function to list the fields that differ between two versions of a document
+ * @param {object} [before] - Plain document before the change, missing for creates
+ * @param {object} [after] - Plain document after the change, missing for purges
+ * @returns {object[]} { field, from, to } for every changed field
+ */
+const diffDocuments = (before = {}, after = {}) =>
+  [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter(
+      (field) =>
+        !IGNORED_FIELDS.includes(field) && !isEqual(before[field], after[field])
+    )
+    .map((field) => ({
+      field,
+      ...(before[field] !== undefined && { from: before[field] }),
+      ...(after[field] !== undefined && { to: after[field] })
+    }))
+
+/**
+ * Utility function to name what a change did to a document
+ * Setting deletedAt is a (soft) delete and clearing it a restore.
+ *
+ * @param {object} [before] - Plain document before the change
+ * @param {object} [after] - Plain document after the change
+ * @returns {string} create, update, delete, restore or purge
+ */
+const getAuditAction = (before, after) => {
+  if (!before) return 'create'
+  if (!after) return 'purge'
+  if (!before.deletedAt && after.deletedAt) return 'delete'
+  if (before.deletedAt && !after.deletedAt) return 'restore'
+  return 'update'
+}
+
+/**
+ * Utility function to get the actor of the running request
+ * @returns {object|null} The signed-in user's ID, name, email and role
+ */
+const getActor = () => {
+  const { user } = getContext()
+  if (!user) return null
+
+  return {
+    user: user._id,
+    name: user.name,
+    email: user.email,
+    role: user.role
+  }
+}
+
+/**
+ * Utility function to write audit entries for changed documents
+ * Versions without any changed field are skipped.
+ *
+ * @param {string} entity - Model name
+ * @param {Array<object[]>} versions - [before, after] pairs of plain documents
+ * @param {ClientSession} [session] - Session of the change, so entries are written with it
+ * @returns {Promise<void>}
+ */
+const recordChanges = async (entity, versions, session) => {
+  const actor = getActor()
+
+  const entries = versions
+    .map(([before, after]) => ({
+      entity,
+      entityId: (before || after)._id,
+      action: getAuditAction(before, after),
+      actor,
+      changes: diffDocuments(before, after)
+    }))
+    .filter((entry) => entry.changes.length)
+
+  if (entries.length) {
+    await AuditLog.insertMany(entries, { session })
+  }
+}
+
+/**
+ * Utility function to build the price timeline of an item from its audit entries
+ * Starts from the item's current price and walks back through the entries, so
+ * items created before auditing started get a timeline from then on.
+ *
+ * @param {object} item - The item as it is now
+ * @param {object[]} entries - The item's audit entries, oldest first
+ * @returns {object[]} The price after every change that touched it, oldest first
+ */
+const buildPriceTimeline = (item, entries) => {
+  let price = Object.fromEntries(
+    PRICE_FIELDS.map((field) => [field, item[field]])
+  )
+  const timeline = []
+
+  for (const entry of [...entries].reverse()) {
+    const changes = entry.changes.filter((change) =>
+      PRICE_FIELDS.includes(change.field)
+    )
+    if (!changes.length) continue
+
+    timeline.unshift({
+      at: entry.createdAt,
+      action: entry.action,
+      actor: entry.actor,
+      ...price
+    })
+
+    price = { ...price }
+    changes.forEach((change) => {
+      price[change.field] = change.from
+    })
+  }
+
+  return timeline
+}
+
+module.exports = {
+  PRICE_FIELDS,
+  diffDocuments,
+  getAuditAction,
+  getActor,
+  recordChanges,
+  buildPriceTimeline
+}
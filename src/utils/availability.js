@@ -0,0 +1,276 @@
+const { DAYS } = require('../models/plugins/availability')
+const { createError } = require('./helpers')
+const { getMenuModels } = require('./menuVersions')
+
+/**
+ * Levels an item's schedule can come from, nearest first
+ */
+const AVAILABILITY_SOURCES = ['item', 'subcategory', 'category']
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const getDefaultTimeZone = () => process.env.RESTAURANT_TIMEZONE || 'UTC'
+
+/**
+ * Utility function to parse an availableAt query parameter
+ * @param {string} value - ISO date/time or `now`
+ * @returns {Date} The moment to check availability at
+ */
+const parseAvailableAt = (value) => {
+  const date = value === 'now' ? new Date() : new Date(value)
+  if (Number.isNaN(date.getTime())) {
+    throw createError('availableAt must be a valid date or now')
+  }
+  return date
+}
+
+/**
+ * Read the weekday and wall clock of a moment in a timezone
+ */
+const readClock = (date, timeZone) =>
+  Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23'
+    })
+      .formatToParts(date)
+      .map(({ type, value }) => [type, value])
+  )
+
+/**
+ * Utility function to read the weekday and time of a moment in the restaurant timezone
+ * @param {Date} date - The moment
+ * @param {string} [timeZone] - IANA timezone, RESTAURANT_TIMEZONE (or UTC) by default
+ * @returns {object} day and previousDay (sun-sat) and time (HH:mm)
+ */
+const getRestaurantTime = (date, timeZone = getDefaultTimeZone()) => {
+  const parts = readClock(date, timeZone)
+  const index = DAYS.indexOf(parts.weekday.toLowerCase())
+
+  return {
+    day: DAYS[index],
+    previousDay: DAYS[(index + DAYS.length - 1) % DAYS.length],
+    time: `${parts.hour}:${parts.minute}`
+  }
+}
+
+/**
+ * Utility function to find the next midnight in the restaurant timezone
+ * @param {Date} date - The moment
+ * @param {string} [timeZone] - IANA timezone, RESTAURANT_TIMEZONE (or UTC) by default
+ * @returns {Date} The start of the following restaurant day
+ */
+const getNextRestaurantDay = (date, timeZone = getDefaultTimeZone()) => {
+  const sinceMidnight = (moment) => {
+    const { hour, minute, second } = readClock(moment, timeZone)
+    return (
+      ((Number(hour) * 60 + Number(minute)) * 60 + Number(second)) * 1000 +
+      moment.getUTCMilliseconds()
+    )
+  }
+
+  const guess = new Date(date.getTime() + DAY_MS - sinceMidnight(date))
+  // Across a daylight saving change the guess is off by the shift
+  const drift = sinceMidnight(guess)
+  return new Date(
+    guess.getTime() - (drift > DAY_MS / 2 ? drift - DAY_MS : drift)
+  )
+}
+
+/**
+ * Utility function to check whether a document sets its own schedule
+ * @param {object} doc - Item, subcategory or category
+ * @returns {boolean} Whether the document has at least one availability window
+ */
+const hasOwnSchedule = (doc) =>
+  Boolean(doc) && Array.isArray(doc.availability) && doc.availability.length > 0
+
+/**
+ * Utility function to check a single window against a restaurant time
+ * A window that ends before it starts runs past midnight: the evening belongs
+ * to its days and the early hours to the days after.
+ */
+const isWithinWindow = ({ days, start, end }, { day, previousDay, time }) => {
+  if (start < end) {
+    return days.includes(day) && start <= time && time < end
+  }
+
+  return (
+    (days.includes(day) && start <= time) ||
+    (days.includes(previousDay) && time < end)
+  )
+}
+
+/**
+ * Utility function to resolve the schedule that applies to an item
+ * Walks item → subcategory → category and uses the first level with a schedule
+ *
+ * @param {object} item - The item
+ * @param {object} [subCategory] - The item's subcategory, if any
+ * @param {object} [category] - The item's category (or the subcategory's category)
+ * @returns {object} The availability windows (null when always available) and the source level
+ */
+const resolveAvailability = (item, subCategory, category) => {
+  const levels = [item, subCategory, category]
+  const index = levels.findIndex(hasOwnSchedule)
+
+  return index === -1
+    ? { availability: null, source: null }
+    : {
+        availability: levels[index].availability,
+        source: AVAILABILITY_SOURCES[index]
+      }
+}
+
+/**
+ * Utility function to check whether a document is available at a moment
+ * The nearest level with a schedule decides; without any schedule the
+ * document is always available.
+ *
+ * @param {object[]} levels - The document followed by its parents, nearest first
+ * @param {Date} date - The moment
+ * @returns {boolean} Whether the document can be ordered at that moment
+ */
+const isAvailableAt = (levels, date) => {
+  const owner = levels.find(hasOwnSchedule)
+  if (!owner) return true
+
+  const restaurantTime = getRestaurantTime(date)
+  return owner.availability.some((window) =>
+    isWithinWindow(window, restaurantTime)
+  )
+}
+
+// Documents without a schedule of their own follow their parent
+const NO_OWN_SCHEDULE = { 'availability.0': { $exists: false } }
+
+/**
+ * Build the Mongo condition that matches documents whose own schedule is
+ * open at a restaurant time, mirroring isWithinWindow
+ */
+const ownScheduleOpen = ({ day, previousDay, time }) => ({
+  $expr: {
+    $anyElementTrue: [
+      {
+        $map: {
+          input: { $ifNull: ['$availability', []] },
+          as: 'window',
+          in: {
+            $cond: [
+              { $lt: ['$$window.start', '$$window.end'] },
+              {
+                $and: [
+                  { $in: [day, '$$window.days'] },
+                  { $lte: ['$$window.start', time] },
+                  { $gt: ['$$window.end', time] }
+                ]
+              },
+              {
+                $or: [
+                  {
+                    $and: [
+                      { $in: [day, '$$window.days'] },
+                      { $lte: ['$$window.start', time] }
+                    ]
+                  },
+                  {
+                    $and: [
+                      { $in: [previousDay, '$$window.days'] },
+                      { $gt: ['$$window.end', time] }
+                    ]
+                  }
+                ]
+              }
+            ]
+          }
+        }
+      }
+    ]
+  }
+})
+
+/**
+ * Utility function to build the list filter for an availableAt query parameter
+ * Parents are resolved first so documents without a schedule follow them.
+ *
+ * @param {string} level - category, subCategory or item
+ * @param {string} [availableAt] - ISO date/time or `now`; no filter when omitted
+ * @returns {Promise<object>} Mongo filter to merge into the list filter
+ */
+const buildAvailabilityFilter = async (level, availableAt) => {
+  if (availableAt === undefined) return {}
+
+  const restaurantTime = getRestaurantTime(parseAvailableAt(availableAt))
+  const open = ownScheduleOpen(restaurantTime)
+  const categoryFilter = { $or: [open, NO_OWN_SCHEDULE] }
+  if (level === 'category') return categoryFilter
+
+  const { Category, SubCategory } = getMenuModels()
+  const categoryIds = (await Category.find(categoryFilter).select('_id')).map(
+    (category) => category._id
+  )
+  const subCategoryFilter = {
+    $or: [open, { ...NO_OWN_SCHEDULE, categoryId: { $in: categoryIds } }]
+  }
+  if (level === 'subCategory') return subCategoryFilter
+
+  const subCategoryIds = (
+    await SubCategory.find(subCategoryFilter).select('_id')
+  ).map((subCategory) => subCategory._id)
+
+  return {
+    $or: [
+      open,
+      { ...NO_OWN_SCHEDULE, categoryId: { $in: categoryIds } },
+      { ...NO_OWN_SCHEDULE, subCategoryId: { $in: subCategoryIds } }
+    ]
+  }
+}
+
+/**
+ * Utility function to parse a schedule written as text (CSV import)
+ * Windows are separated by `|`, e.g. `mon,tue,wed 07:00-11:00|sat 08:00-12:00`
+ *
+ * @param {string} text - Schedule text
+ * @returns {object[]|string} The windows, or the text itself when it cannot be read
+ */
+const parseSchedule = (text) => {
+  const windows = text.split('|').map((part) => {
+    const match = part.trim().match(/^(\S+)\s+(\S+)-(\S+)$/)
+    return (
+      match && {
+        days: match[1].split(',').map((day) => day.trim().toLowerCase()),
+        start: match[2],
+        end: match[3]
+      }
+    )
+  })
+
+  return windows.every(Boolean) ? windows : text
+}
+
+/**
+ * Utility function to write a schedule as text, the reverse of parseSchedule
+ */
+const formatSchedule = (windows) =>
+  windows
+    .map(({ days, start, end }) => `${days.join(',')} ${start}-${end}`)
+    .join('|')
+
+module.exports = {
+  AVAILABILITY_SOURCES,
+  parseAvailableAt,
+  getRestaurantTime,
+  getNextRestaurantDay,
+  hasOwnSchedule,
+  isWithinWindow,
+  resolveAvailability,
+  isAvailableAt,
+  buildAvailabilityFilter,
+  parseSchedule,
+  formatSchedule
+}
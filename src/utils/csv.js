@@ -0,0 +1,78 @@
+const { createError } = require('./helpers')
+
+/**
+ * Utility function to parse CSV text into rows of cells
+ * Supports quoted cells, escaped quotes ("") and line breaks inside quotes
+ *
+ * @param {string} text - CSV text
+ * @returns {string[][]} Rows of raw cell values
+ */
+const parseCsv = (text) => {
+  const input = text.replace(/^\uFEFF/, '')
+  const rows = []
+  let row = []
+  let cell = ''
+  let quoted = false
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i]
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        cell += char
+      }
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === ',') {
+      row.push(cell)
+      cell = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++
+      row.push(cell)
+      rows.push(row)
+      row = []
+      cell = ''
+    } else {
+      cell += char
+    }
+  }
+
+  if (quoted) {
+    throw createError('CSV contains an unterminated quoted cell')
+  }
+
+  if (cell || row.length) {
+    row.push(cell)
+    rows.push(row)
+  }
+
+  return rows
+}
+
+/**
+ * Utility function to quote a CSV cell when it contains separators or quotes
+ */
+const formatCell = (value) => {
+  if (value === undefined || value === null) return ''
+
+  const text = String(value)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Utility function to build CSV text from rows of cells
+ * @param {Array[]} rows - Rows of cell values
+ * @returns {string} CSV text with CRLF line endings
+ */
+const toCsv = (rows) =>
+  rows.map((row) => row.map(formatCell).join(',')).join('\r\n') + '\r\n'
+
+module.exports = {
+  parseCsv,
+  toCsv
+}
@@ -0,0 +1,129 @@
+const { DIETARY_TAGS, ALLERGENS } = require('../models/plugins/dietary')
+const { parseList } = require('./helpers')
+const { getMenuModels } = require('./menuVersions')
+
+/**
+ * Query parameters that filter items on their dietary tags and allergens
+ * `include` keeps items with every value listed, `exclude` drops items with any.
+ */
+const DIETARY_FILTERS = {
+  dietaryTags: {
+    include: 'tags',
+    exclude: 'excludeTags',
+    vocabulary: DIETARY_TAGS
+  },
+  allergens: {
+    include: 'allergens',
+    exclude: 'excludeAllergens',
+    vocabulary: ALLERGENS
+  }
+}
+
+const DIETARY_FIELDS = Object.keys(DIETARY_FILTERS)
+
+/**
+ * Utility function to check whether a document sets its own list
+ * An empty list counts: it declares there are none.
+ */
+const hasOwnList = (doc, field) => Boolean(doc) && Array.isArray(doc[field])
+
+/**
+ * Utility function to resolve the dietary tags and allergens of an item
+ * Each list comes from the nearest level that sets it, walking
+ * item → subcategory → category.
+ *
+ * @param {object} item - The item
+ * @param {object} [subCategory] - The item's subcategory, if any
+ * @param {object} [category] - The item's category (or the subcategory's category)
+ * @returns {object} dietaryTags and allergens, empty when no level sets them
+ */
+const resolveDietary = (item, subCategory, category) =>
+  Object.fromEntries(
+    DIETARY_FIELDS.map((field) => {
+      const owner = [item, subCategory, category].find((level) =>
+        hasOwnList(level, field)
+      )
+      return [field, owner ? owner[field] : []]
+    })
+  )
+
+/**
+ * Utility function to read the dietary filters of a query
+ * @param {object} query - Request query
+ * @returns {object[]} field, include and exclude of every field filtered on
+ */
+const parseDietaryQuery = (query) =>
+  Object.entries(DIETARY_FILTERS)
+    .map(([field, { include, exclude }]) => ({
+      field,
+      include: parseList(query[include]),
+      exclude: parseList(query[exclude])
+    }))
+    .filter(({ include, exclude }) => include.length || exclude.length)
+
+/**
+ * Utility function to check resolved dietary lists against the filters of a query
+ * @param {object} dietary - dietaryTags and allergens from resolveDietary
+ * @param {object[]} criteria - Filters from parseDietaryQuery
+ * @returns {boolean} Whether the item is kept
+ */
+const matchesDietary = (dietary, criteria) =>
+  criteria.every(
+    ({ field, include, exclude }) =>
+      include.every((value) => dietary[field].includes(value)) &&
+      !exclude.some((value) => dietary[field].includes(value))
+  )
+
+const ids = async (query) => (await query.select('_id')).map((doc) => doc._id)
+
+/**
+ * Build the list filter of one field, mirroring resolveDietary
+ * Categories are the top level, so an unset list there counts as empty.
+ */
+const buildFieldFilter = async ({ field, include, exclude }) => {
+  const condition = {
+    ...(include.length && { $all: include }),
+    ...(exclude.length && { $nin: exclude })
+  }
+  const own = { [field]: { $ne: null, ...condition } }
+  const inherited = { [field]: null }
+  const { Category, SubCategory } = getMenuModels()
+
+  const categoryIds = await ids(Category.find({ [field]: condition }))
+  const subCategoryIds = await ids(
+    SubCategory.find({
+      $or: [own, { ...inherited, categoryId: { $in: categoryIds } }]
+    })
+  )
+
+  return {
+    $or: [
+      own,
+      { ...inherited, categoryId: { $in: categoryIds } },
+      { ...inherited, subCategoryId: { $in: subCategoryIds } }
+    ]
+  }
+}
+
+/**
+ * Utility function to build the item list filter for the dietary query parameters
+ * Parents are resolved first so items without their own lists follow them.
+ *
+ * @param {object} query - Request query with tags, excludeTags, allergens and excludeAllergens
+ * @returns {Promise<object>} Mongo filter to merge into the list filter
+ */
+const buildDietaryFilter = async (query) => {
+  const criteria = parseDietaryQuery(query)
+  if (!criteria.length) return {}
+
+  return { $and: await Promise.all(criteria.map(buildFieldFilter)) }
+}
+
+module.exports = {
+  DIETARY_FILTERS,
+  DIETARY_FIELDS,
+  resolveDietary,
+  parseDietaryQuery,
+  matchesDietary,
+  buildDietaryFilter
+}
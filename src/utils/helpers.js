@@ -1,25 +1,27 @@
+const isMinorAmount = (amount) => Number.isSafeInteger(amount) && amount >= 0
+
 /**
  * Utility function to calculate total amount for items
- * Total Amount = Base Amount - Discount
+ * Total Amount = Base Amount - Discount, in whole minor units
  *
  * @param {number} baseAmount - The base price of the item
  * @param {number} discount - The discount amount (default: 0)
  * @returns {number} The calculated total amount
  */
 const calculateTotal = (baseAmount, discount = 0) => {
-  if (typeof baseAmount !== 'number' || baseAmount < 0) {
-    throw new Error('Base amount must be a non-negative number')
+  if (!isMinorAmount(baseAmount)) {
+    throw new Error('Base amount must be a non-negative whole number')
   }
 
-  if (typeof discount !== 'number' || discount < 0) {
-    throw new Error('Discount must be a non-negative number')
+  if (!isMinorAmount(discount)) {
+    throw new Error('Discount must be a non-negative whole number')
   }
 
   if (discount > baseAmount) {
     throw new Error('Discount cannot be greater than base amount')
   }
 
-  return Number((baseAmount - discount).toFixed(2))
+  return baseAmount - discount
 }
 
 /**
@@ -42,9 +44,35 @@ const validateTax = (taxApplicability, tax, taxType) => {
     return false
   }
 
+  // Fixed tax is money, so it is kept in whole minor units
+  if (taxType === 'fixed' && !Number.isSafeInteger(tax)) {
+    return false
+  }
+
   return true
 }
 
+// Update validators run against the query, which has no taxType to check with
+const taxTypeOf = (doc) => (doc ? doc.taxType : undefined)
+
+/**
+ * Mongoose validators for the tax field of documents that also have taxType
+ */
+const TAX_VALIDATORS = [
+  {
+    validator: function (tax) {
+      return taxTypeOf(this) !== 'percentage' || tax <= 100
+    },
+    message: 'Tax cannot exceed 100%'
+  },
+  {
+    validator: function (tax) {
+      return taxTypeOf(this) !== 'fixed' || Number.isSafeInteger(tax)
+    },
+    message: 'Fixed tax must be a whole number of minor units'
+  }
+]
+
 /**
  * Utility function to format error responses
  * @param {string} message - Error message
@@ -57,8 +85,82 @@ const createError = (message, statusCode = 400) => {
   return error
 }
 
+/**
+ * Utility function to turn a Mongoose ValidationError into field-level errors
+ * Uses the same shape as the request validation middleware
+ *
+ * @param {Error} error - Mongoose ValidationError
+ * @returns {object[]} Errors with location, field, code and message
+ */
+const formatMongooseErrors = (error) =>
+  Object.values(error.errors || {}).map((fieldError) => ({
+    location: 'body',
+    field: fieldError.path,
+    code: fieldError.kind,
+    message: fieldError.message
+  }))
+
+/**
+ * Utility function to build a case-insensitive "contains" condition from user input
+ * Regex metacharacters are escaped, so the text is matched literally and
+ * cannot inject a pattern or cause catastrophic backtracking.
+ *
+ * @param {string} text - Text to look for
+ * @returns {object} Mongo $regex condition
+ */
+const containsText = (text) => ({
+  $regex: String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'),
+  $options: 'i'
+})
+
+/**
+ * Utility function to read a comma separated query parameter
+ * @param {string} [value] - e.g. "peanut, dairy"
+ * @returns {string[]} Trimmed, lower case values without empty ones
+ */
+const parseList = (value = '') =>
+  String(value)
+    .split(',')
+    .map((entry) => entry.trim().toLowerCase())
+    .filter(Boolean)
+
+/**
+ * Policies accepted by the delete endpoints for handling child documents
+ * - block: refuse to delete while active children exist
+ * - cascade: soft delete the children together with the parent
+ * - reassign: move the children to another parent before deleting
+ */
+const DELETE_POLICIES = ['block', 'cascade', 'reassign']
+
+/**
+ * Utility function to read the delete policy from a request query
+ * @param {object} query - Request query containing policy and reassignTo
+ * @returns {object} The policy and the optional reassignment target ID
+ */
+const getDeletePolicy = (query = {}) => {
+  const { policy = 'block', reassignTo } = query
+
+  if (!DELETE_POLICIES.includes(policy)) {
+    throw createError(
+      `Delete policy must be one of: ${DELETE_POLICIES.join(', ')}`
+    )
+  }
+
+  if (policy === 'reassign' && !reassignTo) {
+    throw createError('reassignTo is required when policy is reassign')
+  }
+
+  return { policy, reassignTo }
+}
+
 module.exports = {
   calculateTotal,
   validateTax,
-  createError
+  TAX_VALIDATORS,
+  createError,
+  formatMongooseErrors,
+  containsText,
+  parseList,
+  DELETE_POLICIES,
+  getDeletePolicy
 }
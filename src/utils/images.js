@@ -0,0 +1,256 @@
+const crypto = require('crypto')
+const sharp = require('sharp')
+const { createError } = require('./helpers')
+const { getStorage } = require('./storage')
+const MenuVersion = require('../models/MenuVersion')
+
+/**
+ * Content types accepted for uploaded images, with their sharp format
+ */
+const IMAGE_TYPES = {
+  'image/jpeg': 'jpeg',
+  'image/png': 'png',
+  'image/webp': 'webp'
+}
+
+const EXTENSIONS = { jpeg: 'jpg', png: 'png', webp: 'webp' }
+
+/**
+ * Resized copies made of every upload, by the longest side in pixels
+ * Smaller images are not enlarged.
+ */
+const IMAGE_VARIANTS = {
+  thumbnail: 200,
+  medium: 640,
+  large: 1280
+}
+
+/**
+ * Variant an upload sets as the document's image URL
+ */
+const DISPLAY_VARIANT = 'large'
+
+/**
+ * Largest image accepted, in pixels, so a small file cannot decode into a huge one
+ */
+const MAX_IMAGE_PIXELS = 40000000
+
+const DEFAULT_MAX_IMAGE_SIZE = 5 * 1024 * 1024
+
+/**
+ * Utility function to get the largest image file accepted
+ * @returns {number} The MAX_IMAGE_SIZE setting in bytes, 5 MB by default
+ */
+const getMaxImageSize = () => {
+  if (!process.env.MAX_IMAGE_SIZE) return DEFAULT_MAX_IMAGE_SIZE
+
+  const size = Number(process.env.MAX_IMAGE_SIZE)
+  if (!Number.isInteger(size) || size <= 0) {
+    throw new Error('MAX_IMAGE_SIZE must be a whole number of bytes')
+  }
+  return size
+}
+
+const openImage = (buffer) =>
+  sharp(buffer, { limitInputPixels: MAX_IMAGE_PIXELS }).rotate()
+
+// Copies are turned upright and keep none of the upload's metadata, such as
+// the GPS position a camera records
+const encodeImage = (buffer, format, resize) => {
+  const image = openImage(buffer)
+  if (resize) image.resize(resize)
+  return image.toFormat(format).toBuffer({ resolveWithObject: true })
+}
+
+/**
+ * Utility function to read an uploaded image and make its resized variants
+ * The type is taken from the file's content, not from what the client declared.
+ * The original is encoded again, so no copy keeps the upload's metadata.
+ *
+ * @param {Buffer} buffer - Uploaded file
+ * @returns {Promise<object>} format, contentType, data, width, height and size
+ * of the original, and data, width, height and size of every IMAGE_VARIANTS entry
+ * @throws {Error} 415 error for a file that is not a JPEG, PNG or WebP image
+ */
+const processImage = async (buffer) => {
+  let metadata
+  try {
+    metadata = await openImage(buffer).metadata()
+  } catch (error) {
+    throw createError('The file is not a readable image', 415)
+  }
+
+  const contentType = Object.keys(IMAGE_TYPES).find(
+    (type) => IMAGE_TYPES[type] === metadata.format
+  )
+  if (!contentType) {
+    throw createError(
+      `Images must be one of: ${Object.keys(IMAGE_TYPES).join(', ')}`,
+      415
+    )
+  }
+
+  const original = await encodeImage(buffer, metadata.format)
+  const variants = await Promise.all(
+    Object.entries(IMAGE_VARIANTS).map(async ([name, size]) => {
+      const { data, info } = await encodeImage(buffer, metadata.format, {
+        width: size,
+        height: size,
+        fit: 'inside',
+        withoutEnlargement: true
+      })
+
+      return {
+        name,
+        data,
+        width: info.width,
+        height: info.height,
+        size: info.size
+      }
+    })
+  )
+
+  return {
+    format: metadata.format,
+    contentType,
+    data: original.data,
+    width: original.info.width,
+    height: original.info.height,
+    size: original.info.size,
+    variants
+  }
+}
+
+/**
+ * Utility function to remove the files of a stored image
+ * Removal is best effort: the documents pointing at the files have already
+ * changed, so a file that cannot be removed is left behind.
+ *
+ * @param {object} [metadata] - imageMetadata of a document
+ */
+const removeStoredImage = async (metadata) => {
+  if (!metadata || !metadata.key) return
+
+  const keys = [
+    metadata.key,
+    ...(metadata.variants || []).map((variant) => variant.key)
+  ]
+  await Promise.allSettled(
+    keys.map(async (key) => getStorage(metadata.storage).remove(key))
+  )
+}
+
+/**
+ * Utility function to remove the files of an image a document stopped showing
+ * Files still shown by a published menu version are kept, so the version can
+ * be served and rolled back to.
+ *
+ * @param {object} [metadata] - imageMetadata the document had
+ */
+const releaseImage = async (metadata) => {
+  if (!metadata || !metadata.key) return
+  if (await MenuVersion.referencesImage(metadata.key)) return
+  await removeStoredImage(metadata)
+}
+
+/**
+ * Utility function to store an uploaded image of a document
+ * The original and its variants are saved under
+ * <tenant>/<folder>/<document id>/, with a new name on every upload. The
+ * image URL shows the DISPLAY_VARIANT.
+ *
+ * @param {object} doc - Category, subcategory or item document
+ * @param {string} folder - Folder of the document type, e.g. items
+ * @param {object} file - Uploaded file with buffer
+ * @returns {Promise<object>} image URL and imageMetadata to set on the document
+ */
+const storeImage = async (doc, folder, file) => {
+  const processed = await processImage(file.buffer)
+  const storage = getStorage()
+  const extension = EXTENSIONS[processed.format]
+  const base = `${doc.tenant}/${folder}/${doc._id}/${crypto.randomUUID()}`
+
+  const files = [
+    { key: `${base}.${extension}`, data: processed.data },
+    ...processed.variants.map((variant) => ({
+      ...variant,
+      key: `${base}-${variant.name}.${extension}`
+    }))
+  ]
+
+  const saved = await Promise.allSettled(
+    files.map((entry) =>
+      storage.save(entry.key, entry.data, processed.contentType)
+    )
+  )
+  const failed = saved.find(({ status }) => status === 'rejected')
+  if (failed) {
+    await Promise.allSettled(files.map(({ key }) => storage.remove(key)))
+    throw failed.reason
+  }
+
+  const [original, ...variants] = files.map((entry, index) => ({
+    ...entry,
+    url: saved[index].value
+  }))
+
+  return {
+    image: variants.find(({ name }) => name === DISPLAY_VARIANT).url,
+    imageMetadata: {
+      storage: storage.name,
+      key: original.key,
+      contentType: processed.contentType,
+      size: processed.size,
+      width: processed.width,
+      height: processed.height,
+      variants: variants.map(({ name, key, url, width, height, size }) => ({
+        name,
+        key,
+        url,
+        width,
+        height,
+        size
+      })),
+      uploadedAt: new Date()
+    }
+  }
+}
+
+/**
+ * Utility function to replace the image of a document with an upload
+ * The files of the previous upload are released once the document is saved;
+ * the new files are removed again if it cannot be.
+ *
+ * @param {object} doc - Category, subcategory or item document
+ * @param {string} folder - Folder of the document type, e.g. items
+ * @param {object} file - Uploaded file with buffer
+ * @returns {Promise<object>} The saved document
+ */
+const replaceImage = async (doc, folder, file) => {
+  const previous = doc.imageMetadata && doc.imageMetadata.toObject()
+  const stored = await storeImage(doc, folder, file)
+
+  doc.set(stored)
+  try {
+    await doc.save()
+  } catch (error) {
+    await removeStoredImage(stored.imageMetadata)
+    throw error
+  }
+
+  await releaseImage(previous)
+  return doc
+}
+
+module.exports = {
+  IMAGE_TYPES,
+  IMAGE_VARIANTS,
+  DISPLAY_VARIANT,
+  MAX_IMAGE_PIXELS,
+  getMaxImageSize,
+  processImage,
+  storeImage,
+  removeStoredImage,
+  releaseImage,
+  replaceImage
+}
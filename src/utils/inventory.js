@@ -0,0 +1,46 @@
+const { getNextRestaurantDay } = require('./availability')
+
+/**
+ * Utility function to check whether an item is sold out
+ * An item is sold out while it is marked sold out or its tracked stock is used up.
+ *
+ * @param {object} item - Item with soldOutUntil and stock
+ * @param {Date} [date] - The moment to check, now by default
+ * @returns {boolean} Whether the item cannot be sold
+ */
+const isSoldOut = (item, date = new Date()) =>
+  Boolean(item.soldOutUntil && new Date(item.soldOutUntil) > date) ||
+  item.stock === 0
+
+/**
+ * Utility function to build the Mongo condition for items that can be sold
+ * @param {Date} [date] - The moment to check, now by default
+ * @returns {object} Filter matching items that are not sold out
+ */
+const buildInStockFilter = (date = new Date()) => ({
+  $nor: [{ soldOutUntil: { $gt: date } }, { stock: 0 }]
+})
+
+/**
+ * Utility function to build the update that marks items sold out or available
+ * Sold out items come back at the start of the next restaurant day unless a
+ * time is given.
+ *
+ * @param {object} options
+ * @param {boolean} options.soldOut - Mark sold out (true) or available again (false)
+ * @param {string|Date} [options.until] - When the item comes back
+ * @returns {object} Update setting soldOutUntil
+ */
+const buildSoldOutUpdate = ({ soldOut, until }) => ({
+  soldOutUntil: soldOut
+    ? until
+      ? new Date(until)
+      : getNextRestaurantDay(new Date())
+    : null
+})
+
+module.exports = {
+  isSoldOut,
+  buildInStockFilter,
+  buildSoldOutUpdate
+}
@@ -0,0 +1,138 @@
+const { toCsv } = require('./csv')
+const { MENU_CSV_COLUMNS, MODIFIER_GROUP_SEPARATOR } = require('./menuImport')
+const { formatSchedule } = require('./availability')
+
+/**
+ * Tax fields to export; inherited tax is left out so it is inherited again on import
+ */
+const exportTax = (doc) => {
+  if (
+    doc.taxInherited ||
+    doc.taxApplicability === undefined ||
+    doc.taxApplicability === null
+  ) {
+    return {}
+  }
+
+  return doc.taxApplicability
+    ? { taxApplicability: true, tax: doc.tax, taxType: doc.taxType }
+    : { taxApplicability: false }
+}
+
+// Modifier groups are exported by name, like parents; dietary lists are
+// exported when set, even empty, so they are not inherited on import
+const exportContent = ({
+  name,
+  image,
+  description,
+  modifierGroups = [],
+  availability,
+  dietaryTags,
+  allergens
+}) => ({
+  name,
+  image,
+  description,
+  ...(modifierGroups.length && {
+    modifierGroups: modifierGroups.map((group) => group.name)
+  }),
+  ...(availability &&
+    availability.length && {
+      availability: availability.map(({ days, start, end }) => ({
+        days,
+        start,
+        end
+      }))
+    }),
+  ...(dietaryTags && { dietaryTags }),
+  ...(allergens && { allergens })
+})
+
+// Items with variants are priced by their variants only
+const exportItem = (item) => ({
+  ...exportContent(item),
+  ...exportTax(item),
+  ...(item.variants && item.variants.length
+    ? {
+        variants: item.variants.map(
+          ({ name, baseAmount, discount, isDefault }) => ({
+            name,
+            baseAmount,
+            discount,
+            isDefault
+          })
+        )
+      }
+    : { baseAmount: item.baseAmount, discount: item.discount })
+})
+
+/**
+ * Utility function to turn a menu tree into the nested JSON import format
+ * @param {object[]} categories - Categories with subCategories and items
+ * @returns {object} { categories } ready to be imported again
+ */
+const serializeMenu = (categories) => ({
+  categories: categories.map((category) => ({
+    ...exportContent(category),
+    ...exportTax(category),
+    subCategories: category.subCategories.map((subCategory) => ({
+      ...exportContent(subCategory),
+      ...exportTax(subCategory),
+      items: subCategory.items.map(exportItem)
+    })),
+    items: category.items.map(exportItem)
+  }))
+})
+
+/**
+ * Utility function to turn a menu tree into the flat CSV import format
+ * @param {object[]} categories - Categories with subCategories and items
+ * @returns {string} CSV text with a header row
+ */
+const menuToCsv = (categories) => {
+  const rows = [MENU_CSV_COLUMNS]
+  const addRow = ({ availability, ...fields }) =>
+    rows.push(
+      MENU_CSV_COLUMNS.map((column) => {
+        if (column === 'availability') {
+          return availability && formatSchedule(availability)
+        }
+        return Array.isArray(fields[column])
+          ? fields[column].join(MODIFIER_GROUP_SEPARATOR)
+          : fields[column]
+      })
+    )
+
+  // Variants follow their item as variant rows
+  const addItem = ({ variants = [], ...item }, parents) => {
+    addRow({ type: 'item', ...parents, ...item })
+    variants.forEach((variant) =>
+      addRow({ type: 'variant', ...parents, item: item.name, ...variant })
+    )
+  }
+
+  serializeMenu(categories).categories.forEach(
+    ({ subCategories, items, ...category }) => {
+      addRow({ type: 'category', ...category })
+
+      subCategories.forEach(({ items: subItems, ...subCategory }) => {
+        addRow({ type: 'subcategory', category: category.name, ...subCategory })
+        subItems.forEach((item) =>
+          addItem(item, {
+            category: category.name,
+            subCategory: subCategory.name
+          })
+        )
+      })
+
+      items.forEach((item) => addItem(item, { category: category.name }))
+    }
+  )
+
+  return toCsv(rows)
+}
+
+module.exports = {
+  serializeMenu,
+  menuToCsv
+}
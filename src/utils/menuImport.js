@@ -0,0 +1,709 @@
+const Category = require('../models/Category')
+const SubCategory = require('../models/SubCategory')
+const Item = require('../models/Item')
+const ModifierGroup = require('../models/ModifierGroup')
+const { calculateTotal, createError } = require('./helpers')
+const { parseCsv } = require('./csv')
+const { pickTax } = require('./taxInheritance')
+const { applyVariants } = require('./variants')
+const { parseSchedule } = require('./availability')
+const { VALIDATION_OPTIONS, variantList } = require('../validators/common')
+const { importRows } = require('../validators/menuValidator')
+
+/**
+ * Columns of the flat CSV menu format, one row per category, subcategory, item
+ * or item variant. Variant rows name their item in the item column,
+ * modifier group names, dietary tags and allergens are separated by
+ * MODIFIER_GROUP_SEPARATOR and availability is written like
+ * `mon,tue 07:00-11:00|sat 08:00-12:00`.
+ */
+const MENU_CSV_COLUMNS = [
+  'type',
+  'category',
+  'subCategory',
+  'item',
+  'name',
+  'image',
+  'description',
+  'taxApplicability',
+  'tax',
+  'taxType',
+  'baseAmount',
+  'discount',
+  'isDefault',
+  'modifierGroups',
+  'availability',
+  'dietaryTags',
+  'allergens'
+]
+
+const MODIFIER_GROUP_SEPARATOR = '|'
+
+const ROW_TYPES = Object.keys(importRows)
+
+const isObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value)
+
+const trimmed = (value) =>
+  typeof value === 'string' && value.trim() ? value.trim() : undefined
+
+/**
+ * Utility function to flatten a nested JSON menu into import rows
+ * Accepts the shape produced by the JSON export:
+ * { categories: [{ ..., subCategories: [{ ..., items }], items }] }
+ *
+ * @param {object} body - Request body
+ * @returns {object[]} Rows with a JSON path, type and fields
+ */
+const parseMenuJson = (body) => {
+  if (!isObject(body) || !Array.isArray(body.categories)) {
+    throw createError('Request body must contain a categories array')
+  }
+
+  const rows = []
+
+  // Child lists must be arrays; anything else is reported against the parent row
+  const childList = (parent, key, path) => {
+    if (parent[key] === undefined) return []
+    if (Array.isArray(parent[key])) return parent[key]
+
+    rows.push({
+      row: path,
+      error: { field: key, message: `${key} must be an array` }
+    })
+    return []
+  }
+
+  const addRow = (row, type, value, parents) => {
+    if (!isObject(value)) {
+      rows.push({
+        row,
+        type,
+        error: { field: type, message: `${type} must be an object` }
+      })
+      return false
+    }
+
+    rows.push({ row, type, data: { ...value, ...parents } })
+    return true
+  }
+
+  const addItems = (parent, path, parents) =>
+    childList(parent, 'items', path).forEach((item, index) => {
+      addRow(`${path}.items[${index}]`, 'item', item, parents)
+    })
+
+  body.categories.forEach((entry, index) => {
+    const path = `categories[${index}]`
+    if (!isObject(entry)) {
+      addRow(path, 'category', entry)
+      return
+    }
+
+    const { subCategories, items, ...category } = entry
+    addRow(path, 'category', category)
+    const categoryName = trimmed(category.name)
+
+    childList(entry, 'subCategories', path).forEach((subEntry, subIndex) => {
+      const subPath = `${path}.subCategories[${subIndex}]`
+      if (!isObject(subEntry)) {
+        addRow(subPath, 'subcategory', subEntry)
+        return
+      }
+
+      const { items: subItems, ...subCategory } = subEntry
+      addRow(subPath, 'subcategory', subCategory, { category: categoryName })
+      addItems(subEntry, subPath, {
+        category: categoryName,
+        subCategory: trimmed(subCategory.name)
+      })
+    })
+
+    addItems(entry, path, { category: categoryName })
+  })
+
+  return rows
+}
+
+/**
+ * Utility function to turn a flat CSV menu into import rows
+ * Row numbers count the header as row 1 so they match spreadsheet numbering
+ *
+ * @param {string} text - CSV text with a header row
+ * @returns {object[]} Rows with a row number, type and fields
+ */
+const parseMenuCsv = (text) => {
+  if (typeof text !== 'string' || !text.trim()) {
+    throw createError('CSV body is required')
+  }
+
+  const [header, ...records] = parseCsv(text)
+  const columns = header.map((column) => column.trim())
+
+  const unknown = columns.filter((column) => !MENU_CSV_COLUMNS.includes(column))
+  if (unknown.length) {
+    throw createError(
+      `Unknown CSV columns: ${unknown.join(', ')}. Expected: ${MENU_CSV_COLUMNS.join(', ')}`
+    )
+  }
+  if (!columns.includes('type')) {
+    throw createError('CSV must have a type column')
+  }
+
+  const rows = []
+  records.forEach((cells, index) => {
+    if (cells.every((cell) => !cell.trim())) return
+
+    // Empty cells are treated as omitted fields
+    const data = {}
+    columns.forEach((column, position) => {
+      const value = (cells[position] || '').trim()
+      if (value) data[column] = value
+    })
+
+    ;['modifierGroups', 'dietaryTags', 'allergens'].forEach((column) => {
+      if (data[column]) {
+        data[column] = data[column]
+          .split(MODIFIER_GROUP_SEPARATOR)
+          .map((name) => name.trim())
+      }
+    })
+    if (data.availability) {
+      data.availability = parseSchedule(data.availability)
+    }
+
+    const { type, ...fields } = data
+    rows.push({
+      row: index + 2,
+      type: type && type.toLowerCase(),
+      data: fields
+    })
+  })
+
+  return rows
+}
+
+const subCategoryKey = (category, name) => JSON.stringify([category, name])
+
+/**
+ * Utility function to validate import rows and resolve parents by name
+ * Every problem is reported up front; nothing is written.
+ *
+ * Parents can be rows of the same import or live documents in the database.
+ * Names already taken by live documents in the database are reported as
+ * duplicates; names of soft deleted documents can be reused.
+ *
+ * @param {object[]} rows - Rows from parseMenuJson or parseMenuCsv
+ * @returns {object} The plan to apply and the row-level errors
+ */
+const planImport = async (rows) => {
+  const errors = []
+  const report = (row, field, code, message) =>
+    errors.push({ row, field, code, message })
+
+  const checked = rows.map(({ row, type, data = {}, error }) => {
+    if (error) {
+      report(row, error.field, 'structure.invalid', error.message)
+      return { row, type, data, valid: false }
+    }
+
+    if (!ROW_TYPES.includes(type)) {
+      report(
+        row,
+        'type',
+        'type.invalid',
+        `type must be one of: ${ROW_TYPES.join(', ')}`
+      )
+      return { row, type, data, valid: false }
+    }
+
+    const { error: joiError, value } = importRows[type].validate(
+      data,
+      VALIDATION_OPTIONS
+    )
+    if (joiError) {
+      joiError.details.forEach((detail) =>
+        report(row, detail.path.join('.'), detail.type, detail.message)
+      )
+      return { row, type, data, valid: false }
+    }
+
+    return { row, type, data: value, valid: true }
+  })
+
+  // Modifier groups are not imported; the named groups must already exist
+  const groupNames = [
+    ...new Set(
+      checked.flatMap(({ data, valid }) => (valid && data.modifierGroups) || [])
+    )
+  ]
+  const existingGroups = groupNames.length
+    ? await ModifierGroup.find({ name: { $in: groupNames } })
+    : []
+  const groupIdsByName = new Map(
+    existingGroups.map((group) => [group.name, group._id])
+  )
+
+  checked.forEach((entry) => {
+    if (!entry.valid || !entry.data.modifierGroups) return
+
+    const missing = entry.data.modifierGroups.filter(
+      (name) => !groupIdsByName.has(name)
+    )
+    missing.forEach((name) =>
+      report(
+        entry.row,
+        'modifierGroups',
+        'reference.missing',
+        `Modifier group "${name}" not found`
+      )
+    )
+
+    if (missing.length) {
+      entry.valid = false
+    } else {
+      entry.data.modifierGroups = entry.data.modifierGroups.map((name) =>
+        groupIdsByName.get(name)
+      )
+    }
+  })
+
+  const ofType = (type) => checked.filter((entry) => entry.type === type)
+
+  // Load every existing document the rows could clash with or refer to
+  const categoryNames = [
+    ...new Set(
+      checked
+        .map(({ type, data }) =>
+          trimmed(type === 'category' ? data.name : data.category)
+        )
+        .filter(Boolean)
+    )
+  ]
+  const existingCategories = await Category.find({
+    name: { $in: categoryNames }
+  })
+  const categoriesByName = new Map(
+    existingCategories.map((category) => [category.name, category])
+  )
+
+  const existingSubCategories = await SubCategory.find({
+    categoryId: { $in: existingCategories.map((category) => category._id) }
+  })
+  const categoryNamesById = new Map(
+    existingCategories.map((category) => [String(category._id), category.name])
+  )
+  const subCategoriesByKey = new Map(
+    existingSubCategories.map((subCategory) => [
+      subCategoryKey(
+        categoryNamesById.get(String(subCategory.categoryId)),
+        subCategory.name
+      ),
+      subCategory
+    ])
+  )
+
+  const existingItems = await Item.find({
+    $or: [
+      {
+        categoryId: {
+          $in: existingCategories.map((category) => category._id)
+        }
+      },
+      {
+        subCategoryId: {
+          $in: existingSubCategories.map((subCategory) => subCategory._id)
+        }
+      }
+    ]
+  }).select('name categoryId subCategoryId')
+  const existingItemKeys = new Set(
+    existingItems.map(
+      (item) => `${item.subCategoryId || item.categoryId}:${item.name}`
+    )
+  )
+
+  // Planned parents by name; null marks a parent row that has errors
+  const plannedCategories = new Map()
+  const plannedSubCategories = new Map()
+  const plan = { categories: [], subCategories: [], items: [] }
+
+  const resolveCategory = (row, name) => {
+    if (plannedCategories.has(name)) {
+      const entry = plannedCategories.get(name)
+      if (!entry) {
+        report(
+          row,
+          'category',
+          'reference.invalid',
+          `Category "${name}" has errors and cannot be imported`
+        )
+      }
+      return entry && { entry }
+    }
+
+    const doc = categoriesByName.get(name)
+    if (doc) return { doc }
+
+    report(row, 'category', 'reference.missing', `Category "${name}" not found`)
+    return null
+  }
+
+  const resolveSubCategory = (row, category, name) => {
+    const key = subCategoryKey(category, name)
+    if (plannedSubCategories.has(key)) {
+      const entry = plannedSubCategories.get(key)
+      if (!entry) {
+        report(
+          row,
+          'subCategory',
+          'reference.invalid',
+          `Subcategory "${name}" has errors and cannot be imported`
+        )
+      }
+      return entry && { entry }
+    }
+
+    const doc = subCategoriesByKey.get(key)
+    if (doc) return { doc }
+
+    report(
+      row,
+      'subCategory',
+      'reference.missing',
+      `Subcategory "${name}" not found in category "${category}"`
+    )
+    return null
+  }
+
+  ofType('category').forEach(({ row, data, valid }) => {
+    const name = trimmed(data.name)
+    if (!valid) {
+      if (name && !plannedCategories.has(name))
+        plannedCategories.set(name, null)
+      return
+    }
+
+    if (plannedCategories.has(name)) {
+      report(
+        row,
+        'name',
+        'duplicate',
+        `Category "${name}" appears more than once in the import`
+      )
+      return
+    }
+
+    if (categoriesByName.has(name)) {
+      report(row, 'name', 'duplicate', `Category "${name}" already exists`)
+      plannedCategories.set(name, null)
+      return
+    }
+
+    const entry = { row, data }
+    plannedCategories.set(name, entry)
+    plan.categories.push(entry)
+  })
+
+  ofType('subcategory').forEach(({ row, data, valid }) => {
+    const category = trimmed(data.category)
+    const name = trimmed(data.name)
+    const key = subCategoryKey(category, name)
+    if (!valid) {
+      if (category && name && !plannedSubCategories.has(key)) {
+        plannedSubCategories.set(key, null)
+      }
+      return
+    }
+
+    if (plannedSubCategories.has(key)) {
+      report(
+        row,
+        'name',
+        'duplicate',
+        `Subcategory "${name}" appears more than once in category "${category}"`
+      )
+      return
+    }
+
+    const parent = resolveCategory(row, category)
+    if (parent && subCategoriesByKey.has(key)) {
+      report(
+        row,
+        'name',
+        'duplicate',
+        `Subcategory "${name}" already exists in category "${category}"`
+      )
+    }
+
+    if (!parent || subCategoriesByKey.has(key)) {
+      plannedSubCategories.set(key, null)
+      return
+    }
+
+    const entry = { row, data, parent }
+    plannedSubCategories.set(key, entry)
+    plan.subCategories.push(entry)
+  })
+
+  const itemKey = (category, subCategory, name) =>
+    JSON.stringify([category, subCategory, name])
+
+  // Planned items by parent and name; null marks an item that has errors
+  const plannedItems = new Map()
+  ofType('item').forEach(({ row, data, valid }) => {
+    const key = itemKey(
+      trimmed(data.category),
+      trimmed(data.subCategory),
+      trimmed(data.name)
+    )
+    const skip = () => {
+      if (!plannedItems.has(key)) plannedItems.set(key, null)
+    }
+
+    if (!valid) return skip()
+
+    const parent = data.subCategory
+      ? resolveSubCategory(row, data.category, data.subCategory)
+      : resolveCategory(row, data.category)
+    if (!parent) return skip()
+
+    const parentLabel = data.subCategory
+      ? `subcategory "${data.subCategory}"`
+      : `category "${data.category}"`
+
+    if (plannedItems.has(key)) {
+      report(
+        row,
+        'name',
+        'duplicate',
+        `Item "${data.name}" appears more than once in ${parentLabel}`
+      )
+      return
+    }
+
+    if (parent.doc && existingItemKeys.has(`${parent.doc._id}:${data.name}`)) {
+      report(
+        row,
+        'name',
+        'duplicate',
+        `Item "${data.name}" already exists in ${parentLabel}`
+      )
+      return skip()
+    }
+
+    const entry = { row, data, parent, variantRows: [] }
+    plannedItems.set(key, entry)
+    plan.items.push(entry)
+  })
+
+  // Variant rows (CSV) attach to an item of the same import
+  ofType('variant').forEach(({ row, data, valid }) => {
+    if (!valid) return
+
+    const { category, subCategory, item, ...variant } = data
+    const key = itemKey(category, subCategory, item)
+    const entry = plannedItems.get(key)
+
+    if (entry) {
+      entry.variantRows.push(variant)
+    } else if (plannedItems.has(key)) {
+      report(
+        row,
+        'item',
+        'reference.invalid',
+        `Item "${item}" has errors and cannot be imported`
+      )
+    } else {
+      report(
+        row,
+        'item',
+        'reference.missing',
+        `Item "${item}" not found in the import`
+      )
+    }
+  })
+
+  // An item is priced either by its own amounts or by its variants
+  plan.items = plan.items.filter((entry) => {
+    const { row, data, variantRows } = entry
+    const variants = data.variants || variantRows
+    const { error } = variantList.validate(variants, VALIDATION_OPTIONS)
+
+    if (error) {
+      const [detail] = error.details
+      report(row, 'variants', detail.type, detail.message)
+      return false
+    }
+
+    if (variants.length && data.baseAmount !== undefined) {
+      report(
+        row,
+        'baseAmount',
+        'any.unknown',
+        'baseAmount is set per variant when an item has variants'
+      )
+      return false
+    }
+
+    if (!variants.length && data.baseAmount === undefined) {
+      report(row, 'baseAmount', 'any.required', 'baseAmount is required')
+      return false
+    }
+
+    entry.data = { ...data, variants }
+    return true
+  })
+
+  // Report errors in input order
+  const order = new Map(rows.map(({ row }, index) => [row, index]))
+  errors.sort((a, b) => order.get(a.row) - order.get(b.row))
+
+  return { plan, errors }
+}
+
+/**
+ * Build category data the same way POST /api/categories does
+ */
+const buildCategory = ({
+  name,
+  image,
+  description,
+  taxApplicability,
+  tax,
+  taxType,
+  modifierGroups,
+  availability,
+  dietaryTags,
+  allergens
+}) =>
+  new Category({
+    name,
+    image,
+    description,
+    taxApplicability,
+    ...(taxApplicability ? { tax, taxType } : {}),
+    modifierGroups,
+    availability,
+    dietaryTags,
+    allergens
+  })
+
+/**
+ * Build subcategory data the same way POST /api/subcategories/:categoryId does
+ * Omitted tax settings are inherited from the category
+ */
+const buildSubCategory = (data, category) => {
+  const { name, image, description, taxApplicability, tax, taxType } = data
+  const inherited = taxApplicability === undefined
+
+  return new SubCategory({
+    name,
+    image,
+    description,
+    categoryId: category._id,
+    modifierGroups: data.modifierGroups,
+    availability: data.availability,
+    dietaryTags: data.dietaryTags,
+    allergens: data.allergens,
+    ...(inherited
+      ? pickTax(category)
+      : { taxApplicability, ...(taxApplicability ? { tax, taxType } : {}) }),
+    taxInherited: inherited
+  })
+}
+
+/**
+ * Build item data the same way POST /api/items does
+ * Omitted tax settings are inherited from the parent
+ */
+const buildItem = (data, parent, parentField) => {
+  const { name, image, description, taxApplicability, tax, taxType } = data
+  const { baseAmount, discount = 0, variants } = data
+  const inherited = taxApplicability === undefined || taxApplicability === null
+
+  return new Item({
+    name,
+    image,
+    description,
+    ...(variants.length
+      ? applyVariants(variants)
+      : {
+          baseAmount,
+          discount,
+          totalAmount: calculateTotal(baseAmount, discount)
+        }),
+    modifierGroups: data.modifierGroups,
+    availability: data.availability,
+    dietaryTags: data.dietaryTags,
+    allergens: data.allergens,
+    [parentField]: parent._id,
+    ...(inherited
+      ? { ...pickTax(parent), taxInherited: true }
+      : { taxApplicability, ...(taxApplicability ? { tax, taxType } : {}) })
+  })
+}
+
+/**
+ * Utility function to write a validated import plan
+ * With a session every write joins the transaction and the first failure
+ * aborts the import. With onError a failing row is reported and its children
+ * are skipped while the rest of the import continues.
+ *
+ * @param {object} plan - Plan from planImport
+ * @param {object} options
+ * @param {object} [options.session] - Mongoose session of the transaction
+ * @param {Function} [options.onError] - Called with (row, error) for failed rows
+ * @returns {object} Number of created categories, subcategories and items
+ */
+const applyImport = async (plan, { session, onError } = {}) => {
+  const created = { categories: 0, subCategories: 0, items: 0 }
+
+  const save = async (entry, counter, build) => {
+    entry.doc = undefined
+    const parent = entry.parent && (entry.parent.doc || entry.parent.entry.doc)
+
+    try {
+      if (entry.parent && !parent) {
+        throw createError('Parent could not be imported')
+      }
+
+      entry.doc = await build(parent).save({ session })
+      created[counter] += 1
+    } catch (error) {
+      if (!onError) throw error
+      onError(entry.row, error)
+    }
+  }
+
+  for (const entry of plan.categories) {
+    await save(entry, 'categories', () => buildCategory(entry.data))
+  }
+
+  for (const entry of plan.subCategories) {
+    await save(entry, 'subCategories', (category) =>
+      buildSubCategory(entry.data, category)
+    )
+  }
+
+  for (const entry of plan.items) {
+    await save(entry, 'items', (parent) =>
+      buildItem(
+        entry.data,
+        parent,
+        entry.data.subCategory ? 'subCategoryId' : 'categoryId'
+      )
+    )
+  }
+
+  return created
+}
+
+module.exports = {
+  MENU_CSV_COLUMNS,
+  MODIFIER_GROUP_SEPARATOR,
+  parseMenuJson,
+  parseMenuCsv,
+  planImport,
+  applyImport
+}
@@ -0,0 +1,295 @@
+const mongoose = require('mongoose')
+const MenuVersion = require('../models/MenuVersion')
+const { MENU_PARTS } = require('../models/MenuVersion')
+const { diffDocuments, getActor } = require('./audit')
+const { getContext } = require('./requestContext')
+const { createError } = require('./helpers')
+const { getCurrentTenant } = require('./tenants')
+const { POSITION_SORT } = require('./positions')
+
+/**
+ * Item fields that change with every sale or sold out mark. They are not part
+ * of a version: the published menu always shows their working values.
+ */
+const INVENTORY_FIELDS = ['soldOutUntil', 'stock', 'soldCount']
+
+/**
+ * Largest snapshot a version holds, in bytes. A MongoDB document holds at
+ * most 16 MB and the rest is left for the other fields of the version.
+ */
+const MAX_SNAPSHOT_SIZE = 15 * 1024 * 1024
+
+/**
+ * Collections holding the published copy of the menu, by model
+ */
+const PUBLISHED_COLLECTIONS = {
+  Category: 'published_categories',
+  SubCategory: 'published_subcategories',
+  Item: 'published_items'
+}
+
+// Looked up by name: the menu models load the availability and inventory
+// utilities, which read the menu through this module
+const getDraftModels = () =>
+  Object.fromEntries(
+    Object.keys(PUBLISHED_COLLECTIONS).map((name) => [
+      name,
+      mongoose.model(name)
+    ])
+  )
+
+let publishedModels
+
+/**
+ * Utility function to get the models that read the published menu
+ * They share the schemas, plugins and database of the working models and
+ * live on a sibling connection, so references populate from the published
+ * copy as well.
+ *
+ * @returns {object} Category, SubCategory and Item models
+ */
+const getPublishedModels = () => {
+  if (!publishedModels) {
+    const connection = mongoose.connection.useDb(mongoose.connection.name)
+
+    Object.values(mongoose.connection.models).forEach((Model) =>
+      connection.model(
+        Model.modelName,
+        Model.schema,
+        PUBLISHED_COLLECTIONS[Model.modelName] || Model.collection.name
+      )
+    )
+
+    publishedModels = Object.fromEntries(
+      Object.keys(PUBLISHED_COLLECTIONS).map((name) => [
+        name,
+        connection.model(name)
+      ])
+    )
+  }
+
+  return publishedModels
+}
+
+/**
+ * Utility function to make the running request read the published menu
+ */
+const readPublishedMenu = () => {
+  getContext().publishedMenu = true
+}
+
+/**
+ * Utility function to check whether the running request reads the published menu
+ */
+const readsPublishedMenu = () => Boolean(getContext().publishedMenu)
+
+/**
+ * Utility function to get the menu models the running request reads
+ * @returns {object} The published models once readPublishedMenu was called,
+ * the working draft models otherwise
+ */
+const getMenuModels = () =>
+  readsPublishedMenu() ? getPublishedModels() : getDraftModels()
+
+/**
+ * Utility function to get the latest published version
+ * @param {ClientSession} [session] - Session to read with
+ * @returns {Promise<object|null>} Its number, or null before the first publish
+ */
+const findLatestVersion = (session) =>
+  MenuVersion.findOne()
+    .sort({ number: -1 })
+    .select('number')
+    .session(session || null)
+
+// Snapshots are stored per tenant and never hold inventory
+const toSnapshotDoc = (doc) => {
+  const snapshotDoc = { ...doc }
+  delete snapshotDoc.tenant
+  delete snapshotDoc.__v
+  INVENTORY_FIELDS.forEach((field) => delete snapshotDoc[field])
+  return snapshotDoc
+}
+
+/**
+ * Utility function to take a snapshot of the working draft
+ * Deleted documents are left out.
+ *
+ * @param {ClientSession} [session] - Session to read with
+ * @returns {Promise<object>} categories, subCategories and items in display order
+ */
+const takeSnapshot = async (session) => {
+  const models = getDraftModels()
+  const snapshot = {}
+
+  for (const [name, part] of Object.entries(MENU_PARTS)) {
+    const docs = await models[name]
+      .find()
+      .sort(POSITION_SORT)
+      .session(session || null)
+      .lean()
+    snapshot[part] = docs.map(toSnapshotDoc)
+  }
+
+  return snapshot
+}
+
+/**
+ * Utility function to check that a snapshot fits in one version
+ * @param {object} snapshot - categories, subCategories and items
+ * @throws {Error} 413 when the snapshot is larger than a version holds
+ */
+const checkSnapshotSize = (snapshot) => {
+  const size = mongoose.mongo.BSON.calculateObjectSize(snapshot)
+  if (size > MAX_SNAPSHOT_SIZE) {
+    const toMegabytes = (bytes) => (bytes / 1024 / 1024).toFixed(1)
+    throw createError(
+      `The menu is too large to publish: its snapshot takes ${toMegabytes(size)} MB and a version holds at most ${toMegabytes(MAX_SNAPSHOT_SIZE)} MB`,
+      413
+    )
+  }
+}
+
+/**
+ * Utility function to copy the inventory of working items to their published copies
+ * @param {object} [filter] - Filter matching the working items, all by default
+ * @param {ClientSession} [session] - Session to write with
+ */
+const syncPublishedInventory = async (filter = {}, session) => {
+  const { Item } = getDraftModels()
+  const items = await Item.find(filter)
+    .setOptions({ withDeleted: true })
+    .select(INVENTORY_FIELDS.join(' '))
+    .session(session || null)
+    .lean()
+  if (!items.length) return
+
+  await getPublishedModels().Item.collection.bulkWrite(
+    items.map((item) => ({
+      updateOne: {
+        filter: { _id: item._id, tenant: getCurrentTenant() },
+        update: {
+          $set: Object.fromEntries(
+            INVENTORY_FIELDS.map((field) => [field, item[field] ?? null])
+          )
+        }
+      }
+    })),
+    { session }
+  )
+}
+
+/**
+ * Utility function to publish a snapshot as the next version
+ * The published copy is replaced by the snapshot and then takes the working
+ * inventory, so run it in a transaction for readers to switch at once.
+ *
+ * @param {object} snapshot - categories, subCategories and items
+ * @param {object} options
+ * @param {string} [options.note] - What changed, for the version list
+ * @param {number} [options.rolledBackFrom] - Version the snapshot was taken from
+ * @param {ClientSession} session - Transaction session
+ * @returns {Promise<object>} The new version
+ * @throws {Error} 413 when the snapshot is larger than a version holds
+ */
+const publishSnapshot = async (
+  snapshot,
+  { note, rolledBackFrom = null },
+  session
+) => {
+  checkSnapshotSize(snapshot)
+  const latest = await findLatestVersion(session)
+
+  const [version] = await MenuVersion.create(
+    [
+      {
+        number: latest ? latest.number + 1 : 1,
+        note,
+        rolledBackFrom,
+        publishedBy: getActor(),
+        counts: Object.fromEntries(
+          Object.values(MENU_PARTS).map((part) => [part, snapshot[part].length])
+        ),
+        ...snapshot
+      }
+    ],
+    { session }
+  )
+
+  // The copy is written directly so no audit entries are made and no
+  // image files are removed for it
+  const tenant = getCurrentTenant()
+  const models = getPublishedModels()
+  for (const [name, part] of Object.entries(MENU_PARTS)) {
+    const { collection } = models[name]
+    await collection.deleteMany({ tenant }, { session })
+    if (snapshot[part].length) {
+      await collection.insertMany(
+        snapshot[part].map((doc) => ({ ...doc, tenant })),
+        { session }
+      )
+    }
+  }
+
+  await syncPublishedInventory({}, session)
+  return version
+}
+
+// Name of a snapshot document, for reading a diff
+const describe = ({ _id, name }) => ({ _id, name })
+
+/**
+ * Utility function to compare two snapshots
+ * Documents are matched by ID, so renamed documents show as changed.
+ *
+ * @param {object} from - Older snapshot
+ * @param {object} to - Newer snapshot
+ * @returns {object} added, removed and changed documents of every part, with
+ * the { field, from, to } changes of the changed ones
+ */
+const diffSnapshots = (from, to) =>
+  Object.fromEntries(
+    Object.values(MENU_PARTS).map((part) => {
+      const before = new Map(
+        (from[part] || []).map((doc) => [String(doc._id), doc])
+      )
+      const after = new Map(
+        (to[part] || []).map((doc) => [String(doc._id), doc])
+      )
+
+      return [
+        part,
+        {
+          added: [...after.values()]
+            .filter((doc) => !before.has(String(doc._id)))
+            .map(describe),
+          removed: [...before.values()]
+            .filter((doc) => !after.has(String(doc._id)))
+            .map(describe),
+          changed: [...after.values()]
+            .filter((doc) => before.has(String(doc._id)))
+            .map((doc) => ({
+              ...describe(doc),
+              changes: diffDocuments(before.get(String(doc._id)), doc)
+            }))
+            .filter((doc) => doc.changes.length)
+        }
+      ]
+    })
+  )
+
+module.exports = {
+  INVENTORY_FIELDS,
+  MAX_SNAPSHOT_SIZE,
+  PUBLISHED_COLLECTIONS,
+  getPublishedModels,
+  readPublishedMenu,
+  readsPublishedMenu,
+  getMenuModels,
+  findLatestVersion,
+  takeSnapshot,
+  checkSnapshotSize,
+  syncPublishedInventory,
+  publishSnapshot,
+  diffSnapshots
+}
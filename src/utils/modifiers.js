@@ -0,0 +1,147 @@
+const ModifierGroup = require('../models/ModifierGroup')
+const { sumMinor } = require('./money')
+
+/**
+ * Utility function to list the modifier groups offered on an item
+ * Groups are inherited downward: the category's groups come first, then the
+ * subcategory's, then the item's own. A group attached at several levels is
+ * listed once.
+ *
+ * @param {object} item - Item with populated modifierGroups
+ * @param {object} [subCategory] - The item's subcategory, if any
+ * @param {object} [category] - The item's category (or the subcategory's category)
+ * @returns {object[]} The modifier groups offered on the item
+ */
+const resolveModifierGroups = (item, subCategory, category) => {
+  const seen = new Set()
+
+  return [category, subCategory, item]
+    .flatMap((level) => (level && level.modifierGroups) || [])
+    .filter((group) => {
+      // Soft deleted groups are dropped when populated
+      if (!group || seen.has(String(group._id))) return false
+      seen.add(String(group._id))
+      return true
+    })
+}
+
+/**
+ * Utility function to find the IDs that do not belong to a live modifier group
+ * @param {string[]} ids - Modifier group IDs
+ * @returns {Promise<string[]>} The IDs that were not found
+ */
+const findMissingModifierGroups = async (ids = []) => {
+  if (!ids.length) return []
+
+  const groups = await ModifierGroup.find({ _id: { $in: ids } }).select('_id')
+  const found = new Set(groups.map((group) => String(group._id)))
+  return ids.filter((id) => !found.has(String(id)))
+}
+
+/**
+ * Utility function to find an option of a group by ID or by name (case-insensitive)
+ * @param {object} group - Modifier group
+ * @param {string} key - Option ID or name
+ * @returns {object|undefined} The matching option
+ */
+const findOption = (group, key) =>
+  group.options.find(
+    (option) =>
+      String(option._id) === key ||
+      option.name.toLowerCase() === String(key).toLowerCase()
+  )
+
+/**
+ * Utility function to check a customer's modifier choices against the groups
+ * offered on an item and price the chosen options
+ * Every broken rule is reported, using the field-level error shape of the
+ * request validation middleware.
+ *
+ * @param {object[]} groups - Groups from resolveModifierGroups
+ * @param {object[]} selections - Chosen options as { group, options } where
+ *   options are option IDs or names
+ * @returns {object} The priced modifiers and the selection errors
+ */
+const selectModifiers = (groups, selections = []) => {
+  const errors = []
+  const report = (field, code, message) =>
+    errors.push({ location: 'body', field, code, message })
+
+  const groupsById = new Map(groups.map((group) => [String(group._id), group]))
+  const chosen = new Map()
+
+  selections.forEach((selection, index) => {
+    const group = groupsById.get(String(selection.group))
+    if (!group) {
+      report(
+        `modifiers.${index}.group`,
+        'modifier.group',
+        'Modifier group is not offered on this item'
+      )
+      return
+    }
+
+    const options = []
+    selection.options.forEach((key, position) => {
+      const field = `modifiers.${index}.options.${position}`
+      const option = findOption(group, key)
+
+      if (!option) {
+        report(
+          field,
+          'modifier.option',
+          `Option "${key}" does not exist in "${group.name}"`
+        )
+      } else if (options.includes(option)) {
+        report(
+          field,
+          'modifier.duplicate',
+          `Option "${option.name}" is selected more than once`
+        )
+      } else {
+        options.push(option)
+      }
+    })
+
+    chosen.set(String(group._id), { index, options })
+  })
+
+  const modifiers = []
+  groups.forEach((group) => {
+    const { index, options = [] } = chosen.get(String(group._id)) || {}
+    const field = index === undefined ? 'modifiers' : `modifiers.${index}`
+    const { minSelections = 0, maxSelections = null } = group
+
+    if (options.length < minSelections) {
+      report(
+        field,
+        'modifier.min',
+        `Choose at least ${minSelections} option(s) from "${group.name}"`
+      )
+    } else if (maxSelections !== null && options.length > maxSelections) {
+      report(
+        field,
+        'modifier.max',
+        `Choose at most ${maxSelections} option(s) from "${group.name}"`
+      )
+    }
+
+    if (options.length) {
+      modifiers.push({
+        _id: group._id,
+        name: group.name,
+        options: options.map(({ _id, name, price }) => ({ _id, name, price })),
+        amount: sumMinor(options.map((option) => option.price))
+      })
+    }
+  })
+
+  return { modifiers, errors }
+}
+
+module.exports = {
+  resolveModifierGroups,
+  findMissingModifierGroups,
+  findOption,
+  selectModifiers
+}
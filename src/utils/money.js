@@ -0,0 +1,207 @@
+const { getContext } = require('./requestContext')
+
+/**
+ * Money is stored and sent as whole numbers of the currency's minor unit
+ * (cents for USD, yen for JPY), so totals never pick up floating point errors.
+ */
+
+/**
+ * How amounts with a fraction of a minor unit are rounded
+ * - half-up: halves round away from zero (2.5 → 3, -2.5 → -3)
+ * - half-even: halves round to the even neighbour, banker's rounding (2.5 → 2, 3.5 → 4)
+ */
+const ROUNDING_MODES = ['half-up', 'half-even']
+
+/**
+ * When tax is rounded on a bill with several lines
+ * - line: every line's tax is rounded and the bill adds them up
+ * - bill: the exact taxes are added up and rounded once, then shared out over the lines
+ */
+const TAX_ROUNDING = ['line', 'bill']
+
+const readSetting = (name, allowed, fallback) => {
+  const value = process.env[name] || fallback
+  if (!allowed.includes(value)) {
+    throw new Error(`${name} must be one of: ${allowed.join(', ')}`)
+  }
+  return value
+}
+
+/**
+ * Utility function to check an ISO 4217 currency code
+ * @param {string} code - Upper case currency code, e.g. USD
+ * @returns {boolean} Whether the code is a known currency
+ */
+const isCurrency = (code) =>
+  typeof code === 'string' && Intl.supportedValuesOf('currency').includes(code)
+
+/**
+ * Utility function to get the deployment's default currency
+ * Menus that do not set a currency of their own use it.
+ *
+ * @returns {string} The CURRENCY setting, USD by default
+ */
+const getDefaultCurrency = () => {
+  const currency = (process.env.CURRENCY || 'USD').toUpperCase()
+  if (!isCurrency(currency)) {
+    throw new Error(`CURRENCY ${currency} is not a known currency code`)
+  }
+  return currency
+}
+
+/**
+ * Utility function to get the currency of the menu
+ * Every tenant may set its own with PUT /api/menu/settings. Outlets may sell
+ * in another currency; see resolveOutletCurrency.
+ *
+ * @returns {string} The currency of the request's menu, else the default currency
+ */
+const getCurrency = () => getContext().currency || getDefaultCurrency()
+
+/**
+ * Utility function to get the rounding mode
+ * @returns {string} The ROUNDING_MODE setting, half-up by default
+ */
+const getRoundingMode = () =>
+  readSetting('ROUNDING_MODE', ROUNDING_MODES, 'half-up')
+
+/**
+ * Utility function to get when tax is rounded on a bill
+ * @returns {string} The TAX_ROUNDING setting, line by default
+ */
+const getTaxRounding = () => readSetting('TAX_ROUNDING', TAX_ROUNDING, 'line')
+
+/**
+ * Utility function to get how many decimals a currency's minor unit has
+ * @param {string} currency - Currency code
+ * @returns {number} 2 for USD, 0 for JPY, 3 for KWD
+ */
+const getMinorDigits = (currency) =>
+  new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency
+  }).resolvedOptions().maximumFractionDigits
+
+/**
+ * Utility function to round an amount to a whole minor unit
+ * @param {number} amount - Amount in minor units, possibly with a fraction
+ * @param {string} [mode] - One of ROUNDING_MODES, the configured mode by default
+ * @returns {number} Whole minor units
+ */
+const roundMinor = (amount, mode = getRoundingMode()) => {
+  // Drop the noise of earlier float operations so 2.4999999999 counts as a half
+  const value = Number(Math.abs(amount).toPrecision(12))
+  const whole = Math.floor(value)
+  const fraction = value - whole
+
+  let rounded = fraction > 0.5 ? whole + 1 : whole
+  if (fraction === 0.5) {
+    rounded = mode === 'half-even' && whole % 2 === 0 ? whole : whole + 1
+  }
+
+  return amount < 0 ? -rounded : rounded
+}
+
+/**
+ * Utility function to take a percentage of an amount
+ * The result is exact; round it with roundMinor once it is final.
+ *
+ * @param {number} amount - Amount in minor units
+ * @param {number} percent - Percentage, e.g. 7.5
+ * @returns {number} The share in minor units, possibly with a fraction
+ */
+const percentOf = (amount, percent) => (amount * percent) / 100
+
+/**
+ * Utility function to add up amounts
+ * @param {number[]} amounts - Amounts in minor units
+ * @returns {number} Their sum
+ */
+const sumMinor = (amounts) => amounts.reduce((sum, amount) => sum + amount, 0)
+
+/**
+ * Utility function to round the taxes of the lines of a bill
+ * With line rounding every tax is rounded on its own. With bill rounding the
+ * total is rounded once and the lines get the largest remainders first, so
+ * the line taxes still add up to the total.
+ *
+ * @param {number[]} exactTaxes - Unrounded tax of every line
+ * @param {string} [taxRounding] - One of TAX_ROUNDING, the configured one by default
+ * @returns {object} Rounded `lines` in the given order and their `total`
+ */
+const roundTaxes = (exactTaxes, taxRounding = getTaxRounding()) => {
+  if (taxRounding === 'line') {
+    const lines = exactTaxes.map((tax) => roundMinor(tax))
+    return { lines, total: sumMinor(lines) }
+  }
+
+  const total = roundMinor(sumMinor(exactTaxes))
+  const lines = exactTaxes.map((tax) => Math.floor(tax))
+  let left = total - sumMinor(lines)
+
+  exactTaxes
+    .map((tax, index) => ({ index, remainder: tax - Math.floor(tax) }))
+    .sort((a, b) => b.remainder - a.remainder)
+    .forEach(({ index }) => {
+      if (left <= 0) return
+      lines[index] += 1
+      left -= 1
+    })
+
+  return { lines, total }
+}
+
+/**
+ * Utility function to format an amount for display
+ * @param {number} amount - Amount in minor units
+ * @param {string} [currency] - Currency code, the menu currency by default
+ * @returns {string} e.g. $12.99 or ¥1,300
+ */
+const formatMoney = (amount, currency = getCurrency()) => {
+  const digits = getMinorDigits(currency)
+
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency
+  }).format(amount / 10 ** digits)
+}
+
+/**
+ * Utility function to format the amounts of a response
+ * @param {object} amounts - Amounts in minor units keyed by field; unset ones are skipped
+ * @param {string} [currency] - Currency code, the menu currency by default
+ * @returns {object} The same fields formatted with formatMoney
+ */
+const formatAmounts = (amounts, currency = getCurrency()) =>
+  Object.fromEntries(
+    Object.entries(amounts)
+      .filter(([, amount]) => typeof amount === 'number')
+      .map(([field, amount]) => [field, formatMoney(amount, currency)])
+  )
+
+/**
+ * Mongoose validator for fields holding money
+ */
+const minorUnits = {
+  validator: (amount) =>
+    amount === null || amount === undefined || Number.isSafeInteger(amount),
+  message: '{PATH} must be a whole number of minor units'
+}
+
+module.exports = {
+  ROUNDING_MODES,
+  TAX_ROUNDING,
+  isCurrency,
+  getDefaultCurrency,
+  getCurrency,
+  getRoundingMode,
+  getTaxRounding,
+  getMinorDigits,
+  roundMinor,
+  percentOf,
+  sumMinor,
+  roundTaxes,
+  formatMoney,
+  formatAmounts,
+  minorUnits
+}
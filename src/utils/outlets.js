@@ -0,0 +1,336 @@
+const Item = require('../models/Item')
+const Outlet = require('../models/Outlet')
+const OutletOverride = require('../models/OutletOverride')
+const { calculateTotal } = require('./helpers')
+const { applyVariants } = require('./variants')
+const { getCurrency } = require('./money')
+const { resolveModifierGroups } = require('./modifiers')
+const {
+  TAX_CHAIN_POPULATE,
+  getTaxChain,
+  resolveEffectiveTax
+} = require('./pricing')
+const { getPublishedModels, readsPublishedMenu } = require('./menuVersions')
+
+/**
+ * Request header that selects an outlet; `?outlet=` works as well
+ */
+const OUTLET_HEADER = 'X-Outlet-Id'
+
+const isSet = (value) => value !== undefined && value !== null
+
+/**
+ * Utility function to check whether an override sets the price of an item
+ * Items with variants need a price for every variant.
+ *
+ * @param {object} item - Plain item object
+ * @param {object} [override] - The outlet's override of the item
+ * @returns {boolean} Whether the override prices the item on its own
+ */
+const overridesPrice = (item, override) => {
+  if (!override) return false
+  if (!item.variants || !item.variants.length) {
+    return isSet(override.baseAmount)
+  }
+
+  const prices = override.variants || []
+  return item.variants.every((variant) =>
+    prices.some(
+      (price) =>
+        price.name.toLowerCase() === variant.name.toLowerCase() &&
+        isSet(price.baseAmount)
+    )
+  )
+}
+
+/**
+ * Utility function to apply an outlet override to an item
+ * Prices replace the item's amounts (or those of the named variants) and
+ * tax settings replace whatever the item has or inherits.
+ *
+ * @param {object} item - Plain item object
+ * @param {object} [override] - The outlet's override of the item
+ * @param {object} [options]
+ * @param {boolean} [options.capDiscounts] - Cap discounts at the price instead of throwing
+ * @returns {object} The item with the outlet's values
+ * @throws {Error} When a discount is greater than its price and discounts are not capped
+ */
+const applyOutletOverride = (item, override, { capDiscounts = false } = {}) => {
+  if (!override) return item
+
+  const capDiscount = (baseAmount, discount) =>
+    capDiscounts ? Math.min(discount, baseAmount) : discount
+
+  const resolved = { ...item }
+
+  if (item.variants && item.variants.length) {
+    const prices = override.variants || []
+    Object.assign(
+      resolved,
+      applyVariants(
+        item.variants.map((variant) => {
+          const price = prices.find(
+            (entry) => entry.name.toLowerCase() === variant.name.toLowerCase()
+          )
+          if (!price) return variant
+
+          const baseAmount = isSet(price.baseAmount)
+            ? price.baseAmount
+            : variant.baseAmount
+          const discount = isSet(price.discount)
+            ? price.discount
+            : variant.discount || 0
+          return {
+            ...variant,
+            baseAmount,
+            discount: capDiscount(baseAmount, discount)
+          }
+        })
+      )
+    )
+  } else if (isSet(override.baseAmount) || isSet(override.discount)) {
+    const baseAmount = isSet(override.baseAmount)
+      ? override.baseAmount
+      : item.baseAmount
+    const discount = capDiscount(
+      baseAmount,
+      isSet(override.discount) ? override.discount : item.discount
+    )
+
+    Object.assign(resolved, {
+      baseAmount,
+      discount,
+      totalAmount: calculateTotal(baseAmount, discount)
+    })
+  }
+
+  if (isSet(override.taxApplicability)) {
+    resolved.taxApplicability = override.taxApplicability
+    resolved.taxInherited = false
+    if (override.taxApplicability) {
+      resolved.tax = override.tax
+      resolved.taxType = override.taxType
+    } else {
+      delete resolved.tax
+      delete resolved.taxType
+    }
+  }
+
+  return resolved
+}
+
+/**
+ * Utility function to check whether an item is priced in an outlet's currency alone
+ * Fixed tax and modifier option prices are catalog amounts in the menu
+ * currency, which outlets cannot set in their own.
+ *
+ * @param {object} item - Plain item populated with TAX_CHAIN_POPULATE, with the outlet's values
+ * @returns {boolean} Whether no fixed catalog amount is added to its price
+ */
+const hasOnlyOutletAmounts = (item) => {
+  const { subCategory, category } = getTaxChain(item)
+  const tax = resolveEffectiveTax(item, subCategory, category)
+  if (tax.taxApplicability && tax.taxType === 'fixed') return false
+
+  return !resolveModifierGroups(item, subCategory, category).some((group) =>
+    group.options.some((option) => option.price > 0)
+  )
+}
+
+/**
+ * Utility function to find the priced items an outlet in another currency cannot sell
+ * The outlet is loaded before a request picks the working draft or the
+ * published menu, so both are checked.
+ *
+ * @param {object[]} overrides - The outlet's price overrides
+ * @returns {Promise<object>} Item IDs keyed by draft and published
+ */
+const findFixedAmountItems = async (overrides) => {
+  const byItem = new Map(
+    overrides.map((override) => [String(override.item), override])
+  )
+
+  const find = async (Model) =>
+    (
+      await Model.find({ _id: { $in: [...byItem.keys()] } }).populate(
+        TAX_CHAIN_POPULATE
+      )
+    )
+      .filter(
+        (item) =>
+          !hasOnlyOutletAmounts(
+            applyOutletOverride(item.toObject(), byItem.get(String(item._id)), {
+              capDiscounts: true
+            })
+          )
+      )
+      .map((item) => item._id)
+
+  const [draft, published] = await Promise.all([
+    find(Item),
+    find(getPublishedModels().Item)
+  ])
+  return { draft, published }
+}
+
+/**
+ * Utility function to get the items an outlet cannot sell in the menu the request reads
+ * @param {object} outlet - Outlet context from loadOutletContext
+ * @returns {object[]} Item IDs
+ */
+const getFixedAmountItemIds = (outlet) =>
+  outlet.fixedAmountItemIds[readsPublishedMenu() ? 'published' : 'draft']
+
+/**
+ * Utility function to load the outlet a request is made for
+ * An outlet selling in another currency than the menu only sells the items it
+ * has its own prices for, and none that add fixed tax or priced modifiers.
+ *
+ * @param {string} outletId - Outlet ID from the header or query
+ * @returns {Promise<object|null>} The outlet with its currency and overrides keyed by item ID, or null if not found
+ */
+const loadOutletContext = async (outletId) => {
+  if (!/^[a-f\d]{24}$/i.test(outletId)) return null
+
+  const outlet = await Outlet.findById(outletId)
+  if (!outlet) return null
+
+  const overrides = await OutletOverride.find({ outlet: outlet._id }).lean()
+
+  const currency = outlet.currency || getCurrency()
+  // Catalog prices are in the menu currency, so they cannot be used here
+  const ownPricesOnly = currency !== getCurrency()
+  const priced = overrides.filter(
+    (override) =>
+      !override.hidden &&
+      (isSet(override.baseAmount) ||
+        (override.variants && override.variants.length))
+  )
+
+  return {
+    _id: outlet._id,
+    name: outlet.name,
+    currency,
+    ownPricesOnly,
+    overridesPrices: overrides.some(
+      (override) =>
+        !override.hidden &&
+        (isSet(override.baseAmount) ||
+          isSet(override.discount) ||
+          (override.variants && override.variants.length))
+    ),
+    pricedItemIds: priced.map((override) => override.item),
+    fixedAmountItemIds: ownPricesOnly
+      ? await findFixedAmountItems(priced)
+      : { draft: [], published: [] },
+    overrides: new Map(
+      overrides.map((override) => [String(override.item), override])
+    ),
+    hiddenItemIds: overrides
+      .filter((override) => override.hidden)
+      .map((override) => override.item)
+  }
+}
+
+/**
+ * Utility function to resolve an item for an outlet
+ * @param {object} [outlet] - Outlet context from loadOutletContext
+ * @param {object} item - Plain item object
+ * @returns {object|null} The item with the outlet's values, or null when hidden there
+ */
+const resolveOutletItem = (outlet, item) => {
+  if (!outlet) return item
+
+  const override = outlet.overrides.get(String(item._id))
+  if (override && override.hidden) return null
+  if (
+    outlet.ownPricesOnly &&
+    (!overridesPrice(item, override) ||
+      getFixedAmountItemIds(outlet).some(
+        (id) => String(id) === String(item._id)
+      ))
+  ) {
+    return null
+  }
+
+  // Overrides are checked when they are saved, but the catalog price may
+  // have dropped under the outlet's discount since
+  return applyOutletOverride(item, override, { capDiscounts: true })
+}
+
+/**
+ * Utility function to resolve a page of item documents for an outlet
+ * Returns plain objects; without an outlet they keep the catalog values.
+ */
+const resolveOutletItems = (outlet, items) =>
+  items
+    .map((item) => resolveOutletItem(outlet, item.toObject()))
+    .filter(Boolean)
+
+/**
+ * Utility function to build the list filter that leaves out items hidden at an outlet
+ * At an outlet with its own currency only the items it prices are listed.
+ *
+ * @param {object} [outlet] - Outlet context from loadOutletContext
+ * @returns {object} Mongo filter to merge into the list filter
+ */
+const buildOutletFilter = (outlet) => {
+  if (!outlet) return {}
+  if (outlet.ownPricesOnly) {
+    return {
+      _id: { $in: outlet.pricedItemIds, $nin: getFixedAmountItemIds(outlet) }
+    }
+  }
+
+  return outlet.hiddenItemIds.length
+    ? { _id: { $nin: outlet.hiddenItemIds } }
+    : {}
+}
+
+/**
+ * Utility function to get the currency prices are read in
+ * @param {object} [outlet] - Outlet context from loadOutletContext
+ * @returns {string} The outlet's currency, or the tenant's menu currency without an outlet
+ */
+const resolveOutletCurrency = (outlet) =>
+  outlet ? outlet.currency : getCurrency()
+
+/**
+ * Utility function to drop the promotions that cannot run at an outlet
+ * Fixed promotion values are in the menu currency, so they do not apply at an
+ * outlet in another currency; percentage promotions do.
+ *
+ * @param {object} [outlet] - Outlet context from loadOutletContext
+ * @param {object[]} promotions - Running promotions from loadActivePromotions
+ * @returns {object[]} The promotions that apply at the outlet
+ */
+const resolveOutletPromotions = (outlet, promotions) =>
+  outlet && outlet.ownPricesOnly
+    ? promotions.filter((promotion) => promotion.type !== 'fixed')
+    : promotions
+
+/**
+ * Utility function to remove the outlet overrides of items that are purged
+ * @param {object} itemFilter - Filter matching the purged items
+ * @returns {Promise<object>} Delete result
+ */
+const removeOutletOverrides = async (itemFilter) => {
+  const itemIds = await Item.find(itemFilter)
+    .setOptions({ withDeleted: true })
+    .distinct('_id')
+
+  return OutletOverride.deleteMany({ item: { $in: itemIds } })
+}
+
+module.exports = {
+  OUTLET_HEADER,
+  loadOutletContext,
+  applyOutletOverride,
+  hasOnlyOutletAmounts,
+  resolveOutletItem,
+  resolveOutletItems,
+  buildOutletFilter,
+  resolveOutletCurrency,
+  resolveOutletPromotions,
+  removeOutletOverrides
+}
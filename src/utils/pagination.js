@@ -0,0 +1,442 @@
+const mongoose = require('mongoose')
+const { createError } = require('./helpers')
+const { buildInStockFilter } = require('./inventory')
+
+const DEFAULT_LIMIT = 20
+const MAX_LIMIT = 100
+const TAX_TYPES = ['percentage', 'fixed']
+
+/**
+ * Utility function to parse a boolean query parameter
+ * @param {string} value - Raw query value
+ * @param {string} name - Parameter name used in the error message
+ * @returns {boolean} Parsed value
+ */
+const parseBoolean = (value, name) => {
+  if (value === 'true') return true
+  if (value === 'false') return false
+  throw createError(`${name} must be true or false`)
+}
+
+/**
+ * Utility function to parse a non-negative number query parameter
+ */
+const parseNumber = (value, name) => {
+  const number = Number(value)
+  if (value === '' || Number.isNaN(number) || number < 0) {
+    throw createError(`${name} must be a non-negative number`)
+  }
+  return number
+}
+
+/**
+ * Utility function to parse a date query parameter
+ */
+const parseDate = (value, name) => {
+  const date = new Date(value)
+  if (Number.isNaN(date.getTime())) {
+    throw createError(`${name} must be a valid date`)
+  }
+  return date
+}
+
+/**
+ * Utility function to parse a positive integer query parameter
+ */
+const parseInteger = (value, name, max) => {
+  const number = Number(value)
+  if (!Number.isInteger(number) || number < 1 || (max && number > max)) {
+    throw createError(
+      max
+        ? `${name} must be a whole number between 1 and ${max}`
+        : `${name} must be a positive whole number`
+    )
+  }
+  return number
+}
+
+const addRange = (filter, field, operator, value) => {
+  filter[field] = { ...filter[field], [operator]: value }
+}
+
+/**
+ * Filters that list endpoints can opt into, keyed by query parameter
+ * Each handler adds its condition to the Mongo filter
+ */
+const FILTERS = {
+  minPrice: (value, filter) =>
+    addRange(filter, 'totalAmount', '$gte', parseNumber(value, 'minPrice')),
+  maxPrice: (value, filter) =>
+    addRange(filter, 'totalAmount', '$lte', parseNumber(value, 'maxPrice')),
+  taxApplicability: (value, filter) => {
+    filter.taxApplicability = parseBoolean(value, 'taxApplicability')
+  },
+  taxType: (value, filter) => {
+    if (!TAX_TYPES.includes(value)) {
+      throw createError(`taxType must be one of: ${TAX_TYPES.join(', ')}`)
+    }
+    filter.taxType = value
+  },
+  hasDiscount: (value, filter) => {
+    filter.discount = parseBoolean(value, 'hasDiscount')
+      ? { $gt: 0 }
+      : { $not: { $gt: 0 } }
+  },
+  active: (value, filter) => {
+    filter.active = parseBoolean(value, 'active')
+  },
+  type: (value, filter) => {
+    filter.type = value
+  },
+  hideSoldOut: (value, filter) => {
+    if (parseBoolean(value, 'hideSoldOut')) {
+      Object.assign(filter, buildInStockFilter())
+    }
+  },
+  createdFrom: (value, filter) =>
+    addRange(filter, 'createdAt', '$gte', parseDate(value, 'createdFrom')),
+  createdTo: (value, filter) =>
+    addRange(filter, 'createdAt', '$lte', parseDate(value, 'createdTo')),
+  updatedFrom: (value, filter) =>
+    addRange(filter, 'updatedAt', '$gte', parseDate(value, 'updatedFrom')),
+  updatedTo: (value, filter) =>
+    addRange(filter, 'updatedAt', '$lte', parseDate(value, 'updatedTo'))
+}
+
+/**
+ * Filters shared by every list endpoint
+ */
+const COMMON_FILTERS = [
+  'taxApplicability',
+  'taxType',
+  'createdFrom',
+  'createdTo',
+  'updatedFrom',
+  'updatedTo'
+]
+
+/**
+ * Filters available on item list endpoints
+ */
+const ITEM_FILTERS = [
+  ...COMMON_FILTERS,
+  'minPrice',
+  'maxPrice',
+  'hasDiscount',
+  'hideSoldOut'
+]
+
+/**
+ * Filters available on modifier group list endpoints, which have no tax
+ */
+const MODIFIER_GROUP_FILTERS = [
+  'createdFrom',
+  'createdTo',
+  'updatedFrom',
+  'updatedTo'
+]
+
+/**
+ * Filters available on outlet and outlet override list endpoints
+ */
+const OUTLET_FILTERS = ['createdFrom', 'createdTo', 'updatedFrom', 'updatedTo']
+
+/**
+ * Filters available on promotion list endpoints
+ */
+const PROMOTION_FILTERS = [
+  'type',
+  'active',
+  'createdFrom',
+  'createdTo',
+  'updatedFrom',
+  'updatedTo'
+]
+
+/**
+ * Fields each resource's list endpoints can be sorted by
+ */
+const SORT_FIELDS = {
+  category: ['position', 'name', 'tax', 'createdAt', 'updatedAt'],
+  subCategory: ['position', 'name', 'tax', 'createdAt', 'updatedAt'],
+  item: [
+    'position',
+    'name',
+    'baseAmount',
+    'discount',
+    'totalAmount',
+    'createdAt',
+    'updatedAt'
+  ],
+  modifierGroup: ['name', 'createdAt', 'updatedAt'],
+  outlet: ['name', 'createdAt', 'updatedAt'],
+  outletOverride: ['createdAt', 'updatedAt'],
+  promotion: [
+    'name',
+    'priority',
+    'startsAt',
+    'endsAt',
+    'createdAt',
+    'updatedAt'
+  ]
+}
+
+/**
+ * Utility function to build a Mongo filter from the query parameters
+ * @param {object} query - Request query
+ * @param {string[]} filterNames - Filters the endpoint supports
+ * @returns {object} Mongo filter
+ */
+const buildListFilter = (query, filterNames) => {
+  const filter = {}
+
+  filterNames.forEach((name) => {
+    if (query[name] !== undefined) {
+      FILTERS[name](String(query[name]), filter)
+    }
+  })
+
+  return filter
+}
+
+/**
+ * Item amounts an outlet can override, and the filters that read them
+ */
+const PRICE_FIELDS = ['baseAmount', 'discount', 'totalAmount']
+const PRICE_FILTERS = ['minPrice', 'maxPrice', 'hasDiscount']
+
+/**
+ * Utility function to reject price filters and sorts at an outlet with its own prices
+ * They are run on the catalog amounts in the database, while responses carry
+ * the outlet's, so the results would not match the prices returned.
+ *
+ * @param {object} query - Request query
+ * @param {object} [outlet] - Outlet context from loadOutletContext
+ * @throws {Error} 400 error naming the parameters that cannot be used
+ */
+const checkOutletPriceQuery = (query, outlet) => {
+  if (!outlet || !outlet.overridesPrices) return
+
+  const sortField = String(query.sort || '').replace(/^-/, '')
+  const used = [
+    ...PRICE_FILTERS.filter((name) => query[name] !== undefined),
+    ...(PRICE_FIELDS.includes(sortField) ? [`sort=${query.sort}`] : [])
+  ]
+
+  if (used.length) {
+    throw createError(
+      `${used.join(', ')} cannot be used at an outlet that sets its own prices`
+    )
+  }
+}
+
+/**
+ * Utility function to parse the sort parameter (e.g. `name` or `-createdAt`)
+ * @param {string} sort - Raw sort parameter
+ * @param {string[]} sortFields - Whitelisted fields
+ * @returns {object} Sort field and direction (1 or -1)
+ */
+const parseSort = (sort, sortFields) => {
+  const descending = sort.startsWith('-')
+  const field = descending ? sort.slice(1) : sort
+
+  if (!sortFields.includes(field)) {
+    throw createError(`sort must be one of: ${sortFields.join(', ')}`)
+  }
+
+  return { field, direction: descending ? -1 : 1 }
+}
+
+const encodeCursor = (doc, field, before) =>
+  Buffer.from(
+    JSON.stringify({
+      f: field,
+      v: doc[field] === undefined ? null : doc[field],
+      id: String(doc._id),
+      b: before
+    })
+  ).toString('base64url')
+
+const decodeCursor = (cursor, field, Model) => {
+  let decoded
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString())
+  } catch (error) {
+    throw createError('cursor is invalid')
+  }
+
+  if (
+    !decoded ||
+    decoded.f !== field ||
+    !mongoose.Types.ObjectId.isValid(decoded.id)
+  ) {
+    throw createError('cursor is invalid or does not match the sort')
+  }
+
+  const isDate =
+    Model.schema.path(field) && Model.schema.path(field).instance === 'Date'
+
+  return {
+    value:
+      isDate && decoded.v !== null ? parseDate(decoded.v, 'cursor') : decoded.v,
+    id: new mongoose.Types.ObjectId(decoded.id),
+    before: Boolean(decoded.b)
+  }
+}
+
+/**
+ * Utility function to build the filter that selects documents after a cursor in sort order
+ * Mongo sorts null and missing values before all others, so they come first
+ * in ascending order and last in descending order. Comparisons such as $gt
+ * never match them, so they are selected explicitly.
+ *
+ * @param {object} cursor - Decoded cursor with the sort `value` and `id` of its document
+ * @param {string} field - Sort field
+ * @param {number} direction - 1 for ascending, -1 for descending
+ * @returns {object} Mongo filter
+ */
+const buildCursorFilter = ({ value, id }, field, direction) => {
+  const operator = direction === 1 ? '$gt' : '$lt'
+
+  if (field === '_id') {
+    return { _id: { [operator]: id } }
+  }
+
+  const sameValue = { [field]: value, _id: { [operator]: id } }
+
+  if (value === null) {
+    return direction === 1
+      ? { $or: [{ [field]: { $ne: null } }, sameValue] }
+      : sameValue
+  }
+
+  return {
+    $or: [
+      { [field]: { [operator]: value } },
+      sameValue,
+      ...(direction === -1 ? [{ [field]: null }] : [])
+    ]
+  }
+}
+
+const buildLink = (req, params) => {
+  const query = new URLSearchParams()
+
+  Object.entries(req.query).forEach(([key, value]) => {
+    if (key !== 'page' && key !== 'cursor') {
+      query.append(key, String(value))
+    }
+  })
+  Object.entries(params).forEach(([key, value]) =>
+    query.set(key, String(value))
+  )
+
+  const path = req.path === '/' ? '' : req.path
+  return `${req.baseUrl}${path}?${query}`
+}
+
+/**
+ * Run a paginated, sorted and filtered list query
+ *
+ * Supports offset pagination (`page`, `limit`) and cursor pagination
+ * (`cursor`, `limit`); every response carries cursors so clients can
+ * switch to cursor paging after the first page.
+ *
+ * @param {Model} Model - Mongoose model to query
+ * @param {object} baseFilter - Filter applied before the query filters
+ * @param {object} req - Express request (query parameters and URL)
+ * @param {object} options - sortFields, filters, populate and defaultSort
+ * @returns {Promise<object>} data, total and pagination metadata
+ */
+const paginate = async (
+  Model,
+  baseFilter,
+  req,
+  { sortFields, filters = [], populate = [], defaultSort = '-createdAt' }
+) => {
+  const { query } = req
+  const limit =
+    query.limit !== undefined
+      ? parseInteger(query.limit, 'limit', MAX_LIMIT)
+      : DEFAULT_LIMIT
+  const { field, direction } = parseSort(
+    query.sort ? String(query.sort) : defaultSort,
+    sortFields
+  )
+  checkOutletPriceQuery(query, req.outlet)
+  const filter = { ...baseFilter, ...buildListFilter(query, filters) }
+  const total = await Model.countDocuments(filter)
+
+  let cursor
+  let page
+  let pageFilter = filter
+  let sortDirection = direction
+
+  if (query.cursor) {
+    cursor = decodeCursor(String(query.cursor), field, Model)
+    // Paging backwards walks the sort in reverse, then flips the results
+    sortDirection = cursor.before ? -direction : direction
+    pageFilter = {
+      $and: [filter, buildCursorFilter(cursor, field, sortDirection)]
+    }
+  } else {
+    page = query.page !== undefined ? parseInteger(query.page, 'page') : 1
+  }
+
+  let request = Model.find(pageFilter)
+    .sort({ [field]: sortDirection, _id: sortDirection })
+    .limit(limit + 1)
+  if (page) request = request.skip((page - 1) * limit)
+  populate.forEach((option) => {
+    request = request.populate(option)
+  })
+
+  const docs = await request
+  const hasMore = docs.length > limit
+  const data = docs.slice(0, limit)
+  if (cursor && cursor.before) data.reverse()
+
+  const hasNext = cursor && cursor.before ? true : hasMore
+  const hasPrev = cursor ? !cursor.before || hasMore : page > 1
+  const first = data[0]
+  const last = data[data.length - 1]
+  const nextCursor = hasNext && last ? encodeCursor(last, field, false) : null
+  const prevCursor = hasPrev && first ? encodeCursor(first, field, true) : null
+
+  const pagination = {
+    limit,
+    sort: `${direction === -1 ? '-' : ''}${field}`,
+    hasNext,
+    hasPrev,
+    nextCursor,
+    prevCursor
+  }
+
+  if (page) {
+    pagination.page = page
+    pagination.totalPages = Math.ceil(total / limit)
+    pagination.next = hasNext ? buildLink(req, { page: page + 1 }) : null
+    pagination.prev = hasPrev ? buildLink(req, { page: page - 1 }) : null
+  } else {
+    pagination.next = nextCursor ? buildLink(req, { cursor: nextCursor }) : null
+    pagination.prev = prevCursor ? buildLink(req, { cursor: prevCursor }) : null
+  }
+
+  return { data, total, pagination }
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  COMMON_FILTERS,
+  ITEM_FILTERS,
+  MODIFIER_GROUP_FILTERS,
+  OUTLET_FILTERS,
+  PROMOTION_FILTERS,
+  SORT_FIELDS,
+  buildListFilter,
+  checkOutletPriceQuery,
+  parseSort,
+  buildCursorFilter,
+  paginate
+}
@@ -0,0 +1,110 @@
+const mongoose = require('mongoose')
+
+/**
+ * Display order of sibling categories, subcategories and items
+ * Documents created before positions existed have none and come first.
+ */
+const POSITION_SORT = { position: 1, _id: 1 }
+
+// Error code of a session write on a server without transactions
+const ILLEGAL_OPERATION = 20
+
+/**
+ * Utility function to run position writes in one transaction where the server has them
+ * A standalone server has no transactions; the writes then run one by one,
+ * in order, and a reader may briefly see part of them.
+ *
+ * @param {Function} write - Runs the writes with the session it is given, if any
+ * @param {object} [connection] - Mongoose connection, the default one by default
+ */
+const writeInTransaction = async (write, connection = mongoose.connection) => {
+  try {
+    await connection.transaction(write)
+  } catch (error) {
+    if (error.code !== ILLEGAL_OPERATION) throw error
+    await write(undefined)
+  }
+}
+
+/**
+ * Utility function to plan a reorder of siblings
+ * The ids must list every sibling exactly once; the first gets position 0.
+ *
+ * @param {object[]} siblings - Documents with _id and position
+ * @param {string[]} ids - Sibling ids in their new order
+ * @returns {object} unknown ids, omitted sibling ids and the position moves to make
+ */
+const planReorder = (siblings, ids) => {
+  const current = new Map(
+    siblings.map((sibling) => [String(sibling._id), sibling.position])
+  )
+  const listed = new Set(ids.map(String))
+
+  return {
+    unknown: [...listed].filter((id) => !current.has(id)),
+    omitted: [...current.keys()].filter((id) => !listed.has(id)),
+    moves: [...listed]
+      .map((id, position) => ({ id, position }))
+      .filter(({ id, position }) => current.get(id) !== position)
+  }
+}
+
+/**
+ * Utility function to put siblings in a new order
+ * Positions change in one transaction where the server supports them, so
+ * readers never see a half applied order.
+ *
+ * @param {Model} Model - Category, SubCategory or Item
+ * @param {object} filter - Filter selecting the siblings, from Model.siblingFilter
+ * @param {string[]} ids - Sibling ids in their new order
+ * @returns {Promise<object>} The plan from planReorder; nothing is written
+ * when ids are unknown or omitted
+ */
+const reorderSiblings = async (Model, filter, ids) => {
+  const siblings = await Model.find(filter).select('position')
+  const plan = planReorder(siblings, ids)
+
+  if (!plan.unknown.length && !plan.omitted.length && plan.moves.length) {
+    await writeInTransaction(async (session) => {
+      for (const { id, position } of plan.moves) {
+        await Model.updateOne({ _id: id }, { position }, { session })
+      }
+    })
+  }
+
+  return plan
+}
+
+/**
+ * Utility function to move documents to another parent, after its children
+ * The moved documents keep their order and get consecutive positions, so
+ * documents created before positions existed are placed as well.
+ *
+ * @param {Model} Model - SubCategory or Item
+ * @param {object} filter - Filter selecting the documents to move
+ * @param {object} parent - Parent fields to set, e.g. { categoryId }
+ */
+const moveToParent = async (Model, filter, parent) => {
+  const docs = await Model.find(filter).sort(POSITION_SORT).select('_id')
+  if (!docs.length) return
+
+  const start = await Model.nextPosition(parent)
+  await writeInTransaction(async (session) => {
+    for (const [index, doc] of docs.entries()) {
+      await Model.updateOne(
+        { _id: doc._id },
+        { ...parent, position: start + index },
+        { session }
+      )
+    }
+  })
+}
+
+module.exports = {
+  POSITION_SORT,
+  ILLEGAL_OPERATION,
+  writeInTransaction,
+  planReorder,
+  reorderSiblings,
+  moveToParent
+}
@@ -0,0 +1,335 @@
+const { calculateTotal } = require('./helpers')
+const { getDefaultVariant } = require('./variants')
+const { applyPromotions } = require('./promotions')
+const {
+  getCurrency,
+  getTaxRounding,
+  roundMinor,
+  percentOf,
+  sumMinor,
+  roundTaxes,
+  formatAmounts
+} = require('./money')
+
+/**
+ * Levels an item's tax can come from, nearest first
+ */
+const TAX_SOURCES = ['item', 'subcategory', 'category']
+
+const MODIFIER_GROUPS_POPULATE = {
+  path: 'modifierGroups',
+  select: 'name description options minSelections maxSelections'
+}
+
+/**
+ * Populates every level an item's tax, modifier groups and schedule can be inherited from
+ */
+const TAX_CHAIN_POPULATE = [
+  MODIFIER_GROUPS_POPULATE,
+  {
+    path: 'categoryId',
+    select:
+      'name description translations taxApplicability tax taxType modifierGroups availability dietaryTags allergens',
+    populate: MODIFIER_GROUPS_POPULATE
+  },
+  {
+    path: 'subCategoryId',
+    select:
+      'name description translations taxApplicability tax taxType taxInherited categoryId modifierGroups availability dietaryTags allergens',
+    populate: [
+      {
+        path: 'categoryId',
+        select:
+          'name description translations taxApplicability tax taxType modifierGroups availability dietaryTags allergens',
+        populate: MODIFIER_GROUPS_POPULATE
+      },
+      MODIFIER_GROUPS_POPULATE
+    ]
+  }
+]
+
+/**
+ * Utility function to get the subcategory and category of an item populated
+ * with TAX_CHAIN_POPULATE
+ * @param {object} item - The item
+ * @returns {object} Its subCategory, if any, and the category it is under
+ */
+const getTaxChain = (item) => {
+  const subCategory = item.subCategoryId
+  const category = subCategory ? subCategory.categoryId : item.categoryId
+
+  return { subCategory, category }
+}
+
+/**
+ * Utility function to check whether a document sets its own tax
+ * Inherited tax, or a missing taxApplicability, means the document defers to its parent
+ *
+ * @param {object} doc - Item, subcategory or category
+ * @returns {boolean} Whether the document defines tax settings
+ */
+const hasOwnTax = (doc) =>
+  Boolean(doc) &&
+  !doc.taxInherited &&
+  doc.taxApplicability !== undefined &&
+  doc.taxApplicability !== null
+
+/**
+ * Utility function to resolve the tax that applies to an item
+ * Walks item → subcategory → category and uses the first level that sets tax
+ *
+ * @param {object} item - The item
+ * @param {object} [subCategory] - The item's subcategory, if any
+ * @param {object} [category] - The item's category (or the subcategory's category)
+ * @returns {object} taxApplicability, tax, taxType and the source level
+ */
+const resolveEffectiveTax = (item, subCategory, category) => {
+  const levels = [item, subCategory, category]
+  const index = levels.findIndex(hasOwnTax)
+
+  if (index === -1 || !levels[index].taxApplicability) {
+    return {
+      taxApplicability: false,
+      tax: 0,
+      taxType: null,
+      source: index === -1 ? null : TAX_SOURCES[index]
+    }
+  }
+
+  return {
+    taxApplicability: true,
+    tax: levels[index].tax,
+    taxType: levels[index].taxType,
+    source: TAX_SOURCES[index]
+  }
+}
+
+/**
+ * Utility function to calculate the tax on an amount before rounding
+ * Takes the same arguments as calculateTax below.
+ *
+ * @returns {number} The tax amount, possibly with a fraction of a minor unit
+ */
+const calculateExactTax = (taxableAmount, tax, taxType, quantity = 1) =>
+  taxType === 'fixed' ? tax * quantity : percentOf(taxableAmount, tax)
+
+/**
+ * Utility function to calculate the tax on an amount
+ * Percentage tax is a share of the taxable amount, rounded with the configured
+ * rounding mode; fixed tax is a flat amount per unit
+ *
+ * @param {number} taxableAmount - Amount after discount, in minor units
+ * @param {number} tax - Tax rate or flat amount in minor units
+ * @param {string} taxType - Type of tax (percentage/fixed)
+ * @param {number} [quantity] - Units the amount is for
+ * @returns {number} The tax amount
+ */
+const calculateTax = (taxableAmount, tax, taxType, quantity = 1) =>
+  roundMinor(calculateExactTax(taxableAmount, tax, taxType, quantity))
+
+/**
+ * Utility function to build the price breakdown of an item
+ * Items with variants are priced by their default variant unless another
+ * variant is given. Chosen modifiers are added after the discount and are
+ * taxed together with the item. Promotions come off the discounted item
+ * price, not the modifiers.
+ *
+ * @param {object} item - The item
+ * @param {object} [subCategory] - The item's subcategory, if any
+ * @param {object} [category] - The item's category (or the subcategory's category)
+ * @param {object} [variant] - The variant to price
+ * @param {object[]} [modifiers] - Priced modifiers from selectModifiers
+ * @param {object} [options]
+ * @param {object[]} [options.promotions] - Promotions to apply, from findItemPromotions
+ * @param {number} [options.quantity] - Units to price, 1 by default
+ * @param {string} [options.currency] - Currency the amounts are in, the menu currency by default
+ * @returns {object} Base, discount, modifiers, promotions, taxable amount, tax and final price, in minor units and formatted
+ */
+const calculatePriceBreakdown = (
+  item,
+  subCategory,
+  category,
+  variant = getDefaultVariant(item),
+  modifiers = [],
+  { promotions = [], quantity = 1, currency = getCurrency() } = {}
+) => {
+  const effectiveTax = resolveEffectiveTax(item, subCategory, category)
+  const amounts = variant || item
+  const discount = amounts.discount || 0
+  const unitAmount = calculateTotal(amounts.baseAmount, discount)
+  const modifierAmount = sumMinor(modifiers.map((modifier) => modifier.amount))
+  const { promotions: applied, promotionAmount } = applyPromotions(
+    unitAmount,
+    quantity,
+    promotions
+  )
+  const taxableAmount =
+    (unitAmount + modifierAmount) * quantity - promotionAmount
+  const taxAmount = effectiveTax.taxApplicability
+    ? calculateTax(
+        taxableAmount,
+        effectiveTax.tax,
+        effectiveTax.taxType,
+        quantity
+      )
+    : 0
+  const finalPrice = taxableAmount + taxAmount
+
+  return {
+    ...(variant && { variant: { _id: variant._id, name: variant.name } }),
+    ...(quantity !== 1 && { quantity }),
+    baseAmount: amounts.baseAmount,
+    discount,
+    ...(modifiers.length && { modifiers, modifierAmount }),
+    ...(applied.length && { promotions: applied, promotionAmount }),
+    taxableAmount,
+    taxApplicability: effectiveTax.taxApplicability,
+    tax: effectiveTax.tax,
+    taxType: effectiveTax.taxType,
+    taxAmount,
+    finalPrice,
+    taxSource: effectiveTax.source,
+    currency,
+    formatted: formatAmounts(
+      {
+        baseAmount: amounts.baseAmount,
+        discount,
+        ...(modifiers.length && { modifierAmount }),
+        ...(applied.length && { promotionAmount }),
+        taxableAmount,
+        taxAmount,
+        finalPrice
+      },
+      currency
+    )
+  }
+}
+
+/**
+ * Utility function to attach a price breakdown to every variant of an item
+ *
+ * @param {object} item - Plain item object
+ * @param {object} [subCategory] - The item's subcategory, if any
+ * @param {object} [category] - The item's category (or the subcategory's category)
+ * @param {object} [options] - Promotions and currency, as for calculatePriceBreakdown
+ * @returns {object[]|undefined} Variants with their pricing
+ */
+const priceVariants = (item, subCategory, category, options) =>
+  item.variants &&
+  item.variants.map((variant) => ({
+    ...variant,
+    pricing: calculatePriceBreakdown(
+      item,
+      subCategory,
+      category,
+      variant,
+      [],
+      options
+    )
+  }))
+
+/**
+ * Utility function to total the lines of a bill
+ * Line taxes are rounded with roundTaxes, so with bill rounding a line's tax
+ * can differ by a minor unit from its price breakdown. Taxes are grouped by
+ * type and rate in the order they first appear.
+ *
+ * @param {object[]} lines - Price breakdowns from calculatePriceBreakdown
+ * @param {object} [options]
+ * @param {string} [options.taxRounding] - One of TAX_ROUNDING, the configured one by default
+ * @param {string} [options.currency] - Currency the amounts are in, the menu currency by default
+ * @returns {object} The `lines` with their rounded tax and final price, and the bill totals
+ */
+const calculateBill = (
+  lines,
+  { taxRounding = getTaxRounding(), currency = getCurrency() } = {}
+) => {
+  const exactTaxes = lines.map((line) =>
+    line.taxApplicability
+      ? calculateExactTax(
+          line.taxableAmount,
+          line.tax,
+          line.taxType,
+          line.quantity || 1
+        )
+      : 0
+  )
+  const { lines: lineTaxes, total: taxAmount } = roundTaxes(
+    exactTaxes,
+    taxRounding
+  )
+
+  const taxes = new Map()
+  const billed = lines.map((line, index) => {
+    const quantity = line.quantity || 1
+    const lineTax = lineTaxes[index]
+    const finalPrice = line.taxableAmount + lineTax
+
+    if (line.taxApplicability) {
+      const key = `${line.taxType}:${line.tax}`
+      const group = taxes.get(key) || {
+        taxType: line.taxType,
+        tax: line.tax,
+        taxableAmount: 0,
+        taxAmount: 0
+      }
+      group.taxableAmount += line.taxableAmount
+      group.taxAmount += lineTax
+      taxes.set(key, group)
+    }
+
+    return {
+      ...line,
+      quantity,
+      subtotal: (line.baseAmount + (line.modifierAmount || 0)) * quantity,
+      taxAmount: lineTax,
+      finalPrice,
+      formatted: {
+        ...line.formatted,
+        ...formatAmounts({ taxAmount: lineTax, finalPrice }, currency)
+      }
+    }
+  })
+
+  const totals = {
+    subtotal: sumMinor(billed.map((line) => line.subtotal)),
+    discountAmount: sumMinor(
+      billed.map((line) => line.discount * line.quantity)
+    ),
+    promotionAmount: sumMinor(billed.map((line) => line.promotionAmount || 0)),
+    taxableAmount: sumMinor(billed.map((line) => line.taxableAmount)),
+    taxAmount
+  }
+  const total = totals.taxableAmount + taxAmount
+
+  return {
+    lines: billed,
+    ...totals,
+    taxes: [...taxes.values()].map((group) => ({
+      ...group,
+      formatted: formatAmounts(
+        { taxableAmount: group.taxableAmount, taxAmount: group.taxAmount },
+        currency
+      )
+    })),
+    // What rounding the taxes added, or took off when negative; a fraction
+    // of a minor unit, trimmed of float noise
+    roundingAdjustment: Number((taxAmount - sumMinor(exactTaxes)).toFixed(6)),
+    total,
+    taxRounding,
+    currency,
+    formatted: formatAmounts({ ...totals, total }, currency)
+  }
+}
+
+module.exports = {
+  TAX_CHAIN_POPULATE,
+  hasOwnTax,
+  getTaxChain,
+  resolveEffectiveTax,
+  calculateTax,
+  calculateExactTax,
+  calculatePriceBreakdown,
+  priceVariants,
+  calculateBill
+}
@@ -0,0 +1,230 @@
+const Category = require('../models/Category')
+const SubCategory = require('../models/SubCategory')
+const Item = require('../models/Item')
+const Promotion = require('../models/Promotion')
+const { isAvailableAt } = require('./availability')
+const { roundMinor, percentOf } = require('./money')
+
+// ID of a populated reference or of a plain ObjectId
+const refId = (ref) => ref && String(ref._id || ref)
+
+/**
+ * Utility function to load the promotions running at a moment
+ * Promotions with a weekly schedule only run inside its windows.
+ *
+ * @param {Date} [date] - The moment, now by default
+ * @returns {Promise<object[]>} Plain promotions, highest priority first
+ */
+const loadActivePromotions = async (date = new Date()) => {
+  const promotions = await Promotion.find({
+    active: true,
+    $and: [
+      { $or: [{ startsAt: null }, { startsAt: { $lte: date } }] },
+      { $or: [{ endsAt: null }, { endsAt: { $gt: date } }] }
+    ]
+  })
+    .sort({ priority: -1, createdAt: 1 })
+    .lean()
+
+  return promotions.filter((promotion) => isAvailableAt([promotion], date))
+}
+
+/**
+ * Utility function to pick the promotions that apply together
+ * The highest priority promotion always applies. If it is stackable, every
+ * other stackable promotion applies with it; if not, it applies alone.
+ *
+ * @param {object[]} promotions - Promotions of one item, highest priority first
+ * @returns {object[]} The promotions to apply, in order
+ */
+const selectPromotions = (promotions) => {
+  const [first] = promotions
+  if (!first) return []
+
+  return first.stackable
+    ? promotions.filter((promotion) => promotion.stackable)
+    : [first]
+}
+
+/**
+ * Utility function to find the promotions that apply to an item
+ * @param {object[]} promotions - Running promotions from loadActivePromotions
+ * @param {object} item - The item
+ * @param {object|string} [subCategory] - The item's subcategory or its ID
+ * @param {object|string} [category] - The item's category (or the subcategory's) or its ID
+ * @returns {object[]} The promotions to apply, in order
+ */
+const findItemPromotions = (promotions, item, subCategory, category) => {
+  const ids = {
+    items: refId(item._id),
+    subCategories: refId(subCategory),
+    categories: refId(category)
+  }
+
+  return selectPromotions(
+    promotions.filter((promotion) =>
+      Object.entries(ids).some(
+        ([target, id]) =>
+          id && promotion.targets[target].some((ref) => String(ref) === id)
+      )
+    )
+  )
+}
+
+/**
+ * Utility function to work out what promotions take off a line of an item
+ * Each promotion applies to what is left after the ones before it, and every
+ * amount is rounded to a whole minor unit.
+ *
+ * @param {number} unitAmount - Price of one unit after the item discount, in minor units
+ * @param {number} quantity - Units on the line
+ * @param {object[]} promotions - Promotions to apply, in order
+ * @returns {object} Applied `promotions` with their `amount` and the total `promotionAmount`
+ */
+const applyPromotions = (unitAmount, quantity, promotions) => {
+  let remaining = unitAmount * quantity
+  const applied = []
+
+  promotions.forEach((promotion) => {
+    let amount
+    if (promotion.type === 'percentage') {
+      amount = percentOf(remaining, promotion.value)
+    } else if (promotion.type === 'fixed') {
+      amount = promotion.value * quantity
+    } else {
+      const bundle = promotion.buyQuantity + promotion.getQuantity
+      const discountedUnits =
+        Math.floor(quantity / bundle) * promotion.getQuantity
+      amount = percentOf(
+        (discountedUnits * remaining) / quantity,
+        promotion.getDiscount
+      )
+    }
+
+    amount = Math.min(roundMinor(amount), remaining)
+    if (amount <= 0) return
+
+    remaining -= amount
+    applied.push({
+      _id: promotion._id,
+      name: promotion.name,
+      type: promotion.type,
+      amount
+    })
+  })
+
+  return {
+    promotions: applied,
+    promotionAmount: unitAmount * quantity - remaining
+  }
+}
+
+/**
+ * Utility function to describe a promotion in item responses
+ */
+const summarizePromotion = ({
+  _id,
+  name,
+  type,
+  value,
+  buyQuantity,
+  getQuantity,
+  getDiscount,
+  endsAt
+}) => ({
+  _id,
+  name,
+  type,
+  ...(type === 'buyXgetY'
+    ? { buyQuantity, getQuantity, getDiscount }
+    : { value }),
+  endsAt
+})
+
+/**
+ * Utility function to add the promotions of an item to a list entry
+ * @param {object} item - Plain item object
+ * @param {object[]} promotions - Running promotions from loadActivePromotions
+ * @param {object|string} [subCategory] - The item's subcategory or its ID
+ * @param {object|string} [category] - The item's category (or the subcategory's) or its ID
+ * @returns {object} The item with its `promotions` and the `promotionalAmount` of one unit
+ */
+const withPromotions = (item, promotions, subCategory, category) => {
+  const applicable = findItemPromotions(promotions, item, subCategory, category)
+  const { promotionAmount } = applyPromotions(item.totalAmount, 1, applicable)
+
+  return {
+    ...item,
+    promotions: applicable.map(summarizePromotion),
+    promotionalAmount: item.totalAmount - promotionAmount
+  }
+}
+
+const TARGET_MODELS = {
+  items: Item,
+  subCategories: SubCategory,
+  categories: Category
+}
+
+/**
+ * Utility function to find promotion targets that do not exist
+ * @param {object} [targets] - Target IDs keyed by items, subCategories and categories
+ * @returns {Promise<object|null>} Missing IDs keyed the same way, or null if all exist
+ */
+const findMissingTargets = async (targets = {}) => {
+  const missing = {}
+
+  await Promise.all(
+    Object.entries(TARGET_MODELS).map(async ([target, Model]) => {
+      const ids = (targets[target] || []).map(String)
+      if (!ids.length) return
+
+      const found = (
+        await Model.find({ _id: { $in: ids } }).distinct('_id')
+      ).map(String)
+      const absent = ids.filter((id) => !found.includes(id))
+      if (absent.length) missing[target] = absent
+    })
+  )
+
+  return Object.keys(missing).length ? missing : null
+}
+
+/**
+ * Utility function to remove purged documents from promotion targets
+ * @param {object} itemFilter - Filter matching the purged items
+ * @param {object} [parents] - Purged parents
+ * @param {Array} [parents.subCategories] - Purged subcategory IDs
+ * @param {Array} [parents.categories] - Purged category IDs
+ * @returns {Promise<object>} Update result
+ */
+const removePromotionTargets = async (
+  itemFilter,
+  { subCategories = [], categories = [] } = {}
+) => {
+  const items = await Item.find(itemFilter)
+    .setOptions({ withDeleted: true })
+    .distinct('_id')
+
+  return Promotion.updateMany(
+    {},
+    {
+      $pull: {
+        'targets.items': { $in: items },
+        'targets.subCategories': { $in: subCategories },
+        'targets.categories': { $in: categories }
+      }
+    }
+  ).setOptions({ withDeleted: true })
+}
+
+module.exports = {
+  loadActivePromotions,
+  selectPromotions,
+  findItemPromotions,
+  applyPromotions,
+  summarizePromotion,
+  withPromotions,
+  findMissingTargets,
+  removePromotionTargets
+}
@@ -0,0 +1,25 @@
+const { AsyncLocalStorage } = require('async_hooks')
+
+const contextStorage = new AsyncLocalStorage()
+
+/**
+ * Utility function to run a function, and everything it awaits, with a request context
+ * The context holds the request's tenant, its menu currency and, once signed
+ * in, its user.
+ *
+ * @param {object} context - Initial context values
+ * @param {Function} fn - Function to run
+ * @returns {*} The function's return value
+ */
+const runWithContext = (context, fn) => contextStorage.run({ ...context }, fn)
+
+/**
+ * Utility function to get the context of the running request
+ * @returns {object} The context, or an empty object outside a request
+ */
+const getContext = () => contextStorage.getStore() || {}
+
+module.exports = {
+  runWithContext,
+  getContext
+}
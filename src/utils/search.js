@@ -0,0 +1,332 @@
+const { getDefaultLanguage } = require('./translations')
+
+/**
+ * Fields searched on every document, with the weight of a match in them
+ */
+const SEARCH_FIELDS = { name: 3, description: 1 }
+
+/**
+ * Document types GET /api/search looks through
+ */
+const SEARCH_TYPES = ['categories', 'subcategories', 'items']
+
+/**
+ * Longest query accepted; longer queries only add work to the fuzzy match
+ */
+const MAX_QUERY_LENGTH = 100
+const MAX_QUERY_TERMS = 8
+
+/**
+ * Most documents of a type scored for one search; the database narrows the
+ * candidates before they are ranked in memory
+ */
+const MAX_SEARCH_CANDIDATES = 500
+
+/**
+ * Order candidates are loaded in, so the same ones are kept on every search
+ */
+const CANDIDATE_SORT = { name: 1, _id: 1 }
+
+// Score of a term by how it matches a word of a field
+const MATCH_SCORES = { exact: 1, prefix: 0.8, substring: 0.6, fuzzy: 0.5 }
+
+/**
+ * Utility function to fold text for matching: lower case without accents
+ * Folding keeps the length of the text, so positions found in the folded
+ * text can be used to highlight the original.
+ *
+ * @param {string} text - Text to fold
+ * @returns {string} Folded text
+ */
+const foldText = (text) =>
+  Array.from(String(text), (char) => {
+    const folded = char.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase()
+    return folded.length === char.length ? folded : char
+  }).join('')
+
+// Accented letters that fold to every unaccented letter, for database patterns
+const LETTER_VARIANTS = {}
+for (let code = 0xc0; code <= 0x24f; code++) {
+  const char = String.fromCharCode(code)
+  const folded = foldText(char)
+  if (/^[a-z]$/.test(folded)) {
+    LETTER_VARIANTS[folded] = (LETTER_VARIANTS[folded] || folded) + char
+  }
+}
+
+/**
+ * Utility function to split text into words with their positions
+ * @param {string} text - Text to split
+ * @returns {object[]} Folded word, start and end of every word
+ */
+const splitWords = (text) =>
+  Array.from(foldText(text).matchAll(/[\p{L}\p{N}]+/gu), (match) => ({
+    word: match[0],
+    start: match.index,
+    end: match.index + match[0].length
+  }))
+
+/**
+ * Utility function to read the terms of a search query
+ * @param {string} query - Search text as typed
+ * @returns {string[]} Distinct folded terms, at most MAX_QUERY_TERMS
+ */
+const parseQuery = (query) => [
+  ...new Set(
+    splitWords(String(query).slice(0, MAX_QUERY_LENGTH))
+      .map(({ word }) => word)
+      .slice(0, MAX_QUERY_TERMS)
+  )
+]
+
+/**
+ * Utility function to get how many typos a term of a given length tolerates
+ * Short terms must match exactly so every short word does not match them.
+ */
+const allowedTypos = (term) => {
+  if (term.length <= 3) return 0
+  if (term.length <= 6) return 1
+  return 2
+}
+
+/**
+ * Utility function to count the edits between two words
+ * Insertions, deletions, substitutions and swaps of neighbours count as one
+ * edit. Gives up as soon as the distance is over max.
+ *
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @param {number} max - Largest distance of interest
+ * @returns {number} The distance, or max + 1 when it is larger than max
+ */
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1
+
+  let previous = null
+  let row = Array.from({ length: b.length + 1 }, (_, index) => index)
+
+  for (let i = 1; i <= a.length; i++) {
+    const next = [i]
+    let best = i
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1
+      next[j] = Math.min(row[j] + 1, next[j - 1] + 1, row[j - 1] + cost)
+
+      if (
+        previous &&
+        i > 1 &&
+        j > 1 &&
+        a[i - 1] === b[j - 2] &&
+        a[i - 2] === b[j - 1]
+      ) {
+        next[j] = Math.min(next[j], previous[j - 2] + 1)
+      }
+      best = Math.min(best, next[j])
+    }
+
+    if (best > max) return max + 1
+    previous = row
+    row = next
+  }
+
+  return row[b.length]
+}
+
+/**
+ * Utility function to score how well a term matches a word
+ * @returns {number} A MATCH_SCORES value, lowered by every typo, or 0
+ */
+const scoreWord = (term, word) => {
+  if (word === term) return MATCH_SCORES.exact
+  if (word.startsWith(term)) return MATCH_SCORES.prefix
+  if (term.length > 2 && word.includes(term)) return MATCH_SCORES.substring
+
+  const max = allowedTypos(term)
+  if (!max) return 0
+
+  // A typed prefix of a longer word is compared with the start of the word
+  const distance = Math.min(
+    editDistance(term, word, max),
+    editDistance(term, word.slice(0, term.length), max)
+  )
+  return distance <= max ? MATCH_SCORES.fuzzy - 0.1 * (distance - 1) : 0
+}
+
+/**
+ * Utility function to split a term into the pieces a candidate must contain one of
+ * A word within the typos a term tolerates keeps at least one of the term's
+ * typos + 1 pieces intact, unless a swap straddles two pieces. Terms that
+ * must match exactly are not split.
+ *
+ * @param {string} term - Term from parseQuery
+ * @returns {string[]} Pieces of the term, in order
+ */
+const splitTerm = (term) => {
+  const count = allowedTypos(term) + 1
+  const size = Math.floor(term.length / count)
+
+  return Array.from({ length: count }, (_, index) =>
+    term.slice(
+      index * size,
+      index === count - 1 ? undefined : (index + 1) * size
+    )
+  )
+}
+
+/**
+ * Utility function to build a database pattern that finds folded text
+ * Metacharacters are escaped and every letter also matches its accented forms.
+ */
+const toPattern = (text) =>
+  Array.from(text, (char) =>
+    LETTER_VARIANTS[char]
+      ? `[${LETTER_VARIANTS[char]}]`
+      : char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+  ).join('')
+
+/**
+ * Utility function to build the filter that narrows a search in the database
+ * Every term has to appear, or a piece of it for terms that tolerate typos,
+ * in a searched field in the default or the response language. The
+ * candidates are then ranked with scoreDocument.
+ *
+ * @param {string[]} terms - Terms from parseQuery
+ * @param {string} language - Language from resolveLanguage
+ * @param {object} [options]
+ * @param {boolean} [options.whole] - Require every term whole, leaving out
+ * candidates that could only match with typos
+ * @returns {object} Mongo filter
+ */
+const buildSearchFilter = (terms, language, { whole = false } = {}) => {
+  const fields = Object.keys(SEARCH_FIELDS)
+  const paths =
+    language === getDefaultLanguage()
+      ? fields
+      : [
+          ...fields,
+          ...fields.map((field) => `translations.${language}.${field}`)
+        ]
+
+  return {
+    $and: terms.map((term) => {
+      const condition = {
+        $regex: whole
+          ? toPattern(term)
+          : splitTerm(term).map(toPattern).join('|'),
+        $options: 'i'
+      }
+      return { $or: paths.map((path) => ({ [path]: condition })) }
+    })
+  }
+}
+
+/**
+ * Utility function to escape text for HTML
+ */
+const escapeHtml = (text) =>
+  text.replace(
+    /[&<>"']/g,
+    (char) =>
+      ({
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;'
+      })[char]
+  )
+
+/**
+ * Utility function to wrap ranges of a text in <mark> tags
+ * The rest of the text is HTML escaped, so the result can be rendered as is.
+ *
+ * @param {string} text - Original text
+ * @param {object[]} ranges - start and end of every match
+ * @returns {string} Highlighted, HTML escaped text
+ */
+const highlight = (text, ranges) => {
+  let result = ''
+  let position = 0
+
+  ;[...ranges]
+    .sort((a, b) => a.start - b.start)
+    .forEach(({ start, end }) => {
+      if (start < position) return
+      result += `${escapeHtml(text.slice(position, start))}<mark>${escapeHtml(
+        text.slice(start, end)
+      )}</mark>`
+      position = end
+    })
+
+  return result + escapeHtml(text.slice(position))
+}
+
+/**
+ * Utility function to score a document against the terms of a query
+ * Every term has to match a word of a searched field, exactly, as a prefix,
+ * inside it or with a few typos. A term counts once, in the field where it
+ * scores best, and a name that matches the whole query ranks first.
+ *
+ * @param {object} doc - Document with the SEARCH_FIELDS in the response language
+ * @param {string[]} terms - Terms from parseQuery
+ * @returns {object|null} score and highlights by field, null when a term does not match
+ */
+const scoreDocument = (doc, terms) => {
+  const fields = Object.keys(SEARCH_FIELDS)
+    .filter((field) => typeof doc[field] === 'string')
+    .map((field) => ({ field, words: splitWords(doc[field]), ranges: [] }))
+
+  let score = 0
+  for (const term of terms) {
+    let best = null
+
+    fields.forEach((field) => {
+      field.words.forEach((word) => {
+        const wordScore = scoreWord(term, word.word)
+        if (!wordScore) return
+
+        field.ranges.push(word)
+        const weighted = wordScore * SEARCH_FIELDS[field.field]
+        if (!best || weighted > best) best = weighted
+      })
+    })
+
+    if (!best) return null
+    score += best
+  }
+
+  const name = fields.find(({ field }) => field === 'name')
+  if (
+    name &&
+    name.words.map(({ word }) => word).join(' ') === terms.join(' ')
+  ) {
+    score += SEARCH_FIELDS.name
+  }
+
+  return {
+    score: Math.round(score * 100) / 100,
+    highlights: Object.fromEntries(
+      fields
+        .filter(({ ranges }) => ranges.length)
+        .map(({ field, ranges }) => [field, highlight(doc[field], ranges)])
+    )
+  }
+}
+
+module.exports = {
+  SEARCH_FIELDS,
+  SEARCH_TYPES,
+  MAX_QUERY_LENGTH,
+  MAX_SEARCH_CANDIDATES,
+  CANDIDATE_SORT,
+  foldText,
+  splitWords,
+  parseQuery,
+  editDistance,
+  scoreWord,
+  splitTerm,
+  buildSearchFilter,
+  highlight,
+  scoreDocument
+}
@@ -0,0 +1,81 @@
+const fs = require('fs/promises')
+const path = require('path')
+const express = require('express')
+
+/**
+ * Path uploaded files are served from when they are kept on local disk
+ */
+const UPLOADS_PATH = '/uploads'
+
+/**
+ * Local disk storage
+ * Files are written under UPLOAD_DIR (default ./uploads) and served by the
+ * app from /uploads. UPLOAD_BASE_URL sets the start of their URLs, e.g.
+ * https://api.example.com/uploads when clients need absolute URLs.
+ */
+const createLocalStorage = () => {
+  const root = path.resolve(process.env.UPLOAD_DIR || 'uploads')
+  const baseUrl = (process.env.UPLOAD_BASE_URL || UPLOADS_PATH).replace(
+    /\/+$/,
+    ''
+  )
+
+  // Keys are generated by the server, but never let one leave the root
+  const resolve = (key) => {
+    const file = path.resolve(root, key)
+    if (!file.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`)
+    }
+    return file
+  }
+
+  return {
+    name: 'local',
+    save: async (key, buffer) => {
+      const file = resolve(key)
+      await fs.mkdir(path.dirname(file), { recursive: true })
+      await fs.writeFile(file, buffer)
+      return `${baseUrl}/${key}`
+    },
+    remove: (key) => fs.rm(resolve(key), { force: true }),
+    serve: express.static(root, { index: false })
+  }
+}
+
+const STORAGE_DRIVERS = {
+  local: createLocalStorage
+}
+
+/**
+ * Utility function to add a storage backend
+ * A driver is a factory returning { name, save(key, buffer, contentType) → url,
+ * remove(key) }, and optionally a `serve` middleware mounted on /uploads.
+ *
+ * @param {string} name - Name to select the driver by in STORAGE_DRIVER
+ * @param {Function} factory - Creates the driver from the environment
+ */
+const registerStorageDriver = (name, factory) => {
+  STORAGE_DRIVERS[name] = factory
+}
+
+/**
+ * Utility function to get a storage backend
+ * @param {string} [name] - Driver name, the STORAGE_DRIVER setting (default local) if left out
+ * @returns {object} The driver
+ * @throws {Error} For a driver that is not registered
+ */
+const getStorage = (name = process.env.STORAGE_DRIVER || 'local') => {
+  const factory = STORAGE_DRIVERS[name]
+  if (!factory) {
+    throw new Error(
+      `STORAGE_DRIVER must be one of: ${Object.keys(STORAGE_DRIVERS).join(', ')}`
+    )
+  }
+  return factory()
+}
+
+module.exports = {
+  UPLOADS_PATH,
+  registerStorageDriver,
+  getStorage
+}
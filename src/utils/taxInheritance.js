@@ -0,0 +1,147 @@
+const SubCategory = require('../models/SubCategory')
+const Item = require('../models/Item')
+
+/**
+ * Utility function to pick the tax settings of a document
+ * @param {object} doc - Category, subcategory or item
+ * @returns {object} taxApplicability, tax and taxType
+ */
+const pickTax = (doc) => {
+  if (!doc || !doc.taxApplicability) {
+    return { taxApplicability: false }
+  }
+
+  return {
+    taxApplicability: true,
+    tax: doc.tax,
+    taxType: doc.taxType
+  }
+}
+
+/**
+ * Utility function to compare two sets of tax settings
+ * @returns {boolean} Whether both charge the same tax
+ */
+const isSameTax = (a, b) => {
+  const left = pickTax(a)
+  const right = pickTax(b)
+
+  return (
+    left.taxApplicability === right.taxApplicability &&
+    left.tax === right.tax &&
+    left.taxType === right.taxType
+  )
+}
+
+/**
+ * Utility function to build the update that copies inherited tax onto a document
+ * @param {object} parentTax - Tax settings of the parent
+ * @returns {object} Mongoose update object
+ */
+const buildInheritedTaxUpdate = (parentTax) => {
+  const tax = pickTax(parentTax)
+
+  if (!tax.taxApplicability) {
+    return {
+      taxApplicability: false,
+      taxInherited: true,
+      $unset: { tax: '', taxType: '' }
+    }
+  }
+
+  return { ...tax, taxInherited: true }
+}
+
+const describeChange = (doc, tax) => ({
+  _id: doc._id,
+  name: doc.name,
+  from: pickTax(doc),
+  to: pickTax(tax)
+})
+
+/**
+ * Find the subcategories and items that inherit tax from a parent and whose
+ * stored values differ from the parent's new tax settings
+ *
+ * @param {object} parent - { categoryId } or { subCategoryId }
+ * @param {object} tax - The parent's new tax settings
+ * @returns {Promise<object>} Changes grouped by subCategories and items
+ */
+const planTaxPropagation = async ({ categoryId, subCategoryId }, tax) => {
+  const subCategories = categoryId
+    ? await SubCategory.find({ categoryId, taxInherited: true }).select(
+        'name taxApplicability tax taxType'
+      )
+    : []
+
+  // Items under an inheriting subcategory follow the category as well
+  const parentFilters = categoryId
+    ? [
+        { categoryId },
+        {
+          subCategoryId: {
+            $in: subCategories.map((subCategory) => subCategory._id)
+          }
+        }
+      ]
+    : [{ subCategoryId }]
+
+  const items = await Item.find({
+    $or: parentFilters,
+    taxInherited: true
+  }).select('name taxApplicability tax taxType')
+
+  return {
+    subCategories: subCategories
+      .filter((subCategory) => !isSameTax(subCategory, tax))
+      .map((subCategory) => describeChange(subCategory, tax)),
+    items: items
+      .filter((item) => !isSameTax(item, tax))
+      .map((item) => describeChange(item, tax))
+  }
+}
+
+/**
+ * Copy a parent's tax settings onto the documents listed in a propagation plan
+ *
+ * @param {object} plan - Result of planTaxPropagation
+ * @param {object} tax - The parent's new tax settings
+ * @returns {Promise<object>} Number of updated subcategories and items
+ */
+const applyTaxPropagation = async (plan, tax) => {
+  const update = buildInheritedTaxUpdate(tax)
+
+  if (plan.subCategories.length) {
+    await SubCategory.updateMany(
+      { _id: { $in: plan.subCategories.map((change) => change._id) } },
+      update
+    )
+  }
+
+  if (plan.items.length) {
+    await Item.updateMany(
+      { _id: { $in: plan.items.map((change) => change._id) } },
+      update
+    )
+  }
+
+  return {
+    subCategories: plan.subCategories.length,
+    items: plan.items.length
+  }
+}
+
+/**
+ * Plan and apply tax propagation from a parent in one step
+ */
+const propagateTax = async (parent, tax) =>
+  applyTaxPropagation(await planTaxPropagation(parent, tax), tax)
+
+module.exports = {
+  pickTax,
+  isSameTax,
+  buildInheritedTaxUpdate,
+  planTaxPropagation,
+  applyTaxPropagation,
+  propagateTax
+}
@@ -0,0 +1,67 @@
+const { createError } = require('./helpers')
+const { runWithContext, getContext } = require('./requestContext')
+
+/**
+ * Request header that selects a tenant (restaurant brand) for requests
+ * without a token
+ */
+const TENANT_HEADER = 'X-Tenant-Id'
+
+/**
+ * Utility function to get the tenant used when a request names none
+ * @returns {string} DEFAULT_TENANT, or 'default'
+ */
+const getDefaultTenant = () => process.env.DEFAULT_TENANT || 'default'
+
+/**
+ * Utility function to list the tenants this deployment hosts
+ * @returns {string[]} The default tenant followed by those in TENANTS (comma separated)
+ */
+const getTenants = () => [
+  getDefaultTenant(),
+  ...(process.env.TENANTS || '')
+    .split(',')
+    .map((tenant) => tenant.trim())
+    .filter(Boolean)
+]
+
+/**
+ * Utility function to check a tenant ID against the hosted tenants
+ * @param {string} [tenant] - Tenant ID from a token or header
+ * @returns {string} The tenant, or the default tenant when none is given
+ * @throws {Error} 404 error for tenants this deployment does not host
+ */
+const resolveTenant = (tenant) => {
+  if (!tenant) return getDefaultTenant()
+
+  if (!getTenants().includes(tenant)) {
+    throw createError('Tenant not found', 404)
+  }
+
+  return tenant
+}
+
+/**
+ * Utility function to run a function, and everything it awaits, as a tenant
+ * @param {string} tenant - Tenant ID
+ * @param {Function} fn - Function to run
+ * @returns {*} The function's return value
+ */
+const runWithTenant = (tenant, fn) => runWithContext({ tenant }, fn)
+
+/**
+ * Utility function to get the tenant of the running request
+ * Code running outside a request (scripts, tests) works on the default tenant.
+ *
+ * @returns {string} Tenant ID
+ */
+const getCurrentTenant = () => getContext().tenant || getDefaultTenant()
+
+module.exports = {
+  TENANT_HEADER,
+  getDefaultTenant,
+  getTenants,
+  resolveTenant,
+  runWithTenant,
+  getCurrentTenant
+}
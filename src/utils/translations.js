@@ -0,0 +1,213 @@
+const mongoose = require('mongoose')
+const { createError } = require('./helpers')
+
+/**
+ * Fields of categories, subcategories and items that can be translated
+ */
+const TRANSLATED_FIELDS = ['name', 'description']
+
+/**
+ * Query parameter that selects the response language; Accept-Language works as well
+ */
+const LANGUAGE_PARAM = 'lang'
+
+const normalizeLanguage = (language) => String(language).trim().toLowerCase()
+
+/**
+ * Utility function to get the language of the untranslated fields
+ * Reads fall back to it when a document has no translation in the requested language.
+ *
+ * @returns {string} DEFAULT_LANGUAGE, or 'en'
+ */
+const getDefaultLanguage = () =>
+  normalizeLanguage(process.env.DEFAULT_LANGUAGE || 'en')
+
+/**
+ * Utility function to list the languages the menu is served in
+ * @returns {string[]} The default language followed by those in LANGUAGES (comma separated)
+ */
+const getLanguages = () => [
+  getDefaultLanguage(),
+  ...(process.env.LANGUAGES || '')
+    .split(',')
+    .map(normalizeLanguage)
+    .filter(Boolean)
+]
+
+/**
+ * Utility function to check a language tag
+ * @param {string} language - Language tag, e.g. fr
+ * @returns {boolean} Whether the menu is served in the language
+ */
+const isLanguage = (language) =>
+  getLanguages().includes(normalizeLanguage(language))
+
+/**
+ * Utility function to read the languages of an Accept-Language header
+ * @param {string} [header] - e.g. "fr-CA, fr;q=0.9, en;q=0.5"
+ * @returns {string[]} Language tags, most preferred first
+ */
+const parseAcceptLanguage = (header = '') =>
+  header
+    .split(',')
+    .map((entry, index) => {
+      const [tag, ...params] = entry.trim().split(';')
+      const quality = params
+        .map((param) => param.trim().match(/^q=([\d.]+)$/))
+        .find(Boolean)
+
+      return {
+        tag: normalizeLanguage(tag),
+        quality: quality ? Number(quality[1]) : 1,
+        index
+      }
+    })
+    .filter(({ tag, quality }) => tag && tag !== '*' && quality > 0)
+    .sort((a, b) => b.quality - a.quality || a.index - b.index)
+    .map(({ tag }) => tag)
+
+/**
+ * Utility function to pick the language of a response
+ * `?lang=` wins over Accept-Language. A regional tag (fr-ca) that is not
+ * served falls back to its base language (fr).
+ *
+ * @param {object} options
+ * @param {string} [options.lang] - Language from the query
+ * @param {string} [options.acceptLanguage] - Accept-Language header
+ * @returns {string} A served language, the default one when nothing matches
+ * @throws {Error} 400 error for a `lang` the menu is not served in
+ */
+const resolveLanguage = ({ lang, acceptLanguage } = {}) => {
+  if (lang !== undefined) {
+    if (!isLanguage(lang)) {
+      throw createError(
+        `lang must be one of: ${getLanguages().join(', ')}`,
+        400
+      )
+    }
+    return normalizeLanguage(lang)
+  }
+
+  const languages = getLanguages()
+  const match = parseAcceptLanguage(acceptLanguage)
+    .flatMap((tag) => [tag, tag.split('-')[0]])
+    .find((tag) => languages.includes(tag))
+
+  return match || getDefaultLanguage()
+}
+
+const getTranslation = (translations, language) => {
+  if (!translations) return undefined
+  return translations instanceof Map
+    ? translations.get(language)
+    : translations[language]
+}
+
+/**
+ * Utility function to return a document in a language
+ * Translated fields fall back to the untranslated ones field by field.
+ * Populated parents and nested subcategories and items are localized too.
+ *
+ * @param {object} doc - Category, subcategory or item (document or plain object)
+ * @param {string} language - Language from resolveLanguage
+ * @returns {object} Plain object with the fields in the language and without `translations`
+ */
+const localize = (doc, language) => {
+  if (
+    !doc ||
+    typeof doc !== 'object' ||
+    doc instanceof mongoose.Types.ObjectId
+  ) {
+    return doc
+  }
+
+  const { translations, ...plain } =
+    typeof doc.toObject === 'function' ? doc.toObject() : doc
+  const translation = getTranslation(translations, language) || {}
+
+  TRANSLATED_FIELDS.forEach((field) => {
+    if (translation[field]) plain[field] = translation[field]
+  })
+  ;['categoryId', 'subCategoryId'].forEach((field) => {
+    if (plain[field]) plain[field] = localize(plain[field], language)
+  })
+  ;['subCategories', 'items'].forEach((field) => {
+    if (Array.isArray(plain[field])) {
+      plain[field] = plain[field].map((entry) => localize(entry, language))
+    }
+  })
+
+  return plain
+}
+
+/**
+ * Utility function to build a name search that also matches translated names
+ * The alternatives sit inside $and so the filter can be spread next to
+ * others that use $or.
+ *
+ * @param {object} condition - Condition on the name, e.g. { $regex, $options }
+ * @param {string} language - Language from resolveLanguage
+ * @returns {object} Mongo filter
+ */
+const buildNameFilter = (condition, language) =>
+  language === getDefaultLanguage()
+    ? { name: condition }
+    : {
+        $and: [
+          {
+            $or: [
+              { name: condition },
+              { [`translations.${language}.name`]: condition }
+            ]
+          }
+        ]
+      }
+
+/**
+ * Utility function to check the language of a translation being written
+ * The default language is not a translation; it is written on the document itself.
+ *
+ * @param {string} language - Language tag from the route
+ * @returns {string} The normalized language
+ * @throws {Error} 400 error for the default language or one the menu is not served in
+ */
+const checkTranslationLanguage = (language) => {
+  const normalized = normalizeLanguage(language)
+
+  if (normalized === getDefaultLanguage()) {
+    throw createError(
+      `${normalized} is the default language; update the document instead`,
+      400
+    )
+  }
+  if (!isLanguage(normalized)) {
+    throw createError(
+      `Translations can be written in: ${getLanguages().slice(1).join(', ')}`,
+      400
+    )
+  }
+
+  return normalized
+}
+
+/**
+ * Utility function to list the translations of a document
+ * @param {object} doc - Category, subcategory or item document
+ * @returns {object} Translations keyed by language
+ */
+const listTranslations = (doc) =>
+  doc.toObject({ flattenMaps: true }).translations || {}
+
+module.exports = {
+  TRANSLATED_FIELDS,
+  LANGUAGE_PARAM,
+  getDefaultLanguage,
+  getLanguages,
+  isLanguage,
+  parseAcceptLanguage,
+  resolveLanguage,
+  localize,
+  buildNameFilter,
+  checkTranslationLanguage,
+  listTranslations
+}
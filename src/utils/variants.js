@@ -0,0 +1,65 @@
+const { calculateTotal } = require('./helpers')
+
+/**
+ * Utility function to find the default variant of an item
+ * @param {object} item - Item with optional variants
+ * @returns {object|undefined} The flagged default, or the first variant
+ */
+const getDefaultVariant = (item) => {
+  const variants = item.variants || []
+  return variants.find((variant) => variant.isDefault) || variants[0]
+}
+
+/**
+ * Utility function to find a variant by ID or by name (case-insensitive)
+ * @param {object} item - Item with optional variants
+ * @param {string} key - Variant ID or name
+ * @returns {object|undefined} The matching variant
+ */
+const findVariant = (item, key) =>
+  (item.variants || []).find(
+    (variant) =>
+      String(variant._id) === key ||
+      variant.name.toLowerCase() === String(key).toLowerCase()
+  )
+
+/**
+ * Utility function to compute variant totals and the item amounts they imply
+ * Exactly one variant ends up as the default (the first one if none is
+ * flagged) and the item's baseAmount, discount and totalAmount mirror it.
+ *
+ * @param {object[]} variants - Variants with name, baseAmount, discount and isDefault
+ * @returns {object} Normalized variants plus baseAmount, discount and totalAmount
+ */
+const applyVariants = (variants) => {
+  const defaultIndex = Math.max(
+    variants.findIndex((variant) => variant.isDefault),
+    0
+  )
+
+  const normalized = variants.map((variant, index) => {
+    const discount = variant.discount || 0
+
+    return {
+      ...variant,
+      discount,
+      totalAmount: calculateTotal(variant.baseAmount, discount),
+      isDefault: index === defaultIndex
+    }
+  })
+
+  const defaultVariant = normalized[defaultIndex]
+
+  return {
+    variants: normalized,
+    baseAmount: defaultVariant.baseAmount,
+    discount: defaultVariant.discount,
+    totalAmount: defaultVariant.totalAmount
+  }
+}
+
+module.exports = {
+  getDefaultVariant,
+  findVariant,
+  applyVariants
+}
@@ -0,0 +1,59 @@
+const Joi = require('joi')
+const { ROLES } = require('../models/User')
+const { idParams } = require('./common')
+
+const userFields = {
+  name: Joi.string().trim().min(1),
+  email: Joi.string().trim().email(),
+  password: Joi.string().min(8)
+}
+
+/**
+ * Auth request schemas, keyed by controller handler
+ */
+const register = {
+  body: Joi.object({
+    name: userFields.name.required(),
+    email: userFields.email.required(),
+    password: userFields.password.required()
+  })
+}
+
+const login = {
+  body: Joi.object({
+    email: Joi.string().trim().required(),
+    password: Joi.string().required()
+  })
+}
+
+const getMe = {}
+
+const createUser = {
+  body: Joi.object({
+    name: userFields.name.required(),
+    email: userFields.email.required(),
+    password: userFields.password.required(),
+    role: Joi.string().valid(...ROLES)
+  })
+}
+
+const getAllUsers = {}
+
+const updateUser = {
+  params: idParams(),
+  body: Joi.object({
+    name: userFields.name,
+    password: userFields.password,
+    role: Joi.string().valid(...ROLES),
+    active: Joi.boolean()
+  }).min(1)
+}
+
+module.exports = {
+  register,
+  login,
+  getMe,
+  createUser,
+  getAllUsers,
+  updateUser
+}
@@ -0,0 +1,126 @@
+const Joi = require('joi')
+const { SORT_FIELDS } = require('../utils/pagination')
+const {
+  idParams,
+  taxFields,
+  contentFields,
+  modifierGroupIds,
+  availabilityWindows,
+  dietaryFields,
+  soldOutBody,
+  outletField,
+  languageField,
+  draftField,
+  outletQuery,
+  listQuery,
+  deleteQuery,
+  nameSearchQuery,
+  translationParams,
+  translationBody,
+  reorderBody
+} = require('./common')
+
+/**
+ * Category request schemas, keyed by controller handler
+ */
+const createCategory = {
+  body: Joi.object({
+    name: contentFields.name.required(),
+    image: contentFields.image.required(),
+    description: contentFields.description.required(),
+    ...taxFields(),
+    taxApplicability: Joi.boolean().required(),
+    modifierGroups: modifierGroupIds,
+    availability: availabilityWindows,
+    ...dietaryFields
+  })
+}
+
+const getAllCategories = {
+  query: listQuery(SORT_FIELDS.category)
+}
+
+const getCategoryByName = {
+  query: nameSearchQuery.keys({
+    ...outletField,
+    ...languageField,
+    ...draftField
+  })
+}
+
+const getCategoryById = {
+  params: idParams(),
+  query: outletQuery
+}
+
+const updateCategory = {
+  params: idParams(),
+  query: Joi.object({
+    dryRun: Joi.boolean()
+  }),
+  body: Joi.object({
+    ...contentFields,
+    ...taxFields(),
+    modifierGroups: modifierGroupIds,
+    availability: availabilityWindows,
+    ...dietaryFields
+  }).min(1)
+}
+
+const setCategorySoldOut = {
+  params: idParams(),
+  body: soldOutBody
+}
+
+const deleteCategory = {
+  params: idParams(),
+  query: deleteQuery
+}
+
+const restoreCategory = {
+  params: idParams()
+}
+
+const purgeCategory = {
+  params: idParams()
+}
+
+const getCategoryTranslations = {
+  params: idParams(),
+  query: Joi.object(draftField)
+}
+
+const setCategoryTranslation = {
+  params: translationParams,
+  body: translationBody
+}
+
+const deleteCategoryTranslation = {
+  params: translationParams
+}
+
+// The file itself is read and checked by the upload middleware
+const uploadCategoryImage = {
+  params: idParams()
+}
+
+const reorderCategories = {
+  body: reorderBody
+}
+
+module.exports = {
+  createCategory,
+  getAllCategories,
+  getCategoryByName,
+  getCategoryById,
+  updateCategory,
+  setCategorySoldOut,
+  deleteCategory,
+  restoreCategory,
+  purgeCategory,
+  getCategoryTranslations,
+  setCategoryTranslation,
+  deleteCategoryTranslation,
+  uploadCategoryImage,
+  reorderCategories
+}
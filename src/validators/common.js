@@ -0,0 +1,420 @@
+const Joi = require('joi')
+const { DELETE_POLICIES, parseList } = require('../utils/helpers')
+const { MAX_LIMIT } = require('../utils/pagination')
+const {
+  DAYS,
+  TIME_PATTERN,
+  END_OF_DAY
+} = require('../models/plugins/availability')
+const { LANGUAGE_PATTERN } = require('../models/plugins/translations')
+const { DIETARY_TAGS, ALLERGENS } = require('../models/plugins/dietary')
+const { isCurrency } = require('../utils/money')
+
+const TAX_TYPES = ['percentage', 'fixed']
+
+/**
+ * Options shared by every Joi validation: report all errors and reject unknown fields
+ */
+const VALIDATION_OPTIONS = {
+  abortEarly: false,
+  allowUnknown: false,
+  errors: { wrap: { label: false } }
+}
+
+/**
+ * 24 character hex string accepted as a MongoDB ObjectId
+ */
+const objectId = () =>
+  Joi.string()
+    .custom((value, helpers) =>
+      /^[a-f\d]{24}$/i.test(value) ? value : helpers.error('objectId.invalid')
+    )
+    .messages({ 'objectId.invalid': '{{#label}} must be a valid ObjectId' })
+
+/**
+ * Route params holding a single ObjectId (e.g. { id })
+ */
+const idParams = (name = 'id') => Joi.object({ [name]: objectId().required() })
+
+/**
+ * Amount of money in whole minor units of the currency (e.g. cents)
+ */
+const money = () =>
+  Joi.number().integer().min(0).messages({
+    'number.integer': '{{#label}} must be a whole number of minor units'
+  })
+
+/**
+ * Tax fields shared by categories, subcategories and items
+ * Tax amount and type are required whenever tax is applicable. Percentage tax
+ * is at most 100; fixed tax is money.
+ *
+ * @param {object} options
+ * @param {boolean} options.allowInherit - Accept null to inherit tax from the parent
+ */
+const taxFields = ({ allowInherit = false } = {}) => ({
+  taxApplicability: allowInherit ? Joi.boolean().allow(null) : Joi.boolean(),
+  tax: Joi.number()
+    .min(0)
+    .when('taxType', {
+      is: 'fixed',
+      then: money(),
+      otherwise: Joi.number().max(100)
+    })
+    .when('taxApplicability', { is: true, then: Joi.required() }),
+  taxType: Joi.string()
+    .valid(...TAX_TYPES)
+    .when('taxApplicability', { is: true, then: Joi.required() })
+})
+
+/**
+ * Name, image and description shared by every menu document
+ * Images are http(s) URLs, or paths such as /uploads/... for uploaded files.
+ */
+const contentFields = {
+  name: Joi.string().trim().min(1),
+  image: Joi.string()
+    .trim()
+    .uri({ scheme: ['http', 'https'], allowRelative: true })
+    .pattern(/^(https?:\/\/|\/[^/])/)
+    .messages({
+      'string.pattern.base':
+        '{{#label}} must be an http(s) URL or a path starting with /'
+    }),
+  description: Joi.string().trim().min(1)
+}
+
+/**
+ * Item amounts; the discount cannot exceed the base amount
+ */
+const amountFields = {
+  baseAmount: money(),
+  discount: money()
+    .when('baseAmount', {
+      is: Joi.exist(),
+      then: Joi.number().max(Joi.ref('baseAmount'))
+    })
+    .messages({
+      'number.max': 'Discount cannot be greater than base amount'
+    })
+}
+
+/**
+ * Named variants of an item (e.g. sizes), each with its own amounts
+ * Names are unique per item and at most one variant is the default
+ */
+const variantList = Joi.array()
+  .items(
+    Joi.object({
+      _id: objectId(),
+      name: Joi.string().trim().min(1).required(),
+      ...amountFields,
+      baseAmount: amountFields.baseAmount.required(),
+      isDefault: Joi.boolean()
+    })
+  )
+  .unique((a, b) => a.name.toLowerCase() === b.name.toLowerCase())
+  .custom((variants, helpers) =>
+    variants.filter((variant) => variant.isDefault).length > 1
+      ? helpers.error('variants.default')
+      : variants
+  )
+  .messages({
+    'array.unique': 'Variant names must be unique',
+    'variants.default': 'Only one variant can be the default'
+  })
+
+/**
+ * Modifier groups attached to a category, subcategory or item
+ */
+const modifierGroupIds = Joi.array()
+  .items(objectId())
+  .unique()
+  .messages({ 'array.unique': 'Modifier groups must be unique' })
+
+/**
+ * Modifier options a customer chose for an item, by group
+ */
+const modifierSelections = Joi.array()
+  .items(
+    Joi.object({
+      group: objectId().required(),
+      // Option IDs or names
+      options: Joi.array().items(Joi.string().trim().min(1)).min(1).required()
+    })
+  )
+  .unique('group')
+  .messages({
+    'array.unique': 'Each modifier group can only be selected once'
+  })
+
+// Units to price, so quantity promotions such as buy X get Y apply
+const priceQuantity = Joi.number().integer().min(1)
+
+/**
+ * Weekly schedule of a category, subcategory or item
+ * An empty list or null removes the schedule so the parent's applies again
+ */
+const availabilityWindows = Joi.array()
+  .items(
+    Joi.object({
+      days: Joi.array()
+        .items(
+          Joi.string()
+            .lowercase()
+            .valid(...DAYS)
+        )
+        .min(1)
+        .unique()
+        .required(),
+      start: Joi.string().pattern(TIME_PATTERN).required(),
+      // A window ending before it starts runs past midnight
+      end: Joi.string()
+        .pattern(TIME_PATTERN)
+        .allow(END_OF_DAY)
+        .invalid(Joi.ref('start'))
+        .required()
+    }).messages({
+      'string.pattern.base': '{{#label}} must be in HH:mm format',
+      'any.invalid': 'end must differ from start'
+    })
+  )
+  .allow(null)
+  .messages({
+    'array.base':
+      '{{#label}} must be a list of days and times (e.g. mon,tue 07:00-11:00)'
+  })
+
+/**
+ * List of values from a controlled vocabulary; null makes a document follow
+ * its parent's list and an empty list declares none
+ */
+const vocabularyList = (vocabulary) =>
+  Joi.array()
+    .items(
+      Joi.string()
+        .lowercase()
+        .valid(...vocabulary)
+    )
+    .unique()
+    .allow(null)
+    .messages({ 'array.unique': '{{#label}} must not repeat a value' })
+
+/**
+ * Dietary tags and allergens of categories, subcategories and items
+ */
+const dietaryFields = {
+  dietaryTags: vocabularyList(DIETARY_TAGS),
+  allergens: vocabularyList(ALLERGENS)
+}
+
+/**
+ * Comma separated query list of values from a controlled vocabulary
+ */
+const vocabularyQuery = (vocabulary) =>
+  Joi.string()
+    .custom((value, helpers) => {
+      const unknown = parseList(value).filter(
+        (entry) => !vocabulary.includes(entry)
+      )
+      return unknown.length
+        ? helpers.error('vocabulary.unknown', { unknown: unknown.join(', ') })
+        : value
+    })
+    .messages({
+      'vocabulary.unknown': `{{#label}} has unknown values ({{#unknown}}); use: ${vocabulary.join(', ')}`
+    })
+
+/**
+ * Filters on the dietary tags and allergens of items, e.g. tags=vegan&excludeAllergens=peanut,dairy
+ */
+const dietaryFilters = {
+  tags: vocabularyQuery(DIETARY_TAGS),
+  excludeTags: vocabularyQuery(DIETARY_TAGS),
+  allergens: vocabularyQuery(ALLERGENS),
+  excludeAllergens: vocabularyQuery(ALLERGENS)
+}
+
+/**
+ * ISO 4217 currency code; null falls back to the default currency
+ */
+const currencyCode = Joi.string()
+  .trim()
+  .uppercase()
+  .custom((currency, helpers) =>
+    isCurrency(currency) ? currency : helpers.error('currency.unknown')
+  )
+  .allow(null)
+  .messages({ 'currency.unknown': '{{#label}} is not a known currency code' })
+
+/**
+ * Units of an item left to sell; null stops tracking stock
+ */
+const stockCount = Joi.number().integer().min(0).allow(null)
+
+/**
+ * Body accepted by the sold out toggles of items, subcategories and categories
+ * Without `until` sold out items come back at the start of the next day.
+ */
+const soldOutBody = Joi.object({
+  soldOut: Joi.boolean().required(),
+  until: Joi.date().iso().greater('now').when('soldOut', {
+    is: false,
+    then: Joi.forbidden()
+  })
+})
+
+/**
+ * Moment accepted by the availableAt filter: an ISO date/time or `now`
+ */
+const availableAt = Joi.alternatives(
+  Joi.date().iso(),
+  Joi.string().valid('now')
+)
+
+/**
+ * Outlet whose prices and visibility a read returns; also read from X-Outlet-Id
+ */
+const outletField = { outlet: objectId() }
+
+/**
+ * Language names and descriptions are returned in; also read from
+ * Accept-Language. The language middleware checks it is served.
+ */
+const languageField = { lang: Joi.string().trim().min(1) }
+
+/**
+ * Read the working draft instead of the published menu (admin, manager)
+ */
+const draftField = { draft: Joi.boolean() }
+
+/**
+ * Query parameters accepted by single document reads
+ */
+const outletQuery = Joi.object({
+  ...outletField,
+  ...languageField,
+  ...draftField
+})
+
+/**
+ * Query parameters accepted by paginated list endpoints
+ *
+ * @param {string[]} sortFields - Fields the list can be sorted by
+ * @param {object} filters - Extra filter parameters
+ */
+const listQuery = (sortFields, filters = {}) =>
+  Joi.object({
+    page: Joi.number().integer().min(1),
+    limit: Joi.number().integer().min(1).max(MAX_LIMIT),
+    cursor: Joi.string(),
+    sort: Joi.string().valid(
+      ...sortFields,
+      ...sortFields.map((field) => `-${field}`)
+    ),
+    taxApplicability: Joi.boolean(),
+    taxType: Joi.string().valid(...TAX_TYPES),
+    createdFrom: Joi.date().iso(),
+    createdTo: Joi.date().iso(),
+    updatedFrom: Joi.date().iso(),
+    updatedTo: Joi.date().iso(),
+    availableAt,
+    ...outletField,
+    ...languageField,
+    ...draftField,
+    ...filters
+  }).oxor('page', 'cursor')
+
+/**
+ * Extra filters accepted by item list endpoints
+ */
+const itemFilters = {
+  minPrice: Joi.number().min(0),
+  maxPrice: Joi.number().min(0),
+  hasDiscount: Joi.boolean(),
+  hideSoldOut: Joi.boolean(),
+  ...dietaryFilters
+}
+
+/**
+ * Query parameters accepted by delete endpoints
+ */
+const deleteQuery = Joi.object({
+  policy: Joi.string().valid(...DELETE_POLICIES),
+  reassignTo: objectId().when('policy', {
+    is: 'reassign',
+    then: Joi.required(),
+    otherwise: Joi.forbidden()
+  })
+})
+
+/**
+ * Query parameters accepted by name search endpoints
+ */
+const nameSearchQuery = Joi.object({
+  name: Joi.string().trim().min(1).required()
+})
+
+/**
+ * Route params of a document's translation in one language (e.g. { id, lang })
+ */
+const translationParams = Joi.object({
+  id: objectId().required(),
+  lang: Joi.string().lowercase().pattern(LANGUAGE_PATTERN).required().messages({
+    'string.pattern.base': '{{#label}} must be a language tag such as fr'
+  })
+})
+
+/**
+ * Translated fields of a document; those left out fall back to the untranslated ones
+ */
+const translationBody = Joi.object({
+  name: contentFields.name,
+  description: contentFields.description
+}).min(1)
+
+/**
+ * Every sibling's id, once, in the new display order
+ */
+const reorderBody = Joi.object({
+  ids: Joi.array()
+    .items(objectId())
+    .min(1)
+    .unique()
+    .required()
+    .messages({ 'array.unique': 'ids must not repeat an id' })
+})
+
+module.exports = {
+  TAX_TYPES,
+  VALIDATION_OPTIONS,
+  objectId,
+  idParams,
+  money,
+  taxFields,
+  contentFields,
+  amountFields,
+  variantList,
+  modifierGroupIds,
+  modifierSelections,
+  priceQuantity,
+  availabilityWindows,
+  dietaryFields,
+  vocabularyQuery,
+  dietaryFilters,
+  currencyCode,
+  stockCount,
+  soldOutBody,
+  availableAt,
+  outletField,
+  languageField,
+  draftField,
+  outletQuery,
+  listQuery,
+  itemFilters,
+  deleteQuery,
+  nameSearchQuery,
+  translationParams,
+  translationBody,
+  reorderBody
+}
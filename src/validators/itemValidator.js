@@ -0,0 +1,232 @@
+const Joi = require('joi')
+const { SORT_FIELDS } = require('../utils/pagination')
+const {
+  objectId,
+  idParams,
+  taxFields,
+  contentFields,
+  amountFields,
+  variantList,
+  modifierGroupIds,
+  modifierSelections,
+  priceQuantity,
+  availabilityWindows,
+  dietaryFields,
+  stockCount,
+  soldOutBody,
+  outletField,
+  languageField,
+  draftField,
+  outletQuery,
+  listQuery,
+  itemFilters,
+  translationParams,
+  translationBody,
+  reorderBody
+} = require('./common')
+
+const withVariants = Joi.array().min(1).required()
+const perVariantMessages = {
+  'any.unknown': '{{#label}} is set per variant when an item has variants'
+}
+
+/**
+ * Item amounts, which move onto the variants when an item has any
+ * @param {object} options
+ * @param {boolean} options.requireBase - Require baseAmount when there are no variants
+ */
+const priceFields = ({ requireBase = false } = {}) => ({
+  variants: variantList,
+  baseAmount: amountFields.baseAmount
+    .when('variants', {
+      is: withVariants,
+      then: Joi.forbidden(),
+      otherwise: requireBase ? Joi.required() : Joi.optional()
+    })
+    .messages(perVariantMessages),
+  discount: amountFields.discount
+    .when('variants', { is: withVariants, then: Joi.forbidden() })
+    .messages(perVariantMessages)
+})
+
+const parentFields = {
+  categoryId: objectId(),
+  subCategoryId: objectId()
+}
+
+const parentMessages = {
+  'object.missing': 'Either categoryId or subCategoryId must be provided',
+  'object.xor':
+    'Item cannot belong to both category and subcategory simultaneously',
+  'object.oxor':
+    'Item cannot belong to both category and subcategory simultaneously'
+}
+
+/**
+ * Item request schemas, keyed by controller handler
+ */
+const createItem = {
+  body: Joi.object({
+    name: contentFields.name.required(),
+    image: contentFields.image.required(),
+    description: contentFields.description.required(),
+    // Omitted tax fields are inherited from the subcategory/category
+    ...taxFields({ allowInherit: true }),
+    ...priceFields({ requireBase: true }),
+    modifierGroups: modifierGroupIds,
+    availability: availabilityWindows,
+    ...dietaryFields,
+    stock: stockCount,
+    ...parentFields
+  })
+    // An item belongs to exactly one of a category or a subcategory
+    .xor('categoryId', 'subCategoryId')
+    .messages(parentMessages)
+}
+
+const getAllItems = {
+  query: listQuery(SORT_FIELDS.item, itemFilters)
+}
+
+const searchItemsByName = {
+  query: listQuery(SORT_FIELDS.item, {
+    ...itemFilters,
+    name: Joi.string().trim().min(1).required()
+  })
+}
+
+const getItemsByCategory = {
+  params: idParams('categoryId'),
+  query: listQuery(SORT_FIELDS.item, itemFilters)
+}
+
+const getItemsBySubCategory = {
+  params: idParams('subCategoryId'),
+  query: listQuery(SORT_FIELDS.item, itemFilters)
+}
+
+const getItemById = {
+  params: idParams(),
+  query: outletQuery
+}
+
+const getItemPrice = {
+  params: idParams(),
+  query: Joi.object({
+    // Variant ID or name; defaults to the default variant
+    variant: Joi.string().trim().min(1),
+    quantity: priceQuantity,
+    ...outletField,
+    ...languageField,
+    ...draftField
+  })
+}
+
+// Body version of getItemPrice that also prices chosen modifiers
+const priceItemSelection = {
+  params: idParams(),
+  query: outletQuery,
+  body: Joi.object({
+    variant: Joi.string().trim().min(1),
+    modifiers: modifierSelections,
+    quantity: priceQuantity.default(1)
+  })
+}
+
+const updateItem = {
+  params: idParams(),
+  body: Joi.object({
+    ...contentFields,
+    ...taxFields({ allowInherit: true }),
+    ...priceFields(),
+    modifierGroups: modifierGroupIds,
+    availability: availabilityWindows,
+    ...dietaryFields,
+    stock: stockCount,
+    ...parentFields
+  })
+    .min(1)
+    .oxor('categoryId', 'subCategoryId')
+    .messages(parentMessages)
+}
+
+const setItemSoldOut = {
+  params: idParams(),
+  body: soldOutBody
+}
+
+const getItemHistory = {
+  params: idParams()
+}
+
+const recordItemSale = {
+  params: idParams(),
+  body: Joi.object({
+    quantity: Joi.number().integer().min(1).default(1)
+  })
+}
+
+const deleteItem = {
+  params: idParams()
+}
+
+const restoreItem = {
+  params: idParams()
+}
+
+const purgeItem = {
+  params: idParams()
+}
+
+const getItemTranslations = {
+  params: idParams(),
+  query: Joi.object(draftField)
+}
+
+const setItemTranslation = {
+  params: translationParams,
+  body: translationBody
+}
+
+const deleteItemTranslation = {
+  params: translationParams
+}
+
+// The file itself is read and checked by the upload middleware
+const uploadItemImage = {
+  params: idParams()
+}
+
+const reorderItemsByCategory = {
+  params: idParams('categoryId'),
+  body: reorderBody
+}
+
+const reorderItemsBySubCategory = {
+  params: idParams('subCategoryId'),
+  body: reorderBody
+}
+
+module.exports = {
+  createItem,
+  getAllItems,
+  searchItemsByName,
+  getItemsByCategory,
+  getItemsBySubCategory,
+  getItemById,
+  getItemPrice,
+  getItemHistory,
+  priceItemSelection,
+  updateItem,
+  setItemSoldOut,
+  recordItemSale,
+  deleteItem,
+  restoreItem,
+  purgeItem,
+  getItemTranslations,
+  setItemTranslation,
+  deleteItemTranslation,
+  uploadItemImage,
+  reorderItemsByCategory,
+  reorderItemsBySubCategory
+}
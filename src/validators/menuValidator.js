@@ -0,0 +1,164 @@
+const Joi = require('joi')
+const {
+  idParams,
+  taxFields,
+  contentFields,
+  amountFields,
+  availableAt,
+  availabilityWindows,
+  dietaryFields,
+  dietaryFilters,
+  outletField,
+  languageField,
+  draftField,
+  variantList,
+  currencyCode
+} = require('./common')
+const { createCategory } = require('./categoryValidator')
+const { createSubCategory } = require('./subCategoryValidator')
+
+const IMPORT_MODES = ['atomic', 'best-effort']
+const EXPORT_FORMATS = ['json', 'csv']
+
+const menuQuery = Joi.object({
+  excludeEmpty: Joi.boolean(),
+  hideSoldOut: Joi.boolean(),
+  ...dietaryFilters,
+  availableAt,
+  ...outletField,
+  ...languageField,
+  ...draftField
+})
+
+/**
+ * Menu request schemas, keyed by controller handler
+ */
+const getMenu = {
+  query: menuQuery
+}
+
+const getCategoryMenu = {
+  params: idParams('categoryId'),
+  query: menuQuery
+}
+
+// The body is checked row by row by the import itself
+const importMenu = {
+  query: Joi.object({
+    mode: Joi.string().valid(...IMPORT_MODES)
+  })
+}
+
+const exportMenu = {
+  query: Joi.object({
+    format: Joi.string().valid(...EXPORT_FORMATS),
+    ...draftField
+  })
+}
+
+const versionParams = Joi.object({
+  number: Joi.number().integer().min(1).required()
+})
+
+// A version number, or draft for the working draft
+const versionRef = Joi.alternatives(
+  Joi.number().integer().min(1),
+  Joi.string().valid('draft')
+).required()
+
+const publishBody = Joi.object({
+  note: Joi.string().trim().max(500)
+})
+
+const publishMenu = {
+  body: publishBody
+}
+
+const getMenuVersions = {}
+
+const getMenuSettings = {}
+
+const updateMenuSettings = {
+  body: Joi.object({
+    // null goes back to the CURRENCY setting
+    currency: currencyCode
+  }).min(1)
+}
+
+const getMenuVersion = {
+  params: versionParams
+}
+
+const diffMenuVersions = {
+  query: Joi.object({
+    from: versionRef,
+    to: versionRef
+  })
+}
+
+const rollbackMenuVersion = {
+  params: versionParams,
+  body: publishBody
+}
+
+const parentName = Joi.string().trim().min(1)
+
+const modifierGroupNames = Joi.array()
+  .items(Joi.string().trim().min(1))
+  .unique()
+  .messages({ 'array.unique': 'Modifier groups must be unique' })
+
+/**
+ * Schemas for the rows of a menu import, keyed by row type
+ * Parents and modifier groups are referenced by name instead of ID
+ */
+const importRows = {
+  category: createCategory.body.keys({
+    modifierGroups: modifierGroupNames
+  }),
+  subcategory: createSubCategory.body.keys({
+    category: parentName.required(),
+    modifierGroups: modifierGroupNames
+  }),
+  item: Joi.object({
+    name: contentFields.name.required(),
+    image: contentFields.image.required(),
+    description: contentFields.description.required(),
+    // Omitted tax fields are inherited from the subcategory/category
+    ...taxFields({ allowInherit: true }),
+    // Either baseAmount or variants is checked once variant rows are attached
+    ...amountFields,
+    variants: variantList,
+    modifierGroups: modifierGroupNames,
+    availability: availabilityWindows,
+    ...dietaryFields,
+    category: parentName.required(),
+    subCategory: parentName
+  }),
+  variant: Joi.object({
+    name: Joi.string().trim().min(1).required(),
+    ...amountFields,
+    baseAmount: amountFields.baseAmount.required(),
+    isDefault: Joi.boolean(),
+    category: parentName.required(),
+    subCategory: parentName,
+    item: parentName.required()
+  })
+}
+
+module.exports = {
+  IMPORT_MODES,
+  EXPORT_FORMATS,
+  getMenu,
+  getCategoryMenu,
+  importMenu,
+  exportMenu,
+  publishMenu,
+  getMenuVersions,
+  getMenuVersion,
+  diffMenuVersions,
+  rollbackMenuVersion,
+  getMenuSettings,
+  updateMenuSettings,
+  importRows
+}
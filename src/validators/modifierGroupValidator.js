@@ -0,0 +1,96 @@
+const Joi = require('joi')
+const { SORT_FIELDS } = require('../utils/pagination')
+const {
+  objectId,
+  idParams,
+  money,
+  listQuery,
+  nameSearchQuery
+} = require('./common')
+
+const optionList = Joi.array()
+  .items(
+    Joi.object({
+      _id: objectId(),
+      name: Joi.string().trim().min(1).required(),
+      price: money()
+    })
+  )
+  .min(1)
+  .unique((a, b) => a.name.toLowerCase() === b.name.toLowerCase())
+  .messages({ 'array.unique': 'Option names must be unique' })
+
+const groupFields = {
+  name: Joi.string().trim().min(1),
+  description: Joi.string().trim().allow(''),
+  options: optionList,
+  minSelections: Joi.number().integer().min(0),
+  // null removes the upper limit
+  maxSelections: Joi.number()
+    .integer()
+    .min(1)
+    .allow(null)
+    .when('minSelections', {
+      is: Joi.exist(),
+      then: Joi.number().min(Joi.ref('minSelections')).messages({
+        'number.min': 'maxSelections cannot be less than minSelections'
+      })
+    })
+}
+
+/**
+ * ModifierGroup request schemas, keyed by controller handler
+ */
+const createModifierGroup = {
+  body: Joi.object({
+    ...groupFields,
+    name: groupFields.name.required(),
+    options: optionList.required()
+  })
+}
+
+const getAllModifierGroups = {
+  query: listQuery(SORT_FIELDS.modifierGroup, {
+    taxApplicability: Joi.forbidden(),
+    taxType: Joi.forbidden(),
+    availableAt: Joi.forbidden(),
+    outlet: Joi.forbidden(),
+    lang: Joi.forbidden()
+  })
+}
+
+const getModifierGroupByName = {
+  query: nameSearchQuery
+}
+
+const getModifierGroupById = {
+  params: idParams()
+}
+
+const updateModifierGroup = {
+  params: idParams(),
+  body: Joi.object(groupFields).min(1)
+}
+
+const deleteModifierGroup = {
+  params: idParams()
+}
+
+const restoreModifierGroup = {
+  params: idParams()
+}
+
+const purgeModifierGroup = {
+  params: idParams()
+}
+
+module.exports = {
+  createModifierGroup,
+  getAllModifierGroups,
+  getModifierGroupByName,
+  getModifierGroupById,
+  updateModifierGroup,
+  deleteModifierGroup,
+  restoreModifierGroup,
+  purgeModifierGroup
+}
@@ -0,0 +1,119 @@
+const Joi = require('joi')
+const { SORT_FIELDS } = require('../utils/pagination')
+const {
+  idParams,
+  objectId,
+  taxFields,
+  amountFields,
+  listQuery,
+  nameSearchQuery,
+  currencyCode
+} = require('./common')
+
+const outletFields = {
+  name: Joi.string().trim().min(1),
+  address: Joi.string().trim().allow(''),
+  // Items are only sold there once the outlet prices them in this currency
+  currency: currencyCode
+}
+
+// Outlets and overrides have no tax settings, schedules or outlet context to filter by
+const untaxedListQuery = (sortFields) =>
+  listQuery(sortFields, {
+    taxApplicability: Joi.forbidden(),
+    taxType: Joi.forbidden(),
+    availableAt: Joi.forbidden(),
+    outlet: Joi.forbidden(),
+    lang: Joi.forbidden()
+  })
+
+const overrideParams = Joi.object({
+  id: objectId().required(),
+  itemId: objectId().required()
+})
+
+/**
+ * Outlet request schemas, keyed by controller handler
+ */
+const createOutlet = {
+  body: Joi.object({
+    ...outletFields,
+    name: outletFields.name.required()
+  })
+}
+
+const getAllOutlets = {
+  query: untaxedListQuery(SORT_FIELDS.outlet)
+}
+
+const getOutletByName = {
+  query: nameSearchQuery
+}
+
+const getOutletById = {
+  params: idParams()
+}
+
+const updateOutlet = {
+  params: idParams(),
+  body: Joi.object(outletFields).min(1)
+}
+
+const deleteOutlet = {
+  params: idParams()
+}
+
+const restoreOutlet = {
+  params: idParams()
+}
+
+const purgeOutlet = {
+  params: idParams()
+}
+
+const getOutletOverrides = {
+  params: idParams(),
+  query: untaxedListQuery(SORT_FIELDS.outletOverride)
+}
+
+// Replaces the whole override; fields left out keep the catalog value
+const setOutletOverride = {
+  params: overrideParams,
+  body: Joi.object({
+    hidden: Joi.boolean(),
+    ...amountFields,
+    // Prices of items with variants are set per variant name
+    variants: Joi.array()
+      .items(
+        Joi.object({
+          name: Joi.string().trim().min(1).required(),
+          ...amountFields
+        }).or('baseAmount', 'discount')
+      )
+      .min(1)
+      .unique((a, b) => a.name.toLowerCase() === b.name.toLowerCase())
+      .messages({ 'array.unique': 'Variant names must be unique' }),
+    ...taxFields()
+  })
+    .min(1)
+    .oxor('variants', 'baseAmount')
+    .oxor('variants', 'discount')
+}
+
+const removeOutletOverride = {
+  params: overrideParams
+}
+
+module.exports = {
+  createOutlet,
+  getAllOutlets,
+  getOutletByName,
+  getOutletById,
+  updateOutlet,
+  deleteOutlet,
+  restoreOutlet,
+  purgeOutlet,
+  getOutletOverrides,
+  setOutletOverride,
+  removeOutletOverride
+}
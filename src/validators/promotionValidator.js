@@ -0,0 +1,135 @@
+const Joi = require('joi')
+const { SORT_FIELDS } = require('../utils/pagination')
+const { PROMOTION_TYPES } = require('../models/Promotion')
+const {
+  objectId,
+  idParams,
+  money,
+  availabilityWindows,
+  listQuery,
+  nameSearchQuery
+} = require('./common')
+
+const targetIds = Joi.array()
+  .items(objectId())
+  .unique()
+  .messages({ 'array.unique': 'Targets must be unique' })
+
+const targetList = Joi.object({
+  items: targetIds,
+  subCategories: targetIds,
+  categories: targetIds
+})
+  .custom((targets, helpers) =>
+    Object.values(targets).some((ids) => ids.length)
+      ? targets
+      : helpers.error('targets.empty')
+  )
+  .messages({
+    'targets.empty':
+      'A promotion needs at least one item, subcategory or category'
+  })
+
+const promotionFields = {
+  name: Joi.string().trim().min(1),
+  description: Joi.string().trim().allow(''),
+  type: Joi.string().valid(...PROMOTION_TYPES),
+  // Percent off for percentage promotions, minor units off for fixed ones
+  value: Joi.number().greater(0),
+  buyQuantity: Joi.number().integer().min(1),
+  getQuantity: Joi.number().integer().min(1),
+  // Percent off the units got; 100 makes them free
+  getDiscount: Joi.number().greater(0).max(100),
+  targets: targetList,
+  startsAt: Joi.date().iso().allow(null),
+  endsAt: Joi.date()
+    .iso()
+    .allow(null)
+    .when('startsAt', {
+      is: Joi.date().required(),
+      then: Joi.date().greater(Joi.ref('startsAt'))
+    })
+    .messages({ 'date.greater': 'endsAt must be after startsAt' }),
+  availability: availabilityWindows,
+  priority: Joi.number().integer(),
+  stackable: Joi.boolean(),
+  active: Joi.boolean()
+}
+
+const forType = (schema, types) =>
+  schema.when('type', {
+    is: Joi.valid(...types),
+    then: Joi.required(),
+    otherwise: Joi.forbidden()
+  })
+
+/**
+ * Promotion request schemas, keyed by controller handler
+ * Updates are checked against the stored type when the promotion is saved.
+ */
+const createPromotion = {
+  body: Joi.object({
+    ...promotionFields,
+    name: promotionFields.name.required(),
+    type: promotionFields.type.required(),
+    value: forType(promotionFields.value, ['percentage', 'fixed']).when(
+      'type',
+      { is: 'percentage', then: Joi.number().max(100), otherwise: money() }
+    ),
+    buyQuantity: forType(promotionFields.buyQuantity, ['buyXgetY']),
+    getQuantity: forType(promotionFields.getQuantity, ['buyXgetY']),
+    getDiscount: promotionFields.getDiscount.when('type', {
+      not: 'buyXgetY',
+      then: Joi.forbidden()
+    }),
+    targets: targetList.required()
+  })
+}
+
+const getAllPromotions = {
+  query: listQuery(SORT_FIELDS.promotion, {
+    taxApplicability: Joi.forbidden(),
+    taxType: Joi.forbidden(),
+    availableAt: Joi.forbidden(),
+    outlet: Joi.forbidden(),
+    lang: Joi.forbidden(),
+    type: Joi.string().valid(...PROMOTION_TYPES),
+    active: Joi.boolean()
+  })
+}
+
+const getPromotionByName = {
+  query: nameSearchQuery
+}
+
+const getPromotionById = {
+  params: idParams()
+}
+
+const updatePromotion = {
+  params: idParams(),
+  body: Joi.object(promotionFields).min(1)
+}
+
+const deletePromotion = {
+  params: idParams()
+}
+
+const restorePromotion = {
+  params: idParams()
+}
+
+const purgePromotion = {
+  params: idParams()
+}
+
+module.exports = {
+  createPromotion,
+  getAllPromotions,
+  getPromotionByName,
+  getPromotionById,
+  updatePromotion,
+  deletePromotion,
+  restorePromotion,
+  purgePromotion
+}
@@ -0,0 +1,42 @@
+const Joi = require('joi')
+const {
+  objectId,
+  modifierSelections,
+  priceQuantity,
+  outletField,
+  languageField,
+  draftField
+} = require('./common')
+
+// Longest basket a single quote prices
+const MAX_QUOTE_LINES = 100
+
+/**
+ * Quote request schemas, keyed by controller handler
+ */
+const createQuote = {
+  query: Joi.object({
+    ...outletField,
+    ...languageField,
+    ...draftField
+  }),
+  body: Joi.object({
+    items: Joi.array()
+      .items(
+        Joi.object({
+          item: objectId().required(),
+          quantity: priceQuantity.default(1),
+          // Variant ID or name; defaults to the default variant
+          variant: Joi.string().trim().min(1),
+          modifiers: modifierSelections
+        })
+      )
+      .min(1)
+      .max(MAX_QUOTE_LINES)
+      .required()
+  })
+}
+
+module.exports = {
+  createQuote
+}
@@ -0,0 +1,33 @@
+const Joi = require('joi')
+const { MAX_LIMIT } = require('../utils/pagination')
+const { SEARCH_TYPES, MAX_QUERY_LENGTH } = require('../utils/search')
+const {
+  availableAt,
+  dietaryFilters,
+  outletField,
+  languageField,
+  draftField,
+  vocabularyQuery
+} = require('./common')
+
+/**
+ * Search request schemas, keyed by controller handler
+ */
+const searchMenu = {
+  query: Joi.object({
+    q: Joi.string().trim().min(1).max(MAX_QUERY_LENGTH).required(),
+    types: vocabularyQuery(SEARCH_TYPES),
+    limit: Joi.number().integer().min(1).max(MAX_LIMIT),
+    // Item filters, as on the item lists; availableAt applies to every type
+    hideSoldOut: Joi.boolean(),
+    ...dietaryFilters,
+    availableAt,
+    ...outletField,
+    ...languageField,
+    ...draftField
+  })
+}
+
+module.exports = {
+  searchMenu
+}
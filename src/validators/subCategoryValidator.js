@@ -0,0 +1,131 @@
+const Joi = require('joi')
+const { SORT_FIELDS } = require('../utils/pagination')
+const {
+  idParams,
+  taxFields,
+  contentFields,
+  modifierGroupIds,
+  availabilityWindows,
+  dietaryFields,
+  soldOutBody,
+  outletField,
+  languageField,
+  draftField,
+  outletQuery,
+  listQuery,
+  deleteQuery,
+  nameSearchQuery,
+  translationParams,
+  translationBody,
+  reorderBody
+} = require('./common')
+
+/**
+ * SubCategory request schemas, keyed by controller handler
+ */
+const createSubCategory = {
+  params: idParams('categoryId'),
+  body: Joi.object({
+    name: contentFields.name.required(),
+    image: contentFields.image.required(),
+    description: contentFields.description.required(),
+    // Omitted tax fields are inherited from the category
+    ...taxFields(),
+    modifierGroups: modifierGroupIds,
+    availability: availabilityWindows,
+    ...dietaryFields
+  })
+}
+
+const getAllSubCategories = {
+  query: listQuery(SORT_FIELDS.subCategory)
+}
+
+const getSubCategoriesByCategory = {
+  params: idParams('categoryId'),
+  query: listQuery(SORT_FIELDS.subCategory)
+}
+
+const getSubCategoryByName = {
+  query: nameSearchQuery.keys({
+    ...outletField,
+    ...languageField,
+    ...draftField
+  })
+}
+
+const getSubCategoryById = {
+  params: idParams(),
+  query: outletQuery
+}
+
+const updateSubCategory = {
+  params: idParams(),
+  body: Joi.object({
+    ...contentFields,
+    ...taxFields({ allowInherit: true }),
+    modifierGroups: modifierGroupIds,
+    availability: availabilityWindows,
+    ...dietaryFields
+  }).min(1)
+}
+
+const setSubCategorySoldOut = {
+  params: idParams(),
+  body: soldOutBody
+}
+
+const deleteSubCategory = {
+  params: idParams(),
+  query: deleteQuery
+}
+
+const restoreSubCategory = {
+  params: idParams()
+}
+
+const purgeSubCategory = {
+  params: idParams()
+}
+
+const getSubCategoryTranslations = {
+  params: idParams(),
+  query: Joi.object(draftField)
+}
+
+const setSubCategoryTranslation = {
+  params: translationParams,
+  body: translationBody
+}
+
+const deleteSubCategoryTranslation = {
+  params: translationParams
+}
+
+// The file itself is read and checked by the upload middleware
+const uploadSubCategoryImage = {
+  params: idParams()
+}
+
+const reorderSubCategories = {
+  params: idParams('categoryId'),
+  body: reorderBody
+}
+
+module.exports = {
+  createSubCategory,
+  getAllSubCategories,
+  getSubCategoriesByCategory,
+  getSubCategoryByName,
+  getSubCategoryById,
+  updateSubCategory,
+  setSubCategorySoldOut,
+  deleteSubCategory,
+  restoreSubCategory,
+  purgeSubCategory,
+  getSubCategoryTranslations,
+  setSubCategoryTranslation,
+  deleteSubCategoryTranslation,
+  uploadSubCategoryImage,
+  reorderSubCategories
+}
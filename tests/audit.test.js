@@ -0,0 +1,151 @@
+const request = require('supertest')
+const app = require('../src/app')
+const db = require('./helpers/db')
+const {
+  createUser,
+  auth,
+  createCategory,
+  createItem
+} = require('./helpers/fixtures')
+const AuditLog = require('../src/models/AuditLog')
+
+describe('Audit log', () => {
+  let user
+  let token
+  let category
+  let item
+
+  beforeAll(db.connect)
+  afterAll(db.close)
+
+  beforeEach(async () => {
+    await db.clear()
+    ;({ user, token } = await createUser('manager'))
+
+    category = await createCategory({ name: 'Mains' })
+    item = await createItem(category, { name: 'Pizza' })
+  })
+
+  const entriesOf = (doc) =>
+    AuditLog.find({ entityId: doc._id }).sort({ createdAt: 1, _id: 1 })
+
+  it('records creates with every field', async () => {
+    const [entry] = await entriesOf(item)
+
+    expect(entry).toMatchObject({
+      entity: 'Item',
+      action: 'create',
+      actor: null
+    })
+    expect(entry.changes).toContainEqual(
+      expect.objectContaining({ field: 'baseAmount', to: 100 })
+    )
+  })
+
+  it('records who changed what', async () => {
+    await request(app)
+      .put(`/api/items/${item._id}`)
+      .set(auth(token))
+      .send({ baseAmount: 120 })
+      .expect(200)
+
+    const entry = (await entriesOf(item)).pop()
+
+    expect(entry.action).toBe('update')
+    expect(entry.actor).toMatchObject({
+      user: user._id,
+      email: user.email,
+      role: 'manager'
+    })
+    expect(
+      entry.changes.map(({ field, from, to }) => [field, from, to])
+    ).toEqual([
+      ['baseAmount', 100, 120],
+      ['totalAmount', 90, 110]
+    ])
+  })
+
+  it('records tax cascading down from a category', async () => {
+    await request(app)
+      .put(`/api/categories/${category._id}`)
+      .set(auth(token))
+      .send({ tax: 5 })
+      .expect(200)
+
+    const [categoryEntry] = (await entriesOf(category)).slice(-1)
+    expect(categoryEntry.changes).toEqual([
+      expect.objectContaining({ field: 'tax', from: 10, to: 5 })
+    ])
+  })
+
+  it('records deletes and restores', async () => {
+    await request(app)
+      .delete(`/api/items/${item._id}`)
+      .set(auth(token))
+      .expect(200)
+    await request(app)
+      .post(`/api/items/${item._id}/restore`)
+      .set(auth(token))
+      .expect(200)
+
+    const actions = (await entriesOf(item)).map((entry) => entry.action)
+    expect(actions).toEqual(['create', 'delete', 'restore'])
+  })
+
+  it('never changes entries', async () => {
+    await expect(AuditLog.updateMany({}, { action: 'update' })).rejects.toThrow(
+      'Audit log entries cannot be changed'
+    )
+    await expect(AuditLog.deleteMany({})).rejects.toThrow(
+      'Audit log entries cannot be changed'
+    )
+  })
+
+  describe('GET /api/items/:id/history', () => {
+    it('returns the price timeline', async () => {
+      await request(app)
+        .put(`/api/items/${item._id}`)
+        .set(auth(token))
+        .send({ name: 'Margherita' })
+        .expect(200)
+      await request(app)
+        .put(`/api/items/${item._id}`)
+        .set(auth(token))
+        .send({ discount: 0, taxApplicability: true, tax: 5, taxType: 'fixed' })
+        .expect(200)
+
+      const res = await request(app)
+        .get(`/api/items/${item._id}/history`)
+        .set(auth(token))
+
+      expect(res.status).toBe(200)
+      expect(
+        res.body.data.map(
+          ({ action, baseAmount, discount, totalAmount, tax }) => ({
+            action,
+            baseAmount,
+            discount,
+            totalAmount,
+            tax
+          })
+        )
+      ).toEqual([
+        { action: 'create', baseAmount: 100, discount: 10, totalAmount: 90 },
+        {
+          action: 'update',
+          baseAmount: 100,
+          discount: 0,
+          totalAmount: 100,
+          tax: 5
+        }
+      ])
+      expect(res.body.data[1].actor.email).toBe(user.email)
+    })
+
+    it('requires a token', async () => {
+      const res = await request(app).get(`/api/items/${item._id}/history`)
+
+      expect(res.status).toBe(401)
+    })
+  })
+})
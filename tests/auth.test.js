@@ -0,0 +1,135 @@
+const request = require('supertest')
+const app = require('../src/app')
+const db = require('./helpers/db')
+const { createUser, auth } = require('./helpers/fixtures')
+
+const credentials = {
+  name: 'Owner',
+  email: 'owner@example.com',
+  password: 'password123'
+}
+
+describe('Auth API', () => {
+  beforeAll(db.connect)
+  afterAll(db.close)
+  beforeEach(db.clear)
+
+  const register = (body = credentials) =>
+    request(app)
+      .post('/api/auth/register')
+      .set('X-Setup-Token', process.env.SETUP_TOKEN)
+      .send(body)
+
+  it('registers the first admin and then closes registration', async () => {
+    const first = await register()
+    const second = await register({
+      ...credentials,
+      email: 'other@example.com'
+    })
+
+    expect(first.status).toBe(201)
+    expect(first.body.data.role).toBe('admin')
+    expect(first.body.data.password).toBeUndefined()
+    expect(second.status).toBe(403)
+  })
+
+  it('requires the setup token to register', async () => {
+    const missing = await request(app)
+      .post('/api/auth/register')
+      .send(credentials)
+    const wrong = await request(app)
+      .post('/api/auth/register')
+      .set('X-Setup-Token', 'guess')
+      .send(credentials)
+
+    expect(missing.status).toBe(403)
+    expect(wrong.status).toBe(403)
+    expect(wrong.body.message).toBe('A valid setup token is required')
+  })
+
+  it('registers one admin when registrations race', async () => {
+    const responses = await Promise.all(
+      ['first', 'second', 'third'].map((name) =>
+        register({ ...credentials, email: `${name}@example.com` })
+      )
+    )
+
+    expect(responses.map(({ status }) => status).sort()).toEqual([
+      201, 403, 403
+    ])
+  })
+
+  it('logs in with valid credentials only', async () => {
+    await register()
+
+    const ok = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'OWNER@example.com', password: 'password123' })
+    const wrong = await request(app)
+      .post('/api/auth/login')
+      .send({ email: credentials.email, password: 'wrong-password' })
+
+    expect(ok.status).toBe(200)
+    expect(ok.body.token).toEqual(expect.any(String))
+    expect(wrong.status).toBe(401)
+
+    const me = await request(app).get('/api/auth/me').set(auth(ok.body.token))
+    expect(me.body.data.email).toBe(credentials.email)
+  })
+
+  it('rejects invalid tokens', async () => {
+    const res = await request(app).get('/api/auth/me').set(auth('garbage'))
+
+    expect(res.status).toBe(401)
+  })
+
+  it('rejects tokens of deactivated users', async () => {
+    const { token } = await createUser('staff', { active: false })
+
+    const res = await request(app).get('/api/auth/me').set(auth(token))
+
+    expect(res.status).toBe(401)
+  })
+
+  it('lets admins manage users', async () => {
+    const { token } = await createUser('admin')
+
+    const created = await request(app)
+      .post('/api/auth/users')
+      .set(auth(token))
+      .send({ ...credentials, role: 'staff' })
+    const duplicate = await request(app)
+      .post('/api/auth/users')
+      .set(auth(token))
+      .send(credentials)
+    const updated = await request(app)
+      .put(`/api/auth/users/${created.body.data._id}`)
+      .set(auth(token))
+      .send({ role: 'manager' })
+    const list = await request(app).get('/api/auth/users').set(auth(token))
+
+    expect(created.status).toBe(201)
+    expect(duplicate.status).toBe(400)
+    expect(updated.body.data.role).toBe('manager')
+    expect(list.body.count).toBe(2)
+  })
+
+  it('stops admins from demoting themselves', async () => {
+    const { user, token } = await createUser('admin')
+
+    const res = await request(app)
+      .put(`/api/auth/users/${user._id}`)
+      .set(auth(token))
+      .send({ role: 'staff' })
+
+    expect(res.status).toBe(400)
+  })
+
+  it('keeps user management to admins', async () => {
+    const { token } = await createUser('manager')
+
+    const res = await request(app).get('/api/auth/users').set(auth(token))
+
+    expect(res.status).toBe(403)
+  })
+})
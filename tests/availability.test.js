@@ -0,0 +1,122 @@
+const request = require('supertest')
+const app = require('../src/app')
+const db = require('./helpers/db')
+const {
+  createUser,
+  auth,
+  createCategory,
+  createSubCategory,
+  createItem
+} = require('./helpers/fixtures')
+
+// 2026-10-19 is a Monday; the test restaurant runs on UTC
+const MONDAY_9AM = '2026-10-19T09:00:00Z'
+const MONDAY_8PM = '2026-10-19T20:00:00Z'
+
+const breakfast = [{ days: ['mon', 'tue'], start: '07:00', end: '11:00' }]
+const dinner = [{ days: ['mon'], start: '18:00', end: '23:00' }]
+
+const names = (res) => res.body.data.map((entry) => entry.name).sort()
+
+describe('Availability schedules', () => {
+  let token
+  let breakfastMenu
+  let eggs
+
+  beforeAll(db.connect)
+  afterAll(db.close)
+
+  beforeEach(async () => {
+    await db.clear()
+    ;({ token } = await createUser('admin'))
+
+    breakfastMenu = await createCategory({
+      name: 'Breakfast',
+      availability: breakfast
+    })
+    const hot = await createSubCategory(breakfastMenu, { name: 'Hot' })
+    eggs = await createItem(hot, { name: 'Eggs' })
+    await createItem(hot, { name: 'Late Eggs', availability: dinner })
+
+    const drinks = await createCategory({ name: 'Drinks' })
+    await createItem(drinks, { name: 'Water' })
+  })
+
+  it('filters every list by the nearest schedule', async () => {
+    let res = await request(app).get(`/api/items?availableAt=${MONDAY_9AM}`)
+    expect(names(res)).toEqual(['Eggs', 'Water'])
+
+    res = await request(app).get(`/api/items?availableAt=${MONDAY_8PM}`)
+    expect(names(res)).toEqual(['Late Eggs', 'Water'])
+
+    res = await request(app).get(`/api/categories?availableAt=${MONDAY_8PM}`)
+    expect(names(res)).toEqual(['Drinks'])
+
+    res = await request(app).get(`/api/subcategories?availableAt=${MONDAY_8PM}`)
+    expect(res.body.data).toEqual([])
+  })
+
+  it('lists everything without availableAt', async () => {
+    const res = await request(app).get('/api/items')
+
+    expect(res.body.total).toBe(3)
+  })
+
+  it('rejects an invalid availableAt', async () => {
+    const res = await request(app).get('/api/items?availableAt=soon')
+
+    expect(res.status).toBe(400)
+    expect(res.body.errors[0].field).toBe('availableAt')
+  })
+
+  it('reports the effective schedule of an item', async () => {
+    const res = await request(app).get(`/api/items/${eggs._id}`)
+
+    expect(res.body.data.effectiveAvailability).toEqual({
+      availability: breakfast,
+      source: 'category'
+    })
+  })
+
+  it('keeps closed branches in the menu while they hold open items', async () => {
+    const res = await request(app).get(`/api/menu?availableAt=${MONDAY_8PM}`)
+
+    expect(names(res)).toEqual(['Breakfast', 'Drinks'])
+    const menu = res.body.data.find((entry) => entry.name === 'Breakfast')
+    expect(menu.subCategories[0].items.map((item) => item.name)).toEqual([
+      'Late Eggs'
+    ])
+  })
+
+  it('makes a category available at all times again when cleared', async () => {
+    await request(app)
+      .put(`/api/categories/${breakfastMenu._id}`)
+      .set(auth(token))
+      .send({ availability: null })
+      .expect(200)
+
+    const res = await request(app).get(
+      `/api/categories?availableAt=${MONDAY_8PM}`
+    )
+    expect(names(res)).toEqual(['Breakfast', 'Drinks'])
+  })
+
+  it('rejects malformed windows', async () => {
+    const res = await request(app)
+      .post('/api/categories')
+      .set(auth(token))
+      .send({
+        name: 'Brunch',
+        image: 'https://example.com/brunch.jpg',
+        description: 'Weekend brunch',
+        taxApplicability: false,
+        availability: [{ days: ['someday'], start: '10:00', end: '10:00' }]
+      })
+
+    expect(res.status).toBe(400)
+    expect(res.body.errors.map((error) => error.field)).toEqual([
+      'availability.0.days.0',
+      'availability.0.end'
+    ])
+  })
+})
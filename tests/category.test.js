@@ -0,0 +1,552 @@
+const request = require('supertest')
+const app = require('../src/app')
+const db = require('./helpers/db')
+const { mockResponse } = require('./helpers/http')
+const {
+  createUser,
+  auth,
+  createCategory,
+  createSubCategory,
+  createItem
+} = require('./helpers/fixtures')
+const Category = require('../src/models/Category')
+const SubCategory = require('../src/models/SubCategory')
+const Item = require('../src/models/Item')
+const {
+  getCategoryById,
+  updateCategory,
+  deleteCategory,
+  restoreCategory,
+  purgeCategory
+} = require('../src/controllers/categoryController')
+
+const categoryBody = (overrides = {}) => ({
+  name: 'Main Course',
+  image: 'https://example.com/main.jpg',
+  description: 'Hearty main dishes',
+  taxApplicability: true,
+  tax: 15,
+  taxType: 'percentage',
+  ...overrides
+})
+
+describe('Category API', () => {
+  let token
+
+  beforeAll(db.connect)
+  afterAll(db.close)
+
+  beforeEach(async () => {
+    await db.clear()
+    ;({ token } = await createUser('admin'))
+  })
+
+  describe('POST /api/categories', () => {
+    it('creates a category', async () => {
+      const res = await request(app)
+        .post('/api/categories')
+        .set(auth(token))
+        .send(categoryBody())
+
+      expect(res.status).toBe(201)
+      expect(res.body.data).toMatchObject({ name: 'Main Course', tax: 15 })
+    })
+
+    it('drops tax fields when tax is not applicable', async () => {
+      const res = await request(app)
+        .post('/api/categories')
+        .set(auth(token))
+        .send(categoryBody({ taxApplicability: false }))
+
+      expect(res.status).toBe(201)
+      expect(res.body.data.tax).toBeUndefined()
+    })
+
+    it('reports every invalid field', async () => {
+      const res = await request(app)
+        .post('/api/categories')
+        .set(auth(token))
+        .send({ taxApplicability: true, extra: 1 })
+
+      expect(res.status).toBe(400)
+      expect(res.body.errors.map((error) => error.field).sort()).toEqual(
+        ['description', 'extra', 'image', 'name', 'tax', 'taxType'].sort()
+      )
+    })
+
+    it('rejects duplicate names', async () => {
+      await createCategory({ name: 'Main Course' })
+
+      const res = await request(app)
+        .post('/api/categories')
+        .set(auth(token))
+        .send(categoryBody())
+
+      expect(res.status).toBe(400)
+      expect(res.body.message).toBe('Category with this name already exists')
+    })
+
+    it('requires a token', async () => {
+      const res = await request(app)
+        .post('/api/categories')
+        .send(categoryBody())
+
+      expect(res.status).toBe(401)
+    })
+
+    it('requires a write role', async () => {
+      const { token: readOnly } = await createUser('read-only')
+
+      const res = await request(app)
+        .post('/api/categories')
+        .set(auth(readOnly))
+        .send(categoryBody())
+
+      expect(res.status).toBe(403)
+    })
+  })
+
+  describe('GET /api/categories', () => {
+    it('paginates and sorts categories', async () => {
+      await createCategory({ name: 'B' })
+      await createCategory({ name: 'A' })
+      await createCategory({ name: 'C' })
+
+      const res = await request(app).get('/api/categories?limit=2&sort=name')
+
+      expect(res.status).toBe(200)
+      expect(res.body.total).toBe(3)
+      expect(res.body.data.map((category) => category.name)).toEqual(['A', 'B'])
+      expect(res.body.pagination).toMatchObject({
+        page: 1,
+        totalPages: 2,
+        hasNext: true,
+        hasPrev: false
+      })
+
+      const next = await request(app).get(
+        `/api/categories?limit=2&sort=name&cursor=${res.body.pagination.nextCursor}`
+      )
+      expect(next.body.data.map((category) => category.name)).toEqual(['C'])
+    })
+
+    it('filters by tax applicability', async () => {
+      await createCategory({ taxApplicability: false, tax: undefined })
+      await createCategory()
+
+      const res = await request(app).get(
+        '/api/categories?taxApplicability=false'
+      )
+
+      expect(res.body.count).toBe(1)
+    })
+
+    it('hides deleted categories', async () => {
+      await createCategory({ deletedAt: new Date() })
+
+      const res = await request(app).get('/api/categories')
+
+      expect(res.body.count).toBe(0)
+    })
+
+    it('rejects unknown sort fields', async () => {
+      const res = await request(app).get('/api/categories?sort=password')
+
+      expect(res.status).toBe(400)
+      expect(res.body.errors[0]).toMatchObject({ field: 'sort' })
+    })
+  })
+
+  describe('GET /api/categories/:id', () => {
+    it('returns the category', async () => {
+      const category = await createCategory()
+
+      const res = await request(app).get(`/api/categories/${category._id}`)
+
+      expect(res.status).toBe(200)
+      expect(res.body.data.name).toBe(category.name)
+    })
+
+    it('returns 404 for a missing category', async () => {
+      const res = await request(app).get(
+        '/api/categories/65f000000000000000000000'
+      )
+
+      expect(res.status).toBe(404)
+    })
+
+    it('rejects malformed ids', async () => {
+      const res = await request(app).get('/api/categories/not-an-id')
+
+      expect(res.status).toBe(400)
+      expect(res.body.errors[0].code).toBe('objectId.invalid')
+    })
+
+    it('maps CastErrors to 404 when called directly', async () => {
+      const res = mockResponse()
+
+      await getCategoryById({ params: { id: 'not-an-id' } }, res)
+
+      expect(res.status).toHaveBeenCalledWith(404)
+    })
+  })
+
+  describe('GET /api/categories/search', () => {
+    it('finds a category by partial name', async () => {
+      await createCategory({ name: 'Desserts' })
+
+      const res = await request(app).get('/api/categories/search?name=dess')
+
+      expect(res.status).toBe(200)
+      expect(res.body.data.name).toBe('Desserts')
+    })
+
+    it('returns 404 when nothing matches', async () => {
+      const res = await request(app).get('/api/categories/search?name=none')
+
+      expect(res.status).toBe(404)
+    })
+
+    it('requires a name', async () => {
+      const res = await request(app).get('/api/categories/search')
+
+      expect(res.status).toBe(400)
+    })
+  })
+
+  describe('PUT /api/categories/:id', () => {
+    it('updates the category', async () => {
+      const category = await createCategory()
+
+      const res = await request(app)
+        .put(`/api/categories/${category._id}`)
+        .set(auth(token))
+        .send({ description: 'Updated' })
+
+      expect(res.status).toBe(200)
+      expect(res.body.data.description).toBe('Updated')
+    })
+
+    it('removes tax fields when tax stops applying', async () => {
+      const category = await createCategory()
+
+      const res = await request(app)
+        .put(`/api/categories/${category._id}`)
+        .set(auth(token))
+        .send({ taxApplicability: false })
+
+      expect(res.status).toBe(200)
+      expect(res.body.data.tax).toBeUndefined()
+    })
+
+    it('requires tax fields when tax becomes applicable', async () => {
+      const category = await createCategory({ taxApplicability: false })
+
+      const res = await request(app)
+        .put(`/api/categories/${category._id}`)
+        .set(auth(token))
+        .send({ taxApplicability: true })
+
+      expect(res.status).toBe(400)
+    })
+
+    it('rejects duplicate names', async () => {
+      await createCategory({ name: 'Taken' })
+      const category = await createCategory()
+
+      const res = await request(app)
+        .put(`/api/categories/${category._id}`)
+        .set(auth(token))
+        .send({ name: 'Taken' })
+
+      expect(res.status).toBe(400)
+      expect(res.body.message).toBe('Category with this name already exists')
+    })
+
+    it('returns 404 for a missing category', async () => {
+      const res = await request(app)
+        .put('/api/categories/65f000000000000000000000')
+        .set(auth(token))
+        .send({ name: 'Nope' })
+
+      expect(res.status).toBe(404)
+    })
+
+    it('cascades tax changes to inheriting children', async () => {
+      const category = await createCategory()
+      const inheriting = await createSubCategory(category)
+      const overriding = await createSubCategory(category, {
+        tax: 5,
+        taxInherited: false
+      })
+      const item = await createItem(category, {
+        taxApplicability: true,
+        tax: 10,
+        taxType: 'percentage',
+        taxInherited: true
+      })
+
+      const res = await request(app)
+        .put(`/api/categories/${category._id}`)
+        .set(auth(token))
+        .send({ tax: 12 })
+
+      expect(res.status).toBe(200)
+      expect(res.body.propagated).toEqual({ subCategories: 1, items: 1 })
+      expect((await SubCategory.findById(inheriting._id)).tax).toBe(12)
+      expect((await SubCategory.findById(overriding._id)).tax).toBe(5)
+      expect((await Item.findById(item._id)).tax).toBe(12)
+    })
+
+    it('previews tax propagation on a dry run', async () => {
+      const category = await createCategory()
+      const subCategory = await createSubCategory(category)
+
+      const res = await request(app)
+        .put(`/api/categories/${category._id}?dryRun=true`)
+        .set(auth(token))
+        .send({ tax: 20 })
+
+      expect(res.status).toBe(200)
+      expect(res.body.dryRun).toBe(true)
+      expect(res.body.changes.subCategories).toHaveLength(1)
+      expect(res.body.changes.subCategories[0].to.tax).toBe(20)
+      expect((await Category.findById(category._id)).tax).toBe(10)
+      expect((await SubCategory.findById(subCategory._id)).tax).toBe(10)
+    })
+
+    it('maps CastErrors to 404 when called directly', async () => {
+      const res = mockResponse()
+
+      await updateCategory(
+        { params: { id: 'not-an-id' }, query: {}, body: { name: 'x' } },
+        res
+      )
+
+      expect(res.status).toHaveBeenCalledWith(404)
+    })
+  })
+
+  describe('DELETE /api/categories/:id', () => {
+    it('soft deletes an empty category', async () => {
+      const category = await createCategory()
+
+      const res = await request(app)
+        .delete(`/api/categories/${category._id}`)
+        .set(auth(token))
+
+      expect(res.status).toBe(200)
+      expect(await Category.findById(category._id)).toBeNull()
+      const stored = await Category.findById(category._id).setOptions({
+        withDeleted: true
+      })
+      expect(stored.deletedAt).toBeInstanceOf(Date)
+    })
+
+    it('blocks deletes while children exist', async () => {
+      const category = await createCategory()
+      await createSubCategory(category)
+
+      const res = await request(app)
+        .delete(`/api/categories/${category._id}`)
+        .set(auth(token))
+
+      expect(res.status).toBe(409)
+      expect(res.body.children).toEqual({ subCategories: 1, items: 0 })
+    })
+
+    it('cascades deletes to children and restores them together', async () => {
+      const category = await createCategory()
+      const subCategory = await createSubCategory(category)
+      await createItem(subCategory)
+      await createItem(category)
+
+      const deleted = await request(app)
+        .delete(`/api/categories/${category._id}?policy=cascade`)
+        .set(auth(token))
+
+      expect(deleted.status).toBe(200)
+      expect(await SubCategory.countDocuments()).toBe(0)
+      expect(await Item.countDocuments()).toBe(0)
+
+      const restored = await request(app)
+        .post(`/api/categories/${category._id}/restore`)
+        .set(auth(token))
+
+      expect(restored.status).toBe(200)
+      expect(await SubCategory.countDocuments()).toBe(1)
+      expect(await Item.countDocuments()).toBe(2)
+    })
+
+    it('reassigns children to another category', async () => {
+      const category = await createCategory()
+      const target = await createCategory()
+      const subCategory = await createSubCategory(category)
+      const item = await createItem(category)
+
+      const res = await request(app)
+        .delete(
+          `/api/categories/${category._id}?policy=reassign&reassignTo=${target._id}`
+        )
+        .set(auth(token))
+
+      expect(res.status).toBe(200)
+      expect((await SubCategory.findById(subCategory._id)).categoryId).toEqual(
+        target._id
+      )
+      expect((await Item.findById(item._id)).categoryId).toEqual(target._id)
+    })
+
+    it('refuses to reassign onto clashing names', async () => {
+      const category = await createCategory()
+      const target = await createCategory()
+      await createSubCategory(category, { name: 'Pasta' })
+      await createSubCategory(target, { name: 'Pasta' })
+
+      const res = await request(app)
+        .delete(
+          `/api/categories/${category._id}?policy=reassign&reassignTo=${target._id}`
+        )
+        .set(auth(token))
+
+      expect(res.status).toBe(409)
+      expect(res.body.conflicts.subCategories).toEqual(['Pasta'])
+    })
+
+    it('refuses to reassign to itself or a missing category', async () => {
+      const category = await createCategory()
+
+      const self = await request(app)
+        .delete(
+          `/api/categories/${category._id}?policy=reassign&reassignTo=${category._id}`
+        )
+        .set(auth(token))
+      const missing = await request(app)
+        .delete(
+          `/api/categories/${category._id}?policy=reassign&reassignTo=65f000000000000000000000`
+        )
+        .set(auth(token))
+
+      expect(self.status).toBe(400)
+      expect(missing.status).toBe(404)
+    })
+
+    it('requires reassignTo for the reassign policy', async () => {
+      const category = await createCategory()
+
+      const res = await request(app)
+        .delete(`/api/categories/${category._id}?policy=reassign`)
+        .set(auth(token))
+
+      expect(res.status).toBe(400)
+    })
+
+    it('returns 404 for a missing category', async () => {
+      const res = await request(app)
+        .delete('/api/categories/65f000000000000000000000')
+        .set(auth(token))
+
+      expect(res.status).toBe(404)
+    })
+
+    it('maps CastErrors to 404 when called directly', async () => {
+      const res = mockResponse()
+
+      await deleteCategory({ params: { id: 'not-an-id' }, query: {} }, res)
+
+      expect(res.status).toHaveBeenCalledWith(404)
+    })
+  })
+
+  describe('POST /api/categories/:id/restore', () => {
+    it('returns 404 for a category that is not deleted', async () => {
+      const category = await createCategory()
+
+      const res = await request(app)
+        .post(`/api/categories/${category._id}/restore`)
+        .set(auth(token))
+
+      expect(res.status).toBe(404)
+    })
+
+    it('lets a new category take the name of a deleted one', async () => {
+      const retired = await createCategory({
+        name: 'Seasonal',
+        deletedAt: new Date()
+      })
+
+      const created = await request(app)
+        .post('/api/categories')
+        .set(auth(token))
+        .send(categoryBody({ name: 'Seasonal' }))
+      expect(created.status).toBe(201)
+
+      const restored = await request(app)
+        .post(`/api/categories/${retired._id}/restore`)
+        .set(auth(token))
+      expect(restored.status).toBe(409)
+      expect(restored.body.message).toMatch('Seasonal')
+    })
+
+    it('maps CastErrors to 404 when called directly', async () => {
+      const res = mockResponse()
+
+      await restoreCategory({ params: { id: 'not-an-id' } }, res)
+
+      expect(res.status).toHaveBeenCalledWith(404)
+    })
+  })
+
+  describe('DELETE /api/categories/:id/purge', () => {
+    it('permanently removes a deleted category and its children', async () => {
+      const category = await createCategory({ deletedAt: new Date() })
+      const subCategory = await createSubCategory(category, {
+        deletedAt: new Date()
+      })
+      await createItem(subCategory, { deletedAt: new Date() })
+
+      const res = await request(app)
+        .delete(`/api/categories/${category._id}/purge`)
+        .set(auth(token))
+
+      expect(res.status).toBe(200)
+      expect(res.body.purged).toEqual({
+        categories: 1,
+        subCategories: 1,
+        items: 1
+      })
+      expect(
+        await Item.countDocuments().setOptions({ withDeleted: true })
+      ).toBe(0)
+    })
+
+    it('refuses to purge a live category', async () => {
+      const category = await createCategory()
+
+      const res = await request(app)
+        .delete(`/api/categories/${category._id}/purge`)
+        .set(auth(token))
+
+      expect(res.status).toBe(400)
+    })
+
+    it('is limited to admins', async () => {
+      const { token: manager } = await createUser('manager')
+      const category = await createCategory({ deletedAt: new Date() })
+
+      const res = await request(app)
+        .delete(`/api/categories/${category._id}/purge`)
+        .set(auth(manager))
+
+      expect(res.status).toBe(403)
+    })
+
+    it('maps CastErrors to 404 when called directly', async () => {
+      const res = mockResponse()
+
+      await purgeCategory({ params: { id: 'not-an-id' } }, res)
+
+      expect(res.status).toHaveBeenCalledWith(404)
+    })
+  })
+})
@@ -0,0 +1,165 @@
+const request = require('supertest')
+const app = require('../src/app')
+const db = require('./helpers/db')
+const {
+  createUser,
+  auth,
+  createCategory,
+  createSubCategory,
+  createItem
+} = require('./helpers/fixtures')
+
+describe('Dietary tags and allergens', () => {
+  let token
+  let bakery
+  let pastries
+  let croissant
+  let vegan
+  let salad
+
+  beforeAll(db.connect)
+  afterAll(db.close)
+
+  beforeEach(async () => {
+    await db.clear()
+    ;({ token } = await createUser('manager'))
+
+    bakery = await createCategory({
+      name: 'Bakery',
+      dietaryTags: ['vegetarian'],
+      allergens: ['gluten']
+    })
+    pastries = await createSubCategory(bakery, {
+      name: 'Pastries',
+      allergens: ['gluten', 'dairy', 'eggs']
+    })
+    croissant = await createItem(pastries, { name: 'Croissant' })
+    vegan = await createItem(pastries, {
+      name: 'Vegan Muffin',
+      dietaryTags: ['vegan', 'vegetarian'],
+      allergens: ['gluten', 'soy']
+    })
+    salad = await createItem(bakery, { name: 'Salad', allergens: [] })
+  })
+
+  const names = (res) => res.body.data.map((item) => item.name).sort()
+
+  describe('writing', () => {
+    it('stores tags and allergens from the vocabulary', async () => {
+      const res = await request(app)
+        .put(`/api/items/${croissant._id}`)
+        .set(auth(token))
+        .send({ allergens: ['Gluten', 'dairy'] })
+
+      expect(res.status).toBe(200)
+      expect(res.body.data.allergens).toEqual(['gluten', 'dairy'])
+    })
+
+    it('rejects values outside the vocabulary and repeats', async () => {
+      const unknown = await request(app)
+        .put(`/api/items/${croissant._id}`)
+        .set(auth(token))
+        .send({ dietaryTags: ['paleo'] })
+      const repeated = await request(app)
+        .put(`/api/items/${croissant._id}`)
+        .set(auth(token))
+        .send({ allergens: ['dairy', 'dairy'] })
+
+      expect(unknown.status).toBe(400)
+      expect(repeated.status).toBe(400)
+    })
+
+    it('follows the parent again once a list is cleared', async () => {
+      await request(app)
+        .put(`/api/items/${vegan._id}`)
+        .set(auth(token))
+        .send({ allergens: null })
+        .expect(200)
+
+      const res = await request(app).get(`/api/items/${vegan._id}`)
+
+      expect(res.body.data.allergens).toBeUndefined()
+      expect(res.body.data.effectiveDietary.allergens).toEqual([
+        'gluten',
+        'dairy',
+        'eggs'
+      ])
+    })
+  })
+
+  describe('reading', () => {
+    it('reports the lists that apply to an item', async () => {
+      const res = await request(app).get(`/api/items/${croissant._id}`)
+
+      expect(res.body.data.effectiveDietary).toEqual({
+        dietaryTags: ['vegetarian'],
+        allergens: ['gluten', 'dairy', 'eggs']
+      })
+    })
+
+    it('adds the lists that apply to list entries', async () => {
+      const res = await request(app).get('/api/items?sort=name')
+
+      expect(res.body.data.map((item) => item.effectiveDietary)).toEqual([
+        { dietaryTags: ['vegetarian'], allergens: ['gluten', 'dairy', 'eggs'] },
+        { dietaryTags: ['vegetarian'], allergens: [] },
+        { dietaryTags: ['vegan', 'vegetarian'], allergens: ['gluten', 'soy'] }
+      ])
+    })
+  })
+
+  describe('filtering', () => {
+    it('keeps items with every tag asked for', async () => {
+      const res = await request(app).get('/api/items?tags=vegan')
+
+      expect(names(res)).toEqual(['Vegan Muffin'])
+    })
+
+    it('drops items with an excluded allergen, inherited or not', async () => {
+      const res = await request(app).get('/api/items?excludeAllergens=dairy')
+
+      expect(names(res)).toEqual(['Salad', 'Vegan Muffin'])
+    })
+
+    it('combines filters on tags and allergens', async () => {
+      const res = await request(app).get(
+        '/api/items?tags=vegetarian&excludeAllergens=gluten'
+      )
+
+      expect(names(res)).toEqual(['Salad'])
+    })
+
+    it('filters items by parent and by name', async () => {
+      const bySubCategory = await request(app).get(
+        `/api/items/subcategory/${pastries._id}?excludeAllergens=eggs`
+      )
+      const search = await request(app).get(
+        '/api/items/search?name=muffin&excludeAllergens=soy'
+      )
+
+      expect(names(bySubCategory)).toEqual(['Vegan Muffin'])
+      expect(search.body.total).toBe(0)
+    })
+
+    it('filters the menu tree', async () => {
+      const res = await request(app).get('/api/menu?tags=vegan')
+
+      const [category] = res.body.data
+      expect(category.items).toEqual([])
+      expect(category.subCategories[0].items.map((item) => item.name)).toEqual([
+        'Vegan Muffin'
+      ])
+      expect(category.subCategories[0].items[0].effectiveDietary).toEqual({
+        dietaryTags: ['vegan', 'vegetarian'],
+        allergens: ['gluten', 'soy']
+      })
+    })
+
+    it('rejects values outside the vocabulary', async () => {
+      const res = await request(app).get('/api/items?excludeAllergens=nuts')
+
+      expect(res.status).toBe(400)
+      expect(res.body.errors[0].message).toMatch(/nuts/)
+    })
+  })
+})
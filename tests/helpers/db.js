@@ -0,0 +1,40 @@
+const mongoose = require('mongoose')
+const { MongoMemoryReplSet } = require('mongodb-memory-server')
+
+let replSet
+
+/**
+ * Start an in-memory MongoDB (single node replica set, so transactions work)
+ * and connect mongoose to it
+ */
+const connect = async () => {
+  replSet = await MongoMemoryReplSet.create({ replSet: { count: 1 } })
+  await mongoose.connect(replSet.getUri())
+
+  // Build unique indexes up front so duplicate checks behave like production
+  await Promise.all(Object.values(mongoose.models).map((model) => model.init()))
+}
+
+/**
+ * Remove every document while keeping the indexes
+ * Collections are listed from the database so the published menu copy is
+ * cleared as well.
+ */
+const clear = async () => {
+  const collections = await mongoose.connection.db.collections()
+  await Promise.all(collections.map((collection) => collection.deleteMany({})))
+}
+
+/**
+ * Disconnect mongoose and stop the in-memory server
+ */
+const close = async () => {
+  await mongoose.disconnect()
+  if (replSet) await replSet.stop()
+}
+
+module.exports = {
+  connect,
+  clear,
+  close
+}
@@ -0,0 +1,117 @@
+const jwt = require('jsonwebtoken')
+const Category = require('../../src/models/Category')
+const SubCategory = require('../../src/models/SubCategory')
+const Item = require('../../src/models/Item')
+const ModifierGroup = require('../../src/models/ModifierGroup')
+const Outlet = require('../../src/models/Outlet')
+const Promotion = require('../../src/models/Promotion')
+const User = require('../../src/models/User')
+
+let sequence = 0
+const nextName = (prefix) => `${prefix} ${++sequence}`
+
+/**
+ * Create a user with a role and return it with a signed token
+ */
+const createUser = async (role = 'admin', overrides = {}) => {
+  const user = await User.create({
+    name: `${role} user`,
+    email: `${role}-${++sequence}@example.com`,
+    password: 'password123',
+    role,
+    ...overrides
+  })
+  const token = jwt.sign(
+    { id: user._id, role, tenant: user.tenant },
+    process.env.JWT_SECRET
+  )
+
+  return { user, token }
+}
+
+/**
+ * Authorization header for a token
+ */
+const auth = (token) => ({ Authorization: `Bearer ${token}` })
+
+const createCategory = (overrides = {}) =>
+  Category.create({
+    name: nextName('Category'),
+    image: 'https://example.com/category.jpg',
+    description: 'Category description',
+    taxApplicability: true,
+    tax: 10,
+    taxType: 'percentage',
+    ...overrides
+  })
+
+const createSubCategory = (category, overrides = {}) =>
+  SubCategory.create({
+    name: nextName('SubCategory'),
+    image: 'https://example.com/subcategory.jpg',
+    description: 'Subcategory description',
+    categoryId: category._id,
+    taxApplicability: category.taxApplicability,
+    tax: category.tax,
+    taxType: category.taxType,
+    taxInherited: true,
+    ...overrides
+  })
+
+const createItem = (parent, overrides = {}) => {
+  const parentField =
+    parent.constructor.modelName === 'SubCategory'
+      ? 'subCategoryId'
+      : 'categoryId'
+
+  return Item.create({
+    name: nextName('Item'),
+    image: 'https://example.com/item.jpg',
+    description: 'Item description',
+    baseAmount: 100,
+    discount: 10,
+    totalAmount: 90,
+    [parentField]: parent._id,
+    ...overrides
+  })
+}
+
+const createModifierGroup = (overrides = {}) =>
+  ModifierGroup.create({
+    name: nextName('Modifier group'),
+    options: [
+      { name: 'Cheese', price: 30 },
+      { name: 'Olives', price: 20 },
+      { name: 'Jalapenos', price: 15 }
+    ],
+    minSelections: 0,
+    maxSelections: 2,
+    ...overrides
+  })
+
+const createOutlet = (overrides = {}) =>
+  Outlet.create({
+    name: nextName('Outlet'),
+    address: '1 Market Street',
+    ...overrides
+  })
+
+const createPromotion = (targets, overrides = {}) =>
+  Promotion.create({
+    name: nextName('Promotion'),
+    type: 'percentage',
+    value: 10,
+    targets,
+    ...overrides
+  })
+
+module.exports = {
+  createUser,
+  auth,
+  createCategory,
+  createSubCategory,
+  createItem,
+  createModifierGroup,
+  createOutlet,
+  createPromotion
+}
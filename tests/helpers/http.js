@@ -0,0 +1,13 @@
+/**
+ * Minimal Express response double for calling controllers directly
+ */
+const mockResponse = () => {
+  const res = {}
+  res.status = jest.fn(() => res)
+  res.json = jest.fn(() => res)
+  return res
+}
+
+module.exports = {
+  mockResponse
+}
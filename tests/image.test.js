@@ -0,0 +1,204 @@
+const fs = require('fs/promises')
+const path = require('path')
+const request = require('supertest')
+const sharp = require('sharp')
+const app = require('../src/app')
+const db = require('./helpers/db')
+const {
+  createUser,
+  auth,
+  createCategory,
+  createSubCategory,
+  createItem
+} = require('./helpers/fixtures')
+
+const createImage = (width, height) =>
+  sharp({
+    create: { width, height, channels: 3, background: '#27ae60' }
+  })
+    .jpeg()
+    .toBuffer()
+
+const storedFiles = ({ key, variants }) =>
+  [key, ...variants.map((variant) => variant.key)].map((storedKey) =>
+    path.join(process.env.UPLOAD_DIR, storedKey)
+  )
+
+const exists = (file) =>
+  fs.stat(file).then(
+    () => true,
+    () => false
+  )
+
+describe('Images', () => {
+  let token
+  let category
+  let subCategory
+  let item
+  let photo
+
+  beforeAll(async () => {
+    await db.connect()
+    photo = await createImage(1000, 750)
+  })
+  afterAll(async () => {
+    await fs.rm(process.env.UPLOAD_DIR, { recursive: true, force: true })
+    await db.close()
+  })
+
+  beforeEach(async () => {
+    await db.clear()
+    ;({ token } = await createUser('admin'))
+
+    category = await createCategory()
+    subCategory = await createSubCategory(category)
+    item = await createItem(subCategory)
+  })
+
+  const upload = (path, buffer, options = {}) =>
+    request(app)
+      .put(`/api/${path}/image`)
+      .set(auth(token))
+      .attach('image', buffer, {
+        filename: 'photo.jpg',
+        contentType: 'image/jpeg',
+        ...options
+      })
+
+  it('uploads the image of a category, subcategory and item', async () => {
+    for (const path of [
+      `categories/${category._id}`,
+      `subcategories/${subCategory._id}`,
+      `items/${item._id}`
+    ]) {
+      const res = await upload(path, photo)
+
+      expect(res.status).toBe(200)
+      expect(res.body.data.image).toMatch(/^\/uploads\/.+-large\.jpg$/)
+      expect(res.body.data.imageMetadata).toMatchObject({
+        contentType: 'image/jpeg',
+        width: 1000,
+        height: 750
+      })
+      expect(
+        res.body.data.imageMetadata.variants.map(({ name, width }) => [
+          name,
+          width
+        ])
+      ).toEqual([
+        ['thumbnail', 200],
+        ['medium', 640],
+        ['large', 1000]
+      ])
+    }
+  })
+
+  it('serves uploaded files', async () => {
+    const { body } = await upload(`items/${item._id}`, photo)
+
+    const image = await request(app).get(body.data.image)
+    const thumbnail = await request(app).get(
+      body.data.imageMetadata.variants[0].url
+    )
+
+    expect(image.status).toBe(200)
+    expect(image.headers['content-type']).toBe('image/jpeg')
+    expect(thumbnail.status).toBe(200)
+    expect((await request(app).get('/uploads/missing.jpg')).status).toBe(404)
+  })
+
+  it('removes the files of a replaced upload', async () => {
+    const first = await upload(`items/${item._id}`, photo)
+    const second = await upload(`items/${item._id}`, await createImage(50, 50))
+
+    expect(second.body.data.image).not.toBe(first.body.data.image)
+    for (const file of storedFiles(first.body.data.imageMetadata)) {
+      expect(await exists(file)).toBe(false)
+    }
+    for (const file of storedFiles(second.body.data.imageMetadata)) {
+      expect(await exists(file)).toBe(true)
+    }
+  })
+
+  it('drops the upload when an image URL is set instead', async () => {
+    const { body } = await upload(`items/${item._id}`, photo)
+
+    const res = await request(app)
+      .put(`/api/items/${item._id}`)
+      .set(auth(token))
+      .send({ image: 'https://example.com/new.jpg' })
+
+    expect(res.status).toBe(200)
+    expect(res.body.data.image).toBe('https://example.com/new.jpg')
+    expect(res.body.data.imageMetadata).toBeUndefined()
+    for (const file of storedFiles(body.data.imageMetadata)) {
+      expect(await exists(file)).toBe(false)
+    }
+  })
+
+  it('removes the files of purged documents', async () => {
+    const { body } = await upload(`items/${item._id}`, photo)
+
+    await request(app)
+      .delete(`/api/categories/${category._id}?policy=cascade`)
+      .set(auth(token))
+      .expect(200)
+    await request(app)
+      .delete(`/api/categories/${category._id}/purge`)
+      .set(auth(token))
+      .expect(200)
+
+    for (const file of storedFiles(body.data.imageMetadata)) {
+      expect(await exists(file)).toBe(false)
+    }
+  })
+
+  it('rejects files that are not JPEG, PNG or WebP images', async () => {
+    const declared = await upload(`items/${item._id}`, Buffer.from('GIF89a'), {
+      filename: 'photo.gif',
+      contentType: 'image/gif'
+    })
+    const disguised = await upload(`items/${item._id}`, Buffer.from('hello'))
+
+    expect(declared.status).toBe(415)
+    expect(disguised.status).toBe(415)
+  })
+
+  it('rejects images over MAX_IMAGE_SIZE', async () => {
+    process.env.MAX_IMAGE_SIZE = String(photo.length - 1)
+    try {
+      const res = await upload(`items/${item._id}`, photo)
+
+      expect(res.status).toBe(413)
+    } finally {
+      delete process.env.MAX_IMAGE_SIZE
+    }
+  })
+
+  it('checks access and that the document exists', async () => {
+    const { token: staffToken } = await createUser('staff')
+
+    const anonymous = await request(app)
+      .put(`/api/items/${item._id}/image`)
+      .attach('image', photo, 'photo.jpg')
+    const staff = await request(app)
+      .put(`/api/items/${item._id}/image`)
+      .set(auth(staffToken))
+      .attach('image', photo, 'photo.jpg')
+    const missing = await upload('items/65f000000000000000000000', photo)
+
+    expect(anonymous.status).toBe(401)
+    expect(staff.status).toBe(403)
+    expect(missing.status).toBe(404)
+  })
+
+  it('only accepts http(s) URLs and paths as image URLs', async () => {
+    const res = await request(app)
+      .put(`/api/items/${item._id}`)
+      .set(auth(token))
+      .send({ image: 'javascript:alert(1)' })
+
+    expect(res.status).toBe(400)
+    expect(res.body.errors[0].field).toBe('image')
+  })
+})
@@ -0,0 +1,203 @@
+const request = require('supertest')
+const app = require('../src/app')
+const db = require('./helpers/db')
+const {
+  createUser,
+  auth,
+  createCategory,
+  createSubCategory,
+  createItem
+} = require('./helpers/fixtures')
+const Item = require('../src/models/Item')
+
+describe('Sold out items and stock', () => {
+  let token
+  let category
+  let subCategory
+  let pizza
+  let bread
+
+  beforeAll(db.connect)
+  afterAll(db.close)
+
+  beforeEach(async () => {
+    await db.clear()
+    ;({ token } = await createUser('staff'))
+
+    category = await createCategory()
+    subCategory = await createSubCategory(category)
+    pizza = await createItem(subCategory, { name: 'Pizza', stock: 5 })
+    bread = await createItem(category, { name: 'Bread' })
+  })
+
+  describe('PATCH /api/items/:id/sold-out', () => {
+    it('marks an item sold out until the next day', async () => {
+      const res = await request(app)
+        .patch(`/api/items/${bread._id}/sold-out`)
+        .set(auth(token))
+        .send({ soldOut: true })
+
+      expect(res.status).toBe(200)
+      expect(res.body.data.soldOut).toBe(true)
+      expect(new Date(res.body.data.soldOutUntil).getTime()).toBeGreaterThan(
+        Date.now()
+      )
+    })
+
+    it('is back on sale once the time has passed', async () => {
+      await Item.updateOne(
+        { _id: bread._id },
+        { soldOutUntil: new Date(Date.now() - 1000) }
+      )
+
+      const res = await request(app).get(`/api/items/${bread._id}`)
+
+      expect(res.body.data.soldOut).toBe(false)
+    })
+
+    it('marks an item available again', async () => {
+      await Item.updateOne(
+        { _id: bread._id },
+        { soldOutUntil: new Date(Date.now() + 60000) }
+      )
+
+      const res = await request(app)
+        .patch(`/api/items/${bread._id}/sold-out`)
+        .set(auth(token))
+        .send({ soldOut: false })
+
+      expect(res.body.data).toMatchObject({
+        soldOut: false,
+        soldOutUntil: null
+      })
+    })
+
+    it('requires a staff account', async () => {
+      const { token: readOnlyToken } = await createUser('read-only')
+
+      const res = await request(app)
+        .patch(`/api/items/${bread._id}/sold-out`)
+        .set(auth(readOnlyToken))
+        .send({ soldOut: true })
+
+      expect(res.status).toBe(403)
+    })
+  })
+
+  describe('bulk sold out toggles', () => {
+    it('marks every item under a category, including its subcategories', async () => {
+      const res = await request(app)
+        .patch(`/api/categories/${category._id}/sold-out`)
+        .set(auth(token))
+        .send({ soldOut: true })
+
+      expect(res.status).toBe(200)
+      expect(res.body.data.updated).toBe(2)
+    })
+
+    it('marks only the items of a subcategory', async () => {
+      const until = new Date(Date.now() + 3600000).toISOString()
+
+      const res = await request(app)
+        .patch(`/api/subcategories/${subCategory._id}/sold-out`)
+        .set(auth(token))
+        .send({ soldOut: true, until })
+
+      expect(res.body.data).toEqual({ soldOutUntil: until, updated: 1 })
+      expect((await Item.findById(bread._id)).soldOut).toBe(false)
+    })
+  })
+
+  describe('POST /api/items/:id/sales', () => {
+    it('decrements tracked stock', async () => {
+      const res = await request(app)
+        .post(`/api/items/${pizza._id}/sales`)
+        .set(auth(token))
+        .send({ quantity: 2 })
+
+      expect(res.status).toBe(200)
+      expect(res.body.data).toMatchObject({ stock: 3, soldCount: 2 })
+    })
+
+    it('never sells more than is left', async () => {
+      const sell = () =>
+        request(app)
+          .post(`/api/items/${pizza._id}/sales`)
+          .set(auth(token))
+          .send({ quantity: 2 })
+
+      const results = await Promise.all([sell(), sell(), sell()])
+
+      expect(results.map((res) => res.status).sort()).toEqual([200, 200, 409])
+      const item = await Item.findById(pizza._id)
+      expect(item).toMatchObject({ stock: 1, soldCount: 4 })
+    })
+
+    it('sells out when the stock runs out', async () => {
+      await request(app)
+        .post(`/api/items/${pizza._id}/sales`)
+        .set(auth(token))
+        .send({ quantity: 5 })
+        .expect(200)
+
+      const res = await request(app)
+        .post(`/api/items/${pizza._id}/sales`)
+        .set(auth(token))
+        .send({})
+
+      expect(res.status).toBe(409)
+      expect(res.body).toMatchObject({ message: 'Item is sold out', stock: 0 })
+    })
+
+    it('counts sales of items without tracked stock', async () => {
+      const res = await request(app)
+        .post(`/api/items/${bread._id}/sales`)
+        .set(auth(token))
+        .send({})
+
+      expect(res.body.data).toMatchObject({ stock: null, soldCount: 1 })
+    })
+
+    it('refuses sales of items marked sold out', async () => {
+      await Item.updateOne(
+        { _id: bread._id },
+        { soldOutUntil: new Date(Date.now() + 60000) }
+      )
+
+      const res = await request(app)
+        .post(`/api/items/${bread._id}/sales`)
+        .set(auth(token))
+        .send({})
+
+      expect(res.status).toBe(409)
+    })
+  })
+
+  describe('item lists', () => {
+    beforeEach(() => Item.updateOne({ _id: pizza._id }, { stock: 0 }))
+
+    it('flags sold out items', async () => {
+      const res = await request(app).get('/api/items?sort=name')
+
+      expect(res.body.data.map((item) => [item.name, item.soldOut])).toEqual([
+        ['Bread', false],
+        ['Pizza', true]
+      ])
+    })
+
+    it('hides sold out items on request', async () => {
+      let res = await request(app).get(
+        '/api/items/search?name=p&hideSoldOut=true'
+      )
+      expect(res.body.total).toBe(0)
+
+      res = await request(app).get(
+        `/api/items/category/${category._id}?hideSoldOut=true`
+      )
+      expect(res.body.total).toBe(1)
+
+      res = await request(app).get('/api/menu?hideSoldOut=true')
+      expect(res.body.data[0].subCategories[0].items).toEqual([])
+    })
+  })
+})
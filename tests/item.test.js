@@ -0,0 +1,570 @@
+const request = require('supertest')
+const app = require('../src/app')
+const db = require('./helpers/db')
+const { mockResponse } = require('./helpers/http')
+const {
+  createUser,
+  auth,
+  createCategory,
+  createSubCategory,
+  createItem
+} = require('./helpers/fixtures')
+const Item = require('../src/models/Item')
+const {
+  getItemById,
+  updateItem,
+  deleteItem,
+  restoreItem,
+  purgeItem
+} = require('../src/controllers/itemController')
+
+const itemBody = (overrides = {}) => ({
+  name: 'Margherita',
+  image: 'https://example.com/margherita.jpg',
+  description: 'Tomato and mozzarella',
+  baseAmount: 200,
+  discount: 20,
+  ...overrides
+})
+
+describe('Item API', () => {
+  let token
+  let category
+  let subCategory
+
+  beforeAll(db.connect)
+  afterAll(db.close)
+
+  beforeEach(async () => {
+    await db.clear()
+    ;({ token } = await createUser('admin'))
+    category = await createCategory()
+    subCategory = await createSubCategory(category)
+  })
+
+  describe('POST /api/items', () => {
+    it('creates an item under a subcategory and computes the total', async () => {
+      const res = await request(app)
+        .post('/api/items')
+        .set(auth(token))
+        .send(itemBody({ subCategoryId: String(subCategory._id) }))
+
+      expect(res.status).toBe(201)
+      expect(res.body.data).toMatchObject({
+        totalAmount: 180,
+        tax: 10,
+        taxInherited: true
+      })
+    })
+
+    it('creates an item with its own tax under a category', async () => {
+      const res = await request(app)
+        .post('/api/items')
+        .set(auth(token))
+        .send(
+          itemBody({
+            categoryId: String(category._id),
+            taxApplicability: true,
+            tax: 5,
+            taxType: 'fixed'
+          })
+        )
+
+      expect(res.status).toBe(201)
+      expect(res.body.data).toMatchObject({
+        tax: 5,
+        taxType: 'fixed',
+        taxInherited: false
+      })
+    })
+
+    it('rejects a discount greater than the base amount', async () => {
+      const res = await request(app)
+        .post('/api/items')
+        .set(auth(token))
+        .send(itemBody({ categoryId: String(category._id), discount: 500 }))
+
+      expect(res.status).toBe(400)
+      expect(res.body.errors[0]).toMatchObject({
+        field: 'discount',
+        message: 'Discount cannot be greater than base amount'
+      })
+    })
+
+    it('requires exactly one parent', async () => {
+      const none = await request(app)
+        .post('/api/items')
+        .set(auth(token))
+        .send(itemBody())
+      const both = await request(app)
+        .post('/api/items')
+        .set(auth(token))
+        .send(
+          itemBody({
+            categoryId: String(category._id),
+            subCategoryId: String(subCategory._id)
+          })
+        )
+
+      expect(none.status).toBe(400)
+      expect(none.body.errors[0].message).toBe(
+        'Either categoryId or subCategoryId must be provided'
+      )
+      expect(both.status).toBe(400)
+      expect(both.body.errors[0].message).toBe(
+        'Item cannot belong to both category and subcategory simultaneously'
+      )
+    })
+
+    it('returns 404 for a missing parent', async () => {
+      const res = await request(app)
+        .post('/api/items')
+        .set(auth(token))
+        .send(itemBody({ subCategoryId: '65f000000000000000000000' }))
+
+      expect(res.status).toBe(404)
+      expect(res.body.message).toBe('Subcategory not found')
+    })
+
+    it('rejects duplicate names within a parent', async () => {
+      await createItem(category, { name: 'Margherita' })
+
+      const res = await request(app)
+        .post('/api/items')
+        .set(auth(token))
+        .send(itemBody({ categoryId: String(category._id) }))
+
+      expect(res.status).toBe(400)
+      expect(res.body.message).toBe(
+        'Item with this name already exists in this category/subcategory'
+      )
+    })
+  })
+
+  describe('variants', () => {
+    const variants = [
+      { name: 'Small', baseAmount: 100 },
+      { name: 'Large', baseAmount: 200, discount: 20, isDefault: true }
+    ]
+
+    it('creates an item priced by its default variant', async () => {
+      const res = await request(app)
+        .post('/api/items')
+        .set(auth(token))
+        .send({
+          ...itemBody({ categoryId: String(category._id) }),
+          baseAmount: undefined,
+          discount: undefined,
+          variants
+        })
+
+      expect(res.status).toBe(201)
+      expect(res.body.data).toMatchObject({
+        baseAmount: 200,
+        discount: 20,
+        totalAmount: 180
+      })
+      expect(
+        res.body.data.variants.map(({ name, totalAmount }) => [
+          name,
+          totalAmount
+        ])
+      ).toEqual([
+        ['Small', 100],
+        ['Large', 180]
+      ])
+    })
+
+    it('rejects item amounts, duplicate names and several defaults', async () => {
+      const res = await request(app)
+        .post('/api/items')
+        .set(auth(token))
+        .send(
+          itemBody({
+            categoryId: String(category._id),
+            variants: [
+              { name: 'Small', baseAmount: 1, isDefault: true },
+              { name: 'Large', baseAmount: 2, isDefault: true }
+            ]
+          })
+        )
+      const duplicate = await request(app)
+        .post('/api/items')
+        .set(auth(token))
+        .send({
+          ...itemBody({ categoryId: String(category._id) }),
+          baseAmount: undefined,
+          discount: undefined,
+          variants: [
+            { name: 'Small', baseAmount: 1 },
+            { name: 'small', baseAmount: 2 }
+          ]
+        })
+
+      expect(res.status).toBe(400)
+      expect(res.body.errors.map((error) => error.field).sort()).toEqual([
+        'baseAmount',
+        'discount',
+        'variants'
+      ])
+      expect(duplicate.body.errors[0].message).toBe(
+        'Variant names must be unique'
+      )
+    })
+
+    it('prices every variant and a chosen one', async () => {
+      const item = await createItem(category, {
+        baseAmount: undefined,
+        discount: undefined,
+        variants
+      })
+
+      const details = await request(app).get(`/api/items/${item._id}`)
+      const large = await request(app).get(`/api/items/${item._id}/price`)
+      const small = await request(app).get(
+        `/api/items/${item._id}/price?variant=small`
+      )
+      const missing = await request(app).get(
+        `/api/items/${item._id}/price?variant=Medium`
+      )
+
+      expect(
+        details.body.data.variants.map((variant) => variant.pricing.finalPrice)
+      ).toEqual([110, 198])
+      expect(large.body.data).toMatchObject({
+        variant: { name: 'Large' },
+        finalPrice: 198
+      })
+      expect(small.body.data.finalPrice).toBe(110)
+      expect(missing.status).toBe(404)
+    })
+
+    it('replaces and removes variants on update', async () => {
+      const item = await createItem(category, {
+        baseAmount: undefined,
+        discount: undefined,
+        variants
+      })
+
+      const blocked = await request(app)
+        .put(`/api/items/${item._id}`)
+        .set(auth(token))
+        .send({ baseAmount: 50 })
+      const replaced = await request(app)
+        .put(`/api/items/${item._id}`)
+        .set(auth(token))
+        .send({ variants: [{ name: 'Regular', baseAmount: 150 }] })
+      const removed = await request(app)
+        .put(`/api/items/${item._id}`)
+        .set(auth(token))
+        .send({ variants: [], baseAmount: 120 })
+
+      expect(blocked.status).toBe(400)
+      expect(replaced.body.data).toMatchObject({ totalAmount: 150 })
+      expect(replaced.body.data.variants).toHaveLength(1)
+      expect(removed.body.data.variants).toBeUndefined()
+      expect(removed.body.data.totalAmount).toBe(120)
+    })
+
+    it('allows sizes of the same item without name clashes', async () => {
+      await createItem(category, {
+        name: 'Pizza',
+        baseAmount: undefined,
+        discount: undefined,
+        variants
+      })
+
+      const res = await request(app).get('/api/items/search?name=pizza')
+
+      expect(res.body.count).toBe(1)
+      expect(res.body.data[0].variants).toHaveLength(2)
+    })
+  })
+
+  describe('GET /api/items', () => {
+    beforeEach(async () => {
+      await createItem(category, { baseAmount: 50, discount: 0 })
+      await createItem(category, { baseAmount: 150, discount: 0 })
+      await createItem(subCategory, { baseAmount: 300, discount: 30 })
+    })
+
+    it('filters by price and discount', async () => {
+      const priced = await request(app).get(
+        '/api/items?minPrice=100&maxPrice=200'
+      )
+      const discounted = await request(app).get('/api/items?hasDiscount=true')
+
+      expect(priced.body.count).toBe(1)
+      expect(priced.body.data[0].totalAmount).toBe(150)
+      expect(discounted.body.count).toBe(1)
+    })
+
+    it('sorts by total amount', async () => {
+      const res = await request(app).get('/api/items?sort=-totalAmount')
+
+      expect(res.body.data.map((item) => item.totalAmount)).toEqual([
+        270, 150, 50
+      ])
+    })
+
+    it('lists items of a category and of a subcategory', async () => {
+      const byCategory = await request(app).get(
+        `/api/items/category/${category._id}`
+      )
+      const bySubCategory = await request(app).get(
+        `/api/items/subcategory/${subCategory._id}`
+      )
+
+      expect(byCategory.body.total).toBe(2)
+      expect(bySubCategory.body.total).toBe(1)
+    })
+
+    it('returns 404 for an unknown parent', async () => {
+      const res = await request(app).get(
+        '/api/items/category/65f000000000000000000000'
+      )
+
+      expect(res.status).toBe(404)
+    })
+
+    it('searches items by name', async () => {
+      await createItem(category, { name: 'Garlic Bread' })
+
+      const res = await request(app).get('/api/items/search?name=garlic')
+
+      expect(res.status).toBe(200)
+      expect(res.body.count).toBe(1)
+      expect(res.body.searchTerm).toBe('garlic')
+    })
+
+    it('matches the search text literally', async () => {
+      await createItem(category, { name: 'Fish (large)' })
+
+      const literal = await request(app).get(
+        `/api/items/search?name=${encodeURIComponent('(large)')}`
+      )
+      const pattern = await request(app).get(
+        `/api/items/search?name=${encodeURIComponent('.*')}`
+      )
+
+      expect(literal.body.count).toBe(1)
+      expect(pattern.body.count).toBe(0)
+    })
+  })
+
+  describe('GET /api/items/:id', () => {
+    it('returns the item with its effective price', async () => {
+      const item = await createItem(subCategory)
+
+      const res = await request(app).get(`/api/items/${item._id}`)
+
+      expect(res.status).toBe(200)
+      expect(res.body.data.pricing).toMatchObject({
+        baseAmount: 100,
+        discount: 10,
+        taxableAmount: 90,
+        taxAmount: 9,
+        finalPrice: 99,
+        taxSource: 'category'
+      })
+    })
+
+    it('returns the price breakdown', async () => {
+      const item = await createItem(category, {
+        taxApplicability: true,
+        tax: 5,
+        taxType: 'fixed'
+      })
+
+      const res = await request(app).get(`/api/items/${item._id}/price`)
+
+      expect(res.status).toBe(200)
+      expect(res.body.data).toMatchObject({
+        taxAmount: 5,
+        finalPrice: 95,
+        taxSource: 'item'
+      })
+    })
+
+    it('returns 404 for a missing item', async () => {
+      const res = await request(app).get('/api/items/65f000000000000000000000')
+
+      expect(res.status).toBe(404)
+    })
+
+    it('maps CastErrors to 404 when called directly', async () => {
+      const res = mockResponse()
+
+      await getItemById({ params: { id: 'not-an-id' } }, res)
+
+      expect(res.status).toHaveBeenCalledWith(404)
+    })
+  })
+
+  describe('PUT /api/items/:id', () => {
+    it('recomputes the total when amounts change', async () => {
+      const item = await createItem(category)
+
+      const res = await request(app)
+        .put(`/api/items/${item._id}`)
+        .set(auth(token))
+        .send({ discount: 40 })
+
+      expect(res.status).toBe(200)
+      expect(res.body.data.totalAmount).toBe(60)
+    })
+
+    it('rejects a discount greater than the stored base amount', async () => {
+      const item = await createItem(category)
+
+      const res = await request(app)
+        .put(`/api/items/${item._id}`)
+        .set(auth(token))
+        .send({ discount: 150 })
+
+      expect(res.status).toBe(400)
+      expect(res.body.message).toBe(
+        'Discount cannot be greater than base amount'
+      )
+    })
+
+    it('moves an inheriting item and picks up the new parent tax', async () => {
+      const other = await createCategory({ tax: 3, taxType: 'fixed' })
+      const item = await createItem(category, {
+        taxApplicability: true,
+        tax: 10,
+        taxType: 'percentage',
+        taxInherited: true
+      })
+
+      const res = await request(app)
+        .put(`/api/items/${item._id}`)
+        .set(auth(token))
+        .send({ categoryId: String(other._id) })
+
+      expect(res.status).toBe(200)
+      expect(res.body.data).toMatchObject({ tax: 3, taxType: 'fixed' })
+    })
+
+    it('inherits tax again when taxApplicability is null', async () => {
+      const item = await createItem(subCategory, {
+        taxApplicability: false,
+        taxInherited: false
+      })
+
+      const res = await request(app)
+        .put(`/api/items/${item._id}`)
+        .set(auth(token))
+        .send({ taxApplicability: null })
+
+      expect(res.status).toBe(200)
+      expect(res.body.data).toMatchObject({
+        taxApplicability: true,
+        tax: 10,
+        taxInherited: true
+      })
+    })
+
+    it('rejects duplicate names within a parent', async () => {
+      await createItem(category, { name: 'Taken' })
+      const item = await createItem(category)
+
+      const res = await request(app)
+        .put(`/api/items/${item._id}`)
+        .set(auth(token))
+        .send({ name: 'Taken' })
+
+      expect(res.status).toBe(400)
+    })
+
+    it('returns 404 for a missing item', async () => {
+      const res = await request(app)
+        .put('/api/items/65f000000000000000000000')
+        .set(auth(token))
+        .send({ name: 'Nope' })
+
+      expect(res.status).toBe(404)
+    })
+
+    it('maps CastErrors to 404 when called directly', async () => {
+      const res = mockResponse()
+
+      await updateItem(
+        { params: { id: 'not-an-id' }, body: { name: 'x' } },
+        res
+      )
+
+      expect(res.status).toHaveBeenCalledWith(404)
+    })
+  })
+
+  describe('delete, restore and purge', () => {
+    it('soft deletes, restores and purges an item', async () => {
+      const item = await createItem(category)
+
+      await request(app)
+        .delete(`/api/items/${item._id}`)
+        .set(auth(token))
+        .expect(200)
+      expect(await Item.findById(item._id)).toBeNull()
+
+      await request(app)
+        .post(`/api/items/${item._id}/restore`)
+        .set(auth(token))
+        .expect(200)
+      expect(await Item.findById(item._id)).not.toBeNull()
+
+      await request(app)
+        .delete(`/api/items/${item._id}/purge`)
+        .set(auth(token))
+        .expect(400)
+      await request(app)
+        .delete(`/api/items/${item._id}`)
+        .set(auth(token))
+        .expect(200)
+      await request(app)
+        .delete(`/api/items/${item._id}/purge`)
+        .set(auth(token))
+        .expect(200)
+      expect(
+        await Item.countDocuments().setOptions({ withDeleted: true })
+      ).toBe(0)
+    })
+
+    it('refuses to restore an item whose parent is deleted', async () => {
+      const item = await createItem(subCategory, { deletedAt: new Date() })
+      subCategory.deletedAt = new Date()
+      await subCategory.save()
+
+      const res = await request(app)
+        .post(`/api/items/${item._id}/restore`)
+        .set(auth(token))
+
+      expect(res.status).toBe(409)
+    })
+
+    it('refuses to restore an item whose name was reused', async () => {
+      const item = await createItem(subCategory, {
+        name: 'Soup',
+        deletedAt: new Date()
+      })
+      await createItem(subCategory, { name: 'Soup' })
+
+      const res = await request(app)
+        .post(`/api/items/${item._id}/restore`)
+        .set(auth(token))
+
+      expect(res.status).toBe(409)
+    })
+
+    it('maps CastErrors to 404 when called directly', async () => {
+      for (const handler of [deleteItem, restoreItem, purgeItem]) {
+        const res = mockResponse()
+
+        await handler({ params: { id: 'not-an-id' } }, res)
+
+        expect(res.status).toHaveBeenCalledWith(404)
+      }
+    })
+  })
+})
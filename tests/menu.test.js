@@ -0,0 +1,56 @@
+const request = require('supertest')
+const app = require('../src/app')
+const db = require('./helpers/db')
+const {
+  createCategory,
+  createSubCategory,
+  createItem
+} = require('./helpers/fixtures')
+
+describe('Menu API', () => {
+  let category
+
+  beforeAll(db.connect)
+  afterAll(db.close)
+
+  beforeEach(async () => {
+    await db.clear()
+    category = await createCategory({ name: 'Pizza' })
+    const subCategory = await createSubCategory(category, { name: 'Classic' })
+    await createItem(subCategory, { name: 'Margherita' })
+    await createItem(category, { name: 'Garlic Bread' })
+    await createItem(subCategory, { name: 'Old', deletedAt: new Date() })
+    await createCategory({ name: 'Empty' })
+  })
+
+  it('returns the full tree with effective prices', async () => {
+    const res = await request(app).get('/api/menu')
+
+    expect(res.status).toBe(200)
+    expect(res.body.count).toBe(2)
+
+    const pizza = res.body.data.find((entry) => entry.name === 'Pizza')
+    expect(pizza.items.map((item) => item.name)).toEqual(['Garlic Bread'])
+    expect(pizza.subCategories[0].items).toHaveLength(1)
+    expect(pizza.subCategories[0].items[0].pricing.finalPrice).toBe(99)
+  })
+
+  it('drops empty branches when excludeEmpty is set', async () => {
+    const res = await request(app).get('/api/menu?excludeEmpty=true')
+
+    expect(res.body.data.map((entry) => entry.name)).toEqual(['Pizza'])
+  })
+
+  it('returns a single category tree', async () => {
+    const res = await request(app).get(`/api/menu/${category._id}`)
+
+    expect(res.status).toBe(200)
+    expect(res.body.data.name).toBe('Pizza')
+  })
+
+  it('returns 404 for a missing category', async () => {
+    const res = await request(app).get('/api/menu/65f000000000000000000000')
+
+    expect(res.status).toBe(404)
+  })
+})
@@ -0,0 +1,306 @@
+const request = require('supertest')
+const app = require('../src/app')
+const db = require('./helpers/db')
+const {
+  createUser,
+  auth,
+  createCategory,
+  createSubCategory,
+  createItem,
+  createModifierGroup
+} = require('./helpers/fixtures')
+const Category = require('../src/models/Category')
+const SubCategory = require('../src/models/SubCategory')
+const Item = require('../src/models/Item')
+
+const menu = {
+  categories: [
+    {
+      name: 'Pizza',
+      image: 'https://example.com/pizza.jpg',
+      description: 'Stone baked',
+      taxApplicability: true,
+      tax: 10,
+      taxType: 'percentage',
+      subCategories: [
+        {
+          name: 'Classic',
+          image: 'https://example.com/classic.jpg',
+          description: 'The classics',
+          items: [
+            {
+              name: 'Margherita',
+              image: 'https://example.com/margherita.jpg',
+              description: 'Tomato and mozzarella',
+              baseAmount: 200,
+              discount: 20
+            }
+          ]
+        }
+      ],
+      items: [
+        {
+          name: 'Garlic Bread',
+          image: 'https://example.com/bread.jpg',
+          description: 'With butter',
+          taxApplicability: false,
+          baseAmount: 80
+        }
+      ]
+    }
+  ]
+}
+
+const CSV_HEADER =
+  'type,category,subCategory,item,name,image,description,taxApplicability,tax,taxType,baseAmount,discount,isDefault,modifierGroups,availability,dietaryTags,allergens'
+
+describe('Menu import and export', () => {
+  let token
+
+  beforeAll(db.connect)
+  afterAll(db.close)
+
+  beforeEach(async () => {
+    await db.clear()
+    ;({ token } = await createUser('manager'))
+  })
+
+  describe('POST /api/menu/import', () => {
+    it('imports a nested JSON menu and inherits tax', async () => {
+      const res = await request(app)
+        .post('/api/menu/import')
+        .set(auth(token))
+        .send(menu)
+
+      expect(res.status).toBe(201)
+      expect(res.body.created).toEqual({
+        categories: 1,
+        subCategories: 1,
+        items: 2
+      })
+
+      const margherita = await Item.findOne({ name: 'Margherita' })
+      expect(margherita).toMatchObject({
+        totalAmount: 180,
+        tax: 10,
+        taxInherited: true
+      })
+      expect(
+        (await SubCategory.findOne({ name: 'Classic' })).taxInherited
+      ).toBe(true)
+    })
+
+    it('imports a CSV menu with parents referenced by name', async () => {
+      await createCategory({ name: 'Drinks' })
+
+      const csv = [
+        CSV_HEADER,
+        'category,,,,Desserts,https://example.com/d.jpg,"Cakes, pies",false,,,,,',
+        'subcategory,Desserts,,,Cakes,https://example.com/c.jpg,Layered,,,,,,',
+        'item,Desserts,Cakes,,Cheesecake,https://example.com/cc.jpg,Baked,,,,120,,',
+        'item,Drinks,,,Lemonade,https://example.com/l.jpg,Fresh,,,,40,5,',
+        'item,Drinks,,,Smoothie,https://example.com/s.jpg,Blended,,,,,,',
+        'variant,Drinks,,Smoothie,Regular,,,,,,50,,',
+        'variant,Drinks,,Smoothie,Large,,,,,,70,,true'
+      ].join('\n')
+
+      const res = await request(app)
+        .post('/api/menu/import')
+        .set(auth(token))
+        .set('Content-Type', 'text/csv')
+        .send(csv)
+
+      expect(res.status).toBe(201)
+      expect(res.body.created).toEqual({
+        categories: 1,
+        subCategories: 1,
+        items: 3
+      })
+      const smoothie = await Item.findOne({ name: 'Smoothie' })
+      expect(smoothie.totalAmount).toBe(70)
+      expect(smoothie.variants).toHaveLength(2)
+      expect((await Category.findOne({ name: 'Desserts' })).description).toBe(
+        'Cakes, pies'
+      )
+      expect((await Item.findOne({ name: 'Lemonade' })).totalAmount).toBe(35)
+    })
+
+    it('rejects an atomic import with row-level errors and writes nothing', async () => {
+      await createCategory({ name: 'Pizza' })
+      const csv = [
+        CSV_HEADER,
+        'category,,,,Pizza,https://example.com/p.jpg,Again,false,,,,,',
+        'category,,,,Salads,https://example.com/s.jpg,Green,false,,,,,',
+        'item,Salads,,,Caesar,https://example.com/c.jpg,Crisp,,,,10,20,',
+        'item,Soups,,,Tomato,https://example.com/t.jpg,Warm,,,,10,,',
+        'drink,,,,Cola,https://example.com/c.jpg,Fizzy,,,,5,,'
+      ].join('\n')
+
+      const res = await request(app)
+        .post('/api/menu/import')
+        .set(auth(token))
+        .set('Content-Type', 'text/csv')
+        .send(csv)
+
+      expect(res.status).toBe(400)
+      expect(res.body.errors.map(({ row, code }) => [row, code])).toEqual([
+        [2, 'duplicate'],
+        [4, 'number.max'],
+        [5, 'reference.missing'],
+        [6, 'type.invalid']
+      ])
+      expect(await Category.countDocuments()).toBe(1)
+    })
+
+    it('imports the valid rows in best-effort mode', async () => {
+      const csv = [
+        CSV_HEADER,
+        'category,,,,Salads,https://example.com/s.jpg,Green,false,,,,,',
+        'item,Salads,,,Caesar,https://example.com/c.jpg,Crisp,,,,10,,',
+        'item,Salads,,,Caesar,https://example.com/c.jpg,Crisp,,,,10,,',
+        'item,Soups,,,Tomato,https://example.com/t.jpg,Warm,,,,10,,'
+      ].join('\n')
+
+      const res = await request(app)
+        .post('/api/menu/import?mode=best-effort')
+        .set(auth(token))
+        .set('Content-Type', 'text/csv')
+        .send(csv)
+
+      expect(res.status).toBe(200)
+      expect(res.body.created).toEqual({
+        categories: 1,
+        subCategories: 0,
+        items: 1
+      })
+      expect(res.body.errors.map(({ row }) => row)).toEqual([4, 5])
+    })
+
+    it('reports structural problems in JSON with paths', async () => {
+      const res = await request(app)
+        .post('/api/menu/import')
+        .set(auth(token))
+        .send({
+          categories: [{ ...menu.categories[0], subCategories: 'none' }, 'x']
+        })
+
+      expect(res.status).toBe(400)
+      expect(res.body.errors.map(({ row }) => row)).toEqual([
+        'categories[0]',
+        'categories[1]'
+      ])
+    })
+
+    it('attaches existing modifier groups by name', async () => {
+      const sauces = await createModifierGroup({ name: 'Sauces' })
+      const csv = [
+        CSV_HEADER,
+        'category,,,,Salads,https://example.com/s.jpg,Green,false,,,,,,Sauces',
+        'item,Salads,,,Caesar,https://example.com/c.jpg,Crisp,,,,10,,,Sauces|Dips'
+      ].join('\n')
+
+      const rejected = await request(app)
+        .post('/api/menu/import')
+        .set(auth(token))
+        .set('Content-Type', 'text/csv')
+        .send(csv)
+
+      expect(rejected.status).toBe(400)
+      expect(rejected.body.errors).toEqual([
+        expect.objectContaining({
+          row: 3,
+          field: 'modifierGroups',
+          code: 'reference.missing'
+        })
+      ])
+
+      const res = await request(app)
+        .post('/api/menu/import')
+        .set(auth(token))
+        .set('Content-Type', 'text/csv')
+        .send(csv.replace('|Dips', ''))
+
+      expect(res.status).toBe(201)
+      const item = await Item.findOne({ name: 'Caesar' })
+      expect(item.modifierGroups.map(String)).toEqual([String(sauces._id)])
+
+      const exported = await request(app).get('/api/menu/export')
+      expect(exported.body.categories[0].modifierGroups).toEqual(['Sauces'])
+    })
+
+    it('rejects unknown CSV columns', async () => {
+      const res = await request(app)
+        .post('/api/menu/import')
+        .set(auth(token))
+        .set('Content-Type', 'text/csv')
+        .send('type,colour\ncategory,red')
+
+      expect(res.status).toBe(400)
+      expect(res.body.message).toMatch('Unknown CSV columns: colour')
+    })
+
+    it('requires a write role', async () => {
+      const { token: staff } = await createUser('staff')
+
+      const res = await request(app)
+        .post('/api/menu/import')
+        .set(auth(staff))
+        .send(menu)
+
+      expect(res.status).toBe(403)
+    })
+  })
+
+  describe('GET /api/menu/export', () => {
+    beforeEach(async () => {
+      const category = await createCategory({ name: 'Pizza' })
+      const subCategory = await createSubCategory(category, { name: 'Classic' })
+      await createItem(subCategory, {
+        name: 'Margherita',
+        taxApplicability: true,
+        tax: 10,
+        taxType: 'percentage',
+        taxInherited: true
+      })
+    })
+
+    it('exports JSON that leaves inherited tax out', async () => {
+      const res = await request(app).get('/api/menu/export')
+
+      expect(res.status).toBe(200)
+      const [pizza] = res.body.categories
+      expect(pizza).toMatchObject({ name: 'Pizza', tax: 10 })
+      expect(pizza.subCategories[0].tax).toBeUndefined()
+      expect(pizza.subCategories[0].items[0]).toEqual({
+        name: 'Margherita',
+        image: 'https://example.com/item.jpg',
+        description: 'Item description',
+        baseAmount: 100,
+        discount: 10
+      })
+    })
+
+    it('round-trips through CSV', async () => {
+      const exported = await request(app).get('/api/menu/export?format=csv')
+
+      expect(exported.headers['content-type']).toMatch('text/csv')
+      expect(exported.text.split('\r\n')[0]).toBe(CSV_HEADER)
+
+      await db.clear()
+      ;({ token } = await createUser('manager'))
+
+      const imported = await request(app)
+        .post('/api/menu/import')
+        .set(auth(token))
+        .set('Content-Type', 'text/csv')
+        .send(exported.text)
+
+      expect(imported.status).toBe(201)
+      expect(imported.body.created).toEqual({
+        categories: 1,
+        subCategories: 1,
+        items: 1
+      })
+    })
+  })
+})
@@ -0,0 +1,237 @@
+const request = require('supertest')
+const app = require('../src/app')
+const db = require('./helpers/db')
+const MenuVersion = require('../src/models/MenuVersion')
+const {
+  createUser,
+  auth,
+  createCategory,
+  createItem
+} = require('./helpers/fixtures')
+
+describe('Menu versions', () => {
+  let token
+  let salads
+  let caesar
+
+  beforeAll(db.connect)
+  afterAll(db.close)
+
+  beforeEach(async () => {
+    await db.clear()
+    ;({ token } = await createUser('manager'))
+
+    salads = await createCategory({ name: 'Salads' })
+    caesar = await createItem(salads, {
+      name: 'Caesar',
+      baseAmount: 900,
+      discount: 0,
+      totalAmount: 900
+    })
+  })
+
+  const publish = (note) =>
+    request(app)
+      .post('/api/menu/versions')
+      .set(auth(token))
+      .send(note ? { note } : {})
+  const updatePrice = (item, baseAmount) =>
+    request(app)
+      .put(`/api/items/${item._id}`)
+      .set(auth(token))
+      .send({ baseAmount })
+  const publicPrice = async (item) =>
+    (await request(app).get(`/api/items/${item._id}`)).body.data.baseAmount
+
+  it('serves the working draft until the menu is published', async () => {
+    await updatePrice(caesar, 950)
+
+    expect(await publicPrice(caesar)).toBe(950)
+  })
+
+  it('publishes numbered versions', async () => {
+    const first = await publish('Spring menu')
+    const second = await publish()
+
+    expect(first.status).toBe(201)
+    expect(first.body.data).toMatchObject({
+      number: 1,
+      note: 'Spring menu',
+      counts: { categories: 1, subCategories: 0, items: 1 }
+    })
+    expect(first.body.data.publishedBy.role).toBe('manager')
+    expect(first.body.data.items).toBeUndefined()
+    expect(second.body.data.number).toBe(2)
+  })
+
+  it('keeps draft changes out of public reads until they are published', async () => {
+    await publish()
+    await updatePrice(caesar, 950)
+    const rocket = await createItem(salads, { name: 'Rocket' })
+
+    expect(await publicPrice(caesar)).toBe(900)
+    const missing = await request(app).get(`/api/items/${rocket._id}`)
+    expect(missing.status).toBe(404)
+
+    const menu = await request(app).get('/api/menu')
+    expect(menu.body.data[0].items.map((item) => item.name)).toEqual(['Caesar'])
+
+    const search = await request(app).get('/api/search?q=rocket')
+    expect(search.body.count).toBe(0)
+
+    await publish()
+    expect(await publicPrice(caesar)).toBe(950)
+  })
+
+  it('lets admins and managers read the draft', async () => {
+    await publish()
+    await updatePrice(caesar, 950)
+
+    const draft = await request(app)
+      .get(`/api/items/${caesar._id}?draft=true`)
+      .set(auth(token))
+    expect(draft.body.data.baseAmount).toBe(950)
+
+    const anonymous = await request(app).get(
+      `/api/items/${caesar._id}?draft=true`
+    )
+    expect(anonymous.status).toBe(401)
+
+    const { token: staffToken } = await createUser('staff')
+    const staff = await request(app)
+      .get(`/api/items/${caesar._id}?draft=true`)
+      .set(auth(staffToken))
+    expect(staff.status).toBe(403)
+  })
+
+  it('shows stock and sold out marks on the published menu right away', async () => {
+    await publish()
+
+    await request(app)
+      .patch(`/api/items/${caesar._id}/sold-out`)
+      .set(auth(token))
+      .send({ soldOut: true })
+
+    const res = await request(app).get(`/api/items/${caesar._id}`)
+    expect(res.body.data.soldOut).toBe(true)
+  })
+
+  it('lists versions newest first without their snapshots', async () => {
+    await publish()
+    await publish()
+
+    const res = await request(app).get('/api/menu/versions').set(auth(token))
+
+    expect(res.status).toBe(200)
+    expect(res.body.current).toBe(2)
+    expect(res.body.data.map((version) => version.number)).toEqual([2, 1])
+    expect(res.body.data[0].items).toBeUndefined()
+  })
+
+  it('returns a version with its snapshot', async () => {
+    await publish()
+
+    const res = await request(app).get('/api/menu/versions/1').set(auth(token))
+
+    expect(res.status).toBe(200)
+    expect(res.body.data.items).toEqual([
+      expect.objectContaining({ name: 'Caesar', baseAmount: 900 })
+    ])
+    expect(res.body.data.items[0].stock).toBeUndefined()
+
+    const missing = await request(app)
+      .get('/api/menu/versions/9')
+      .set(auth(token))
+    expect(missing.status).toBe(404)
+  })
+
+  it('diffs two versions and a version with the draft', async () => {
+    await publish()
+    await updatePrice(caesar, 950)
+    await publish()
+    await createItem(salads, { name: 'Rocket' })
+
+    const versions = await request(app)
+      .get('/api/menu/versions/diff?from=1&to=2')
+      .set(auth(token))
+    expect(versions.status).toBe(200)
+    expect(versions.body.data.items.changed).toEqual([
+      expect.objectContaining({
+        name: 'Caesar',
+        changes: expect.arrayContaining([
+          { field: 'baseAmount', from: 900, to: 950 }
+        ])
+      })
+    ])
+
+    const draft = await request(app)
+      .get('/api/menu/versions/diff?from=2&to=draft')
+      .set(auth(token))
+    expect(draft.body.data.items.added).toEqual([
+      expect.objectContaining({ name: 'Rocket' })
+    ])
+    expect(draft.body.data.items.changed).toEqual([])
+  })
+
+  it('reports versions a diff cannot find', async () => {
+    await publish()
+
+    const res = await request(app)
+      .get('/api/menu/versions/diff?from=1&to=4')
+      .set(auth(token))
+
+    expect(res.status).toBe(404)
+    expect(res.body.missing).toEqual([4])
+  })
+
+  it('rolls back by publishing an earlier version again', async () => {
+    await publish()
+    await updatePrice(caesar, 950)
+    await publish()
+
+    const res = await request(app)
+      .post('/api/menu/versions/1/rollback')
+      .set(auth(token))
+      .send({})
+
+    expect(res.status).toBe(201)
+    expect(res.body.data).toMatchObject({ number: 3, rolledBackFrom: 1 })
+    expect(await publicPrice(caesar)).toBe(900)
+
+    // The draft keeps its changes
+    const draft = await request(app)
+      .get(`/api/items/${caesar._id}?draft=true`)
+      .set(auth(token))
+    expect(draft.body.data.baseAmount).toBe(950)
+  })
+
+  it('does not roll back to the version already published', async () => {
+    await publish()
+
+    const res = await request(app)
+      .post('/api/menu/versions/1/rollback')
+      .set(auth(token))
+      .send({})
+
+    expect(res.status).toBe(400)
+  })
+
+  it('never changes a published version', async () => {
+    await publish()
+
+    await expect(
+      MenuVersion.updateOne({ number: 1 }, { note: 'Changed' })
+    ).rejects.toThrow('Published menu versions cannot be changed')
+  })
+
+  it('requires a manager', async () => {
+    const { token: staffToken } = await createUser('staff')
+
+    const res = await request(app)
+      .post('/api/menu/versions')
+      .set(auth(staffToken))
+      .send({})
+
+    expect(res.status).toBe(403)
+  })
+})
@@ -0,0 +1,43 @@
+const { requireSetupToken } = require('../../src/middleware/auth')
+const { mockResponse } = require('../helpers/http')
+
+describe('requireSetupToken', () => {
+  const requestWith = (token) => ({
+    get: (header) => (header === 'X-Setup-Token' ? token : undefined)
+  })
+
+  afterEach(() => {
+    process.env.SETUP_TOKEN = 'test-setup-token'
+  })
+
+  it('lets the setup token through', () => {
+    const next = jest.fn()
+
+    requireSetupToken(requestWith('test-setup-token'), mockResponse(), next)
+
+    expect(next).toHaveBeenCalled()
+  })
+
+  it('rejects a missing or wrong token', () => {
+    for (const token of [undefined, '', 'test-setup-toke']) {
+      const res = mockResponse()
+      const next = jest.fn()
+
+      requireSetupToken(requestWith(token), res, next)
+
+      expect(next).not.toHaveBeenCalled()
+      expect(res.status).toHaveBeenCalledWith(403)
+    }
+  })
+
+  it('rejects every request without a SETUP_TOKEN setting', () => {
+    delete process.env.SETUP_TOKEN
+    const res = mockResponse()
+    const next = jest.fn()
+
+    requireSetupToken(requestWith(''), res, next)
+
+    expect(next).not.toHaveBeenCalled()
+    expect(res.status).toHaveBeenCalledWith(403)
+  })
+})
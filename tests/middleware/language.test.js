@@ -0,0 +1,50 @@
+const { languageContext } = require('../../src/middleware/language')
+const { mockResponse } = require('../helpers/http')
+
+const request = ({ lang, acceptLanguage } = {}) => ({
+  query: lang === undefined ? {} : { lang },
+  get: (name) => (name === 'Accept-Language' ? acceptLanguage : undefined)
+})
+
+describe('languageContext', () => {
+  const run = (req) => {
+    const res = mockResponse()
+    res.set = jest.fn(() => res)
+    res.vary = jest.fn(() => res)
+    const next = jest.fn()
+    languageContext(req, res, next)
+    return { res, next }
+  }
+
+  it('uses the language of the lang parameter', () => {
+    const req = request({ lang: 'de', acceptLanguage: 'fr' })
+
+    const { res, next } = run(req)
+
+    expect(next).toHaveBeenCalled()
+    expect(req.language).toBe('de')
+    expect(res.set).toHaveBeenCalledWith('Content-Language', 'de')
+    expect(res.vary).toHaveBeenCalledWith('Accept-Language')
+  })
+
+  it('falls back to Accept-Language and then the default language', () => {
+    const french = request({ acceptLanguage: 'fr-FR,fr;q=0.9' })
+    const spanish = request({ acceptLanguage: 'es' })
+
+    run(french)
+    run(spanish)
+
+    expect(french.language).toBe('fr')
+    expect(spanish.language).toBe('en')
+  })
+
+  it('rejects a lang the menu is not served in', () => {
+    const { res, next } = run(request({ lang: 'es' }))
+
+    expect(next).not.toHaveBeenCalled()
+    expect(res.status).toHaveBeenCalledWith(400)
+    expect(res.json).toHaveBeenCalledWith(
+      expect.objectContaining({ success: false })
+    )
+  })
+})
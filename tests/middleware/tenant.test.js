@@ -0,0 +1,59 @@
+const jwt = require('jsonwebtoken')
+const { tenantContext } = require('../../src/middleware/tenant')
+const { getCurrentTenant } = require('../../src/utils/tenants')
+const { mockResponse } = require('../helpers/http')
+
+const request = ({ token, tenant } = {}) => ({
+  headers: token ? { authorization: `Bearer ${token}` } : {},
+  get: (name) => (name === 'X-Tenant-Id' ? tenant : undefined)
+})
+
+const sign = (payload) => jwt.sign(payload, process.env.JWT_SECRET)
+
+describe('tenantContext', () => {
+  const run = (req) => {
+    const res = mockResponse()
+    let tenant
+    tenantContext(req, res, () => {
+      tenant = getCurrentTenant()
+    })
+    return { res, tenant }
+  }
+
+  it('runs the request as the tenant of the header', () => {
+    const req = request({ tenant: 'pizza-co' })
+
+    expect(run(req).tenant).toBe('pizza-co')
+    expect(req.tenant).toBe('pizza-co')
+  })
+
+  it('prefers the tenant of the token', () => {
+    const token = sign({ id: 'user', tenant: 'burger-co' })
+
+    expect(run(request({ token })).tenant).toBe('burger-co')
+  })
+
+  it('uses the default tenant without a token or header', () => {
+    expect(run(request()).tenant).toBe('default')
+    expect(run(request({ token: sign({ id: 'user' }) })).tenant).toBe('default')
+  })
+
+  it('rejects a header that does not match the token', () => {
+    const token = sign({ id: 'user', tenant: 'burger-co' })
+
+    const { res, tenant } = run(request({ token, tenant: 'pizza-co' }))
+
+    expect(tenant).toBeUndefined()
+    expect(res.status).toHaveBeenCalledWith(403)
+  })
+
+  it('rejects tenants that are not hosted', () => {
+    const { res } = run(request({ tenant: 'taco-co' }))
+
+    expect(res.status).toHaveBeenCalledWith(404)
+    expect(res.json).toHaveBeenCalledWith({
+      success: false,
+      message: 'Tenant not found'
+    })
+  })
+})
@@ -0,0 +1,64 @@
+const express = require('express')
+const request = require('supertest')
+const { uploadImage } = require('../../src/middleware/upload')
+
+describe('uploadImage', () => {
+  const app = express()
+  app.put('/image', uploadImage, (req, res) =>
+    res.json({ name: req.file.originalname, size: req.file.size })
+  )
+
+  afterEach(() => {
+    delete process.env.MAX_IMAGE_SIZE
+  })
+
+  it('reads the image field into req.file', async () => {
+    const res = await request(app)
+      .put('/image')
+      .attach('image', Buffer.from('image bytes'), {
+        filename: 'soup.png',
+        contentType: 'image/png'
+      })
+
+    expect(res.status).toBe(200)
+    expect(res.body).toEqual({ name: 'soup.png', size: 11 })
+  })
+
+  it('rejects types other than JPEG, PNG and WebP with 415', async () => {
+    const res = await request(app)
+      .put('/image')
+      .attach('image', Buffer.from('GIF89a'), {
+        filename: 'soup.gif',
+        contentType: 'image/gif'
+      })
+
+    expect(res.status).toBe(415)
+  })
+
+  it('rejects files over MAX_IMAGE_SIZE with 413', async () => {
+    process.env.MAX_IMAGE_SIZE = '10'
+
+    const res = await request(app)
+      .put('/image')
+      .attach('image', Buffer.alloc(11), {
+        filename: 'soup.png',
+        contentType: 'image/png'
+      })
+
+    expect(res.status).toBe(413)
+    expect(res.body.message).toBe('Images can be at most 10 bytes')
+  })
+
+  it('requires a file in the image field', async () => {
+    const json = await request(app).put('/image').send({ image: 'x' })
+    const otherField = await request(app)
+      .put('/image')
+      .attach('photo', Buffer.from('x'), {
+        filename: 'soup.png',
+        contentType: 'image/png'
+      })
+
+    expect(json.status).toBe(400)
+    expect(otherField.status).toBe(400)
+  })
+})
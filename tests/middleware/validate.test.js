@@ -0,0 +1,42 @@
+const Joi = require('joi')
+const { validate } = require('../../src/middleware/validate')
+const { mockResponse } = require('../helpers/http')
+
+const schemas = {
+  params: Joi.object({ id: Joi.string().required() }),
+  body: Joi.object({
+    name: Joi.string().trim().required(),
+    price: Joi.number().min(0)
+  })
+}
+
+describe('validate', () => {
+  it('passes trimmed bodies on to the handler', () => {
+    const req = { params: { id: '1' }, query: {}, body: { name: ' Soup ' } }
+    const next = jest.fn()
+
+    validate(schemas)(req, mockResponse(), next)
+
+    expect(next).toHaveBeenCalled()
+    expect(req.body.name).toBe('Soup')
+  })
+
+  it('reports every failing field at once', () => {
+    const req = {
+      params: {},
+      query: { extra: 'x' },
+      body: { price: -1 }
+    }
+    const res = mockResponse()
+    const next = jest.fn()
+
+    validate(schemas)(req, res, next)
+
+    expect(next).not.toHaveBeenCalled()
+    expect(res.status).toHaveBeenCalledWith(400)
+    const { errors } = res.json.mock.calls[0][0]
+    expect(errors.map(({ location, field }) => `${location}.${field}`)).toEqual(
+      ['params.id', 'query.extra', 'body.name', 'body.price']
+    )
+  })
+})
@@ -0,0 +1,293 @@
+const request = require('supertest')
+const app = require('../src/app')
+const db = require('./helpers/db')
+const {
+  createUser,
+  auth,
+  createCategory,
+  createSubCategory,
+  createItem,
+  createModifierGroup
+} = require('./helpers/fixtures')
+const Item = require('../src/models/Item')
+const ModifierGroup = require('../src/models/ModifierGroup')
+
+const groupBody = (overrides = {}) => ({
+  name: 'Sauces',
+  options: [
+    { name: 'Garlic', price: 10 },
+    { name: 'Chilli', price: 0 }
+  ],
+  minSelections: 1,
+  maxSelections: 1,
+  ...overrides
+})
+
+describe('Modifier group API', () => {
+  let token
+
+  beforeAll(db.connect)
+  afterAll(db.close)
+
+  beforeEach(async () => {
+    await db.clear()
+    ;({ token } = await createUser('admin'))
+  })
+
+  describe('CRUD', () => {
+    it('creates, lists, updates and finds a group', async () => {
+      const created = await request(app)
+        .post('/api/modifier-groups')
+        .set(auth(token))
+        .send(groupBody())
+
+      expect(created.status).toBe(201)
+      expect(created.body.data.options).toHaveLength(2)
+
+      const list = await request(app).get('/api/modifier-groups?sort=name')
+      expect(list.body.total).toBe(1)
+
+      const updated = await request(app)
+        .put(`/api/modifier-groups/${created.body.data._id}`)
+        .set(auth(token))
+        .send({ maxSelections: 2 })
+
+      expect(updated.status).toBe(200)
+      expect(updated.body.data.maxSelections).toBe(2)
+
+      const found = await request(app).get(
+        '/api/modifier-groups/search?name=sauce'
+      )
+      expect(found.body.data.name).toBe('Sauces')
+    })
+
+    it('rejects broken selection rules', async () => {
+      const res = await request(app)
+        .post('/api/modifier-groups')
+        .set(auth(token))
+        .send(groupBody({ minSelections: 2, maxSelections: 1 }))
+
+      expect(res.status).toBe(400)
+      expect(res.body.errors[0].field).toBe('maxSelections')
+    })
+
+    it('checks updates against the stored rules', async () => {
+      const group = await createModifierGroup({ maxSelections: 2 })
+
+      const res = await request(app)
+        .put(`/api/modifier-groups/${group._id}`)
+        .set(auth(token))
+        .send({ minSelections: 3 })
+
+      expect(res.status).toBe(400)
+      expect(res.body.errors.map((error) => error.field)).toEqual([
+        'maxSelections'
+      ])
+    })
+
+    it('rejects duplicate group names', async () => {
+      await createModifierGroup({ name: 'Sauces' })
+
+      const res = await request(app)
+        .post('/api/modifier-groups')
+        .set(auth(token))
+        .send(groupBody())
+
+      expect(res.status).toBe(400)
+      expect(res.body.message).toMatch(/already exists/)
+    })
+
+    it('requires a manager or admin to write', async () => {
+      const { token: staffToken } = await createUser('staff')
+
+      const res = await request(app)
+        .post('/api/modifier-groups')
+        .set(auth(staffToken))
+        .send(groupBody())
+
+      expect(res.status).toBe(403)
+    })
+  })
+
+  describe('attaching groups', () => {
+    let category
+    let subCategory
+    let item
+    let sauces
+    let toppings
+
+    beforeEach(async () => {
+      sauces = await createModifierGroup({
+        name: 'Sauces',
+        minSelections: 1,
+        maxSelections: 1
+      })
+      toppings = await createModifierGroup({ name: 'Toppings' })
+      category = await createCategory({ modifierGroups: [sauces._id] })
+      subCategory = await createSubCategory(category)
+      item = await createItem(subCategory)
+    })
+
+    it('rejects unknown modifier groups', async () => {
+      const res = await request(app)
+        .put(`/api/items/${item._id}`)
+        .set(auth(token))
+        .send({ modifierGroups: ['64b7f0c2a1b2c3d4e5f60718'] })
+
+      expect(res.status).toBe(404)
+      expect(res.body.missing).toEqual(['64b7f0c2a1b2c3d4e5f60718'])
+    })
+
+    it('inherits groups from the category and subcategory', async () => {
+      await request(app)
+        .put(`/api/subcategories/${subCategory._id}`)
+        .set(auth(token))
+        .send({ modifierGroups: [String(toppings._id)] })
+        .expect(200)
+
+      const res = await request(app).get(`/api/items/${item._id}`)
+
+      expect(
+        res.body.data.effectiveModifierGroups.map((group) => group.name)
+      ).toEqual(['Sauces', 'Toppings'])
+    })
+
+    it('lists an item group once when it is also inherited', async () => {
+      await request(app)
+        .put(`/api/items/${item._id}`)
+        .set(auth(token))
+        .send({ modifierGroups: [String(sauces._id)] })
+        .expect(200)
+
+      const res = await request(app).get('/api/menu')
+      const [menuItem] = res.body.data[0].subCategories[0].items
+
+      expect(menuItem.effectiveModifierGroups).toHaveLength(1)
+    })
+
+    it('stops offering a deleted group until it is restored', async () => {
+      await request(app)
+        .delete(`/api/modifier-groups/${sauces._id}`)
+        .set(auth(token))
+        .expect(200)
+
+      let res = await request(app).get(`/api/items/${item._id}`)
+      expect(res.body.data.effectiveModifierGroups).toEqual([])
+
+      await request(app)
+        .post(`/api/modifier-groups/${sauces._id}/restore`)
+        .set(auth(token))
+        .expect(200)
+
+      res = await request(app).get(`/api/items/${item._id}`)
+      expect(res.body.data.effectiveModifierGroups).toHaveLength(1)
+    })
+
+    it('detaches a purged group everywhere', async () => {
+      await Item.updateOne({ _id: item._id }, { modifierGroups: [sauces._id] })
+      await request(app)
+        .delete(`/api/modifier-groups/${sauces._id}`)
+        .set(auth(token))
+
+      const res = await request(app)
+        .delete(`/api/modifier-groups/${sauces._id}/purge`)
+        .set(auth(token))
+
+      expect(res.status).toBe(200)
+      expect(res.body.detached).toEqual({
+        categories: 1,
+        subCategories: 0,
+        items: 1
+      })
+      expect(await ModifierGroup.countDocuments()).toBe(1)
+    })
+  })
+
+  describe('POST /api/items/:id/price', () => {
+    let item
+    let sauces
+    let toppings
+
+    beforeEach(async () => {
+      sauces = await createModifierGroup({
+        name: 'Sauces',
+        options: [
+          { name: 'Garlic', price: 10 },
+          { name: 'Chilli', price: 0 }
+        ],
+        minSelections: 1,
+        maxSelections: 1
+      })
+      toppings = await createModifierGroup({ name: 'Toppings' })
+      const category = await createCategory({ modifierGroups: [sauces._id] })
+      item = await createItem(category, { modifierGroups: [toppings._id] })
+    })
+
+    it('adds the chosen options and taxes them with the item', async () => {
+      const res = await request(app)
+        .post(`/api/items/${item._id}/price`)
+        .send({
+          modifiers: [
+            { group: String(sauces._id), options: ['garlic'] },
+            {
+              group: String(toppings._id),
+              options: [String(toppings.options[0]._id), 'Olives']
+            }
+          ]
+        })
+
+      expect(res.status).toBe(200)
+      expect(res.body.data).toMatchObject({
+        baseAmount: 100,
+        discount: 10,
+        modifierAmount: 60,
+        taxableAmount: 150,
+        taxAmount: 15,
+        finalPrice: 165
+      })
+      expect(res.body.data.modifiers).toHaveLength(2)
+    })
+
+    it('rejects selections that break the group rules', async () => {
+      const res = await request(app)
+        .post(`/api/items/${item._id}/price`)
+        .send({
+          modifiers: [
+            {
+              group: String(toppings._id),
+              options: ['Cheese', 'Olives', 'Jalapenos', 'Pineapple']
+            }
+          ]
+        })
+
+      expect(res.status).toBe(400)
+      expect(res.body.message).toBe('Invalid modifier selection')
+      expect(res.body.errors.map((error) => error.code)).toEqual([
+        'modifier.option',
+        'modifier.min',
+        'modifier.max'
+      ])
+    })
+
+    it('rejects groups that are not offered on the item', async () => {
+      const other = await createModifierGroup()
+
+      const res = await request(app)
+        .post(`/api/items/${item._id}/price`)
+        .send({
+          modifiers: [
+            { group: String(sauces._id), options: ['Chilli'] },
+            { group: String(other._id), options: ['Cheese'] }
+          ]
+        })
+
+      expect(res.status).toBe(400)
+      expect(res.body.errors).toEqual([
+        expect.objectContaining({
+          field: 'modifiers.1.group',
+          code: 'modifier.group'
+        })
+      ])
+    })
+  })
+})
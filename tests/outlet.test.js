@@ -0,0 +1,384 @@
+const request = require('supertest')
+const app = require('../src/app')
+const db = require('./helpers/db')
+const {
+  createUser,
+  auth,
+  createCategory,
+  createSubCategory,
+  createItem,
+  createModifierGroup,
+  createOutlet,
+  createPromotion
+} = require('./helpers/fixtures')
+const OutletOverride = require('../src/models/OutletOverride')
+
+describe('Outlets', () => {
+  let token
+  let category
+  let pizza
+  let pasta
+  let coffee
+  let airport
+
+  beforeAll(db.connect)
+  afterAll(db.close)
+
+  beforeEach(async () => {
+    await db.clear()
+    ;({ token } = await createUser('manager'))
+
+    category = await createCategory({ name: 'Mains' })
+    const subCategory = await createSubCategory(category, { name: 'Italian' })
+    pizza = await createItem(subCategory, { name: 'Pizza' })
+    pasta = await createItem(subCategory, { name: 'Pasta' })
+    coffee = await createItem(category, {
+      name: 'Coffee',
+      variants: [
+        { name: 'Small', baseAmount: 300, isDefault: true },
+        { name: 'Large', baseAmount: 400 }
+      ]
+    })
+    airport = await createOutlet({ name: 'Airport' })
+  })
+
+  const override = (item, body) =>
+    request(app)
+      .put(`/api/outlets/${airport._id}/items/${item._id}`)
+      .set(auth(token))
+      .send(body)
+
+  describe('CRUD', () => {
+    it('creates an outlet', async () => {
+      const res = await request(app)
+        .post('/api/outlets')
+        .set(auth(token))
+        .send({ name: 'Downtown', address: '5 High Street' })
+
+      expect(res.status).toBe(201)
+      expect(res.body.data.name).toBe('Downtown')
+    })
+
+    it('rejects duplicate names', async () => {
+      const res = await request(app)
+        .post('/api/outlets')
+        .set(auth(token))
+        .send({ name: 'Airport' })
+
+      expect(res.status).toBe(400)
+    })
+
+    it('refuses to restore an outlet whose name was reused', async () => {
+      const { token: adminToken } = await createUser('admin')
+      await request(app)
+        .delete(`/api/outlets/${airport._id}`)
+        .set(auth(adminToken))
+        .expect(200)
+      await createOutlet({ name: 'Airport' })
+
+      const res = await request(app)
+        .post(`/api/outlets/${airport._id}/restore`)
+        .set(auth(adminToken))
+
+      expect(res.status).toBe(409)
+      expect(res.body.message).toBe(
+        'An outlet named "Airport" already exists. Rename or delete the existing one first'
+      )
+    })
+
+    it('removes the overrides of a purged outlet', async () => {
+      const { token: adminToken } = await createUser('admin')
+      await override(pizza, { baseAmount: 150 }).expect(200)
+
+      await request(app)
+        .delete(`/api/outlets/${airport._id}`)
+        .set(auth(adminToken))
+        .expect(200)
+      const res = await request(app)
+        .delete(`/api/outlets/${airport._id}/purge`)
+        .set(auth(adminToken))
+
+      expect(res.body.purged).toEqual({ outlets: 1, overrides: 1 })
+      expect(await OutletOverride.countDocuments()).toBe(0)
+    })
+  })
+
+  describe('PUT /api/outlets/:id/items/:itemId', () => {
+    it('saves an override and lists it', async () => {
+      await override(pizza, { baseAmount: 150 }).expect(200)
+      await override(pizza, { discount: 0 }).expect(200)
+
+      const res = await request(app).get(`/api/outlets/${airport._id}/items`)
+
+      expect(res.body.total).toBe(1)
+      expect(res.body.data[0]).toMatchObject({ discount: 0 })
+      expect(res.body.data[0]).not.toHaveProperty('baseAmount')
+    })
+
+    it('rejects a discount above the price', async () => {
+      const res = await override(pizza, { discount: 500 })
+
+      expect(res.status).toBe(400)
+      expect(res.body.message).toBe(
+        'Discount cannot be greater than base amount'
+      )
+    })
+
+    it('caps a saved discount when the price drops below it', async () => {
+      await override(pizza, { discount: 80 }).expect(200)
+      await override(coffee, {
+        variants: [{ name: 'Small', discount: 250 }]
+      }).expect(200)
+      await request(app)
+        .put(`/api/items/${pizza._id}`)
+        .set(auth(token))
+        .send({ baseAmount: 50 })
+        .expect(200)
+      await request(app)
+        .put(`/api/items/${coffee._id}`)
+        .set(auth(token))
+        .send({
+          variants: [
+            { name: 'Small', baseAmount: 200, isDefault: true },
+            { name: 'Large', baseAmount: 400 }
+          ]
+        })
+        .expect(200)
+
+      let res = await request(app).get(`/api/items?outlet=${airport._id}`)
+      expect(res.status).toBe(200)
+      const byName = Object.fromEntries(
+        res.body.data.map((item) => [item.name, item])
+      )
+      expect(byName.Pizza).toMatchObject({ discount: 50, totalAmount: 0 })
+      expect(byName.Coffee.variants[0]).toMatchObject({
+        discount: 200,
+        totalAmount: 0
+      })
+
+      res = await request(app).get(`/api/menu?outlet=${airport._id}`)
+      expect(res.status).toBe(200)
+
+      res = await request(app)
+        .post(`/api/quote?outlet=${airport._id}`)
+        .send({ items: [{ item: pizza._id }] })
+      expect(res.status).toBe(200)
+      expect(res.body.data.subtotal).toBe(50)
+    })
+
+    it('prices variants by name', async () => {
+      let res = await override(coffee, { baseAmount: 5 })
+      expect(res.status).toBe(400)
+
+      res = await override(coffee, {
+        variants: [{ name: 'Medium', baseAmount: 5 }]
+      })
+      expect(res.status).toBe(404)
+      expect(res.body.missing).toEqual(['Medium'])
+    })
+
+    it('requires a manager', async () => {
+      const { token: staffToken } = await createUser('staff')
+
+      const res = await request(app)
+        .put(`/api/outlets/${airport._id}/items/${pizza._id}`)
+        .set(auth(staffToken))
+        .send({ hidden: true })
+
+      expect(res.status).toBe(403)
+    })
+  })
+
+  describe('outlet context', () => {
+    beforeEach(async () => {
+      await override(pizza, {
+        baseAmount: 150,
+        taxApplicability: true,
+        tax: 5,
+        taxType: 'fixed'
+      }).expect(200)
+      await override(pasta, { hidden: true }).expect(200)
+      await override(coffee, {
+        variants: [{ name: 'Large', baseAmount: 600 }]
+      }).expect(200)
+    })
+
+    it('resolves an item by query or header', async () => {
+      let res = await request(app).get(
+        `/api/items/${pizza._id}?outlet=${airport._id}`
+      )
+      expect(res.body.data).toMatchObject({
+        baseAmount: 150,
+        totalAmount: 140,
+        taxInherited: false,
+        tax: 5,
+        taxType: 'fixed'
+      })
+
+      res = await request(app)
+        .get(`/api/items/${coffee._id}`)
+        .set('X-Outlet-Id', String(airport._id))
+      expect(res.body.data.variants[1].totalAmount).toBe(600)
+    })
+
+    it('keeps catalog values without an outlet', async () => {
+      const res = await request(app).get(`/api/items/${pizza._id}`)
+
+      expect(res.body.data).toMatchObject({ baseAmount: 100, tax: 10 })
+    })
+
+    it('hides items at the outlet', async () => {
+      let res = await request(app).get(`/api/items?outlet=${airport._id}`)
+      expect(res.body.total).toBe(2)
+      expect(res.body.data.map((item) => item.name).sort()).toEqual([
+        'Coffee',
+        'Pizza'
+      ])
+
+      res = await request(app).get(
+        `/api/items/${pasta._id}?outlet=${airport._id}`
+      )
+      expect(res.status).toBe(404)
+    })
+
+    it('prices items at the outlet', async () => {
+      const res = await request(app).get(
+        `/api/items/${pizza._id}/price?outlet=${airport._id}`
+      )
+
+      expect(res.body.data).toMatchObject({ taxableAmount: 140, taxAmount: 5 })
+    })
+
+    it('rejects price filters and sorts that would read catalog prices', async () => {
+      let res = await request(app).get(
+        `/api/items?outlet=${airport._id}&minPrice=100`
+      )
+      expect(res.status).toBe(400)
+
+      res = await request(app).get(
+        `/api/items?outlet=${airport._id}&sort=-totalAmount`
+      )
+      expect(res.status).toBe(400)
+
+      res = await request(app).get('/api/items?minPrice=100')
+      expect(res.status).toBe(200)
+    })
+
+    it('resolves the menu', async () => {
+      const res = await request(app).get(`/api/menu?outlet=${airport._id}`)
+
+      const items = res.body.data[0].subCategories[0].items
+      expect(items.map((item) => [item.name, item.totalAmount])).toEqual([
+        ['Pizza', 140]
+      ])
+    })
+
+    it('sells only the items it prices at an outlet in another currency', async () => {
+      const paris = await createOutlet({ name: 'Paris', currency: 'EUR' })
+      await request(app)
+        .put(`/api/outlets/${paris._id}/items/${pizza._id}`)
+        .set(auth(token))
+        .send({ baseAmount: 1250, discount: 0 })
+        .expect(200)
+      await request(app)
+        .put(`/api/outlets/${paris._id}/items/${coffee._id}`)
+        .set(auth(token))
+        .send({ variants: [{ name: 'Large', baseAmount: 400 }] })
+        .expect(200)
+
+      let res = await request(app).get(`/api/items?outlet=${paris._id}`)
+      expect(res.body.currency).toBe('EUR')
+      expect(res.body.data.map((item) => item.name)).toEqual(['Pizza'])
+
+      res = await request(app).get(
+        `/api/items/${pizza._id}/price?outlet=${paris._id}`
+      )
+      expect(res.body.data).toMatchObject({
+        finalPrice: 1375,
+        currency: 'EUR',
+        formatted: { finalPrice: '€13.75' }
+      })
+    })
+
+    it('leaves out catalog amounts an outlet in another currency cannot use', async () => {
+      const paris = await createOutlet({ name: 'Paris', currency: 'EUR' })
+      const sauces = await createModifierGroup()
+      const wrap = await createItem(category, {
+        name: 'Wrap',
+        modifierGroups: [sauces._id]
+      })
+      const water = await createItem(category, {
+        name: 'Water',
+        taxApplicability: true,
+        tax: 15,
+        taxType: 'fixed'
+      })
+      const tea = await createItem(category, {
+        name: 'Tea',
+        taxApplicability: true,
+        tax: 15,
+        taxType: 'fixed'
+      })
+      await createPromotion(
+        { items: [pizza._id] },
+        { type: 'fixed', value: 200 }
+      )
+
+      const setPrice = (item, body) =>
+        request(app)
+          .put(`/api/outlets/${paris._id}/items/${item._id}`)
+          .set(auth(token))
+          .send(body)
+          .expect(200)
+      await setPrice(pizza, { baseAmount: 1250, discount: 0 })
+      await setPrice(wrap, { baseAmount: 900 })
+      await setPrice(water, { baseAmount: 300 })
+      // The outlet's own tax is in its currency
+      await setPrice(tea, {
+        baseAmount: 300,
+        taxApplicability: true,
+        tax: 5,
+        taxType: 'percentage'
+      })
+
+      let res = await request(app).get(`/api/items?outlet=${paris._id}`)
+      expect(res.body.data.map((item) => item.name).sort()).toEqual([
+        'Pizza',
+        'Tea'
+      ])
+
+      res = await request(app).get(
+        `/api/items/${wrap._id}/price?outlet=${paris._id}`
+      )
+      expect(res.status).toBe(404)
+
+      res = await request(app).get(
+        `/api/items/${pizza._id}/price?outlet=${paris._id}`
+      )
+      expect(res.body.data).toMatchObject({
+        promotionAmount: 0,
+        taxableAmount: 1250
+      })
+
+      res = await request(app).get(`/api/items/${pizza._id}/price`)
+      expect(res.body.data.promotionAmount).toBe(90)
+    })
+
+    it('rejects an unknown currency', async () => {
+      const res = await request(app)
+        .post('/api/outlets')
+        .set(auth(token))
+        .send({ name: 'Atlantis', currency: 'ABC' })
+
+      expect(res.status).toBe(400)
+      expect(res.body.errors[0].field).toBe('currency')
+    })
+
+    it('rejects an unknown outlet', async () => {
+      const res = await request(app).get(`/api/categories?outlet=${pizza._id}`)
+
+      expect(res.status).toBe(404)
+      expect(res.body.message).toBe('Outlet not found')
+    })
+  })
+})
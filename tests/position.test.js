@@ -0,0 +1,214 @@
+const request = require('supertest')
+const app = require('../src/app')
+const db = require('./helpers/db')
+const Category = require('../src/models/Category')
+const SubCategory = require('../src/models/SubCategory')
+const Item = require('../src/models/Item')
+const {
+  createUser,
+  auth,
+  createCategory,
+  createSubCategory,
+  createItem
+} = require('./helpers/fixtures')
+
+describe('Display order', () => {
+  let token
+  let salads
+  let soups
+  let drinks
+  let greens
+
+  beforeAll(db.connect)
+  afterAll(db.close)
+
+  beforeEach(async () => {
+    await db.clear()
+    ;({ token } = await createUser('manager'))
+
+    salads = await createCategory({ name: 'Salads' })
+    soups = await createCategory({ name: 'Soups' })
+    drinks = await createCategory({ name: 'Drinks' })
+    greens = await createSubCategory(salads, { name: 'Greens' })
+  })
+
+  const names = (res) => res.body.data.map((doc) => doc.name)
+  const reorder = (path, ids) =>
+    request(app)
+      .put(`/api/${path}/reorder`)
+      .set(auth(token))
+      .send({ ids: ids.map((doc) => String(doc._id)) })
+
+  it('lists documents in the order they were created by default', async () => {
+    const res = await request(app).get('/api/categories')
+
+    expect(names(res)).toEqual(['Salads', 'Soups', 'Drinks'])
+    expect(res.body.data.map((category) => category.position)).toEqual([
+      0, 1, 2
+    ])
+    expect(res.body.pagination.sort).toBe('position')
+  })
+
+  it('numbers positions per parent', async () => {
+    const caesar = await createItem(greens, { name: 'Caesar' })
+    const bread = await createItem(salads, { name: 'Bread' })
+    const cobb = await createItem(greens, { name: 'Cobb' })
+
+    expect([caesar.position, bread.position, cobb.position]).toEqual([0, 0, 1])
+  })
+
+  it('reorders categories', async () => {
+    const res = await reorder('categories', [soups, salads, drinks])
+
+    expect(res.status).toBe(200)
+    expect(names(res)).toEqual(['Soups', 'Salads', 'Drinks'])
+    expect(names(await request(app).get('/api/categories'))).toEqual([
+      'Soups',
+      'Salads',
+      'Drinks'
+    ])
+    expect(names(await request(app).get('/api/menu'))).toEqual([
+      'Soups',
+      'Salads',
+      'Drinks'
+    ])
+  })
+
+  it('reorders subcategories and items within their parent', async () => {
+    const warm = await createSubCategory(salads, { name: 'Warm' })
+    const caesar = await createItem(greens, { name: 'Caesar' })
+    const cobb = await createItem(greens, { name: 'Cobb' })
+    const bread = await createItem(salads, { name: 'Bread' })
+    const oil = await createItem(salads, { name: 'Oil' })
+
+    await reorder(`subcategories/category/${salads._id}`, [
+      warm,
+      greens
+    ]).expect(200)
+    await reorder(`items/subcategory/${greens._id}`, [cobb, caesar]).expect(200)
+    await reorder(`items/category/${salads._id}`, [oil, bread]).expect(200)
+
+    const menu = await request(app).get(`/api/menu/${salads._id}`)
+    expect(menu.body.data.subCategories.map((entry) => entry.name)).toEqual([
+      'Warm',
+      'Greens'
+    ])
+    expect(
+      names(await request(app).get(`/api/items/subcategory/${greens._id}`))
+    ).toEqual(['Cobb', 'Caesar'])
+    expect(
+      names(await request(app).get(`/api/items/category/${salads._id}`))
+    ).toEqual(['Oil', 'Bread'])
+  })
+
+  it('rejects lists that are not the full set of siblings', async () => {
+    const other = await createSubCategory(soups)
+
+    const missing = await reorder('categories', [soups, salads])
+    const unknown = await reorder(`subcategories/category/${salads._id}`, [
+      greens,
+      other
+    ])
+    const repeated = await request(app)
+      .put('/api/categories/reorder')
+      .set(auth(token))
+      .send({ ids: [salads._id, salads._id, soups._id, drinks._id] })
+
+    expect(missing.status).toBe(400)
+    expect(missing.body.omitted).toEqual([String(drinks._id)])
+    expect(unknown.status).toBe(404)
+    expect(unknown.body.missing).toEqual([String(other._id)])
+    expect(repeated.status).toBe(400)
+    expect(names(await request(app).get('/api/categories'))).toEqual([
+      'Salads',
+      'Soups',
+      'Drinks'
+    ])
+  })
+
+  it('requires a manager', async () => {
+    const res = await request(app)
+      .put('/api/categories/reorder')
+      .send({ ids: [salads._id] })
+
+    expect(res.status).toBe(401)
+  })
+
+  it('puts moved items after their new siblings', async () => {
+    const caesar = await createItem(greens, { name: 'Caesar' })
+    await createItem(soups, { name: 'Tomato' })
+    await createItem(soups, { name: 'Onion' })
+
+    await request(app)
+      .put(`/api/items/${caesar._id}`)
+      .set(auth(token))
+      .send({ categoryId: soups._id })
+      .expect(200)
+
+    expect((await Item.findById(caesar._id)).position).toBe(2)
+  })
+
+  it('keeps the order of reassigned children after the target children', async () => {
+    await createSubCategory(salads, { name: 'Warm' })
+    await createSubCategory(soups, { name: 'Broths' })
+
+    await request(app)
+      .delete(
+        `/api/categories/${salads._id}?policy=reassign&reassignTo=${soups._id}`
+      )
+      .set(auth(token))
+      .expect(200)
+
+    const res = await request(app).get(
+      `/api/subcategories/category/${soups._id}`
+    )
+    expect(names(res)).toEqual(['Broths', 'Greens', 'Warm'])
+  })
+
+  // Documents created before positions existed have none
+  const dropPositions = (Model, filter) =>
+    Model.updateMany(filter, { $unset: { position: 1 } })
+
+  it('pages from documents without a position on to positioned ones', async () => {
+    await createCategory({ name: 'Legacy A' })
+    await createCategory({ name: 'Legacy B' })
+    await dropPositions(Category, { name: /^Legacy/ })
+
+    const pages = []
+    let cursor = ''
+    do {
+      const res = await request(app).get(`/api/categories?limit=2${cursor}`)
+      pages.push(names(res))
+      cursor = res.body.pagination.nextCursor
+        ? `&cursor=${res.body.pagination.nextCursor}`
+        : ''
+    } while (cursor)
+
+    expect(pages).toEqual([
+      ['Legacy A', 'Legacy B'],
+      ['Salads', 'Soups'],
+      ['Drinks']
+    ])
+  })
+
+  it('gives reassigned children without a position their own positions', async () => {
+    await createSubCategory(salads, { name: 'Warm' })
+    await createSubCategory(soups, { name: 'Broths' })
+    await dropPositions(SubCategory, { categoryId: salads._id })
+
+    await request(app)
+      .delete(
+        `/api/categories/${salads._id}?policy=reassign&reassignTo=${soups._id}`
+      )
+      .set(auth(token))
+      .expect(200)
+
+    const res = await request(app).get(
+      `/api/subcategories/category/${soups._id}`
+    )
+    expect(names(res)).toEqual(['Broths', 'Greens', 'Warm'])
+    expect(res.body.data.map((subCategory) => subCategory.position)).toEqual([
+      0, 1, 2
+    ])
+  })
+})
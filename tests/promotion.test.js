@@ -0,0 +1,270 @@
+const request = require('supertest')
+const app = require('../src/app')
+const db = require('./helpers/db')
+const {
+  createUser,
+  auth,
+  createCategory,
+  createSubCategory,
+  createItem,
+  createPromotion
+} = require('./helpers/fixtures')
+const Promotion = require('../src/models/Promotion')
+
+const HOUR = 3600000
+
+describe('Promotions', () => {
+  let token
+  let category
+  let subCategory
+  let pizza
+  let bread
+
+  beforeAll(db.connect)
+  afterAll(db.close)
+
+  beforeEach(async () => {
+    await db.clear()
+    ;({ token } = await createUser('admin'))
+
+    category = await createCategory()
+    subCategory = await createSubCategory(category)
+    pizza = await createItem(subCategory, { name: 'Pizza' })
+    bread = await createItem(category, { name: 'Bread' })
+  })
+
+  describe('POST /api/promotions', () => {
+    it('creates a promotion', async () => {
+      const res = await request(app)
+        .post('/api/promotions')
+        .set(auth(token))
+        .send({
+          name: 'Happy hour',
+          type: 'percentage',
+          value: 20,
+          targets: { categories: [String(category._id)] }
+        })
+
+      expect(res.status).toBe(201)
+      expect(res.body.data).toMatchObject({
+        name: 'Happy hour',
+        priority: 0,
+        stackable: false,
+        active: true
+      })
+    })
+
+    it('rejects fields of another type', async () => {
+      const res = await request(app)
+        .post('/api/promotions')
+        .set(auth(token))
+        .send({
+          name: 'Two for one',
+          type: 'buyXgetY',
+          value: 10,
+          buyQuantity: 1,
+          targets: { items: [String(pizza._id)] }
+        })
+
+      expect(res.status).toBe(400)
+      expect(res.body.errors.map((error) => error.field).sort()).toEqual([
+        'getQuantity',
+        'value'
+      ])
+    })
+
+    it('rejects targets that do not exist', async () => {
+      const missing = '507f1f77bcf86cd799439011'
+
+      const res = await request(app)
+        .post('/api/promotions')
+        .set(auth(token))
+        .send({
+          name: 'Ghost',
+          type: 'fixed',
+          value: 5,
+          targets: { items: [String(pizza._id), missing] }
+        })
+
+      expect(res.status).toBe(404)
+      expect(res.body.missing).toEqual({ items: [missing] })
+    })
+
+    it('requires an admin or manager', async () => {
+      const { token: staffToken } = await createUser('staff')
+
+      const res = await request(app)
+        .post('/api/promotions')
+        .set(auth(staffToken))
+        .send({
+          name: 'Staff deal',
+          type: 'fixed',
+          value: 5,
+          targets: { items: [String(pizza._id)] }
+        })
+
+      expect(res.status).toBe(403)
+    })
+  })
+
+  describe('PUT /api/promotions/:id', () => {
+    it('checks the new values against the stored type', async () => {
+      const promotion = await createPromotion({ items: [pizza._id] })
+
+      const res = await request(app)
+        .put(`/api/promotions/${promotion._id}`)
+        .set(auth(token))
+        .send({ value: 150 })
+
+      expect(res.status).toBe(400)
+      expect(res.body.errors[0].field).toBe('value')
+    })
+  })
+
+  describe('item prices', () => {
+    it('shows promotions in lists without changing the item amounts', async () => {
+      await createPromotion(
+        { subCategories: [subCategory._id] },
+        { name: 'Pizza night', value: 50 }
+      )
+
+      const res = await request(app).get('/api/items?sort=name')
+
+      expect(
+        res.body.data.map((item) => [
+          item.name,
+          item.totalAmount,
+          item.promotionalAmount
+        ])
+      ).toEqual([
+        ['Bread', 90, 90],
+        ['Pizza', 90, 45]
+      ])
+      expect(res.body.data[1].promotions[0]).toMatchObject({
+        name: 'Pizza night',
+        type: 'percentage',
+        value: 50
+      })
+    })
+
+    it('applies only promotions inside their validity window', async () => {
+      await createPromotion(
+        { items: [bread._id] },
+        { startsAt: new Date(Date.now() + HOUR) }
+      )
+      await createPromotion(
+        { items: [bread._id] },
+        { endsAt: new Date(Date.now() - HOUR) }
+      )
+      await createPromotion({ items: [bread._id] }, { active: false })
+
+      let res = await request(app).get(`/api/items/${bread._id}/price`)
+      expect(res.body.data).not.toHaveProperty('promotions')
+
+      res = await request(app).get(
+        `/api/items?availableAt=${new Date(Date.now() + 2 * HOUR).toISOString()}`
+      )
+      const listed = res.body.data.find((item) => item.name === 'Bread')
+      expect(listed.promotionalAmount).toBe(81)
+    })
+
+    it('prices a buy X get Y promotion by quantity', async () => {
+      await createPromotion(
+        { items: [pizza._id] },
+        { type: 'buyXgetY', value: undefined, buyQuantity: 2, getQuantity: 1 }
+      )
+
+      const res = await request(app).get(
+        `/api/items/${pizza._id}/price?quantity=3`
+      )
+
+      expect(res.body.data).toMatchObject({
+        quantity: 3,
+        promotionAmount: 90,
+        taxableAmount: 180,
+        taxAmount: 18,
+        finalPrice: 198
+      })
+    })
+
+    it('applies the highest priority promotion alone unless it stacks', async () => {
+      await createPromotion(
+        { categories: [category._id] },
+        { name: 'Category deal', value: 10, priority: 1 }
+      )
+      await createPromotion(
+        { items: [pizza._id] },
+        { name: 'Pizza deal', type: 'fixed', value: 20, priority: 5 }
+      )
+
+      let res = await request(app).get(`/api/items/${pizza._id}/price`)
+      expect(res.body.data.promotions.map((entry) => entry.name)).toEqual([
+        'Pizza deal'
+      ])
+
+      await Promotion.updateMany({}, { stackable: true })
+
+      res = await request(app).get(`/api/items/${pizza._id}/price`)
+      expect(res.body.data).toMatchObject({
+        promotions: [
+          { name: 'Pizza deal', amount: 20 },
+          { name: 'Category deal', amount: 7 }
+        ],
+        promotionAmount: 27,
+        taxableAmount: 63
+      })
+    })
+
+    it('shows promotions in the menu', async () => {
+      await createPromotion({ items: [bread._id] }, { value: 50 })
+
+      const res = await request(app).get('/api/menu')
+
+      const [entry] = res.body.data[0].items
+      expect(entry.promotions).toHaveLength(1)
+      expect(entry.pricing).toMatchObject({
+        promotionAmount: 45,
+        taxableAmount: 45
+      })
+    })
+  })
+
+  describe('purging', () => {
+    it('removes purged items from promotion targets', async () => {
+      const promotion = await createPromotion({
+        items: [pizza._id, bread._id]
+      })
+
+      await request(app)
+        .delete(`/api/items/${pizza._id}`)
+        .set(auth(token))
+        .expect(200)
+      await request(app)
+        .delete(`/api/items/${pizza._id}/purge`)
+        .set(auth(token))
+        .expect(200)
+
+      const stored = await Promotion.findById(promotion._id)
+      expect(stored.targets.items.map(String)).toEqual([String(bread._id)])
+    })
+
+    it('purges a deleted promotion', async () => {
+      const promotion = await createPromotion({ items: [pizza._id] })
+
+      await request(app)
+        .delete(`/api/promotions/${promotion._id}`)
+        .set(auth(token))
+        .expect(200)
+      const res = await request(app)
+        .delete(`/api/promotions/${promotion._id}/purge`)
+        .set(auth(token))
+
+      expect(res.body.purged).toEqual({ promotions: 1 })
+      expect(
+        await Promotion.findById(promotion._id).setOptions({
+          withDeleted: true
+        })
+      ).toBeNull()
+    })
+  })
+})
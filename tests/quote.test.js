@@ -0,0 +1,177 @@
+const mongoose = require('mongoose')
+const request = require('supertest')
+const app = require('../src/app')
+const db = require('./helpers/db')
+const {
+  createCategory,
+  createSubCategory,
+  createItem,
+  createModifierGroup,
+  createPromotion
+} = require('./helpers/fixtures')
+
+describe('POST /api/quote', () => {
+  let category
+  let pizza
+  let bread
+
+  beforeAll(db.connect)
+  afterAll(db.close)
+
+  beforeEach(async () => {
+    await db.clear()
+
+    // 10% tax on the category; items cost 100 with a discount of 10
+    category = await createCategory()
+    const subCategory = await createSubCategory(category)
+    pizza = await createItem(subCategory, { name: 'Pizza', stock: 5 })
+    bread = await createItem(category, { name: 'Bread' })
+  })
+
+  const quote = (items) => request(app).post('/api/quote').send({ items })
+
+  it('prices every line and the bill', async () => {
+    const res = await quote([
+      { item: pizza._id, quantity: 2 },
+      { item: bread._id }
+    ])
+
+    expect(res.status).toBe(200)
+    expect(res.body.data).toMatchObject({
+      subtotal: 300,
+      discountAmount: 30,
+      promotionAmount: 0,
+      taxableAmount: 270,
+      taxAmount: 27,
+      taxes: [
+        {
+          taxType: 'percentage',
+          tax: 10,
+          taxableAmount: 270,
+          taxAmount: 27
+        }
+      ],
+      roundingAdjustment: 0,
+      total: 297,
+      currency: 'USD',
+      unknown: [],
+      unavailable: []
+    })
+    expect(res.body.data.lines).toEqual([
+      expect.objectContaining({
+        index: 0,
+        name: 'Pizza',
+        quantity: 2,
+        subtotal: 200,
+        taxableAmount: 180,
+        taxAmount: 18,
+        finalPrice: 198
+      }),
+      expect.objectContaining({ index: 1, name: 'Bread', quantity: 1 })
+    ])
+  })
+
+  it('groups taxes by type and rate', async () => {
+    const water = await createItem(category, {
+      name: 'Water',
+      baseAmount: 200,
+      discount: 0,
+      totalAmount: 200,
+      taxApplicability: true,
+      tax: 15,
+      taxType: 'fixed'
+    })
+
+    const res = await quote([
+      { item: bread._id },
+      { item: water._id, quantity: 2 }
+    ])
+
+    expect(res.body.data.taxes).toEqual([
+      expect.objectContaining({ taxType: 'percentage', tax: 10, taxAmount: 9 }),
+      expect.objectContaining({ taxType: 'fixed', tax: 15, taxAmount: 30 })
+    ])
+    expect(res.body.data.total).toBe(90 + 9 + 400 + 30)
+  })
+
+  it('takes promotions and modifiers into account', async () => {
+    await createPromotion({ items: [bread._id] }, { value: 50 })
+    const toppings = await createModifierGroup({ name: 'Toppings' })
+    const pizzaWithToppings = await createItem(category, {
+      name: 'Topped Pizza',
+      modifierGroups: [toppings._id]
+    })
+
+    const res = await quote([
+      { item: bread._id },
+      {
+        item: pizzaWithToppings._id,
+        modifiers: [{ group: toppings._id, options: ['Cheese'] }]
+      }
+    ])
+
+    expect(res.status).toBe(200)
+    expect(res.body.data.lines[0]).toMatchObject({ promotionAmount: 45 })
+    expect(res.body.data.lines[1]).toMatchObject({
+      modifierAmount: 30,
+      taxableAmount: 120
+    })
+    expect(res.body.data).toMatchObject({
+      subtotal: 100 + 130,
+      discountAmount: 20,
+      promotionAmount: 45,
+      taxableAmount: 45 + 120
+    })
+  })
+
+  it('reports unknown and unavailable items and leaves them off the bill', async () => {
+    const missing = new mongoose.Types.ObjectId()
+    const soldOut = await createItem(category, {
+      name: 'Soup',
+      soldOutUntil: new Date(Date.now() + 60 * 60 * 1000)
+    })
+
+    const res = await quote([
+      { item: bread._id },
+      { item: missing },
+      { item: soldOut._id },
+      { item: pizza._id, quantity: 3 },
+      { item: pizza._id, quantity: 3 }
+    ])
+
+    expect(res.status).toBe(200)
+    expect(res.body.data.unknown).toEqual([{ index: 1, item: String(missing) }])
+    expect(res.body.data.unavailable).toEqual([
+      expect.objectContaining({ index: 2, code: 'item.soldOut' }),
+      expect.objectContaining({ index: 3, code: 'item.stock', stock: 5 }),
+      expect.objectContaining({ index: 4, code: 'item.stock', stock: 5 })
+    ])
+    expect(res.body.data.lines.map((line) => line.name)).toEqual(['Bread'])
+    expect(res.body.data.total).toBe(99)
+  })
+
+  it('rejects selections that break the rules of an item', async () => {
+    const sauces = await createModifierGroup({ minSelections: 1 })
+    const wrap = await createItem(category, { modifierGroups: [sauces._id] })
+
+    const res = await quote([
+      { item: bread._id, variant: 'Large' },
+      { item: wrap._id }
+    ])
+
+    expect(res.status).toBe(400)
+    expect(res.body.errors).toEqual([
+      expect.objectContaining({ field: 'items.0.variant' }),
+      expect.objectContaining({
+        field: 'items.1.modifiers',
+        code: 'modifier.min'
+      })
+    ])
+  })
+
+  it('requires at least one line', async () => {
+    const res = await quote([])
+
+    expect(res.status).toBe(400)
+  })
+})
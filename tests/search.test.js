@@ -0,0 +1,187 @@
+const request = require('supertest')
+const app = require('../src/app')
+const db = require('./helpers/db')
+const Item = require('../src/models/Item')
+const { MAX_SEARCH_CANDIDATES } = require('../src/utils/search')
+const {
+  createUser,
+  auth,
+  createCategory,
+  createSubCategory,
+  createItem,
+  createOutlet
+} = require('./helpers/fixtures')
+
+describe('Search', () => {
+  let token
+  let salads
+  let caesar
+
+  beforeAll(db.connect)
+  afterAll(db.close)
+
+  beforeEach(async () => {
+    await db.clear()
+    ;({ token } = await createUser('manager'))
+
+    salads = await createCategory({
+      name: 'Salads',
+      description: 'Fresh greens'
+    })
+    const warm = await createSubCategory(salads, {
+      name: 'Warm Salads',
+      description: 'Served warm'
+    })
+    caesar = await createItem(salads, {
+      name: 'Caesar Salad',
+      description: 'Romaine, croutons and parmesan',
+      translations: { fr: { name: 'Salade César' } }
+    })
+    await createItem(warm, {
+      name: 'Chicken Wrap',
+      description: 'With caesar dressing'
+    })
+  })
+
+  const search = (query) => request(app).get(`/api/search?${query}`)
+
+  it('ranks matches across categories, subcategories and items', async () => {
+    const res = await search('q=salad')
+
+    expect(res.status).toBe(200)
+    expect(res.body.total).toBe(3)
+    expect(res.body.data.map(({ type }) => type).sort()).toEqual([
+      'categories',
+      'items',
+      'subcategories'
+    ])
+    res.body.data.reduce((previous, { score }) => {
+      expect(score).toBeLessThanOrEqual(previous)
+      return score
+    }, Infinity)
+  })
+
+  it('tolerates typos and highlights the matched words', async () => {
+    const res = await search('q=ceasar')
+
+    expect(res.body.data.map(({ data }) => data.name)).toEqual([
+      'Caesar Salad',
+      'Chicken Wrap'
+    ])
+    expect(res.body.data[0].highlights.name).toBe('<mark>Caesar</mark> Salad')
+    expect(res.body.data[1].highlights.description).toBe(
+      'With <mark>caesar</mark> dressing'
+    )
+  })
+
+  it('limits the types searched and the results returned', async () => {
+    const items = await search('q=caesar&types=items')
+    const limited = await search('q=salad&limit=1')
+
+    expect(items.body.data.every(({ type }) => type === 'items')).toBe(true)
+    expect(limited.body.count).toBe(1)
+    expect(limited.body.total).toBe(3)
+  })
+
+  it('searches translated names in the requested language', async () => {
+    const res = await search('q=cesar&lang=fr&types=items')
+
+    expect(res.body.data[0].data.name).toBe('Salade César')
+    expect(res.body.data[0].highlights.name).toBe('Salade <mark>César</mark>')
+  })
+
+  it('leaves out items hidden at the outlet', async () => {
+    const airport = await createOutlet({ name: 'Airport' })
+    await request(app)
+      .put(`/api/outlets/${airport._id}/items/${caesar._id}`)
+      .set(auth(token))
+      .send({ hidden: true })
+      .expect(200)
+
+    const res = await search(`q=caesar&types=items&outlet=${airport._id}`)
+
+    expect(res.body.data.map(({ data }) => data.name)).toEqual(['Chicken Wrap'])
+  })
+
+  it('applies the dietary, sold out and availability filters to items', async () => {
+    await createItem(salads, {
+      name: 'Vegan Caesar',
+      dietaryTags: ['vegan'],
+      soldOutUntil: new Date(Date.now() + 60 * 60 * 1000)
+    })
+    await createItem(salads, {
+      name: 'Breakfast Caesar',
+      dietaryTags: ['vegan'],
+      availability: [{ days: ['mon'], start: '07:00', end: '11:00' }]
+    })
+
+    let res = await search('q=caesar&types=items&tags=vegan')
+    expect(res.body.data.map(({ data }) => data.name).sort()).toEqual([
+      'Breakfast Caesar',
+      'Vegan Caesar'
+    ])
+    expect(
+      res.body.data.find(({ data }) => data.name === 'Vegan Caesar').data
+        .soldOut
+    ).toBe(true)
+
+    res = await search('q=caesar&types=items&tags=vegan&hideSoldOut=true')
+    expect(res.body.data.map(({ data }) => data.name)).toEqual([
+      'Breakfast Caesar'
+    ])
+
+    // 2026-10-19 is a Monday; the test restaurant runs on UTC
+    res = await search(
+      'q=caesar&types=items&tags=vegan&availableAt=2026-10-19T20:00:00Z'
+    )
+    expect(res.body.data.map(({ data }) => data.name)).toEqual(['Vegan Caesar'])
+  })
+
+  it('reports whether items are sold out', async () => {
+    const res = await search('q=caesar&types=items')
+
+    expect(res.body.data.map(({ data }) => data.soldOut)).toEqual([
+      false,
+      false
+    ])
+  })
+
+  it('ranks exact matches first when more documents match than are ranked', async () => {
+    await createItem(salads, { name: 'Soup', description: 'Of the day' })
+    await Item.insertMany(
+      Array.from({ length: MAX_SEARCH_CANDIDATES }, (_, index) => ({
+        name: `Soap ${index}`,
+        image: 'https://example.com/item.jpg',
+        description: 'Not for eating',
+        baseAmount: 100,
+        discount: 0,
+        totalAmount: 100,
+        categoryId: salads._id,
+        position: index + 10
+      }))
+    )
+
+    const res = await search('q=soup&types=items&limit=1')
+
+    expect(res.status).toBe(200)
+    expect(res.body.truncated).toBe(true)
+    expect(res.body.total).toBe(MAX_SEARCH_CANDIDATES)
+    expect(res.body.data[0].data.name).toBe('Soup')
+    expect((await search('q=salad')).body.truncated).toBe(false)
+  })
+
+  it('reads the words of the search text and ignores symbols', async () => {
+    const res = await search(`q=${encodeURIComponent('caesar(.*+')}`)
+
+    expect(res.status).toBe(200)
+    expect(res.body.total).toBe(2)
+  })
+
+  it('rejects missing text, unknown types and text without words', async () => {
+    expect((await search('')).status).toBe(400)
+    expect((await search('q=salad&types=drinks')).status).toBe(400)
+    expect((await search('q=.*')).status).toBe(400)
+    expect((await search('q=salad&tags=spicy-ish')).status).toBe(400)
+    expect((await search('q=salad&hideSoldOut=maybe')).status).toBe(400)
+  })
+})
@@ -0,0 +1,10 @@
+const os = require('os')
+const path = require('path')
+
+// Environment shared by every test file
+process.env.NODE_ENV = 'test'
+process.env.JWT_SECRET = 'test-secret'
+process.env.SETUP_TOKEN = 'test-setup-token'
+process.env.TENANTS = 'burger-co,pizza-co'
+process.env.LANGUAGES = 'fr,de'
+process.env.UPLOAD_DIR = path.join(os.tmpdir(), `menu-uploads-${process.pid}`)
@@ -0,0 +1,372 @@
+const request = require('supertest')
+const app = require('../src/app')
+const db = require('./helpers/db')
+const { mockResponse } = require('./helpers/http')
+const {
+  createUser,
+  auth,
+  createCategory,
+  createSubCategory,
+  createItem
+} = require('./helpers/fixtures')
+const SubCategory = require('../src/models/SubCategory')
+const Item = require('../src/models/Item')
+const {
+  getSubCategoryById,
+  deleteSubCategory
+} = require('../src/controllers/subCategoryController')
+
+const subCategoryBody = (overrides = {}) => ({
+  name: 'Pasta',
+  image: 'https://example.com/pasta.jpg',
+  description: 'Fresh pasta',
+  ...overrides
+})
+
+describe('SubCategory API', () => {
+  let token
+  let category
+
+  beforeAll(db.connect)
+  afterAll(db.close)
+
+  beforeEach(async () => {
+    await db.clear()
+    ;({ token } = await createUser('manager'))
+    category = await createCategory()
+  })
+
+  describe('POST /api/subcategories/:categoryId', () => {
+    it('inherits tax from the category by default', async () => {
+      const res = await request(app)
+        .post(`/api/subcategories/${category._id}`)
+        .set(auth(token))
+        .send(subCategoryBody())
+
+      expect(res.status).toBe(201)
+      expect(res.body.data).toMatchObject({
+        taxApplicability: true,
+        tax: 10,
+        taxType: 'percentage',
+        taxInherited: true
+      })
+    })
+
+    it('keeps explicit tax settings', async () => {
+      const res = await request(app)
+        .post(`/api/subcategories/${category._id}`)
+        .set(auth(token))
+        .send(
+          subCategoryBody({ taxApplicability: true, tax: 5, taxType: 'fixed' })
+        )
+
+      expect(res.status).toBe(201)
+      expect(res.body.data).toMatchObject({
+        tax: 5,
+        taxType: 'fixed',
+        taxInherited: false
+      })
+    })
+
+    it('returns 404 when the category does not exist', async () => {
+      const res = await request(app)
+        .post('/api/subcategories/65f000000000000000000000')
+        .set(auth(token))
+        .send(subCategoryBody())
+
+      expect(res.status).toBe(404)
+    })
+
+    it('rejects duplicate names within a category', async () => {
+      await createSubCategory(category, { name: 'Pasta' })
+
+      const res = await request(app)
+        .post(`/api/subcategories/${category._id}`)
+        .set(auth(token))
+        .send(subCategoryBody())
+
+      expect(res.status).toBe(400)
+      expect(res.body.message).toBe(
+        'Subcategory with this name already exists in this category'
+      )
+    })
+
+    it('allows the same name under another category', async () => {
+      const other = await createCategory()
+      await createSubCategory(other, { name: 'Pasta' })
+
+      const res = await request(app)
+        .post(`/api/subcategories/${category._id}`)
+        .set(auth(token))
+        .send(subCategoryBody())
+
+      expect(res.status).toBe(201)
+    })
+
+    it('reports missing fields', async () => {
+      const res = await request(app)
+        .post(`/api/subcategories/${category._id}`)
+        .set(auth(token))
+        .send({})
+
+      expect(res.status).toBe(400)
+      expect(res.body.errors).toHaveLength(3)
+    })
+  })
+
+  describe('GET /api/subcategories', () => {
+    it('lists subcategories with their category', async () => {
+      await createSubCategory(category)
+
+      const res = await request(app).get('/api/subcategories')
+
+      expect(res.status).toBe(200)
+      expect(res.body.count).toBe(1)
+      expect(res.body.data[0].categoryId.name).toBe(category.name)
+    })
+
+    it('lists subcategories of one category', async () => {
+      await createSubCategory(category)
+      await createSubCategory(await createCategory())
+
+      const res = await request(app).get(
+        `/api/subcategories/category/${category._id}`
+      )
+
+      expect(res.status).toBe(200)
+      expect(res.body.count).toBe(1)
+    })
+
+    it('returns 404 for an unknown category', async () => {
+      const res = await request(app).get(
+        '/api/subcategories/category/65f000000000000000000000'
+      )
+
+      expect(res.status).toBe(404)
+    })
+
+    it('finds a subcategory by name', async () => {
+      await createSubCategory(category, { name: 'Risotto' })
+
+      const found = await request(app).get('/api/subcategories/search?name=ris')
+      const missing = await request(app).get(
+        '/api/subcategories/search?name=none'
+      )
+
+      expect(found.status).toBe(200)
+      expect(found.body.data.name).toBe('Risotto')
+      expect(missing.status).toBe(404)
+    })
+  })
+
+  describe('GET /api/subcategories/:id', () => {
+    it('returns the subcategory', async () => {
+      const subCategory = await createSubCategory(category)
+
+      const res = await request(app).get(
+        `/api/subcategories/${subCategory._id}`
+      )
+
+      expect(res.status).toBe(200)
+      expect(res.body.data.categoryId.tax).toBe(10)
+    })
+
+    it('returns 404 for a missing subcategory', async () => {
+      const res = await request(app).get(
+        '/api/subcategories/65f000000000000000000000'
+      )
+
+      expect(res.status).toBe(404)
+    })
+
+    it('maps CastErrors to 404 when called directly', async () => {
+      const res = mockResponse()
+
+      await getSubCategoryById({ params: { id: 'not-an-id' } }, res)
+
+      expect(res.status).toHaveBeenCalledWith(404)
+    })
+  })
+
+  describe('PUT /api/subcategories/:id', () => {
+    it('overrides tax and propagates it to inheriting items', async () => {
+      const subCategory = await createSubCategory(category)
+      const item = await createItem(subCategory, {
+        taxApplicability: true,
+        tax: 10,
+        taxType: 'percentage',
+        taxInherited: true
+      })
+
+      const res = await request(app)
+        .put(`/api/subcategories/${subCategory._id}`)
+        .set(auth(token))
+        .send({ tax: 18 })
+
+      expect(res.status).toBe(200)
+      expect(res.body.data.taxInherited).toBe(false)
+      expect(res.body.propagated).toEqual({ subCategories: 0, items: 1 })
+      expect((await Item.findById(item._id)).tax).toBe(18)
+    })
+
+    it('inherits from the category again when taxApplicability is null', async () => {
+      const subCategory = await createSubCategory(category, {
+        tax: 3,
+        taxType: 'fixed',
+        taxInherited: false
+      })
+
+      const res = await request(app)
+        .put(`/api/subcategories/${subCategory._id}`)
+        .set(auth(token))
+        .send({ taxApplicability: null })
+
+      expect(res.status).toBe(200)
+      expect(res.body.data).toMatchObject({
+        tax: 10,
+        taxType: 'percentage',
+        taxInherited: true
+      })
+    })
+
+    it('rejects duplicate names within a category', async () => {
+      await createSubCategory(category, { name: 'Taken' })
+      const subCategory = await createSubCategory(category)
+
+      const res = await request(app)
+        .put(`/api/subcategories/${subCategory._id}`)
+        .set(auth(token))
+        .send({ name: 'Taken' })
+
+      expect(res.status).toBe(400)
+    })
+
+    it('returns 404 for a missing subcategory', async () => {
+      const res = await request(app)
+        .put('/api/subcategories/65f000000000000000000000')
+        .set(auth(token))
+        .send({ name: 'Nope' })
+
+      expect(res.status).toBe(404)
+    })
+  })
+
+  describe('DELETE /api/subcategories/:id', () => {
+    it('blocks deletes while items exist', async () => {
+      const subCategory = await createSubCategory(category)
+      await createItem(subCategory)
+
+      const res = await request(app)
+        .delete(`/api/subcategories/${subCategory._id}`)
+        .set(auth(token))
+
+      expect(res.status).toBe(409)
+      expect(res.body.children).toEqual({ items: 1 })
+    })
+
+    it('cascades deletes and restores items together', async () => {
+      const subCategory = await createSubCategory(category)
+      await createItem(subCategory)
+
+      await request(app)
+        .delete(`/api/subcategories/${subCategory._id}?policy=cascade`)
+        .set(auth(token))
+        .expect(200)
+      expect(await Item.countDocuments()).toBe(0)
+
+      await request(app)
+        .post(`/api/subcategories/${subCategory._id}/restore`)
+        .set(auth(token))
+        .expect(200)
+      expect(await Item.countDocuments()).toBe(1)
+    })
+
+    it('reassigns items and applies the new subcategory tax', async () => {
+      const subCategory = await createSubCategory(category)
+      const target = await createSubCategory(category, {
+        tax: 2,
+        taxType: 'fixed',
+        taxInherited: false
+      })
+      const item = await createItem(subCategory, {
+        taxApplicability: true,
+        tax: 10,
+        taxType: 'percentage',
+        taxInherited: true
+      })
+
+      const res = await request(app)
+        .delete(
+          `/api/subcategories/${subCategory._id}?policy=reassign&reassignTo=${target._id}`
+        )
+        .set(auth(token))
+
+      expect(res.status).toBe(200)
+      const moved = await Item.findById(item._id)
+      expect(moved.subCategoryId).toEqual(target._id)
+      expect(moved).toMatchObject({ tax: 2, taxType: 'fixed' })
+    })
+
+    it('refuses to reassign onto clashing item names', async () => {
+      const subCategory = await createSubCategory(category)
+      const target = await createSubCategory(category)
+      await createItem(subCategory, { name: 'Carbonara' })
+      await createItem(target, { name: 'Carbonara' })
+
+      const res = await request(app)
+        .delete(
+          `/api/subcategories/${subCategory._id}?policy=reassign&reassignTo=${target._id}`
+        )
+        .set(auth(token))
+
+      expect(res.status).toBe(409)
+      expect(res.body.conflicts.items).toEqual(['Carbonara'])
+    })
+
+    it('maps CastErrors to 404 when called directly', async () => {
+      const res = mockResponse()
+
+      await deleteSubCategory({ params: { id: 'not-an-id' }, query: {} }, res)
+
+      expect(res.status).toHaveBeenCalledWith(404)
+    })
+  })
+
+  describe('POST /api/subcategories/:id/restore', () => {
+    it('requires the parent category to be live', async () => {
+      const subCategory = await createSubCategory(category, {
+        deletedAt: new Date()
+      })
+      category.deletedAt = new Date()
+      await category.save()
+
+      const res = await request(app)
+        .post(`/api/subcategories/${subCategory._id}/restore`)
+        .set(auth(token))
+
+      expect(res.status).toBe(409)
+    })
+  })
+
+  describe('DELETE /api/subcategories/:id/purge', () => {
+    it('permanently removes a deleted subcategory and its items', async () => {
+      const { token: admin } = await createUser('admin')
+      const subCategory = await createSubCategory(category, {
+        deletedAt: new Date()
+      })
+      await createItem(subCategory, { deletedAt: new Date() })
+
+      const res = await request(app)
+        .delete(`/api/subcategories/${subCategory._id}/purge`)
+        .set(auth(admin))
+
+      expect(res.status).toBe(200)
+      expect(
+        await SubCategory.countDocuments().setOptions({ withDeleted: true })
+      ).toBe(0)
+      expect(
+        await Item.countDocuments().setOptions({ withDeleted: true })
+      ).toBe(0)
+    })
+  })
+})
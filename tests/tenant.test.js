@@ -0,0 +1,176 @@
+const request = require('supertest')
+const app = require('../src/app')
+const db = require('./helpers/db')
+const {
+  createUser,
+  auth,
+  createCategory,
+  createItem
+} = require('./helpers/fixtures')
+const { runWithTenant } = require('../src/utils/tenants')
+const Category = require('../src/models/Category')
+
+const asPizzaCo = (fn) => runWithTenant('pizza-co', fn)
+
+const newCategory = {
+  name: 'Mains',
+  image: 'https://example.com/mains.jpg',
+  description: 'Main dishes',
+  taxApplicability: false
+}
+
+describe('Tenants', () => {
+  let burgerToken
+  let pizzaToken
+  let burgerItem
+  let pizzaCategory
+
+  beforeAll(db.connect)
+  afterAll(db.close)
+
+  beforeEach(async () => {
+    await db.clear()
+
+    const burgerCategory = await runWithTenant('burger-co', async () => {
+      ;({ token: burgerToken } = await createUser('admin'))
+      return createCategory({ name: 'Burgers' })
+    })
+    burgerItem = await runWithTenant('burger-co', () =>
+      createItem(burgerCategory, { name: 'Cheeseburger' })
+    )
+
+    await asPizzaCo(async () => {
+      ;({ token: pizzaToken } = await createUser('admin'))
+      pizzaCategory = await createCategory({ name: 'Pizzas' })
+      await createItem(pizzaCategory, { name: 'Margherita' })
+    })
+  })
+
+  it('allows the same names in different tenants', async () => {
+    for (const token of [burgerToken, pizzaToken]) {
+      const res = await request(app)
+        .post('/api/categories')
+        .set(auth(token))
+        .send(newCategory)
+
+      expect(res.status).toBe(201)
+      expect(res.body.data.name).toBe('Mains')
+    }
+
+    const res = await request(app)
+      .post('/api/categories')
+      .set(auth(pizzaToken))
+      .send(newCategory)
+    expect(res.status).toBe(400)
+  })
+
+  it('lists only the documents of the tenant in the header', async () => {
+    let res = await request(app)
+      .get('/api/items')
+      .set('X-Tenant-Id', 'pizza-co')
+    expect(res.body.data.map((item) => item.name)).toEqual(['Margherita'])
+
+    res = await request(app).get('/api/menu').set('X-Tenant-Id', 'burger-co')
+    expect(res.body.data.map((category) => category.name)).toEqual(['Burgers'])
+
+    res = await request(app).get('/api/categories')
+    expect(res.body.data).toEqual([])
+  })
+
+  it('hides documents of other tenants by id', async () => {
+    const res = await request(app)
+      .get(`/api/items/${burgerItem._id}`)
+      .set('X-Tenant-Id', 'pizza-co')
+
+    expect(res.status).toBe(404)
+  })
+
+  it('scopes writes to the tenant of the token', async () => {
+    let res = await request(app)
+      .put(`/api/categories/${pizzaCategory._id}`)
+      .set(auth(burgerToken))
+      .send({ description: 'Taken over' })
+    expect(res.status).toBe(404)
+
+    res = await request(app)
+      .post('/api/items')
+      .set(auth(burgerToken))
+      .send({
+        name: 'Pepperoni',
+        image: 'https://example.com/pepperoni.jpg',
+        description: 'Pepperoni pizza',
+        baseAmount: 12,
+        categoryId: String(pizzaCategory._id)
+      })
+    expect(res.status).toBe(404)
+
+    const category = await asPizzaCo(() => Category.findById(pizzaCategory))
+    expect(category.description).toBe('Category description')
+  })
+
+  it('rejects a header that does not match the token', async () => {
+    const res = await request(app)
+      .get('/api/categories')
+      .set(auth(burgerToken))
+      .set('X-Tenant-Id', 'pizza-co')
+
+    expect(res.status).toBe(403)
+  })
+
+  it('rejects tenants that are not hosted', async () => {
+    const res = await request(app)
+      .get('/api/categories')
+      .set('X-Tenant-Id', 'taco-co')
+
+    expect(res.status).toBe(404)
+    expect(res.body.message).toBe('Tenant not found')
+  })
+
+  it('keeps user accounts apart', async () => {
+    let res = await request(app)
+      .post('/api/auth/register')
+      .set('X-Tenant-Id', 'default')
+      .set('X-Setup-Token', process.env.SETUP_TOKEN)
+      .send({
+        name: 'Owner',
+        email: 'owner@example.com',
+        password: 'password123'
+      })
+    expect(res.status).toBe(201)
+
+    res = await request(app).get('/api/auth/users').set(auth(pizzaToken))
+    expect(res.body.count).toBe(1)
+
+    res = await request(app)
+      .post('/api/auth/login')
+      .set('X-Tenant-Id', 'pizza-co')
+      .send({ email: 'owner@example.com', password: 'password123' })
+    expect(res.status).toBe(401)
+  })
+
+  it('keeps a currency per tenant', async () => {
+    let res = await request(app)
+      .put('/api/menu/settings')
+      .set(auth(pizzaToken))
+      .send({ currency: 'eur' })
+    expect(res.status).toBe(200)
+    expect(res.body.data.currency).toBe('EUR')
+
+    res = await request(app).get('/api/items').set('X-Tenant-Id', 'pizza-co')
+    expect(res.body.currency).toBe('EUR')
+
+    res = await request(app).get('/api/items').set('X-Tenant-Id', 'burger-co')
+    expect(res.body.currency).toBe('USD')
+
+    res = await request(app)
+      .get('/api/menu/settings')
+      .set('X-Tenant-Id', 'burger-co')
+    expect(res.body.data).toEqual({ currency: 'USD' })
+
+    res = await request(app)
+      .put('/api/menu/settings')
+      .set(auth(pizzaToken))
+      .send({ currency: null })
+    expect(res.body.data.currency).toBe('USD')
+  })
+})
@@ -0,0 +1,222 @@
+const request = require('supertest')
+const app = require('../src/app')
+const db = require('./helpers/db')
+const {
+  createUser,
+  auth,
+  createCategory,
+  createSubCategory,
+  createItem
+} = require('./helpers/fixtures')
+const AuditLog = require('../src/models/AuditLog')
+
+describe('Translations', () => {
+  let token
+  let category
+  let subCategory
+  let pizza
+
+  beforeAll(db.connect)
+  afterAll(db.close)
+
+  beforeEach(async () => {
+    await db.clear()
+    ;({ token } = await createUser('manager'))
+
+    category = await createCategory({
+      name: 'Mains',
+      translations: { fr: { name: 'Plats' } }
+    })
+    subCategory = await createSubCategory(category, {
+      name: 'Italian',
+      translations: { fr: { name: 'Italien' } }
+    })
+    pizza = await createItem(subCategory, {
+      name: 'Pizza',
+      description: 'Wood fired',
+      translations: {
+        fr: { name: 'Pizza au feu de bois' },
+        de: { name: 'Holzofenpizza', description: 'Aus dem Holzofen' }
+      }
+    })
+  })
+
+  const translate = (path, lang, body) =>
+    request(app)
+      .put(`/api/${path}/translations/${lang}`)
+      .set(auth(token))
+      .send(body)
+
+  describe('managing translations', () => {
+    it('lists the translations of a document', async () => {
+      const res = await request(app).get(`/api/items/${pizza._id}/translations`)
+
+      expect(res.status).toBe(200)
+      expect(res.body.defaultLanguage).toBe('en')
+      expect(res.body.data.de).toEqual({
+        name: 'Holzofenpizza',
+        description: 'Aus dem Holzofen'
+      })
+    })
+
+    it('adds and replaces a translation', async () => {
+      await translate(`categories/${category._id}`, 'de', {
+        name: 'Hauptgerichte'
+      }).expect(200)
+      const res = await translate(`categories/${category._id}`, 'fr', {
+        description: 'Nos plats'
+      })
+
+      expect(res.status).toBe(200)
+      expect(res.body.data).toEqual({
+        fr: { description: 'Nos plats' },
+        de: { name: 'Hauptgerichte' }
+      })
+    })
+
+    it('audits translation changes', async () => {
+      await translate(`subcategories/${subCategory._id}`, 'de', {
+        name: 'Italienisch'
+      }).expect(200)
+
+      const log = await AuditLog.findOne({
+        entityId: subCategory._id,
+        action: 'update'
+      })
+      expect(log.changes.map((change) => change.field)).toContain(
+        'translations'
+      )
+    })
+
+    it('rejects the default language and languages not served', async () => {
+      const defaultLanguage = await translate(`items/${pizza._id}`, 'en', {
+        name: 'Pizza'
+      })
+      const unknown = await translate(`items/${pizza._id}`, 'es', {
+        name: 'Pizza'
+      })
+
+      expect(defaultLanguage.status).toBe(400)
+      expect(unknown.status).toBe(400)
+    })
+
+    it('rejects empty translations', async () => {
+      const res = await translate(`items/${pizza._id}`, 'fr', {})
+
+      expect(res.status).toBe(400)
+    })
+
+    it('requires a manager to write translations', async () => {
+      const { token: staffToken } = await createUser('staff')
+
+      const res = await request(app)
+        .put(`/api/items/${pizza._id}/translations/fr`)
+        .set(auth(staffToken))
+        .send({ name: 'Pizza' })
+
+      expect(res.status).toBe(403)
+    })
+
+    it('removes a translation', async () => {
+      const res = await request(app)
+        .delete(`/api/items/${pizza._id}/translations/fr`)
+        .set(auth(token))
+
+      expect(res.status).toBe(200)
+      expect(Object.keys(res.body.data)).toEqual(['de'])
+
+      const again = await request(app)
+        .delete(`/api/items/${pizza._id}/translations/fr`)
+        .set(auth(token))
+      expect(again.status).toBe(404)
+    })
+  })
+
+  describe('reading in a language', () => {
+    it('returns the language of the lang parameter', async () => {
+      const res = await request(app)
+        .get(`/api/items/${pizza._id}?lang=de`)
+        .set('Accept-Language', 'fr')
+
+      expect(res.status).toBe(200)
+      expect(res.headers['content-language']).toBe('de')
+      expect(res.body.data.name).toBe('Holzofenpizza')
+      expect(res.body.data.translations).toBeUndefined()
+      expect(res.body.data.subCategoryId.name).toBe('Italian')
+    })
+
+    it('reads the language from Accept-Language with fallbacks', async () => {
+      const res = await request(app)
+        .get(`/api/items/${pizza._id}`)
+        .set('Accept-Language', 'fr-CA, de;q=0.5')
+
+      expect(res.body.data.name).toBe('Pizza au feu de bois')
+      expect(res.body.data.description).toBe('Wood fired')
+      expect(res.body.data.subCategoryId.name).toBe('Italien')
+    })
+
+    it('uses the default language for languages not served', async () => {
+      const res = await request(app)
+        .get(`/api/categories/${category._id}`)
+        .set('Accept-Language', 'es')
+
+      expect(res.headers['content-language']).toBe('en')
+      expect(res.body.data.name).toBe('Mains')
+    })
+
+    it('rejects a lang that is not served', async () => {
+      const res = await request(app).get('/api/categories?lang=es')
+
+      expect(res.status).toBe(400)
+    })
+
+    it('translates lists and the menu', async () => {
+      const items = await request(app).get('/api/items?lang=fr')
+      const subCategories = await request(app).get(
+        `/api/subcategories/category/${category._id}?lang=fr`
+      )
+      const menu = await request(app).get('/api/menu?lang=fr')
+
+      expect(items.body.data[0].name).toBe('Pizza au feu de bois')
+      expect(subCategories.body.category).toBe('Plats')
+      expect(subCategories.body.data[0].categoryId.name).toBe('Plats')
+      expect(menu.body.data[0].name).toBe('Plats')
+      expect(menu.body.data[0].subCategories[0].items[0].name).toBe(
+        'Pizza au feu de bois'
+      )
+    })
+
+    it('translates the name of a price breakdown', async () => {
+      const res = await request(app).get(
+        `/api/items/${pizza._id}/price?lang=de`
+      )
+
+      expect(res.body.data.name).toBe('Holzofenpizza')
+    })
+
+    it('searches translated names in the requested language', async () => {
+      const items = await request(app).get(
+        '/api/items/search?name=holzofen&lang=de'
+      )
+      const untranslated = await request(app).get(
+        '/api/items/search?name=holzofen'
+      )
+      const subCategory = await request(app).get(
+        '/api/subcategories/search?name=italien&lang=fr'
+      )
+
+      expect(items.body.total).toBe(1)
+      expect(items.body.data[0].name).toBe('Holzofenpizza')
+      expect(untranslated.body.total).toBe(0)
+      expect(subCategory.body.data.name).toBe('Italien')
+    })
+
+    it('rejects lang on lists that are not translated', async () => {
+      const res = await request(app)
+        .get('/api/promotions?lang=fr')
+        .set(auth(token))
+
+      expect(res.status).toBe(400)
+    })
+  })
+})
@@ -0,0 +1,118 @@
+const {
+  diffDocuments,
+  getAuditAction,
+  buildPriceTimeline
+} = require('../../src/utils/audit')
+
+const before = {
+  _id: 'item',
+  name: 'Pizza',
+  baseAmount: 100,
+  discount: 10,
+  variants: [{ name: 'Small', baseAmount: 100 }],
+  updatedAt: new Date('2026-10-01')
+}
+
+describe('diffDocuments', () => {
+  it('lists changed fields with their old and new values', () => {
+    const after = {
+      ...before,
+      baseAmount: 120,
+      variants: [{ name: 'Small', baseAmount: 120 }],
+      stock: 5,
+      updatedAt: new Date('2026-10-02')
+    }
+    delete after.discount
+
+    expect(diffDocuments(before, after)).toEqual([
+      { field: 'baseAmount', from: 100, to: 120 },
+      { field: 'discount', from: 10 },
+      {
+        field: 'variants',
+        from: [{ name: 'Small', baseAmount: 100 }],
+        to: [{ name: 'Small', baseAmount: 120 }]
+      },
+      { field: 'stock', to: 5 }
+    ])
+  })
+
+  it('records every field of created documents', () => {
+    expect(diffDocuments(undefined, { _id: 'item', name: 'Pizza' })).toEqual([
+      { field: 'name', to: 'Pizza' }
+    ])
+  })
+})
+
+describe('getAuditAction', () => {
+  it('names soft deletes, restores and purges', () => {
+    const deleted = { ...before, deletedAt: new Date() }
+
+    expect(getAuditAction(undefined, before)).toBe('create')
+    expect(getAuditAction(before, { ...before, name: 'Pie' })).toBe('update')
+    expect(getAuditAction(before, deleted)).toBe('delete')
+    expect(getAuditAction(deleted, before)).toBe('restore')
+    expect(getAuditAction(deleted, undefined)).toBe('purge')
+  })
+})
+
+describe('buildPriceTimeline', () => {
+  const entry = (day, action, changes) => ({
+    createdAt: new Date(`2026-10-0${day}`),
+    action,
+    actor: null,
+    changes
+  })
+
+  it('replays the price after every change that touched it', () => {
+    const item = {
+      baseAmount: 120,
+      discount: 0,
+      totalAmount: 120,
+      taxApplicability: true,
+      tax: 5,
+      taxType: 'percentage'
+    }
+    const entries = [
+      entry(1, 'create', [
+        { field: 'name', to: 'Pizza' },
+        { field: 'baseAmount', to: 100 },
+        { field: 'discount', to: 10 },
+        { field: 'totalAmount', to: 90 },
+        { field: 'taxApplicability', to: true },
+        { field: 'tax', to: 10 },
+        { field: 'taxType', to: 'percentage' }
+      ]),
+      entry(2, 'update', [{ field: 'name', from: 'Pizza', to: 'Pie' }]),
+      entry(3, 'update', [
+        { field: 'baseAmount', from: 100, to: 120 },
+        { field: 'discount', from: 10, to: 0 },
+        { field: 'totalAmount', from: 90, to: 120 }
+      ]),
+      entry(4, 'update', [{ field: 'tax', from: 10, to: 5 }])
+    ]
+
+    const timeline = buildPriceTimeline(item, entries)
+
+    expect(
+      timeline.map(({ action, totalAmount, tax }) => ({
+        action,
+        totalAmount,
+        tax
+      }))
+    ).toEqual([
+      { action: 'create', totalAmount: 90, tax: 10 },
+      { action: 'update', totalAmount: 120, tax: 10 },
+      { action: 'update', totalAmount: 120, tax: 5 }
+    ])
+    expect(timeline[0].at).toEqual(new Date('2026-10-01'))
+  })
+
+  it('starts from the oldest entry for items created before auditing', () => {
+    const timeline = buildPriceTimeline({ baseAmount: 80 }, [
+      entry(1, 'update', [{ field: 'baseAmount', from: 100, to: 80 }])
+    ])
+
+    expect(timeline).toHaveLength(1)
+    expect(timeline[0].baseAmount).toBe(80)
+  })
+})
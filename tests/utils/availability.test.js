@@ -0,0 +1,140 @@
+const {
+  parseAvailableAt,
+  getRestaurantTime,
+  getNextRestaurantDay,
+  isWithinWindow,
+  resolveAvailability,
+  isAvailableAt,
+  parseSchedule,
+  formatSchedule
+} = require('../../src/utils/availability')
+
+// 2026-10-19 is a Monday
+const MONDAY_9AM = new Date('2026-10-19T09:00:00Z')
+
+const breakfast = [{ days: ['mon', 'tue'], start: '07:00', end: '11:00' }]
+const lateNight = [{ days: ['sun'], start: '22:00', end: '02:00' }]
+
+describe('parseAvailableAt', () => {
+  it('reads ISO dates and now', () => {
+    expect(parseAvailableAt('2026-10-19T09:00:00Z')).toEqual(MONDAY_9AM)
+    expect(parseAvailableAt('now')).toBeInstanceOf(Date)
+  })
+
+  it('rejects anything else with a 400', () => {
+    expect(() => parseAvailableAt('soon')).toThrow(
+      expect.objectContaining({ statusCode: 400 })
+    )
+  })
+})
+
+describe('getRestaurantTime', () => {
+  it('reads the weekday and time in the given timezone', () => {
+    expect(getRestaurantTime(MONDAY_9AM, 'UTC')).toEqual({
+      day: 'mon',
+      previousDay: 'sun',
+      time: '09:00'
+    })
+    expect(getRestaurantTime(MONDAY_9AM, 'Pacific/Auckland')).toEqual({
+      day: 'mon',
+      previousDay: 'sun',
+      time: '22:00'
+    })
+    expect(getRestaurantTime(MONDAY_9AM, 'America/Los_Angeles')).toEqual({
+      day: 'mon',
+      previousDay: 'sun',
+      time: '02:00'
+    })
+  })
+})
+
+describe('getNextRestaurantDay', () => {
+  it('returns the next local midnight', () => {
+    expect(getNextRestaurantDay(MONDAY_9AM, 'UTC')).toEqual(
+      new Date('2026-10-20T00:00:00Z')
+    )
+    expect(getNextRestaurantDay(MONDAY_9AM, 'Asia/Kolkata')).toEqual(
+      new Date('2026-10-19T18:30:00Z')
+    )
+  })
+
+  it('follows daylight saving changes', () => {
+    // Clocks go back on 2026-10-25 in London
+    expect(
+      getNextRestaurantDay(new Date('2026-10-24T12:00:00Z'), 'Europe/London')
+    ).toEqual(new Date('2026-10-24T23:00:00Z'))
+    expect(
+      getNextRestaurantDay(new Date('2026-10-25T12:00:00Z'), 'Europe/London')
+    ).toEqual(new Date('2026-10-26T00:00:00Z'))
+  })
+})
+
+describe('isWithinWindow', () => {
+  it('includes the start and excludes the end', () => {
+    const [window] = breakfast
+
+    expect(isWithinWindow(window, { day: 'mon', time: '07:00' })).toBe(true)
+    expect(isWithinWindow(window, { day: 'mon', time: '11:00' })).toBe(false)
+    expect(isWithinWindow(window, { day: 'wed', time: '08:00' })).toBe(false)
+  })
+
+  it('carries windows past midnight into the next day', () => {
+    const [window] = lateNight
+    const at = (day, previousDay, time) =>
+      isWithinWindow(window, { day, previousDay, time })
+
+    expect(at('sun', 'sat', '23:30')).toBe(true)
+    expect(at('mon', 'sun', '01:59')).toBe(true)
+    expect(at('mon', 'sun', '02:00')).toBe(false)
+    expect(at('sun', 'sat', '01:00')).toBe(false)
+  })
+
+  it('allows windows that end at midnight', () => {
+    const window = { days: ['mon'], start: '18:00', end: '24:00' }
+
+    expect(isWithinWindow(window, { day: 'mon', time: '23:59' })).toBe(true)
+  })
+})
+
+describe('resolveAvailability', () => {
+  it('uses the nearest level with a schedule', () => {
+    expect(
+      resolveAvailability(
+        { availability: [] },
+        { availability: breakfast },
+        { availability: lateNight }
+      )
+    ).toEqual({ availability: breakfast, source: 'subcategory' })
+  })
+
+  it('reports documents without any schedule as always available', () => {
+    expect(resolveAvailability({}, undefined, {})).toEqual({
+      availability: null,
+      source: null
+    })
+  })
+})
+
+describe('isAvailableAt', () => {
+  it('lets the nearest schedule decide', () => {
+    const item = { availability: lateNight }
+    const category = { availability: breakfast }
+
+    expect(isAvailableAt([{}, undefined, category], MONDAY_9AM)).toBe(true)
+    expect(isAvailableAt([item, undefined, category], MONDAY_9AM)).toBe(false)
+    expect(isAvailableAt([{}, {}, {}], MONDAY_9AM)).toBe(true)
+  })
+})
+
+describe('parseSchedule and formatSchedule', () => {
+  it('round-trips the text format', () => {
+    const text = 'mon,tue 07:00-11:00|sun 22:00-02:00'
+
+    expect(parseSchedule(text)).toEqual([...breakfast, ...lateNight])
+    expect(formatSchedule(parseSchedule(text))).toBe(text)
+  })
+
+  it('returns text it cannot read so validation can report it', () => {
+    expect(parseSchedule('mornings')).toBe('mornings')
+  })
+})
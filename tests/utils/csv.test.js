@@ -0,0 +1,45 @@
+const { parseCsv, toCsv } = require('../../src/utils/csv')
+
+describe('parseCsv', () => {
+  it('splits rows and cells', () => {
+    expect(parseCsv('a,b\r\n1,2\n3,')).toEqual([
+      ['a', 'b'],
+      ['1', '2'],
+      ['3', '']
+    ])
+  })
+
+  it('handles quotes, escaped quotes and line breaks in quotes', () => {
+    expect(parseCsv('"Pies, baked","Say ""hi""","two\nlines"\n')).toEqual([
+      ['Pies, baked', 'Say "hi"', 'two\nlines']
+    ])
+  })
+
+  it('strips a byte order mark', () => {
+    expect(parseCsv('\uFEFFtype\ncategory')).toEqual([['type'], ['category']])
+  })
+
+  it('rejects unterminated quotes', () => {
+    expect(() => parseCsv('"open')).toThrow('unterminated')
+  })
+})
+
+describe('toCsv', () => {
+  it('quotes cells only when needed and round-trips', () => {
+    const rows = [
+      ['name', 'description', 'tax'],
+      ['Pizza', 'Pies, "hot"', 5],
+      ['Soup', undefined, null]
+    ]
+    const text = toCsv(rows)
+
+    expect(text).toBe(
+      'name,description,tax\r\nPizza,"Pies, ""hot""",5\r\nSoup,,\r\n'
+    )
+    expect(parseCsv(text)).toEqual([
+      ['name', 'description', 'tax'],
+      ['Pizza', 'Pies, "hot"', '5'],
+      ['Soup', '', '']
+    ])
+  })
+})
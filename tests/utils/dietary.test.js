@@ -0,0 +1,74 @@
+const {
+  resolveDietary,
+  parseDietaryQuery,
+  matchesDietary
+} = require('../../src/utils/dietary')
+
+describe('resolveDietary', () => {
+  const category = { dietaryTags: ['vegetarian'], allergens: ['gluten'] }
+
+  it('uses the nearest level that sets each list', () => {
+    const subCategory = { allergens: ['gluten', 'dairy'] }
+    const item = { dietaryTags: ['vegan'] }
+
+    expect(resolveDietary(item, subCategory, category)).toEqual({
+      dietaryTags: ['vegan'],
+      allergens: ['gluten', 'dairy']
+    })
+  })
+
+  it('treats an empty list as declaring none', () => {
+    expect(resolveDietary({ allergens: [] }, undefined, category)).toEqual({
+      dietaryTags: ['vegetarian'],
+      allergens: []
+    })
+  })
+
+  it('returns empty lists when no level sets them', () => {
+    expect(resolveDietary({}, undefined, {})).toEqual({
+      dietaryTags: [],
+      allergens: []
+    })
+  })
+})
+
+describe('parseDietaryQuery', () => {
+  it('reads the fields filtered on', () => {
+    expect(
+      parseDietaryQuery({ tags: 'vegan', excludeAllergens: 'peanut,dairy' })
+    ).toEqual([
+      { field: 'dietaryTags', include: ['vegan'], exclude: [] },
+      { field: 'allergens', include: [], exclude: ['peanut', 'dairy'] }
+    ])
+  })
+
+  it('returns no filters without dietary parameters', () => {
+    expect(parseDietaryQuery({ page: '1' })).toEqual([])
+  })
+})
+
+describe('matchesDietary', () => {
+  const dietary = { dietaryTags: ['vegan', 'gluten-free'], allergens: ['soy'] }
+
+  it('keeps items with every included value and none excluded', () => {
+    const criteria = parseDietaryQuery({
+      tags: 'vegan,gluten-free',
+      excludeAllergens: 'peanut'
+    })
+
+    expect(matchesDietary(dietary, criteria)).toBe(true)
+  })
+
+  it('drops items missing an included value or having an excluded one', () => {
+    expect(matchesDietary(dietary, parseDietaryQuery({ tags: 'halal' }))).toBe(
+      false
+    )
+    expect(
+      matchesDietary(dietary, parseDietaryQuery({ excludeAllergens: 'soy' }))
+    ).toBe(false)
+  })
+
+  it('keeps every item without filters', () => {
+    expect(matchesDietary(dietary, [])).toBe(true)
+  })
+})
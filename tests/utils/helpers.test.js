@@ -0,0 +1,102 @@
+const {
+  calculateTotal,
+  validateTax,
+  createError,
+  formatMongooseErrors,
+  containsText,
+  parseList,
+  getDeletePolicy
+} = require('../../src/utils/helpers')
+
+describe('calculateTotal', () => {
+  it('subtracts the discount in minor units', () => {
+    expect(calculateTotal(1299, 200)).toBe(1099)
+    expect(calculateTotal(100)).toBe(100)
+  })
+
+  it('rejects invalid amounts', () => {
+    expect(() => calculateTotal(-1)).toThrow('Base amount')
+    expect(() => calculateTotal(10, -1)).toThrow('Discount must be')
+    expect(() => calculateTotal(10.5)).toThrow('whole number')
+    expect(() => calculateTotal(10, 20)).toThrow(
+      'Discount cannot be greater than base amount'
+    )
+  })
+})
+
+describe('validateTax', () => {
+  it('accepts anything when tax is not applicable', () => {
+    expect(validateTax(false)).toBe(true)
+  })
+
+  it('checks the tax value', () => {
+    expect(validateTax(true, 10, 'percentage')).toBe(true)
+    expect(validateTax(true, 150, 'percentage')).toBe(false)
+    expect(validateTax(true, 150, 'fixed')).toBe(true)
+    expect(validateTax(true, -1, 'fixed')).toBe(false)
+    expect(validateTax(true, 7.5, 'percentage')).toBe(true)
+    expect(validateTax(true, 7.5, 'fixed')).toBe(false)
+  })
+})
+
+describe('createError', () => {
+  it('attaches a status code', () => {
+    expect(createError('Nope').statusCode).toBe(400)
+    expect(createError('Gone', 404).statusCode).toBe(404)
+  })
+})
+
+describe('formatMongooseErrors', () => {
+  it('flattens field errors', () => {
+    const error = {
+      errors: {
+        name: { path: 'name', kind: 'required', message: 'Name is required' }
+      }
+    }
+
+    expect(formatMongooseErrors(error)).toEqual([
+      {
+        location: 'body',
+        field: 'name',
+        code: 'required',
+        message: 'Name is required'
+      }
+    ])
+  })
+})
+
+describe('containsText', () => {
+  it('matches the text literally, ignoring case', () => {
+    const { $regex, $options } = containsText('Mac (& Cheese) .*')
+
+    expect(
+      new RegExp($regex, $options).test('big mac (& cheese) .* bowl')
+    ).toBe(true)
+    expect(new RegExp($regex, $options).test('Mac & Cheese')).toBe(false)
+  })
+
+  it('escapes patterns that would backtrack', () => {
+    expect(containsText('(a+)+$').$regex).toBe('\\(a\\+\\)\\+\\$')
+  })
+})
+
+describe('parseList', () => {
+  it('splits, trims and lower cases a comma separated list', () => {
+    expect(parseList(' Peanut, dairy,,')).toEqual(['peanut', 'dairy'])
+  })
+
+  it('reads a missing list as empty', () => {
+    expect(parseList()).toEqual([])
+  })
+})
+
+describe('getDeletePolicy', () => {
+  it('defaults to block', () => {
+    expect(getDeletePolicy()).toEqual({ policy: 'block' })
+  })
+
+  it('requires a target for reassign', () => {
+    expect(() => getDeletePolicy({ policy: 'reassign' })).toThrow('reassignTo')
+    expect(() => getDeletePolicy({ policy: 'drop' })).toThrow('Delete policy')
+  })
+})
@@ -0,0 +1,144 @@
+const fs = require('fs/promises')
+const path = require('path')
+const sharp = require('sharp')
+const {
+  getMaxImageSize,
+  processImage,
+  storeImage,
+  removeStoredImage
+} = require('../../src/utils/images')
+
+const createImage = (width, height, format = 'png') =>
+  sharp({
+    create: { width, height, channels: 3, background: '#c0392b' }
+  })
+    .toFormat(format)
+    .toBuffer()
+
+describe('getMaxImageSize', () => {
+  afterEach(() => {
+    delete process.env.MAX_IMAGE_SIZE
+  })
+
+  it('defaults to 5 MB and reads MAX_IMAGE_SIZE', () => {
+    expect(getMaxImageSize()).toBe(5 * 1024 * 1024)
+
+    process.env.MAX_IMAGE_SIZE = '1000'
+    expect(getMaxImageSize()).toBe(1000)
+  })
+
+  it('rejects sizes that are not whole bytes', () => {
+    process.env.MAX_IMAGE_SIZE = '1.5mb'
+    expect(getMaxImageSize).toThrow('MAX_IMAGE_SIZE')
+  })
+})
+
+describe('processImage', () => {
+  it('reads the image and resizes it without enlarging', async () => {
+    const image = await processImage(await createImage(1600, 800, 'jpeg'))
+
+    expect(image).toMatchObject({
+      format: 'jpeg',
+      contentType: 'image/jpeg',
+      width: 1600,
+      height: 800
+    })
+    expect(
+      image.variants.map(({ name, width, height }) => [name, width, height])
+    ).toEqual([
+      ['thumbnail', 200, 100],
+      ['medium', 640, 320],
+      ['large', 1280, 640]
+    ])
+
+    const small = await processImage(await createImage(300, 300))
+    expect(small.variants.map(({ width }) => width)).toEqual([200, 300, 300])
+  })
+
+  it('turns the original upright and drops its metadata', async () => {
+    const photo = await sharp({
+      create: { width: 80, height: 40, channels: 3, background: '#c0392b' }
+    })
+      .jpeg()
+      .withMetadata({ orientation: 6 })
+      .withExif({ IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '51/1 30/1 0/1' } })
+      .toBuffer()
+
+    const image = await processImage(photo)
+    const stored = await sharp(image.data).metadata()
+
+    expect(image).toMatchObject({
+      width: 40,
+      height: 80,
+      size: image.data.length
+    })
+    expect(stored).toMatchObject({ width: 40, height: 80 })
+    expect(stored.exif).toBeUndefined()
+    expect(stored.orientation).toBeUndefined()
+  })
+
+  it('takes the type from the content', async () => {
+    const image = await processImage(await createImage(10, 10, 'webp'))
+
+    expect(image.contentType).toBe('image/webp')
+  })
+
+  it('rejects files that are not images of an accepted type', async () => {
+    await expect(
+      processImage(Buffer.from('not an image'))
+    ).rejects.toMatchObject({ statusCode: 415 })
+    await expect(
+      processImage(await createImage(10, 10, 'gif'))
+    ).rejects.toMatchObject({ statusCode: 415 })
+    await expect(processImage(Buffer.alloc(0))).rejects.toMatchObject({
+      statusCode: 415
+    })
+  })
+})
+
+describe('storeImage', () => {
+  const doc = { _id: 'abc', tenant: 'default' }
+
+  afterAll(() =>
+    fs.rm(process.env.UPLOAD_DIR, { recursive: true, force: true })
+  )
+
+  it('saves the original and its variants and removes them again', async () => {
+    const buffer = await createImage(800, 400)
+    const { image, imageMetadata } = await storeImage(doc, 'items', { buffer })
+
+    expect(image).toMatch(/^\/uploads\/default\/items\/abc\/[\w-]+-large\.png$/)
+    expect(imageMetadata).toMatchObject({
+      storage: 'local',
+      contentType: 'image/png',
+      width: 800,
+      height: 400
+    })
+    expect(imageMetadata.variants).toHaveLength(3)
+    expect(image).toBe(imageMetadata.variants[2].url)
+    expect(
+      (await fs.stat(path.join(process.env.UPLOAD_DIR, imageMetadata.key))).size
+    ).toBe(imageMetadata.size)
+
+    const files = [imageMetadata, ...imageMetadata.variants].map(({ key }) =>
+      path.join(process.env.UPLOAD_DIR, key)
+    )
+    await Promise.all(
+      files.map((file) => expect(fs.stat(file)).resolves.toBeTruthy())
+    )
+
+    await removeStoredImage(imageMetadata)
+    await Promise.all(
+      files.map((file) => expect(fs.stat(file)).rejects.toThrow())
+    )
+  })
+
+  it('stores nothing for a file that is not an image', async () => {
+    await expect(
+      storeImage({ ...doc, _id: 'def' }, 'items', { buffer: Buffer.from('x') })
+    ).rejects.toMatchObject({ statusCode: 415 })
+    await expect(
+      fs.stat(path.join(process.env.UPLOAD_DIR, 'default/items/def'))
+    ).rejects.toThrow()
+  })
+})
@@ -0,0 +1,50 @@
+const {
+  isSoldOut,
+  buildInStockFilter,
+  buildSoldOutUpdate
+} = require('../../src/utils/inventory')
+
+const NOW = new Date('2026-10-19T09:00:00Z')
+
+describe('isSoldOut', () => {
+  it('is sold out until the marked time', () => {
+    expect(isSoldOut({ soldOutUntil: '2026-10-20T00:00:00Z' }, NOW)).toBe(true)
+    expect(isSoldOut({ soldOutUntil: '2026-10-19T08:00:00Z' }, NOW)).toBe(false)
+    expect(isSoldOut({ soldOutUntil: null }, NOW)).toBe(false)
+  })
+
+  it('is sold out when tracked stock is used up', () => {
+    expect(isSoldOut({ stock: 0 }, NOW)).toBe(true)
+    expect(isSoldOut({ stock: 3 }, NOW)).toBe(false)
+    expect(isSoldOut({ stock: null }, NOW)).toBe(false)
+  })
+})
+
+describe('buildInStockFilter', () => {
+  it('excludes marked and out of stock items', () => {
+    expect(buildInStockFilter(NOW)).toEqual({
+      $nor: [{ soldOutUntil: { $gt: NOW } }, { stock: 0 }]
+    })
+  })
+})
+
+describe('buildSoldOutUpdate', () => {
+  afterEach(() => jest.useRealTimers())
+
+  it('brings items back at the next restaurant day by default', () => {
+    jest.useFakeTimers({ now: NOW })
+
+    expect(buildSoldOutUpdate({ soldOut: true })).toEqual({
+      soldOutUntil: new Date('2026-10-20T00:00:00Z')
+    })
+  })
+
+  it('uses the given time or clears the mark', () => {
+    expect(
+      buildSoldOutUpdate({ soldOut: true, until: '2026-10-19T15:00:00Z' })
+    ).toEqual({ soldOutUntil: new Date('2026-10-19T15:00:00Z') })
+    expect(buildSoldOutUpdate({ soldOut: false })).toEqual({
+      soldOutUntil: null
+    })
+  })
+})
@@ -0,0 +1,96 @@
+const {
+  MAX_SNAPSHOT_SIZE,
+  checkSnapshotSize,
+  diffSnapshots
+} = require('../../src/utils/menuVersions')
+
+describe('diffSnapshots', () => {
+  const salads = { _id: 'c1', name: 'Salads', position: 0 }
+  const caesar = { _id: 'i1', name: 'Caesar', baseAmount: 900, position: 0 }
+  const cobb = { _id: 'i2', name: 'Cobb', baseAmount: 1100, position: 1 }
+
+  const from = { categories: [salads], subCategories: [], items: [caesar] }
+
+  it('reports added, removed and changed documents per part', () => {
+    const to = {
+      categories: [salads],
+      subCategories: [],
+      items: [{ ...caesar, baseAmount: 950 }, cobb]
+    }
+
+    expect(diffSnapshots(from, to)).toEqual({
+      categories: { added: [], removed: [], changed: [] },
+      subCategories: { added: [], removed: [], changed: [] },
+      items: {
+        added: [{ _id: 'i2', name: 'Cobb' }],
+        removed: [],
+        changed: [
+          {
+            _id: 'i1',
+            name: 'Caesar',
+            changes: [{ field: 'baseAmount', from: 900, to: 950 }]
+          }
+        ]
+      }
+    })
+  })
+
+  it('reports removed documents by their old name', () => {
+    const to = { categories: [salads], subCategories: [], items: [] }
+
+    expect(diffSnapshots(from, to).items.removed).toEqual([
+      { _id: 'i1', name: 'Caesar' }
+    ])
+  })
+
+  it('matches documents by ID so renames are changes', () => {
+    const to = {
+      ...from,
+      categories: [{ ...salads, name: 'Greens' }]
+    }
+
+    expect(diffSnapshots(from, to).categories).toEqual({
+      added: [],
+      removed: [],
+      changed: [
+        {
+          _id: 'c1',
+          name: 'Greens',
+          changes: [{ field: 'name', from: 'Salads', to: 'Greens' }]
+        }
+      ]
+    })
+  })
+
+  it('ignores timestamps', () => {
+    const to = {
+      ...from,
+      items: [{ ...caesar, updatedAt: new Date() }]
+    }
+
+    expect(diffSnapshots(from, to).items.changed).toEqual([])
+  })
+})
+
+describe('checkSnapshotSize', () => {
+  const snapshotOf = (description) => ({
+    categories: [],
+    subCategories: [],
+    items: [{ _id: 'i1', name: 'Caesar', description }]
+  })
+
+  it('accepts a snapshot a version can hold', () => {
+    expect(() => checkSnapshotSize(snapshotOf('Romaine'))).not.toThrow()
+  })
+
+  it('rejects a snapshot larger than a version holds with a 413', () => {
+    const snapshot = snapshotOf('x'.repeat(MAX_SNAPSHOT_SIZE))
+
+    expect(() => checkSnapshotSize(snapshot)).toThrow(
+      expect.objectContaining({
+        statusCode: 413,
+        message: expect.stringMatching(/too large to publish.*15\.0 MB/)
+      })
+    )
+  })
+})
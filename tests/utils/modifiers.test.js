@@ -0,0 +1,105 @@
+const {
+  resolveModifierGroups,
+  findOption,
+  selectModifiers
+} = require('../../src/utils/modifiers')
+
+const sauces = {
+  _id: 'sauces',
+  name: 'Sauces',
+  options: [
+    { _id: 'garlic', name: 'Garlic', price: 10 },
+    { _id: 'chilli', name: 'Chilli', price: 0 }
+  ],
+  minSelections: 1,
+  maxSelections: 1
+}
+
+const toppings = {
+  _id: 'toppings',
+  name: 'Toppings',
+  options: [
+    { _id: 'cheese', name: 'Cheese', price: 30 },
+    { _id: 'olives', name: 'Olives', price: 20 },
+    { _id: 'onion', name: 'Onion', price: 5 }
+  ],
+  minSelections: 0,
+  maxSelections: null
+}
+
+describe('resolveModifierGroups', () => {
+  it('lists category, subcategory and item groups once each', () => {
+    const groups = resolveModifierGroups(
+      { modifierGroups: [sauces] },
+      { modifierGroups: [toppings] },
+      { modifierGroups: [sauces] }
+    )
+
+    expect(groups).toEqual([sauces, toppings])
+    expect(resolveModifierGroups({}, undefined, undefined)).toEqual([])
+  })
+})
+
+describe('findOption', () => {
+  it('matches by ID or by name regardless of case', () => {
+    expect(findOption(sauces, 'chilli').name).toBe('Chilli')
+    expect(findOption(sauces, 'GARLIC')._id).toBe('garlic')
+    expect(findOption(sauces, 'Mayo')).toBeUndefined()
+  })
+})
+
+describe('selectModifiers', () => {
+  it('prices the chosen options per group', () => {
+    const { modifiers, errors } = selectModifiers(
+      [sauces, toppings],
+      [
+        { group: 'toppings', options: ['Cheese', 'olives', 'Onion'] },
+        { group: 'sauces', options: ['garlic'] }
+      ]
+    )
+
+    expect(errors).toEqual([])
+    expect(modifiers.map(({ name, amount }) => ({ name, amount }))).toEqual([
+      { name: 'Sauces', amount: 10 },
+      { name: 'Toppings', amount: 55 }
+    ])
+  })
+
+  it('reports required groups that were skipped', () => {
+    expect(selectModifiers([sauces, toppings]).errors).toEqual([
+      {
+        location: 'body',
+        field: 'modifiers',
+        code: 'modifier.min',
+        message: 'Choose at least 1 option(s) from "Sauces"'
+      }
+    ])
+  })
+
+  it('reports unknown, repeated and too many options', () => {
+    const { errors } = selectModifiers(
+      [sauces],
+      [{ group: 'sauces', options: ['Garlic', 'garlic', 'Mayo', 'Chilli'] }]
+    )
+
+    expect(errors.map(({ field, code }) => [field, code])).toEqual([
+      ['modifiers.0.options.1', 'modifier.duplicate'],
+      ['modifiers.0.options.2', 'modifier.option'],
+      ['modifiers.0', 'modifier.max']
+    ])
+  })
+
+  it('reports groups the item does not offer', () => {
+    const { errors } = selectModifiers(
+      [toppings],
+      [{ group: 'sauces', options: ['Garlic'] }]
+    )
+
+    expect(errors).toEqual([
+      expect.objectContaining({
+        field: 'modifiers.0.group',
+        code: 'modifier.group'
+      })
+    ])
+  })
+})
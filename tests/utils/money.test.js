@@ -0,0 +1,118 @@
+const {
+  isCurrency,
+  getDefaultCurrency,
+  getCurrency,
+  getMinorDigits,
+  roundMinor,
+  percentOf,
+  roundTaxes,
+  formatMoney,
+  formatAmounts
+} = require('../../src/utils/money')
+const { runWithContext } = require('../../src/utils/requestContext')
+
+describe('getCurrency', () => {
+  afterEach(() => {
+    delete process.env.CURRENCY
+  })
+
+  it('uses CURRENCY or USD', () => {
+    expect(getCurrency()).toBe('USD')
+
+    process.env.CURRENCY = 'eur'
+    expect(getCurrency()).toBe('EUR')
+  })
+
+  it("prefers the currency of the request's menu", () => {
+    process.env.CURRENCY = 'EUR'
+
+    expect(runWithContext({ currency: 'GBP' }, getCurrency)).toBe('GBP')
+    expect(runWithContext({}, getCurrency)).toBe('EUR')
+  })
+
+  it("keeps the default apart from the request's menu", () => {
+    process.env.CURRENCY = 'EUR'
+
+    expect(runWithContext({ currency: 'GBP' }, getDefaultCurrency)).toBe('EUR')
+  })
+
+  it('rejects unknown currencies', () => {
+    process.env.CURRENCY = 'ABC'
+    expect(() => getCurrency()).toThrow('not a known currency code')
+  })
+})
+
+describe('isCurrency and getMinorDigits', () => {
+  it('knows ISO currencies and their minor units', () => {
+    expect(isCurrency('GBP')).toBe(true)
+    expect(isCurrency('gbp')).toBe(false)
+    expect(getMinorDigits('USD')).toBe(2)
+    expect(getMinorDigits('JPY')).toBe(0)
+    expect(getMinorDigits('KWD')).toBe(3)
+  })
+})
+
+describe('roundMinor', () => {
+  it('rounds halves away from zero in half-up mode', () => {
+    expect(roundMinor(2.5, 'half-up')).toBe(3)
+    expect(roundMinor(-2.5, 'half-up')).toBe(-3)
+    expect(roundMinor(2.49, 'half-up')).toBe(2)
+  })
+
+  it('rounds halves to the even neighbour in half-even mode', () => {
+    expect(roundMinor(2.5, 'half-even')).toBe(2)
+    expect(roundMinor(3.5, 'half-even')).toBe(4)
+    expect(roundMinor(2.51, 'half-even')).toBe(3)
+  })
+
+  it('ignores float noise around halves', () => {
+    // 1.15 * 10 is 11.499999999999998 in floating point
+    expect(roundMinor(1.15 * 10, 'half-up')).toBe(12)
+  })
+
+  it('follows ROUNDING_MODE', () => {
+    process.env.ROUNDING_MODE = 'half-even'
+    expect(roundMinor(percentOf(50, 5))).toBe(2)
+
+    process.env.ROUNDING_MODE = 'up'
+    expect(() => roundMinor(1)).toThrow('ROUNDING_MODE must be one of')
+
+    delete process.env.ROUNDING_MODE
+  })
+})
+
+describe('roundTaxes', () => {
+  const exactTaxes = [0.4, 0.4, 0.4]
+
+  it('rounds every line with line rounding', () => {
+    expect(roundTaxes(exactTaxes, 'line')).toEqual({
+      lines: [0, 0, 0],
+      total: 0
+    })
+  })
+
+  it('rounds the bill once and shares it out with bill rounding', () => {
+    expect(roundTaxes(exactTaxes, 'bill')).toEqual({
+      lines: [1, 0, 0],
+      total: 1
+    })
+    expect(roundTaxes([10.2, 5.7, 3.6], 'bill')).toEqual({
+      lines: [10, 6, 4],
+      total: 20
+    })
+  })
+})
+
+describe('formatMoney and formatAmounts', () => {
+  it('formats minor units in the currency', () => {
+    expect(formatMoney(1299, 'USD')).toBe('$12.99')
+    expect(formatMoney(1300, 'JPY')).toBe('¥1,300')
+    expect(formatMoney(1234, 'KWD')).toMatch(/^KWD\s1\.234$/)
+  })
+
+  it('formats the amounts that are set', () => {
+    expect(
+      formatAmounts({ finalPrice: 250, modifierAmount: undefined }, 'EUR')
+    ).toEqual({ finalPrice: '€2.50' })
+  })
+})
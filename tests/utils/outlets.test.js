@@ -0,0 +1,206 @@
+const {
+  applyOutletOverride,
+  hasOnlyOutletAmounts,
+  resolveOutletItem,
+  buildOutletFilter,
+  resolveOutletPromotions
+} = require('../../src/utils/outlets')
+
+const pizza = {
+  _id: 'pizza',
+  name: 'Pizza',
+  baseAmount: 100,
+  discount: 10,
+  totalAmount: 90,
+  taxInherited: true,
+  taxApplicability: true,
+  tax: 5,
+  taxType: 'percentage'
+}
+
+const coffee = {
+  _id: 'coffee',
+  name: 'Coffee',
+  variants: [
+    { name: 'Small', baseAmount: 300, discount: 0, isDefault: true },
+    { name: 'Large', baseAmount: 400, discount: 0, isDefault: false }
+  ]
+}
+
+const outletWith = (overrides) => ({
+  overrides: new Map(
+    overrides.map((override) => [String(override.item), override])
+  ),
+  hiddenItemIds: overrides
+    .filter((override) => override.hidden)
+    .map((override) => override.item)
+})
+
+describe('applyOutletOverride', () => {
+  it('keeps catalog values that are not overridden', () => {
+    expect(applyOutletOverride(pizza, { discount: 20 })).toEqual({
+      ...pizza,
+      discount: 20,
+      totalAmount: 80
+    })
+    expect(applyOutletOverride(pizza, undefined)).toBe(pizza)
+  })
+
+  it('replaces inherited tax with the outlet tax', () => {
+    expect(
+      applyOutletOverride(pizza, {
+        taxApplicability: true,
+        tax: 2,
+        taxType: 'fixed'
+      })
+    ).toMatchObject({ taxInherited: false, tax: 2, taxType: 'fixed' })
+
+    const untaxed = applyOutletOverride(pizza, { taxApplicability: false })
+    expect(untaxed).toMatchObject({
+      taxApplicability: false,
+      taxInherited: false
+    })
+    expect(untaxed).not.toHaveProperty('tax')
+  })
+
+  it('prices variants by name and mirrors the default one', () => {
+    const resolved = applyOutletOverride(coffee, {
+      variants: [{ name: 'small', baseAmount: 350 }]
+    })
+
+    expect(resolved.variants.map((variant) => variant.totalAmount)).toEqual([
+      350, 400
+    ])
+    expect(resolved.totalAmount).toBe(350)
+  })
+
+  it('rejects a discount above the resulting base amount', () => {
+    expect(() => applyOutletOverride(pizza, { baseAmount: 5 })).toThrow(
+      'Discount cannot be greater than base amount'
+    )
+  })
+})
+
+describe('resolveOutletItem', () => {
+  it('returns catalog items without an outlet', () => {
+    expect(resolveOutletItem(undefined, pizza)).toBe(pizza)
+  })
+
+  it('hides items hidden at the outlet', () => {
+    const outlet = outletWith([{ item: 'pizza', hidden: true }])
+
+    expect(resolveOutletItem(outlet, pizza)).toBeNull()
+    expect(resolveOutletItem(outlet, coffee)).toBe(coffee)
+  })
+
+  it('needs its own prices at an outlet in another currency', () => {
+    const outlet = {
+      ...outletWith([
+        { item: 'pizza', baseAmount: 1200 },
+        { item: 'coffee', variants: [{ name: 'Small', baseAmount: 250 }] }
+      ]),
+      ownPricesOnly: true,
+      fixedAmountItemIds: { draft: [], published: [] }
+    }
+
+    expect(resolveOutletItem(outlet, pizza)).toMatchObject({
+      totalAmount: 1190
+    })
+    expect(resolveOutletItem(outlet, coffee)).toBeNull()
+  })
+
+  it('hides items that add fixed catalog amounts in another currency', () => {
+    const outlet = {
+      ...outletWith([{ item: 'pizza', baseAmount: 1200 }]),
+      ownPricesOnly: true,
+      fixedAmountItemIds: { draft: ['pizza'], published: [] }
+    }
+
+    expect(resolveOutletItem(outlet, pizza)).toBeNull()
+  })
+
+  it('caps a saved discount at a price that dropped below it', () => {
+    const outlet = outletWith([
+      { item: 'pizza', discount: 500 },
+      { item: 'coffee', variants: [{ name: 'Large', discount: 450 }] }
+    ])
+
+    expect(resolveOutletItem(outlet, pizza)).toMatchObject({
+      baseAmount: 100,
+      discount: 100,
+      totalAmount: 0
+    })
+    expect(resolveOutletItem(outlet, coffee).variants[1]).toMatchObject({
+      discount: 400,
+      totalAmount: 0
+    })
+  })
+})
+
+describe('buildOutletFilter', () => {
+  it('leaves out hidden items', () => {
+    expect(buildOutletFilter(undefined)).toEqual({})
+    expect(buildOutletFilter(outletWith([{ item: 'pizza' }]))).toEqual({})
+    expect(
+      buildOutletFilter(outletWith([{ item: 'pizza', hidden: true }]))
+    ).toEqual({ _id: { $nin: ['pizza'] } })
+  })
+
+  it('lists only priced items at an outlet in another currency', () => {
+    expect(
+      buildOutletFilter({
+        ownPricesOnly: true,
+        pricedItemIds: ['pizza', 'coffee'],
+        fixedAmountItemIds: { draft: ['coffee'], published: [] }
+      })
+    ).toEqual({ _id: { $in: ['pizza', 'coffee'], $nin: ['coffee'] } })
+  })
+})
+
+describe('hasOnlyOutletAmounts', () => {
+  const sauces = (price) => ({
+    _id: 'sauces',
+    options: [{ name: 'Ketchup', price }]
+  })
+
+  it('rejects fixed tax and priced modifiers from the catalog', () => {
+    expect(hasOnlyOutletAmounts(pizza)).toBe(true)
+    expect(
+      hasOnlyOutletAmounts({
+        ...pizza,
+        taxInherited: false,
+        tax: 50,
+        taxType: 'fixed'
+      })
+    ).toBe(false)
+    expect(
+      hasOnlyOutletAmounts({ ...pizza, modifierGroups: [sauces(0)] })
+    ).toBe(true)
+    expect(
+      hasOnlyOutletAmounts({
+        ...pizza,
+        taxInherited: true,
+        categoryId: {
+          taxApplicability: true,
+          tax: 50,
+          taxType: 'fixed',
+          modifierGroups: [sauces(150)]
+        }
+      })
+    ).toBe(false)
+  })
+})
+
+describe('resolveOutletPromotions', () => {
+  const promotions = [
+    { name: 'Half off', type: 'percentage', value: 50 },
+    { name: 'Two off', type: 'fixed', value: 200 }
+  ]
+
+  it('drops fixed promotions at an outlet in another currency', () => {
+    expect(resolveOutletPromotions(undefined, promotions)).toBe(promotions)
+    expect(
+      resolveOutletPromotions({ ownPricesOnly: true }, promotions)
+    ).toEqual([promotions[0]])
+  })
+})
@@ -0,0 +1,122 @@
+const {
+  SORT_FIELDS,
+  ITEM_FILTERS,
+  buildListFilter,
+  checkOutletPriceQuery,
+  parseSort,
+  buildCursorFilter
+} = require('../../src/utils/pagination')
+
+describe('buildListFilter', () => {
+  it('combines range filters on the same field', () => {
+    expect(
+      buildListFilter({ minPrice: '5', maxPrice: '20' }, ITEM_FILTERS)
+    ).toEqual({ totalAmount: { $gte: 5, $lte: 20 } })
+  })
+
+  it('maps boolean filters', () => {
+    expect(
+      buildListFilter(
+        { hasDiscount: 'false', taxApplicability: 'true' },
+        ITEM_FILTERS
+      )
+    ).toEqual({
+      discount: { $not: { $gt: 0 } },
+      taxApplicability: true
+    })
+  })
+
+  it('hides sold out items on request', () => {
+    expect(buildListFilter({ hideSoldOut: 'true' }, ITEM_FILTERS)).toEqual({
+      $nor: [{ soldOutUntil: { $gt: expect.any(Date) } }, { stock: 0 }]
+    })
+    expect(buildListFilter({ hideSoldOut: 'false' }, ITEM_FILTERS)).toEqual({})
+  })
+
+  it('ignores filters the endpoint does not support', () => {
+    expect(buildListFilter({ minPrice: '5' }, ['taxType'])).toEqual({})
+  })
+
+  it('rejects malformed values with a 400 error', () => {
+    expect(() => buildListFilter({ minPrice: 'abc' }, ITEM_FILTERS)).toThrow(
+      expect.objectContaining({ statusCode: 400 })
+    )
+    expect(() =>
+      buildListFilter({ createdFrom: 'yesterday' }, ITEM_FILTERS)
+    ).toThrow('createdFrom must be a valid date')
+  })
+})
+
+describe('checkOutletPriceQuery', () => {
+  const outlet = { overridesPrices: true }
+
+  it('rejects price filters and sorts at an outlet with its own prices', () => {
+    expect(() =>
+      checkOutletPriceQuery({ minPrice: '5', sort: '-totalAmount' }, outlet)
+    ).toThrow(
+      'minPrice, sort=-totalAmount cannot be used at an outlet that sets its own prices'
+    )
+  })
+
+  it('accepts them without an outlet or outlet prices', () => {
+    const query = { maxPrice: '5', hasDiscount: 'true', sort: 'baseAmount' }
+
+    expect(() => checkOutletPriceQuery(query)).not.toThrow()
+    expect(() =>
+      checkOutletPriceQuery(query, { overridesPrices: false })
+    ).not.toThrow()
+    expect(() => checkOutletPriceQuery({ sort: 'name' }, outlet)).not.toThrow()
+  })
+})
+
+describe('parseSort', () => {
+  it('reads the direction from the prefix', () => {
+    expect(parseSort('-totalAmount', SORT_FIELDS.item)).toEqual({
+      field: 'totalAmount',
+      direction: -1
+    })
+    expect(parseSort('name', SORT_FIELDS.item)).toEqual({
+      field: 'name',
+      direction: 1
+    })
+  })
+
+  it('only accepts whitelisted fields', () => {
+    expect(() => parseSort('password', SORT_FIELDS.category)).toThrow(
+      'sort must be one of'
+    )
+  })
+})
+
+describe('buildCursorFilter', () => {
+  const id = 'cursorId'
+
+  it('selects later values and ties broken by ID', () => {
+    expect(buildCursorFilter({ value: 5, id }, 'tax', 1)).toEqual({
+      $or: [{ tax: { $gt: 5 } }, { tax: 5, _id: { $gt: id } }]
+    })
+  })
+
+  it('keeps null values, which sort last, after a descending cursor', () => {
+    expect(buildCursorFilter({ value: 5, id }, 'tax', -1)).toEqual({
+      $or: [{ tax: { $lt: 5 } }, { tax: 5, _id: { $lt: id } }, { tax: null }]
+    })
+  })
+
+  it('moves on from a null cursor value to the set values', () => {
+    // Untaxed categories have no tax and sort first
+    expect(buildCursorFilter({ value: null, id }, 'tax', 1)).toEqual({
+      $or: [{ tax: { $ne: null } }, { tax: null, _id: { $gt: id } }]
+    })
+    expect(buildCursorFilter({ value: null, id }, 'tax', -1)).toEqual({
+      tax: null,
+      _id: { $lt: id }
+    })
+  })
+
+  it('compares IDs alone when sorting by ID', () => {
+    expect(buildCursorFilter({ value: id, id }, '_id', -1)).toEqual({
+      _id: { $lt: id }
+    })
+  })
+})
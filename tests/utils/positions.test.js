@@ -0,0 +1,76 @@
+const { writeInTransaction, planReorder } = require('../../src/utils/positions')
+
+describe('writeInTransaction', () => {
+  const connectionFailing = (error) => ({
+    transaction: async () => {
+      throw error
+    }
+  })
+
+  it('writes in a transaction where the server has them', async () => {
+    const write = jest.fn()
+    const connection = { transaction: (fn) => fn('session') }
+
+    await writeInTransaction(write, connection)
+
+    expect(write).toHaveBeenCalledWith('session')
+  })
+
+  it('writes without a session on a standalone server', async () => {
+    const write = jest.fn()
+    const error = Object.assign(
+      new Error(
+        'Transaction numbers are only allowed on a replica set member or mongos'
+      ),
+      { code: 20 }
+    )
+
+    await writeInTransaction(write, connectionFailing(error))
+
+    expect(write).toHaveBeenCalledWith(undefined)
+  })
+
+  it('passes on other errors', async () => {
+    const write = jest.fn()
+
+    await expect(
+      writeInTransaction(write, connectionFailing(new Error('Duplicate key')))
+    ).rejects.toThrow('Duplicate key')
+    expect(write).not.toHaveBeenCalled()
+  })
+})
+
+describe('planReorder', () => {
+  const siblings = [
+    { _id: 'a', position: 0 },
+    { _id: 'b', position: 1 },
+    { _id: 'c', position: 2 }
+  ]
+
+  it('moves only the siblings whose position changes', () => {
+    expect(planReorder(siblings, ['b', 'a', 'c'])).toEqual({
+      unknown: [],
+      omitted: [],
+      moves: [
+        { id: 'b', position: 0 },
+        { id: 'a', position: 1 }
+      ]
+    })
+  })
+
+  it('gives siblings without a position one', () => {
+    const legacy = [{ _id: 'a' }, { _id: 'b' }]
+
+    expect(planReorder(legacy, ['a', 'b']).moves).toEqual([
+      { id: 'a', position: 0 },
+      { id: 'b', position: 1 }
+    ])
+  })
+
+  it('reports ids that are not siblings and siblings left out', () => {
+    expect(planReorder(siblings, ['c', 'x', 'a'])).toMatchObject({
+      unknown: ['x'],
+      omitted: ['b']
+    })
+  })
+})
@@ -0,0 +1,283 @@
+const {
+  hasOwnTax,
+  resolveEffectiveTax,
+  calculateTax,
+  calculateExactTax,
+  calculatePriceBreakdown,
+  priceVariants,
+  calculateBill
+} = require('../../src/utils/pricing')
+
+const category = { taxApplicability: true, tax: 10, taxType: 'percentage' }
+
+describe('hasOwnTax', () => {
+  it('ignores inherited and unset tax', () => {
+    expect(hasOwnTax({ taxApplicability: true, taxInherited: true })).toBe(
+      false
+    )
+    expect(hasOwnTax({ taxApplicability: null })).toBe(false)
+    expect(hasOwnTax({ taxApplicability: false })).toBe(true)
+    expect(hasOwnTax(undefined)).toBe(false)
+  })
+})
+
+describe('resolveEffectiveTax', () => {
+  it('uses the nearest level that sets tax', () => {
+    const subCategory = { taxApplicability: true, tax: 5, taxType: 'fixed' }
+
+    expect(resolveEffectiveTax({}, subCategory, category)).toMatchObject({
+      tax: 5,
+      source: 'subcategory'
+    })
+    expect(
+      resolveEffectiveTax({}, { ...subCategory, taxInherited: true }, category)
+    ).toMatchObject({ tax: 10, source: 'category' })
+  })
+
+  it('reports no tax when the nearest level opts out', () => {
+    expect(
+      resolveEffectiveTax({ taxApplicability: false }, undefined, category)
+    ).toEqual({
+      taxApplicability: false,
+      tax: 0,
+      taxType: null,
+      source: 'item'
+    })
+    expect(resolveEffectiveTax({}, undefined, undefined).source).toBeNull()
+  })
+})
+
+describe('calculateTax', () => {
+  it('applies percentage and fixed tax', () => {
+    expect(calculateTax(90, 10, 'percentage')).toBe(9)
+    expect(calculateTax(3333, 7.5, 'percentage')).toBe(250)
+    expect(calculateTax(90, 45, 'fixed')).toBe(45)
+  })
+
+  it('charges fixed tax per unit', () => {
+    expect(calculateTax(270, 45, 'fixed', 3)).toBe(135)
+  })
+
+  it('rounds percentage tax to a whole minor unit', () => {
+    // 7.5% of 1000 is exactly 75; of 1010 it is 75.75
+    expect(calculateTax(1010, 7.5, 'percentage')).toBe(76)
+    expect(calculateTax(30, 5, 'percentage')).toBe(2)
+  })
+})
+
+describe('calculateExactTax', () => {
+  it('keeps the fraction of a percentage tax', () => {
+    expect(calculateExactTax(1010, 7.5, 'percentage')).toBe(75.75)
+    expect(calculateExactTax(270, 45, 'fixed', 3)).toBe(135)
+  })
+})
+
+describe('calculatePriceBreakdown', () => {
+  it('taxes the discounted amount', () => {
+    const item = { baseAmount: 100, discount: 10 }
+
+    expect(calculatePriceBreakdown(item, undefined, category)).toEqual({
+      baseAmount: 100,
+      discount: 10,
+      taxableAmount: 90,
+      taxApplicability: true,
+      tax: 10,
+      taxType: 'percentage',
+      taxAmount: 9,
+      finalPrice: 99,
+      taxSource: 'category',
+      currency: 'USD',
+      formatted: {
+        baseAmount: '$1.00',
+        discount: '$0.10',
+        taxableAmount: '$0.90',
+        taxAmount: '$0.09',
+        finalPrice: '$0.99'
+      }
+    })
+  })
+
+  it('prices the default variant unless another one is given', () => {
+    const item = {
+      variants: [
+        { _id: 'small', name: 'Small', baseAmount: 100, discount: 0 },
+        { _id: 'large', name: 'Large', baseAmount: 200, isDefault: true }
+      ]
+    }
+
+    expect(calculatePriceBreakdown(item, undefined, category)).toMatchObject({
+      variant: { _id: 'large', name: 'Large' },
+      finalPrice: 220
+    })
+    expect(
+      calculatePriceBreakdown(item, undefined, category, item.variants[0])
+    ).toMatchObject({ variant: { name: 'Small' }, finalPrice: 110 })
+  })
+
+  it('adds modifiers after the discount and taxes them', () => {
+    const item = { baseAmount: 100, discount: 10 }
+    const modifiers = [
+      { name: 'Toppings', amount: 25 },
+      { name: 'Sauces', amount: 5 }
+    ]
+
+    expect(
+      calculatePriceBreakdown(item, undefined, category, undefined, modifiers)
+    ).toMatchObject({
+      discount: 10,
+      modifiers,
+      modifierAmount: 30,
+      taxableAmount: 120,
+      taxAmount: 12,
+      finalPrice: 132
+    })
+    expect(
+      calculatePriceBreakdown(item, undefined, category)
+    ).not.toHaveProperty('modifiers')
+  })
+
+  it('takes promotions off the line before tax', () => {
+    const item = { baseAmount: 100, discount: 10 }
+    const promotions = [
+      { _id: 'half', name: 'Half price', type: 'percentage', value: 50 }
+    ]
+
+    expect(
+      calculatePriceBreakdown(item, undefined, category, undefined, [], {
+        promotions,
+        quantity: 2
+      })
+    ).toMatchObject({
+      quantity: 2,
+      baseAmount: 100,
+      discount: 10,
+      promotions: [
+        { _id: 'half', name: 'Half price', type: 'percentage', amount: 90 }
+      ],
+      promotionAmount: 90,
+      taxableAmount: 90,
+      taxAmount: 9,
+      finalPrice: 99
+    })
+    expect(
+      calculatePriceBreakdown(item, undefined, category)
+    ).not.toHaveProperty('promotions')
+  })
+
+  it('treats a missing discount as zero', () => {
+    const item = { baseAmount: 50, taxApplicability: false }
+
+    expect(calculatePriceBreakdown(item)).toMatchObject({
+      discount: 0,
+      taxAmount: 0,
+      finalPrice: 50
+    })
+  })
+})
+
+describe('priceVariants', () => {
+  it('attaches a breakdown to every variant', () => {
+    const item = {
+      variants: [
+        { name: 'Small', baseAmount: 10 },
+        { name: 'Large', baseAmount: 20 }
+      ]
+    }
+
+    expect(
+      priceVariants(item, undefined, category).map(
+        (variant) => variant.pricing.finalPrice
+      )
+    ).toEqual([11, 22])
+    expect(priceVariants({ baseAmount: 5 })).toBeUndefined()
+  })
+})
+
+describe('calculateBill', () => {
+  const priceLine = (item, options) =>
+    calculatePriceBreakdown(item, undefined, category, undefined, [], options)
+
+  it('adds up the lines and groups taxes by type and rate', () => {
+    const lines = [
+      priceLine(
+        { baseAmount: 1000, discount: 100 },
+        {
+          quantity: 2,
+          promotions: [{ _id: 'half', type: 'percentage', value: 50 }]
+        }
+      ),
+      priceLine({
+        baseAmount: 500,
+        taxApplicability: true,
+        tax: 25,
+        taxType: 'fixed'
+      }),
+      priceLine({ baseAmount: 300, taxApplicability: false })
+    ]
+
+    const bill = calculateBill(lines, { taxRounding: 'line' })
+
+    expect(bill).toMatchObject({
+      subtotal: 2800,
+      discountAmount: 200,
+      promotionAmount: 900,
+      taxableAmount: 1700,
+      taxAmount: 115,
+      roundingAdjustment: 0,
+      total: 1815,
+      taxRounding: 'line',
+      currency: 'USD',
+      formatted: { subtotal: '$28.00', total: '$18.15' }
+    })
+    expect(bill.taxes).toEqual([
+      expect.objectContaining({
+        taxType: 'percentage',
+        tax: 10,
+        taxableAmount: 900,
+        taxAmount: 90
+      }),
+      expect.objectContaining({
+        taxType: 'fixed',
+        tax: 25,
+        taxableAmount: 500,
+        taxAmount: 25
+      })
+    ])
+    expect(bill.lines.map((line) => [line.subtotal, line.finalPrice])).toEqual([
+      [2000, 990],
+      [500, 525],
+      [300, 300]
+    ])
+  })
+
+  it('rounds taxes per line or once for the bill', () => {
+    // 10% of 105 is 10.5 on each line
+    const lines = [
+      priceLine({ baseAmount: 105 }),
+      priceLine({ baseAmount: 105 })
+    ]
+
+    expect(calculateBill(lines, { taxRounding: 'line' })).toMatchObject({
+      taxAmount: 22,
+      roundingAdjustment: 1,
+      total: 232
+    })
+
+    const bill = calculateBill(lines, { taxRounding: 'bill' })
+    expect(bill).toMatchObject({
+      taxAmount: 21,
+      roundingAdjustment: 0,
+      total: 231
+    })
+    expect(bill.lines.map((line) => line.taxAmount)).toEqual([11, 10])
+    expect(bill.taxes[0].taxAmount).toBe(21)
+  })
+
+  it('totals an empty bill as zero', () => {
+    expect(calculateBill([], { taxRounding: 'line' })).toMatchObject({
+      subtotal: 0,
+      taxes: [],
+      total: 0
+    })
+  })
+})
@@ -0,0 +1,134 @@
+const {
+  selectPromotions,
+  findItemPromotions,
+  applyPromotions,
+  summarizePromotion,
+  withPromotions
+} = require('../../src/utils/promotions')
+
+const promotion = (overrides) => ({
+  _id: overrides.name,
+  type: 'percentage',
+  value: 10,
+  targets: { items: [], subCategories: [], categories: [] },
+  priority: 0,
+  stackable: false,
+  ...overrides
+})
+
+const lunch = promotion({
+  name: 'Lunch',
+  priority: 5,
+  targets: { items: [], subCategories: [], categories: ['mains'] }
+})
+const tuesday = promotion({
+  name: 'Tuesday',
+  type: 'fixed',
+  value: 5,
+  stackable: true,
+  targets: { items: ['pizza'], subCategories: [], categories: [] }
+})
+const loyalty = promotion({
+  name: 'Loyalty',
+  value: 20,
+  stackable: true,
+  targets: { items: [], subCategories: ['pizzas'], categories: [] }
+})
+
+describe('selectPromotions', () => {
+  it('applies a promotion that does not stack on its own', () => {
+    expect(selectPromotions([lunch, tuesday, loyalty])).toEqual([lunch])
+  })
+
+  it('applies every stackable promotion together', () => {
+    expect(selectPromotions([tuesday, lunch, loyalty])).toEqual([
+      tuesday,
+      loyalty
+    ])
+  })
+
+  it('returns nothing without promotions', () => {
+    expect(selectPromotions([])).toEqual([])
+  })
+})
+
+describe('findItemPromotions', () => {
+  it('matches items, subcategories and categories', () => {
+    const pizza = { _id: 'pizza' }
+
+    expect(
+      findItemPromotions([tuesday, loyalty], pizza, { _id: 'pizzas' }, 'mains')
+    ).toEqual([tuesday, loyalty])
+    expect(
+      findItemPromotions([lunch, tuesday, loyalty], pizza, 'pizzas', 'mains')
+    ).toEqual([lunch])
+    expect(
+      findItemPromotions([lunch, loyalty], { _id: 'soup' }, undefined, 'sides')
+    ).toEqual([])
+  })
+})
+
+describe('applyPromotions', () => {
+  it('takes a percentage off the line', () => {
+    expect(applyPromotions(90, 2, [lunch])).toEqual({
+      promotions: [
+        { _id: 'Lunch', name: 'Lunch', type: 'percentage', amount: 18 }
+      ],
+      promotionAmount: 18
+    })
+  })
+
+  it('takes a fixed amount off every unit without going below zero', () => {
+    expect(applyPromotions(90, 3, [tuesday]).promotionAmount).toBe(15)
+    expect(applyPromotions(4, 2, [tuesday]).promotionAmount).toBe(8)
+  })
+
+  it('discounts the units got for every complete bundle', () => {
+    const twoForOne = promotion({
+      name: 'Two for one',
+      type: 'buyXgetY',
+      buyQuantity: 1,
+      getQuantity: 1,
+      getDiscount: 100
+    })
+    const thirdHalfPrice = { ...twoForOne, buyQuantity: 2, getDiscount: 50 }
+
+    expect(applyPromotions(10, 1, [twoForOne]).promotions).toEqual([])
+    expect(applyPromotions(10, 5, [twoForOne]).promotionAmount).toBe(20)
+    expect(applyPromotions(10, 3, [thirdHalfPrice]).promotionAmount).toBe(5)
+  })
+
+  it('applies stacked promotions to what is left in order', () => {
+    const { promotions, promotionAmount } = applyPromotions(90, 1, [
+      tuesday,
+      loyalty
+    ])
+
+    expect(promotions.map((applied) => applied.amount)).toEqual([5, 17])
+    expect(promotionAmount).toBe(22)
+  })
+})
+
+describe('summarizePromotion', () => {
+  it('describes the promotion by its type', () => {
+    expect(summarizePromotion(tuesday)).toEqual({
+      _id: 'Tuesday',
+      name: 'Tuesday',
+      type: 'fixed',
+      value: 5,
+      endsAt: undefined
+    })
+  })
+})
+
+describe('withPromotions', () => {
+  it('adds the promotional price of one unit', () => {
+    const item = { _id: 'pizza', name: 'Pizza', totalAmount: 90 }
+
+    expect(withPromotions(item, [tuesday], 'pizzas', 'mains')).toMatchObject({
+      totalAmount: 90,
+      promotions: [{ name: 'Tuesday', type: 'fixed', value: 5 }],
+      promotionalAmount: 85
+    })
+  })
+})
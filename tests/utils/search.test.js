@@ -0,0 +1,168 @@
+const {
+  foldText,
+  parseQuery,
+  editDistance,
+  scoreWord,
+  splitTerm,
+  buildSearchFilter,
+  highlight,
+  scoreDocument
+} = require('../../src/utils/search')
+
+describe('foldText', () => {
+  it('lower cases and removes accents without changing the length', () => {
+    expect(foldText('Crème Brûlée')).toBe('creme brulee')
+    expect(foldText('Crème Brûlée')).toHaveLength('Crème Brûlée'.length)
+  })
+})
+
+describe('parseQuery', () => {
+  it('reads distinct folded words', () => {
+    expect(parseQuery('  Caesar, caesar SALAD! ')).toEqual(['caesar', 'salad'])
+  })
+
+  it('returns no terms for text without letters or digits', () => {
+    expect(parseQuery('.*+?()')).toEqual([])
+  })
+
+  it('keeps at most eight terms', () => {
+    expect(parseQuery('a b c d e f g h i j')).toHaveLength(8)
+  })
+})
+
+describe('editDistance', () => {
+  it('counts insertions, deletions, substitutions and swaps', () => {
+    expect(editDistance('pizza', 'pizza', 2)).toBe(0)
+    expect(editDistance('piza', 'pizza', 2)).toBe(1)
+    expect(editDistance('pizzs', 'pizza', 2)).toBe(1)
+    expect(editDistance('ceasar', 'caesar', 2)).toBe(1)
+  })
+
+  it('stops past the largest distance of interest', () => {
+    expect(editDistance('burger', 'pizza', 2)).toBe(3)
+  })
+})
+
+describe('scoreWord', () => {
+  it('ranks exact over prefix over substring over fuzzy matches', () => {
+    const exact = scoreWord('salad', 'salad')
+    const prefix = scoreWord('sal', 'salad')
+    const substring = scoreWord('lad', 'salad')
+    const fuzzy = scoreWord('salda', 'salad')
+
+    expect(exact).toBeGreaterThan(prefix)
+    expect(prefix).toBeGreaterThan(substring)
+    expect(substring).toBeGreaterThan(fuzzy)
+    expect(fuzzy).toBeGreaterThan(0)
+  })
+
+  it('does not accept typos in short terms', () => {
+    expect(scoreWord('tae', 'tea')).toBe(0)
+  })
+
+  it('matches a mistyped prefix of a longer word', () => {
+    expect(scoreWord('parmsan', 'parmesan')).toBeGreaterThan(0)
+    expect(scoreWord('parmes', 'parmigiano')).toBe(0)
+  })
+})
+
+describe('splitTerm', () => {
+  it('splits a term into one piece more than the typos it tolerates', () => {
+    expect(splitTerm('tea')).toEqual(['tea'])
+    expect(splitTerm('ceasar')).toEqual(['cea', 'sar'])
+    expect(splitTerm('margherita')).toEqual(['mar', 'ghe', 'rita'])
+  })
+})
+
+describe('buildSearchFilter', () => {
+  const patternOf = (filter) => new RegExp(filter.$or[0].name.$regex, 'i')
+
+  it('requires every term in a searched field', () => {
+    const filter = buildSearchFilter(['ceasar', 'tea'], 'en')
+
+    expect(filter.$and).toHaveLength(2)
+    expect(filter.$and[1].$or).toEqual([
+      { name: expect.any(Object) },
+      { description: expect.any(Object) }
+    ])
+  })
+
+  it('finds mistyped and accented words', () => {
+    const [ceasar] = buildSearchFilter(['ceasar'], 'en').$and
+    const [creme] = buildSearchFilter(['creme'], 'en').$and
+
+    expect(patternOf(ceasar).test('Caesar Salad')).toBe(true)
+    expect(patternOf(ceasar).test('Chicken Wrap')).toBe(false)
+    expect(patternOf(creme).test('Crème Brûlée')).toBe(true)
+  })
+
+  it('requires whole terms when asked to', () => {
+    const [ceasar] = buildSearchFilter(['ceasar'], 'en', { whole: true }).$and
+    const [creme] = buildSearchFilter(['creme'], 'en', { whole: true }).$and
+
+    expect(patternOf(ceasar).test('Ceasar Salad')).toBe(true)
+    expect(patternOf(ceasar).test('Caesar Salad')).toBe(false)
+    expect(patternOf(creme).test('Crème Brûlée')).toBe(true)
+  })
+
+  it('searches the translated fields of another language', () => {
+    const [term] = buildSearchFilter(['cesar'], 'fr').$and
+
+    expect(term.$or.map((condition) => Object.keys(condition)[0])).toEqual([
+      'name',
+      'description',
+      'translations.fr.name',
+      'translations.fr.description'
+    ])
+  })
+})
+
+describe('highlight', () => {
+  it('marks the ranges and escapes the text', () => {
+    expect(
+      highlight('Fish & <Chips>', [
+        { start: 8, end: 13 },
+        { start: 0, end: 4 }
+      ])
+    ).toBe('<mark>Fish</mark> &amp; &lt;<mark>Chips</mark>&gt;')
+  })
+})
+
+describe('scoreDocument', () => {
+  const salad = {
+    name: 'Caesar Salad',
+    description: 'Romaine, croutons and parmesan'
+  }
+
+  it('matches every term with typos and highlights the words', () => {
+    expect(scoreDocument(salad, parseQuery('ceasar parmesan'))).toEqual({
+      score: expect.any(Number),
+      highlights: {
+        name: '<mark>Caesar</mark> Salad',
+        description: 'Romaine, croutons and <mark>parmesan</mark>'
+      }
+    })
+  })
+
+  it('returns null when a term does not match', () => {
+    expect(scoreDocument(salad, parseQuery('caesar burger'))).toBeNull()
+  })
+
+  it('ranks name matches above description matches', () => {
+    const wrap = { name: 'Chicken Wrap', description: 'With caesar dressing' }
+    const terms = parseQuery('caesar')
+
+    expect(scoreDocument(salad, terms).score).toBeGreaterThan(
+      scoreDocument(wrap, terms).score
+    )
+  })
+
+  it('ranks a name equal to the query first', () => {
+    const bowl = { name: 'Caesar Salad Bowl' }
+    const terms = parseQuery('caesar salad')
+
+    expect(scoreDocument(salad, terms).score).toBeGreaterThan(
+      scoreDocument(bowl, terms).score
+    )
+  })
+})
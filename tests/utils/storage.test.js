@@ -0,0 +1,66 @@
+const fs = require('fs/promises')
+const path = require('path')
+const { registerStorageDriver, getStorage } = require('../../src/utils/storage')
+
+describe('local storage', () => {
+  const storage = getStorage('local')
+  const file = (key) => path.join(process.env.UPLOAD_DIR, key)
+
+  afterAll(() =>
+    fs.rm(process.env.UPLOAD_DIR, { recursive: true, force: true })
+  )
+
+  it('writes files under UPLOAD_DIR and returns their URL', async () => {
+    const url = await storage.save('tenant/items/1/photo.jpg', Buffer.from('x'))
+
+    expect(url).toBe('/uploads/tenant/items/1/photo.jpg')
+    await expect(
+      fs.readFile(file('tenant/items/1/photo.jpg'), 'utf8')
+    ).resolves.toBe('x')
+  })
+
+  it('removes files, including ones already gone', async () => {
+    await storage.save('tenant/items/2/photo.jpg', Buffer.from('x'))
+
+    await storage.remove('tenant/items/2/photo.jpg')
+    await storage.remove('tenant/items/2/photo.jpg')
+
+    await expect(fs.stat(file('tenant/items/2/photo.jpg'))).rejects.toThrow()
+  })
+
+  it('refuses keys outside the root', async () => {
+    await expect(
+      storage.save('../escape.jpg', Buffer.from('x'))
+    ).rejects.toThrow('Invalid storage key')
+  })
+
+  it('builds URLs from UPLOAD_BASE_URL', async () => {
+    process.env.UPLOAD_BASE_URL = 'https://cdn.example.com/menu/'
+    try {
+      await expect(
+        getStorage('local').save('a.jpg', Buffer.from('x'))
+      ).resolves.toBe('https://cdn.example.com/menu/a.jpg')
+    } finally {
+      delete process.env.UPLOAD_BASE_URL
+    }
+  })
+})
+
+describe('getStorage', () => {
+  it('uses STORAGE_DRIVER and registered drivers', () => {
+    const memory = { name: 'memory', save: jest.fn(), remove: jest.fn() }
+    registerStorageDriver('memory', () => memory)
+
+    process.env.STORAGE_DRIVER = 'memory'
+    try {
+      expect(getStorage()).toBe(memory)
+    } finally {
+      delete process.env.STORAGE_DRIVER
+    }
+    expect(getStorage().name).toBe('local')
+  })
+
+  it('rejects unknown drivers', () => {
+    expect(() => getStorage('ftp')).toThrow('STORAGE_DRIVER must be one of')
+  })
+})
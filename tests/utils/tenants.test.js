@@ -0,0 +1,37 @@
+const {
+  getTenants,
+  resolveTenant,
+  runWithTenant,
+  getCurrentTenant
+} = require('../../src/utils/tenants')
+
+describe('getTenants', () => {
+  it('lists the default tenant and those in TENANTS', () => {
+    expect(getTenants()).toEqual(['default', 'burger-co', 'pizza-co'])
+  })
+})
+
+describe('resolveTenant', () => {
+  it('falls back to the default tenant', () => {
+    expect(resolveTenant(undefined)).toBe('default')
+    expect(resolveTenant('pizza-co')).toBe('pizza-co')
+  })
+
+  it('rejects tenants that are not hosted with a 404', () => {
+    expect(() => resolveTenant('taco-co')).toThrow(
+      expect.objectContaining({ statusCode: 404 })
+    )
+  })
+})
+
+describe('runWithTenant', () => {
+  it('keeps the tenant across awaits', async () => {
+    const tenant = await runWithTenant('burger-co', async () => {
+      await new Promise((resolve) => setTimeout(resolve, 1))
+      return getCurrentTenant()
+    })
+
+    expect(tenant).toBe('burger-co')
+    expect(getCurrentTenant()).toBe('default')
+  })
+})
@@ -0,0 +1,135 @@
+const mongoose = require('mongoose')
+const {
+  getLanguages,
+  parseAcceptLanguage,
+  resolveLanguage,
+  localize,
+  buildNameFilter,
+  checkTranslationLanguage
+} = require('../../src/utils/translations')
+
+const pizza = {
+  _id: 'pizza',
+  name: 'Pizza',
+  description: 'Wood fired',
+  translations: {
+    fr: { name: 'Pizza au feu de bois' },
+    de: { name: 'Holzofenpizza', description: 'Aus dem Holzofen' }
+  }
+}
+
+describe('getLanguages', () => {
+  it('lists the default language first', () => {
+    expect(getLanguages()).toEqual(['en', 'fr', 'de'])
+  })
+})
+
+describe('parseAcceptLanguage', () => {
+  it('orders languages by quality, then by position', () => {
+    expect(parseAcceptLanguage('de;q=0.5, fr-CA, fr;q=0.9, en;q=0.5')).toEqual([
+      'fr-ca',
+      'fr',
+      'de',
+      'en'
+    ])
+  })
+
+  it('skips wildcards and refused languages', () => {
+    expect(parseAcceptLanguage('*, de;q=0, fr')).toEqual(['fr'])
+  })
+
+  it('reads a missing header as no preference', () => {
+    expect(parseAcceptLanguage()).toEqual([])
+  })
+})
+
+describe('resolveLanguage', () => {
+  it('prefers lang over Accept-Language', () => {
+    expect(resolveLanguage({ lang: 'DE', acceptLanguage: 'fr' })).toBe('de')
+  })
+
+  it('rejects a lang the menu is not served in', () => {
+    expect(() => resolveLanguage({ lang: 'es' })).toThrow(
+      expect.objectContaining({ statusCode: 400 })
+    )
+  })
+
+  it('falls back from a regional tag to its base language', () => {
+    expect(resolveLanguage({ acceptLanguage: 'fr-CA, de;q=0.8' })).toBe('fr')
+  })
+
+  it('uses the default language when nothing matches', () => {
+    expect(resolveLanguage({ acceptLanguage: 'es, it' })).toBe('en')
+    expect(resolveLanguage()).toBe('en')
+  })
+})
+
+describe('localize', () => {
+  it('replaces translated fields and drops translations', () => {
+    expect(localize(pizza, 'de')).toEqual({
+      _id: 'pizza',
+      name: 'Holzofenpizza',
+      description: 'Aus dem Holzofen'
+    })
+  })
+
+  it('falls back field by field', () => {
+    expect(localize(pizza, 'fr')).toMatchObject({
+      name: 'Pizza au feu de bois',
+      description: 'Wood fired'
+    })
+  })
+
+  it('reads translations stored in a Map', () => {
+    const doc = { ...pizza, translations: new Map([['fr', { name: 'Tarte' }]]) }
+
+    expect(localize(doc, 'fr').name).toBe('Tarte')
+  })
+
+  it('localizes populated parents and nested documents', () => {
+    const categoryId = new mongoose.Types.ObjectId()
+    const menu = localize(
+      {
+        name: 'Mains',
+        translations: { fr: { name: 'Plats' } },
+        subCategories: [{ name: 'Pizzas', categoryId, items: [pizza] }],
+        items: [{ ...pizza, subCategoryId: { name: 'Pizzas' } }]
+      },
+      'fr'
+    )
+
+    expect(menu.name).toBe('Plats')
+    expect(menu.subCategories[0].categoryId).toBe(categoryId)
+    expect(menu.subCategories[0].items[0].name).toBe('Pizza au feu de bois')
+    expect(menu.items[0].subCategoryId).toEqual({ name: 'Pizzas' })
+  })
+})
+
+describe('buildNameFilter', () => {
+  const condition = { $regex: 'pizza', $options: 'i' }
+
+  it('searches the name in the default language', () => {
+    expect(buildNameFilter(condition, 'en')).toEqual({ name: condition })
+  })
+
+  it('also searches the translated name in other languages', () => {
+    expect(buildNameFilter(condition, 'fr')).toEqual({
+      $and: [
+        {
+          $or: [{ name: condition }, { 'translations.fr.name': condition }]
+        }
+      ]
+    })
+  })
+})
+
+describe('checkTranslationLanguage', () => {
+  it('accepts the languages the menu is translated into', () => {
+    expect(checkTranslationLanguage('FR')).toBe('fr')
+  })
+
+  it('rejects the default and unknown languages', () => {
+    expect(() => checkTranslationLanguage('en')).toThrow(/default language/)
+    expect(() => checkTranslationLanguage('es')).toThrow(/fr, de/)
+  })
+})
@@ -0,0 +1,67 @@
+const {
+  getDefaultVariant,
+  findVariant,
+  applyVariants
+} = require('../../src/utils/variants')
+
+const variants = [
+  { _id: 'a1', name: 'Small', baseAmount: 100 },
+  { _id: 'b2', name: 'Large', baseAmount: 200, discount: 20, isDefault: true }
+]
+
+describe('applyVariants', () => {
+  it('computes totals and mirrors the default variant', () => {
+    expect(applyVariants(variants)).toEqual({
+      variants: [
+        {
+          _id: 'a1',
+          name: 'Small',
+          baseAmount: 100,
+          discount: 0,
+          totalAmount: 100,
+          isDefault: false
+        },
+        {
+          _id: 'b2',
+          name: 'Large',
+          baseAmount: 200,
+          discount: 20,
+          totalAmount: 180,
+          isDefault: true
+        }
+      ],
+      baseAmount: 200,
+      discount: 20,
+      totalAmount: 180
+    })
+  })
+
+  it('makes the first variant the default when none is flagged', () => {
+    const { variants: normalized, totalAmount } = applyVariants([
+      { name: 'Half', baseAmount: 5 },
+      { name: 'Full', baseAmount: 9 }
+    ])
+
+    expect(normalized.map((variant) => variant.isDefault)).toEqual([
+      true,
+      false
+    ])
+    expect(totalAmount).toBe(5)
+  })
+})
+
+describe('getDefaultVariant', () => {
+  it('returns the flagged variant, the first one, or nothing', () => {
+    expect(getDefaultVariant({ variants }).name).toBe('Large')
+    expect(getDefaultVariant({ variants: [variants[0]] }).name).toBe('Small')
+    expect(getDefaultVariant({})).toBeUndefined()
+  })
+})
+
+describe('findVariant', () => {
+  it('matches by ID or by name regardless of case', () => {
+    expect(findVariant({ variants }, 'b2').name).toBe('Large')
+    expect(findVariant({ variants }, 'small').name).toBe('Small')
+    expect(findVariant({ variants }, 'Medium')).toBeUndefined()
+  })
+})